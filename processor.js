@@ -3,51 +3,44 @@
  * UNIVERSAL ARTILLERY UTILS + AWS SIGV4 SIGNER (CSV-aware)
  * ============================================================
  * Provides:
- * ✅ AWS Signature V4 signing for API Gateway (optional via tag)
- * ✅ File-based response/error/debug logging
+ * ✅ AWS Signature V4 signing, opt-in per request (API Gateway, Lambda URLs, other AWS services)
+ * ✅ OAuth2 / JWT bearer tokens with a shared cache, refresh and 401 retry
+ * ✅ Structured JSONL response/error/debug logging (buffered, rotated, redacted)
  * ✅ CSV data loading utility
- * ✅ Random data helpers
+ * ✅ Seedable, locale-aware random data helpers (DATA_SEED / DATA_LOCALE)
  * ============================================================
  * * TO USE: Reference this file in your YAML config: 'processor: "./processors.js"'
  */
 
-const fs = require("fs");
-const path = require("path");
-const aws4 = require("aws4");
-const url = require("url");
-const { parse } = require("csv-parse/sync");
-const { faker } = require("@faker-js/faker");
+const sigv4 = require("./utilities/aws-sigv4");
+const awsCredentials = require("./utilities/aws-credentials");
+const artilleryRequest = require("./utilities/artillery-request");
+const jsonlLogger = require("./utilities/jsonl-logger");
+const responseAssertions = require("./utilities/response-assertions");
+const dataFeeder = require("./utilities/data-feeder");
+const dataPools = require("./utilities/data-pools");
+const generators = require("./utilities/data-generators");
+const tokenManager = require("./utilities/token-manager");
+const liveMetrics = require("./utilities/live-metrics");
+const transactions = require("./utilities/transactions");
+const thinkTimes = require("./utilities/think-time");
 
 // -------------------------------
 // ENVIRONMENT CONFIG & LOG SETUP
 // -------------------------------
-const SERVICE_NAME = "execute-api";
-const REGION = process.env.AWS_REGION;
-const TARGET_HOST = process.env.TARGET_HOST;
-const LOG_DIR = path.resolve("./artillery-logs");
-
-// Create logs directory if not present
-if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
-
-// Log file paths
-const RESPONSE_LOG = path.join(LOG_DIR, "responses.log");
-const ERROR_LOG = path.join(LOG_DIR, "errors.log");
-const DEBUG_LOG = path.join(LOG_DIR, "debug.log");
+// Log channels → <ARTILLERY_LOG_DIR>/<channel>.w<worker>.jsonl (see utilities/jsonl-logger.js
+// for rotation, sampling and redaction settings)
+const ERROR_LOG = "errors";
+const DEBUG_LOG = "debug";
 
 // Flags read from environment variables to control logging verbosity
 const DEBUG_LOG_BODY_ENABLED = process.env.DEBUG_LOG_BODY === "true"; 
-const RESPONSE_LOG_BODY_ENABLED = process.env.RESPONSE_LOG_BODY_ENABLED === "true"; 
-
-console.log(process.env.APP_AWS_KEY);
-console.log(process.env.APP_AWS_SECRET);
-console.log(process.env.AWS_REGION);
 
 // -------------------------------
-// Helper: Append line to a log file
+// Helper: Queue a structured log record (buffered, async)
 // -------------------------------
-function logToFile(file, message) {
-    const timestamp = new Date().toISOString();
-    fs.appendFileSync(file, `[${timestamp}] ${message}\n`);
+function logToFile(channel, message) {
+    jsonlLogger.logEvent(channel, channel === ERROR_LOG ? "error" : channel === DEBUG_LOG ? "debug" : "info", message);
 }
 
 // -------------------------------
@@ -55,16 +48,14 @@ function logToFile(file, message) {
 // -------------------------------
 
 /**
- * UTILITY: Generates a random number of a specified length.
+ * UTILITY: Generates a random number of a specified length (both ends inclusive, seeded by DATA_SEED).
  * @param {number} length - The desired number length (default 6).
  * * HOW TO CALL IN YAML:
  * - set:
  * id: '{{ $randomNumber(8) }}'
  */
 function randomNumber(length = 6) {
-    const min = Math.pow(10, length - 1);
-    const max = Math.pow(10, length) - 1;
-    return Math.floor(min + Math.random() * (max - min));
+    return generators.randomNumber(length);
 }
 
 /**
@@ -76,10 +67,7 @@ function randomNumber(length = 6) {
  * date: '{{ $randomDate(2020, 2024) }}'
  */
 function randomDate(startYear = 2000, endYear = 2025) {
-    const start = new Date(startYear, 0, 1);
-    const end = new Date(endYear, 11, 31);
-    const date = new Date(start.getTime() + Math.random() * (end.getTime() - start.getTime()));
-    return date.toISOString().split("T")[0];
+    return generators.randomDate(startYear, endYear);
 }
 
 /**
@@ -96,11 +84,7 @@ function randomDate(startYear = 2000, endYear = 2025) {
  */
 function loadCsvData(filePath) {
     try {
-        const csvContent = fs.readFileSync(filePath, "utf8");
-        const records = parse(csvContent, {
-            columns: true,
-            skip_empty_lines: true,
-        });
+        const records = dataFeeder.loadCsvRecords(filePath);
         logToFile(DEBUG_LOG, `Loaded ${records.length} records from CSV: ${filePath}`);
         return records;
     } catch (err) {
@@ -109,179 +93,255 @@ function loadCsvData(filePath) {
     }
 }
 
-// -------------------------------
-// ARTILLERY HOOKS (Called via 'beforeRequest'/'afterResponse'/etc. in YAML)
-// -------------------------------
+/**
+ * PROCESSOR: Checks out one row per feeder declared in 'config.variables.dataFeeders' into
+ * context.vars (sequential / random / unique-per-VU / unique-once, split by runner index).
+ * Pair with 'releaseData' so unique rows are returned when the VU finishes.
+ * See utilities/data-feeder.js for feeder options and exhaustion policies.
+ * * WHEN TO CALL IN YAML:
+ * - name: "login"
+ * beforeScenario: "feedData"
+ * afterScenario: "releaseData"
+ */
+function feedData(context, events, done) {
+    return dataFeeder.feedData(context, events, done);
+}
 
 /**
- * BEFORE REQUEST HOOK: Signs the outgoing request with AWS Signature V4.
- * Uses environment variables for credentials (APP_AWS_KEY, APP_AWS_SECRET, etc.).
+ * PROCESSOR: Checks the VU's 'unique' feeder rows back in (see feedData).
+ */
+function releaseData(context, events, done) {
+    return dataFeeder.releaseData(context, events, done);
+}
+
+/**
+ * PROCESSOR: Sets vars from the shared data pools named in the scenario's 'fromPool'
+ * mapping (values pushed by producer scenarios, or seeded from CSV), so consumers hit
+ * real data. See utilities/data-pools.js for TTLs, size caps and empty-pool behaviour.
  * * WHEN TO CALL IN YAML:
- * - post:
- * url: "/path"
- * beforeRequest: "signRequest"
+ * - name: "cancel-order"
+ * fromPool: { orders: "orderId" }
+ * beforeScenario: "takeFromPool"
  */
+function takeFromPool(context, events, done) {
+    return dataPools.takeFromPool(context, events, done);
+}
 
-// const url = require("url");
-// NOTE: Assuming aws4, TARGET_HOST, REGION, and DEBUG_LOG are defined/imported.
+/**
+ * AFTER RESPONSE HOOK: Pushes captured vars into shared data pools ('toPool:' on the request).
+ * * WHEN TO CALL IN YAML:
+ * - post: { url: "/orders", capture: { json: "$.id", as: "orderId" }, afterResponse: "pushToPool", toPool: { orders: "orderId" } }
+ */
+function pushToPool(requestParams, response, context, events, done) {
+    return dataPools.pushToPool(requestParams, response, context, events, done);
+}
 
 /**
- * UTILITY: Resolves Artillery template variables in a string.
+ * PROCESSOR: Streams this VU's metrics (latency, codes, errors, assertion failures) to the
+ * sinks named in LIVE_METRICS while the test runs. No-op when LIVE_METRICS is unset.
+ * See utilities/live-metrics.js for sinks, tags and the plugin that adds phase markers.
+ * * WHEN TO CALL IN YAML:
+ * - name: "login"
+ * beforeScenario: ["startLiveMetrics", "feedData"]
  */
+function startLiveMetrics(context, events, done) {
+    return liveMetrics.startLiveMetrics(context, events, done);
+}
 
-// NOTE: Assuming aws4, TARGET_HOST, REGION, and DEBUG_LOG are defined/imported.
+/**
+ * PROCESSOR: Opens a JMeter-style transaction: everything up to the matching
+ * 'endTransaction' is timed for this VU and reported under the transaction's name
+ * (the 'transaction:' key of the first request inside it) like a metrics-by-endpoint
+ * request, so sla.json can target it. See utilities/transactions.js.
+ * * WHEN TO CALL IN YAML:
+ * afterResponse: "trackTransaction"   (scenario level: fails it on 4xx / 5xx)
+ * onError: "failTransactions"         (scenario level: fails it on request errors)
+ * flow:
+ * - function: "startTransaction"
+ * - post: { url: "/login", name: "Login", transaction: "Checkout" }
+ * - function: "endTransaction"
+ */
+function startTransaction(context, events, done) {
+    return transactions.startTransaction(context, events, done);
+}
 
 /**
- * UTILITY: Resolves Artillery template variables in a string.
+ * PROCESSOR: Closes the innermost open transaction (see startTransaction).
  */
-function resolveTemplate(str, vars) {
-    if (!str || typeof str !== "string") return str;
+function endTransaction(context, events, done) {
+    return transactions.endTransaction(context, events, done);
+}
 
-    return str.replace(/{{\s*([^}]+)\s*}}/g, (_, key) => {
-        return vars[key.trim()] !== undefined ? String(vars[key.trim()]) : "";
-    });
+/**
+ * AFTER RESPONSE HOOK: Names open transactions and fails them on a 4xx / 5xx response.
+ */
+function trackTransaction(requestParams, response, context, events, done) {
+    return transactions.trackTransaction(requestParams, response, context, events, done);
+}
+
+/**
+ * ON ERROR HOOK: Closes the VU's open transactions as failed when a request errors.
+ */
+function failTransactions(err, requestParams, context, events, done) {
+    return transactions.failTransactions(err, requestParams, context, events, done);
+}
+
+/**
+ * PROCESSOR: Pauses for a randomised think time from config.variables.thinkTimes.default
+ * (uniform, gaussian, exponential, production percentiles or an empirical file).
+ * See utilities/think-time.js for the specs and the think_time.<profile> metrics.
+ * * WHEN TO CALL IN YAML:
+ * - function: "thinkTime"
+ */
+function thinkTime(context, events, done) {
+    return thinkTimes.thinkTime(context, events, done);
+}
+
+/**
+ * AFTER RESPONSE HOOK: Pauses after the request for its 'thinkTime:' profile / spec.
+ * * WHEN TO CALL IN YAML:
+ * - get: { url: "/products", afterResponse: "thinkAfter", thinkTime: "browse" }
+ */
+function thinkAfter(requestParams, response, context, events, done) {
+    return thinkTimes.thinkAfter(requestParams, response, context, events, done);
+}
+
+/**
+ * PROCESSOR: Starts the VU's iteration clock for 'pace'.
+ * * WHEN TO CALL IN YAML:
+ * - name: "browse"
+ * beforeScenario: "startPacing"
+ */
+function startPacing(context, events, done) {
+    return thinkTimes.startPacing(context, events, done);
 }
 
+/**
+ * PROCESSOR: Waits until config.variables.pacing seconds have passed since the iteration
+ * started (JMeter Constant Throughput Timer style), then restarts the clock.
+ * * WHEN TO CALL IN YAML:
+ * - loop:
+ *   - get: { url: "/products" }
+ *   - function: "pace"
+ */
+function pace(context, events, done) {
+    return thinkTimes.pace(context, events, done);
+}
+
+// -------------------------------
+// ARTILLERY HOOKS (Called via 'beforeRequest'/'afterResponse'/etc. in YAML)
+// -------------------------------
+
 /**
  * BEFORE REQUEST HOOK: Signs the outgoing request with AWS Signature V4.
+ * Signing is opt-in per request: only requests tagged 'requiresAwsSigV4' (or carrying an
+ * 'awsSigV4' block) are signed, so signed and unsigned calls can share one scenario.
+ * Service, region and host are inferred from the request URL (API Gateway, Lambda function
+ * URLs, other *.amazonaws.com services) and can be overridden per request.
+ * Credentials come from the provider chain in utilities/aws-credentials.js (env vars, named
+ * profiles, web identity, AssumeRole) and are refreshed before they expire; a request can pick
+ * a profile/role with 'awsSigV4: { profile, roleArn }'.
+ * See utilities/aws-sigv4.js for the full set of options.
+ * Uploads use 'multipart:' (same fields as 'formData:', which Artillery re-encodes after
+ * this hook and therefore cannot be signed).
+ * * WHEN TO CALL IN YAML:
+ * - post:
+ * url: "/path"
+ * tags: ["requiresAwsSigV4"]
+ * beforeRequest: "signRequest"
  */
 function signRequest(requestParams, context, ee, next) {
     try {
-        // 1. Path Preparation (required for both GET and POST)
-        let resolvedUrl = resolveTemplate(requestParams.url, context.vars);
-        const parsedUrl = url.parse(resolvedUrl);
-        const canonicalPath = parsedUrl.pathname + (parsedUrl.search || '');
-
-        // 2. Body Preparation (CRITICAL FOR POST)
-        let body;
-        if (requestParams.json) {
-            
-            // --- FIX IS HERE: Manually resolve variables in the JSON body ---
-            const jsonBodyString = JSON.stringify(requestParams.json);
-            
-            // Resolve variables in the stringified JSON payload
-            body = resolveTemplate(jsonBodyString, context.vars); 
-            
-            // Re-set the request body for the HTTP client (using the resolved string)
-            requestParams.body = body; 
-            
-            // Delete the 'json' property as the stringified 'body' is now present
-            delete requestParams.json; 
-        } 
-        
+        if (!sigv4.requiresSigning(requestParams)) return next();
+
+        // 1. URL + Body Preparation: resolve templates on values and serialize json/form/
+        //    multipart/body (and qs) once, so the signature covers the exact bytes and
+        //    canonical URI that go on the wire ('formData' is rebuilt by Artillery: rejected)
+        artilleryRequest.assertSignableByArtillery(requestParams);
+        const body = artilleryRequest.prepareRequestForSigning(requestParams, context);
+
         // (Optional Debugging Log - CHECK 1: The correct body is signed)
         if (body) {
-            logToFile(DEBUG_LOG, `POST Body Signed Content: ${body.substring(0, 100)}`);
+            logToFile(DEBUG_LOG, `Body Signed Content: ${jsonlLogger.redactBody(body, 100)}`);
         }
-        
-        // 3. Build canonical signing opts
-        const opts = {
-            host: TARGET_HOST, 
-            method: requestParams.method,
-            path: canonicalPath, 
-            service: SERVICE_NAME,
-            region: REGION,
-            body: body,
-            headers: {
-                ...requestParams.headers,
-                'Host': TARGET_HOST, // Ensure Host is signed
-            },
-        };
-        
-        // 4. Sign
-        const creds = {
-            accessKeyId: process.env.APP_AWS_KEY,
-            secretAccessKey: process.env.APP_AWS_SECRET,
-            sessionToken: process.env.APP_AWS_SESSION || undefined
-        };
-        const signed = aws4.sign(opts, creds);
-
-        // 5. Apply Headers and final URL
-        requestParams.url = canonicalPath;
-        requestParams.headers = signed.headers;
-
-        return next();
+
+        // 2. Resolve credentials (env / profile / web identity / AssumeRole, refreshed before
+        //    expiry) and sign for the host/service/region this request actually targets
+        const overrides = (requestParams.awsSigV4 && typeof requestParams.awsSigV4 === "object") ? requestParams.awsSigV4 : {};
+        awsCredentials.getCredentials(overrides)
+            .then((creds) => {
+                const target = sigv4.signRequestParams(requestParams, context, creds, body);
+                logToFile(DEBUG_LOG, `Signed ${requestParams.method} ${target.path} for ${target.host} (${target.service}/${target.region}) with ${awsCredentials.describeCredentials(creds)}`);
+                next();
+            })
+            .catch((err) => {
+                logToFile(ERROR_LOG, `SigV4 Signing Failed: ${err.message}`);
+                next(err);
+            });
     } catch (err) {
+        logToFile(ERROR_LOG, `SigV4 Signing Failed: ${err.message}`);
         console.error("SIGN ERROR:", err);
         return next(err);
     }
 }
 
 /**
- * AFTER RESPONSE HOOK: Logs responses (2xx/3xx to success log, 4xx/5xx to error log).
- * Includes status code, URL, response snippet, and request body on error (if enabled).
+ * BEFORE REQUEST HOOK: Adds an OAuth2 / JWT bearer token to the request.
+ * The request names one of the clients in 'config.variables.authClients' with 'authClient'
+ * (the client called 'default' is used otherwise). Tokens come from the client-credentials,
+ * password or refresh-token grant, or are minted locally (HS256/RS256) from a key file, and
+ * are cached per client — per CSV user for password/refresh-token clients — and refreshed
+ * before they expire, so VUs no longer log in on every iteration.
+ * See utilities/token-manager.js for the client options.
+ * * WHEN TO CALL IN YAML:
+ * - get:
+ * url: "/orders"
+ * authClient: "orders"
+ * beforeRequest: "attachToken"
+ * afterResponse: "retryOn401"
+ */
+function attachToken(requestParams, context, ee, next) {
+    return tokenManager.attachToken(requestParams, context, ee, next);
+}
+
+/**
+ * AFTER RESPONSE HOOK: On a 401, drops the token the request was sent with, gets a new one
+ * and re-sends the request once (counter 'auth.<client>.retried_401'). Use together with
+ * attachToken; list it before other afterResponse hooks so they see the retried response.
+ * Captures and expectations run before afterResponse hooks and still see the 401.
+ */
+function retryOn401(requestParams, response, context, ee, next) {
+    return tokenManager.retryOn401(requestParams, response, context, ee, next);
+}
+
+/**
+ * AFTER RESPONSE HOOK: Logs responses as JSONL records (4xx/5xx and connection errors to
+ * errors.jsonl, 2xx/3xx sampled into responses.jsonl). Each record carries scenario, request
+ * name, method, URL, status, latency, VU id and truncated, redacted bodies.
+ * Request bodies are included on errors when DEBUG_LOG_BODY=true.
  * * WHEN TO CALL IN YAML:
  * - get:
  * url: "/status"
  * afterResponse: "afterResponse"
  */
 function afterResponse(requestParams, response, context, ee, next) {
-    const requestUrl = `${requestParams.method} ${requestParams.url}`;
-    
-    // --- Determine Response Body ---
-    let responseBodyText = "<no response body>";
-    if (response && response.body) {
-        // Converts response body (buffer, string, or object) to string
-        responseBodyText = Buffer.isBuffer(response.body)
-            ? response.body.toString("utf-8")
-            : typeof response.body === "string"
-            ? response.body
-            : JSON.stringify(response.body, null, 2);
-    }
-
-    // --- Determine Request Body ---
-    let requestBodyText = "<no request body>";
-    if (requestParams.body) {
-        // Converts request body (string or object) to string
-        requestBodyText = typeof requestParams.body === "string"
-            ? requestParams.body
-            : JSON.stringify(requestParams.body, null, 2);
-    }
-
-    // --- Handle No Response (Connection Error) ---
-    if (!response) {
-        let errorMsg = `No response received for ${requestUrl}.`;
-        if (DEBUG_LOG_BODY_ENABLED) {
-            errorMsg += ` Request Body: ${requestBodyText.substring(0, 500)}${requestBodyText.length > 500 ? "..." : ""}`;
-        }
-        console.log(`⚠️ ${errorMsg}`);
-        logToFile(ERROR_LOG, errorMsg);
-        return next();
-    }
-
-    const statusCode = response.statusCode;
-    
-    // Create base log message with response details
-    let logMessage = `${statusCode} ${requestUrl} | Response Snippet: ${responseBodyText.substring(0, 500)}${responseBodyText.length > 500 ? "..." : ""}`;
-
-    // --- Log based on status code ---
-    if (statusCode >= 400) {
-        // 4xx or 5xx are errors: conditionally append request body to log
-        if (DEBUG_LOG_BODY_ENABLED) {
-            logMessage += `\nREQUEST BODY: ${requestBodyText.substring(0, 500)}${requestBodyText.length > 500 ? "..." : ""}`;
-            console.log(`❌ ERROR ${statusCode} for ${requestUrl}`);
-            console.log(`Request Body (first 500 chars): ${requestBodyText.substring(0, 500)}`);
-        }
+    const isError = jsonlLogger.logResponse(requestParams, response, context, {
+        includeRequestBody: DEBUG_LOG_BODY_ENABLED,
+    });
 
-        // Log the error message to the error file (if response body logging is enabled)
-        if (RESPONSE_LOG_BODY_ENABLED) {
-            logToFile(ERROR_LOG, logMessage);
-        }
-        
-    } else if (statusCode >= 200 && statusCode < 400 && RESPONSE_LOG_BODY_ENABLED) {
-        // 2xx or 3xx are successes/redirections
-        logToFile(RESPONSE_LOG, logMessage);
-        
-    } else {
-        // Log other status codes (e.g., 1xx)
-        if (RESPONSE_LOG_BODY_ENABLED) logToFile(DEBUG_LOG, `[Other Status] ${logMessage}`);
+    if (isError && DEBUG_LOG_BODY_ENABLED) {
+        const requestUrl = `${requestParams.method} ${requestParams.url}`;
+        console.log(response ? `❌ ERROR ${response.statusCode} for ${requestUrl}` : `⚠️ No response received for ${requestUrl}.`);
     }
 
     return next();
 }
 
 /**
- * AFTER RESPONSE HOOK: Captures errors (status >= 400) and logs the status code and message.
+ * AFTER RESPONSE HOOK: Captures errors (status >= 400) and counts them in the error fingerprints
+ * (errors-summary.json / .md) through the JSONL logger, like the other response hooks. A response
+ * is counted once even when several hooks log it. The status line (URL redacted) is printed to
+ * the console only when DEBUG_LOG_BODY=true.
  * @param {Object} req - The request parameters object.
  * @param {Object} res - The response object.
  * @param {Object} context - The Artillery context.
@@ -297,11 +357,26 @@ function captureErrors(req, res, context, events, done) {
     const statusMessage = res.statusMessage || 'Unknown Status Message'; 
 
     if (res.statusCode >= 400) {
-        console.error(`❌ Request failed: ${req.url} - ${res.statusCode} ${statusMessage}`);
+        jsonlLogger.logResponse(req, res, context, { isError: true });
+        if (DEBUG_LOG_BODY_ENABLED) {
+            console.error(`❌ Request failed: ${jsonlLogger.redactUrl(req.url)} - ${res.statusCode} ${statusMessage}`);
+        }
     }
     return done();
 }
 
+/**
+ * ON ERROR HOOK: Logs requests that got no response (ECONNRESET, ETIMEDOUT, DNS, …) to
+ * errors.jsonl and counts them in the error fingerprints (utilities/error-fingerprints.js).
+ * * WHEN TO CALL IN YAML (scenario level):
+ * - name: "checkout"
+ * onError: "logRequestError"
+ */
+function logRequestError(err, requestParams, context, events, done) {
+    jsonlLogger.logResponse(requestParams, null, context, { isError: true, error: err });
+    return done();
+}
+
 /**
  * UTILITY: Generates a random email using faker.
  * * HOW TO CALL IN YAML:
@@ -309,11 +384,9 @@ function captureErrors(req, res, context, events, done) {
  * email: '{{ $randomEmail() }}'
  */
 function randomEmail() {
-    return faker.internet.email();
+    return generators.randomEmail();
 }
 
-
-
 /**
  * UTILITY: Generates a random UUID string using faker.
  * * HOW TO CALL IN YAML:
@@ -321,7 +394,7 @@ function randomEmail() {
  * id: '{{ $randomUuid() }}'
  */
 function randomUuid() {
-    return faker.string.uuid();
+    return generators.randomUuid();
 }
 
 /**
@@ -332,11 +405,14 @@ function randomUuid() {
  * note: '{{ $randomText(50) }}'
  */
 function randomText(wordCount = 10) {
-    return faker.lorem.words(wordCount);
+    return generators.randomText(wordCount);
 }
 
 /**
  * PROCESSOR: Generates multiple random variables and adds them to context.vars.
+ * Values come from the VU's own generator, seeded from DATA_SEED + runner + worker + the VU's
+ * position on its worker, so a run replays with the same DATA_SEED and worker count
+ * (uniqueEmail also carries the run id, so it stays unique across replays).
  * * WHEN TO CALL IN YAML:
  * - post:
  * url: "/api/create"
@@ -345,54 +421,75 @@ function randomText(wordCount = 10) {
  * - function: "generateRandoms"
  */
 function generateRandoms(context, events, done) {
-    context.vars.randomWord = faker.word.sample();
-    context.vars.randomUuid = faker.string.uuid();
-    context.vars.randomEmail = faker.internet.email();
-    context.vars.uniqueEmail = uniqueFakerEmail();
-    context.vars.randomText = randomText();
+    const vuFaker = generators.fakerFor(context);
+    context.vars.randomWord = vuFaker.word.sample();
+    context.vars.randomUuid = generators.randomUuid(vuFaker);
+    context.vars.randomEmail = generators.randomEmail(vuFaker);
+    context.vars.uniqueEmail = generators.uniqueEmail(vuFaker);
+    context.vars.randomText = generators.randomText(10, vuFaker);
     done();
 }
 
 /**
- * AFTER RESPONSE HOOK: Custom assertion/validation on the response body.
- * Fails the request if the expected data is missing (e.g., missing 'id').
+ * PROCESSOR: Sets one variable per entry of 'config.variables.generators' (e.g.
+ * customerName: "fullName", iban: "iban('DE')", dob: "pastDate(18, 80)") from the VU's
+ * seeded, locale-aware generator. See utilities/data-generators.js for all generators.
+ * * WHEN TO CALL IN YAML:
+ * - function: "generateTestData"
+ */
+function generateTestData(context, events, done) {
+    return generators.generateTestData(context, events, done);
+}
+
+/**
+ * AFTER RESPONSE HOOK: Declarative assertions declared on the request in YAML
+ * (status sets, max latency, headers, JSONPath exists/equals/regex, JSON Schema).
+ * Each failed rule emits the counter 'assertions.<request>.<rule>.failed' and is written
+ * to errors.jsonl. See utilities/response-assertions.js for the full rule syntax.
+ * * WHEN TO CALL IN YAML:
+ * - post:
+ * name: "create-order"
+ * url: "/create"
+ * afterResponse: "assertResponse"
+ * assertions:
+ * status: [200, 201]
+ * jsonPath:
+ * - { path: "$.id", exists: true }
+ */
+function assertResponse(requestParams, response, context, ee, next) {
+    return responseAssertions.assertResponse(requestParams, response, context, ee, next);
+}
+
+/**
+ * AFTER RESPONSE HOOK (legacy): Fails the request if the response body has no 'id'.
+ * Kept for existing scripts; equivalent to assertResponse with
+ * 'assertions: { jsonPath: [{ path: "$.id", exists: true }], abortOnFailure: true }'.
+ * Prefer assertResponse for new scripts.
  * * WHEN TO CALL IN YAML:
  * - post:
  * url: "/create"
  * afterResponse: "validateResponseData"
  */
 function validateResponseData(requestParams, response, context, ee, next) {
-    try {
-        const body = JSON.parse(response.body);
-        if (!body.id) {
-            throw new Error('Response is missing the required ID field.');
-        }
-        return next();
-    } catch (e) {
-        // Return error to Artillery to mark request as failed
-        return next(new Error(`Validation failed for ${requestParams.url}: ${e.message}`));
-    }
+    const legacyParams = {
+        ...requestParams,
+        assertions: {
+            jsonPath: [{ path: "$.id", exists: true, name: "id" }],
+            abortOnFailure: true,
+        },
+    };
+    return responseAssertions.assertResponse(legacyParams, response, context, ee, next);
 }
 
 /**
- * UTILITY: Generates a unique email address using faker and a timestamp tag.
+ * UTILITY: Generates an email address that is unique across VUs, workers and runners
+ * (faker username + runner/worker id + atomic counter, no timestamp collisions).
  * * HOW TO CALL IN YAML:
  * - set:
  * uniqueUserEmail: '{{ $uniqueFakerEmail() }}'
  */
 function uniqueFakerEmail() {
-    const date = new Date();
-    // Creates a unique tag based on current time (day, minute, second, millisecond)
-    const dd = String(date.getDate()).padStart(2, '0');
-    const mm = String(date.getMinutes()).padStart(2, '0');
-    const ss = String(date.getSeconds()).padStart(2, '0');
-    const ms = String(date.getMilliseconds()).padStart(3, '0');
-    
-    const baseUser = faker.internet.username();
-    const uniqueTag = `${dd}${mm}${ss}${ms}`;
-    const domain = faker.internet.domainName();
-    
-    return `${baseUser}.${uniqueTag}@${domain}`;
+    return generators.uniqueEmail();
 }
 
 
@@ -447,9 +544,26 @@ function customLog(type, message, contextVars = {}, requestBodySnippet = '<N/A>'
 module.exports = {
     // Artillery Hooks
     signRequest,        // Use with 'beforeRequest' to sign AWS requests
+    attachToken,        // Use with 'beforeRequest' + 'authClient:' to send OAuth2/JWT bearer tokens
+    retryOn401,         // Use with 'afterResponse' to retry once with a fresh token on 401
     afterResponse,      // Use with 'afterResponse' for universal logging/error handling
-    validateResponseData, // Use with 'afterResponse' for custom validation
+    logRequestError,    // Use with scenario-level 'onError' to log/fingerprint network errors
+    assertResponse,     // Use with 'afterResponse' + 'assertions:' block for declarative checks
+    validateResponseData, // Legacy: 'afterResponse' check that the body has an 'id'
     generateRandoms,    // Use with 'beforeRequest' or 'function' to set variables
+    feedData,           // Use with 'beforeScenario' to check out CSV rows (see dataFeeders)
+    releaseData,        // Use with 'afterScenario' to check unique rows back in
+    takeFromPool,       // Use with 'beforeScenario' + 'fromPool:' to take values from shared data pools
+    pushToPool,         // Use with 'afterResponse' + 'toPool:' to share captured values with other scenarios
+    startLiveMetrics,   // Use with 'beforeScenario' to stream metrics to StatsD / Prometheus / InfluxDB
+    startTransaction,   // Use as a 'function' step to open a timed transaction
+    endTransaction,     // Use as a 'function' step to close it and emit its metrics
+    trackTransaction,   // Use with scenario-level 'afterResponse' so 4xx / 5xx fail the transaction
+    failTransactions,   // Use with scenario-level 'onError' so request errors fail the transaction
+    thinkTime,          // Use as a 'function' step for a randomised pause (config.variables.thinkTimes)
+    thinkAfter,         // Use with 'afterResponse' + 'thinkTime:' to pause after a request
+    startPacing,        // Use with 'beforeScenario' to start the iteration clock
+    pace,               // Use as a 'function' step to hold the iteration to config.variables.pacing
 
     // Utility Functions
     loadCsvData,        // Use with 'config.variables' to load CSV data
@@ -459,54 +573,17 @@ module.exports = {
     randomUuid,         // Use with 'set' helper: '{{ $randomUuid() }}'
     randomText,         // Use with 'set' helper: '{{ $randomText(N) }}'
     uniqueFakerEmail,   // Use with 'set' helper: '{{ $uniqueFakerEmail() }}'
+    generateTestData,   // Use with 'function' to fill vars from 'config.variables.generators'
+    firstName: () => generators.firstName(),      // '{{ $firstName() }}'
+    lastName: () => generators.lastName(),        // '{{ $lastName() }}'
+    fullName: () => generators.fullName(),        // '{{ $fullName() }}'
+    phoneNumber: () => generators.phoneNumber(),  // '{{ $phoneNumber() }}'
+    creditCard: (network) => generators.creditCard(network),  // '{{ $creditCard("visa") }}'
+    iban: (country) => generators.iban(country),  // '{{ $iban("DE") }}'
+    dateFromNow: (offset, format) => generators.dateFromNow(offset, format),  // '{{ $dateFromNow("+3d") }}'
+    uniqueId: (prefix) => generators.uniqueId(prefix),  // '{{ $uniqueId("order-") }}'
     
     // Custom Logger (if needed within another custom processor)
     customLog,
 	captureErrors //Simple error capture
 };
-
-// // -------------------------------
-// // AWS SigV4 Signing Hook
-// // -------------------------------
-// function signRequest(requestParams, context, ee, next) {
-//   try {
-//     // Only sign if the YAML tag requiresAwsSigV4=true
-//     if (!requestParams.tags || !requestParams.tags.includes("requiresAwsSigV4")) {
-//       return next();
-//     }
-
-//    // const requestPath = url.parse(requestParams.url).path;
-//    // const body = requestParams.json ? JSON.stringify(requestParams.json) : undefined;
-
-//     const options = {
-//       host: TARGET_HOST,
-//       method: requestParams.method || "GET",
-//       path: requestPath,
-//       service: SERVICE_NAME,
-//       region: REGION,
-//       headers: requestParams.headers || {},
-//       body: body,
-//     };
-
-//     // Use generic AWS credentials from environment
-//     const awsCreds = {
-//       accessKeyId: process.env.APP_AWS_KEY,
-//       secretAccessKey: process.env.APP_AWS_SECRET,
-//       sessionToken: process.env.APP_AWS_SESSION || undefined,
-//     };
-
-//     const signed = aws4.sign(options, awsCreds);
-//     requestParams.headers = signed.headers;
-//     if (body) requestParams.body = body;
-
-//     logToFile(
-//       DEBUG_LOG,
-//       `Signed ${options.method} ${options.path} for ${TARGET_HOST} (${REGION})`
-//     );
-//     return next();
-//   } catch (err) {
-//     logToFile(ERROR_LOG, `SigV4 Signing Failed: ${err.message}`);
-//     return next(err);
-//   }
-// }
-
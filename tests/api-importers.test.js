@@ -0,0 +1,75 @@
+/**
+ * utilities/api-importers.js: OpenAPI example payloads stop at a $ref that is already
+ * being sampled, leaving optional self-references out and required ones empty.
+ *
+ * HOW TO RUN:
+ *   npm install && npm test
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { fromOpenApi } = require("../utilities/api-importers");
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const spec = {
+  openapi: "3.0.3",
+  info: { title: "Shop" },
+  servers: [{ url: "https://shop.example.com" }],
+  paths: {
+    "/orders": {
+      post: {
+        operationId: "createOrder",
+        requestBody: { content: { "application/json": { schema: ref("Order") } } },
+        responses: { 201: { description: "created" } },
+      },
+    },
+  },
+  components: {
+    schemas: {
+      Order: {
+        type: "object",
+        required: ["customer", "lines"],
+        properties: {
+          id: { type: "string", format: "uuid" },
+          self: ref("Order"),
+          children: { type: "array", items: ref("Order") },
+          customer: ref("Customer"),
+          lines: { type: "array", items: ref("Line") },
+        },
+      },
+      Customer: {
+        type: "object",
+        required: ["email", "lastOrder", "orders"],
+        properties: {
+          email: { type: "string", format: "email" },
+          lastOrder: ref("Order"),
+          orders: { type: "array", items: ref("Order") },
+        },
+      },
+      Line: { type: "object", properties: { sku: { type: "string", example: "SKU-1" }, order: ref("Order") } },
+    },
+  },
+};
+
+test("recursive schemas give one level of example, not nested copies", () => {
+  const [item] = fromOpenApi(spec).collection.item;
+
+  assert.deepEqual(JSON.parse(item.request.body.raw), {
+    id: "00000000-0000-4000-8000-000000000000",
+    customer: { email: "user@example.com", lastOrder: null, orders: [] },
+    lines: [{ sku: "SKU-1" }],
+  });
+});
+
+test("a schema used twice side by side is sampled both times", () => {
+  const money = { type: "object", properties: { amount: { type: "number", minimum: 0 }, currency: { enum: ["EUR"] } } };
+  const quote = {
+    ...spec,
+    paths: { "/quotes": { post: { operationId: "quote", requestBody: { content: { "application/json": { schema: ref("Quote") } } } } } },
+    components: { schemas: { Money: money, Quote: { type: "object", properties: { net: ref("Money"), gross: ref("Money") } } } },
+  };
+  const [item] = fromOpenApi(quote).collection.item;
+
+  assert.deepEqual(JSON.parse(item.request.body.raw), { net: { amount: 0, currency: "EUR" }, gross: { amount: 0, currency: "EUR" } });
+});
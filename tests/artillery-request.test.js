@@ -0,0 +1,264 @@
+/**
+ * utilities/artillery-request.js: the SigV4 signature must cover exactly the URL,
+ * headers and body that go on the wire. Checked against a local SigV4-verifying stub.
+ *
+ * HOW TO RUN:
+ *   npm install && npm test
+ *   The end-to-end case runs Artillery itself when the 'artillery' package resolves
+ *   (e.g. NODE_PATH pointing at a global install) and is skipped otherwise.
+ */
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { startStub, verifySigV4 } = require("./helpers/stub-server");
+const { prepareRequestForSigning, assertSignableByArtillery, renderTemplate } = require("../utilities/artillery-request");
+const sigv4 = require("../utilities/aws-sigv4");
+const { httpRequest } = require("../utilities/http-client");
+
+const CREDS = { accessKeyId: "AKIATESTSIGNING1", secretAccessKey: "test-signing-secret" };
+const SECRETS = { [CREDS.accessKeyId]: CREDS.secretAccessKey };
+
+let stub;
+
+before(async () => {
+  stub = await startStub((req) => {
+    const check = verifySigV4(req, SECRETS);
+    return check.ok ? { status: 200, body: "{}" } : { status: 403, body: check.reason };
+  });
+});
+
+after(() => stub.close());
+
+beforeEach(() => {
+  stub.requests.length = 0;
+});
+
+// What Artillery's VU context provides to beforeRequest hooks
+function vuContext(vars = {}) {
+  let n = 0;
+  return {
+    vars: { target: stub.url, orderId: "o-1", user: { id: "u 42", tags: ["a", "b"] }, ...vars },
+    funcs: {
+      $randomNumber: (min, max) => min + (n++ % (max - min + 1)),
+      $randomString: (length = 10) => "x".repeat(length),
+    },
+  };
+}
+
+/** Runs the signRequest steps, then sends the request the way Artillery would. */
+async function signAndSend(requestParams, context = vuContext()) {
+  const params = {
+    method: "POST",
+    awsSigV4: { service: "execute-api", region: "us-east-1" },
+    ...requestParams,
+  };
+  const body = prepareRequestForSigning(params, context);
+  sigv4.signRequestParams(params, context, CREDS, body);
+
+  const res = await httpRequest({
+    url: sigv4.resolveRequestUrl(params.url, context).toString(),
+    method: params.method,
+    headers: params.headers,
+    // What Artillery puts on the wire ('form' stays an object in requestParams)
+    body,
+  });
+  return { res, params, received: stub.requests[stub.requests.length - 1] };
+}
+
+test("json body: templates resolved on values, signature verifies", async () => {
+  const { res, received } = await signAndSend({
+    url: "/orders/{{ orderId }}",
+    json: { orderId: "{{ orderId }}", user: "{{ user }}", note: "id {{ user.id }}" },
+  });
+
+  assert.equal(res.statusCode, 200, res.body);
+  assert.deepEqual(JSON.parse(received.body), { orderId: "o-1", user: { id: "u 42", tags: ["a", "b"] }, note: "id u 42" });
+  assert.equal(received.path, "/orders/o-1");
+  assert.match(received.headers["content-type"], /^application\/json/);
+});
+
+test("json body with {{ $randomNumber() }}: the signed value is the sent value", async () => {
+  const { res, received } = await signAndSend({
+    url: "/orders",
+    json: { quantity: "{{ $randomNumber(5, 9) }}", ref: "ref-{{ $randomString(4) }}" },
+  });
+
+  assert.equal(res.statusCode, 200, res.body);
+  const sent = JSON.parse(received.body);
+  assert.ok(Number(sent.quantity) >= 5 && Number(sent.quantity) <= 9);
+  assert.equal(sent.ref, "ref-xxxx");
+  assert.equal(received.body.includes("{{"), false);
+});
+
+test("form body: signed as the URLSearchParams encoding Artillery sends", async () => {
+  const { res, received } = await signAndSend({
+    url: "/login",
+    form: { user: "{{ user.id }}", scope: ["read", "write"], code: "{{ $randomNumber(1, 1) }}" },
+  });
+
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(received.body, "user=u+42&scope=read%2Cwrite&code=1");
+  assert.match(received.headers["content-type"], /^application\/x-www-form-urlencoded/);
+});
+
+test("multipart body: fields and a file part", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sigv4-form-"));
+  fs.writeFileSync(path.join(dir, "upload.json"), "{\"a\":1}");
+  try {
+    const { res, received } = await signAndSend({
+      url: "/upload",
+      multipart: { orderId: "{{ orderId }}", file: { fromFile: "upload.json" } },
+    }, vuContext({ $dirname: dir }));
+
+    assert.equal(res.statusCode, 200, res.body);
+    assert.match(received.headers["content-type"], /^multipart\/form-data; boundary=/);
+    assert.match(received.body, /name="orderId"\r\n\r\no-1\r\n/);
+    assert.match(received.body, /filename="upload.json"\r\nContent-Type: application\/json\r\n\r\n{"a":1}/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("raw body: string rendered once, including template functions", async () => {
+  const { res, received } = await signAndSend({
+    url: "/raw",
+    headers: { "Content-Type": "text/plain", "X-Order": "{{ orderId }}" },
+    body: "order={{ orderId }};n={{ $randomNumber(3, 3) }}",
+  });
+
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(received.body, "order=o-1;n=3");
+  assert.equal(received.headers["x-order"], "o-1");
+});
+
+test("qs: replaces the URL query, encoded as Artillery sends it", async () => {
+  const { res, received } = await signAndSend({
+    method: "GET",
+    url: "/search?sort=asc",
+    qs: { q: "a+b c!", id: "{{ orderId }}", page: ["1", "2"] },
+  });
+
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(received.url, "/search?q=a%2Bb+c%21&id=o-1&page=1&page=2");
+});
+
+test("URL query without qs: RFC 3986 encoded, '+' kept literal", async () => {
+  const { res, received } = await signAndSend({ method: "GET", url: "/search?q=a+b&id={{ orderId }}" });
+
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(received.url, "/search?q=a%2Bb&id=o-1");
+});
+
+test("formData is rejected for Artillery signing, multipart is the signed form", () => {
+  assert.throws(
+    () => assertSignableByArtillery({ url: "/upload", formData: { a: "1" } }),
+    /Cannot sign a 'formData' request.*Use 'multipart:'/
+  );
+  assert.doesNotThrow(() => assertSignableByArtillery({ url: "/upload", multipart: { a: "1" } }));
+});
+
+test("a tampered body fails verification (the stub really checks)", async () => {
+  const context = vuContext();
+  const params = { method: "POST", url: "/orders", json: { a: 1 }, awsSigV4: { service: "execute-api", region: "us-east-1" } };
+  const body = prepareRequestForSigning(params, context);
+  sigv4.signRequestParams(params, context, CREDS, body);
+
+  const res = await httpRequest({ url: `${stub.url}/orders`, method: "POST", headers: params.headers, body: "{\"a\":2}" });
+  assert.equal(res.statusCode, 403);
+});
+
+test("unresolved placeholders are rejected before signing", () => {
+  const context = vuContext();
+
+  assert.throws(
+    () => prepareRequestForSigning({ method: "POST", url: "/o", json: { n: "{{ $unknownFn() }}" } }, context),
+    /\{\{ \$unknownFn\(\) \}\} in the json body could not be resolved/
+  );
+  assert.throws(
+    () => prepareRequestForSigning({ method: "POST", url: "/o", body: "id={{ missing }}" }, context),
+    /\{\{ missing \}\} in the body could not be resolved/
+  );
+  assert.throws(
+    () => prepareRequestForSigning({ method: "GET", url: "/o/{{ missing }}" }, context),
+    /in the url could not be resolved/
+  );
+});
+
+test("renderTemplate keeps raw values for whole placeholders", () => {
+  assert.equal(renderTemplate("{{ n }}", { n: 5 }), 5);
+  assert.deepEqual(renderTemplate({ "{{ k }}": "{{ v }}" }, { k: "key", v: [1] }), { key: [1] });
+  assert.equal(renderTemplate("{{ missing }}", {}), "{{ missing }}");
+});
+
+// -------------------------------
+// End to end: Artillery sends the requests after signRequest
+// -------------------------------
+
+function findArtilleryBin() {
+  try {
+    const pkgPath = require.resolve("artillery/package.json");
+    const pkg = require(pkgPath);
+    const bin = typeof pkg.bin === "string" ? pkg.bin : pkg.bin.artillery;
+    return path.join(path.dirname(pkgPath), bin);
+  } catch (err) {
+    return null;
+  }
+}
+
+const artilleryBin = findArtilleryBin();
+
+test("Artillery sends exactly what signRequest signed", { skip: !artilleryBin && "artillery is not installed", timeout: 120000 }, async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sigv4-e2e-"));
+  const processor = path.resolve(__dirname, "..", "processor.js");
+  const signed = "beforeRequest: \"signRequest\", awsSigV4: { service: \"execute-api\", region: \"us-east-1\" }";
+  fs.writeFileSync(path.join(dir, "upload.txt"), "file-content");
+  fs.writeFileSync(path.join(dir, "script.yml"), `
+config:
+  target: "${stub.url}"
+  processor: "${processor}"
+  phases: [{ duration: 1, arrivalCount: 1 }]
+  variables:
+    orderId: "o-1"
+scenarios:
+  - flow:
+      - post: { url: "/json/{{ orderId }}", json: { n: "{{ $randomNumber(1, 1000) }}", id: "{{ orderId }}" }, ${signed} }
+      - post: { url: "/form", form: { id: "{{ orderId }}", s: "a b" }, ${signed} }
+      - post: { url: "/multipart", multipart: { id: "{{ orderId }}", f: { fromFile: "upload.txt" } }, ${signed} }
+      - post: { url: "/body", body: "n={{ $randomNumber(1, 1000) }}&id={{ orderId }}", ${signed} }
+      - get: { url: "/qs?x=1", qs: { id: "{{ orderId }}", q: "a+b" }, ${signed} }
+`);
+
+  try {
+    // Async: the stub answers from this process while Artillery runs
+    const run = await new Promise((resolve) => {
+      execFile(process.execPath, [artilleryBin, "run", path.join(dir, "script.yml"), "-o", path.join(dir, "report.json")], {
+        cwd: dir,
+        timeout: 110000,
+        env: {
+          ...process.env,
+          APP_AWS_KEY: CREDS.accessKeyId,
+          APP_AWS_SECRET: CREDS.secretAccessKey,
+          ARTILLERY_LOG_DIR: path.join(dir, "logs"),
+          ARTILLERY_DISABLE_TELEMETRY: "true",
+        },
+      }, (err, stdout, stderr) => resolve({ status: err ? err.code : 0, stdout, stderr }));
+    });
+    assert.equal(run.status, 0, run.stdout + run.stderr);
+
+    const paths = stub.requests.map((req) => req.path).sort();
+    assert.deepEqual(paths, ["/body", "/form", "/json/o-1", "/multipart", "/qs"]);
+    stub.requests.forEach((req) => {
+      const check = verifySigV4(req, SECRETS);
+      assert.equal(check.ok, true, `${req.method} ${req.url}: ${check.reason}`);
+      assert.equal(req.body.includes("{{"), false, `${req.url} sent an unrendered template`);
+    });
+    const json = JSON.parse(stub.requests.find((req) => req.path === "/json/o-1").body);
+    assert.ok(Number(json.n) >= 1 && Number(json.n) <= 1000);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,174 @@
+/**
+ * utilities/aws-credentials.js against a local STS stub (AWS_STS_ENDPOINT).
+ *
+ * HOW TO RUN:
+ *   npm install && npm test
+ */
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startStub, verifySigV4 } = require("./helpers/stub-server");
+const awsCredentials = require("../utilities/aws-credentials");
+
+const SOURCE = { accessKeyId: "AKIASOURCE0001", secretAccessKey: "source-secret" };
+
+let sts;
+let expiresInMs = 3600 * 1000;
+let issued = 0;
+
+function stsResponse(params) {
+  issued += 1;
+  const expiration = new Date(Date.now() + expiresInMs).toISOString();
+  const action = params.get("Action");
+  return `<${action}Response><${action}Result><Credentials>
+    <AccessKeyId>ASIASTUB${issued}</AccessKeyId>
+    <SecretAccessKey>stub-secret-${issued}</SecretAccessKey>
+    <SessionToken>stub-token-${issued}</SessionToken>
+    <Expiration>${expiration}</Expiration>
+  </Credentials></${action}Result></${action}Response>`;
+}
+
+before(async () => {
+  sts = await startStub((req) => {
+    const params = new URLSearchParams(req.body);
+    if (params.get("Action") === "AssumeRole") {
+      const check = verifySigV4(req, { [SOURCE.accessKeyId]: SOURCE.secretAccessKey });
+      if (!check.ok || check.service !== "sts") {
+        return { status: 403, body: `<ErrorResponse><Error><Code>SignatureDoesNotMatch</Code><Message>${check.reason}</Message></Error></ErrorResponse>` };
+      }
+    }
+    return { body: stsResponse(params) };
+  });
+  process.env.AWS_STS_ENDPOINT = `${sts.url}/`;
+  process.env.AWS_STS_REGION = "us-east-1";
+});
+
+after(async () => {
+  delete process.env.AWS_STS_ENDPOINT;
+  delete process.env.AWS_STS_REGION;
+  await sts.close();
+});
+
+beforeEach(() => {
+  sts.requests.length = 0;
+  expiresInMs = 3600 * 1000;
+});
+
+test("fromAssumeRole signs the STS call with the source credentials", async () => {
+  const provider = awsCredentials.fromAssumeRole({
+    roleArn: "arn:aws:iam::123456789012:role/load-test",
+    externalId: "ext-1",
+    sourceProvider: async () => SOURCE,
+  });
+
+  const creds = await provider();
+
+  assert.match(creds.accessKeyId, /^ASIASTUB\d+$/);
+  assert.match(creds.sessionToken, /^stub-token-/);
+  assert.ok(creds.expiration instanceof Date);
+
+  const params = new URLSearchParams(sts.requests[0].body);
+  assert.equal(params.get("Action"), "AssumeRole");
+  assert.equal(params.get("RoleArn"), "arn:aws:iam::123456789012:role/load-test");
+  assert.equal(params.get("ExternalId"), "ext-1");
+  assert.equal(verifySigV4(sts.requests[0], { [SOURCE.accessKeyId]: SOURCE.secretAccessKey }).ok, true);
+});
+
+test("fromAssumeRole surfaces STS errors instead of falling through the chain", async () => {
+  const provider = awsCredentials.fromAssumeRole({
+    roleArn: "arn:aws:iam::123456789012:role/load-test",
+    sourceProvider: async () => ({ accessKeyId: SOURCE.accessKeyId, secretAccessKey: "wrong-secret" }),
+  });
+
+  await assert.rejects(provider(), /STS AssumeRole failed: SignatureDoesNotMatch/);
+});
+
+test("fromWebIdentity sends the token file unsigned", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "web-identity-"));
+  const tokenFile = path.join(dir, "token");
+  fs.writeFileSync(tokenFile, "oidc-token-1\n");
+
+  try {
+    const provider = awsCredentials.fromWebIdentity({
+      tokenFile,
+      roleArn: "arn:aws:iam::123456789012:role/oidc",
+      roleSessionName: "ci",
+    });
+    const first = await provider();
+
+    // The token file is rotated externally: every call re-reads it
+    fs.writeFileSync(tokenFile, "oidc-token-2");
+    await provider();
+
+    const [call1, call2] = sts.requests.map((req) => new URLSearchParams(req.body));
+    assert.equal(call1.get("Action"), "AssumeRoleWithWebIdentity");
+    assert.equal(call1.get("RoleSessionName"), "ci");
+    assert.equal(call1.get("WebIdentityToken"), "oidc-token-1");
+    assert.equal(call2.get("WebIdentityToken"), "oidc-token-2");
+    assert.equal(sts.requests[0].headers.authorization, undefined);
+    assert.match(first.accessKeyId, /^ASIASTUB/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("fromWebIdentity is skipped by chain when it is not configured", async () => {
+  const provider = awsCredentials.chain(
+    awsCredentials.fromWebIdentity({ tokenFile: "", roleArn: "" }),
+    async () => SOURCE,
+  );
+
+  assert.deepEqual(await provider(), SOURCE);
+  assert.equal(sts.requests.length, 0);
+});
+
+test("memoize caches credentials and shares one in-flight STS call", async () => {
+  const provider = awsCredentials.memoize(awsCredentials.fromAssumeRole({
+    roleArn: "arn:aws:iam::123456789012:role/load-test",
+    sourceProvider: async () => SOURCE,
+  }), { refreshWindowMs: 60 * 1000 });
+
+  const concurrent = await Promise.all([provider(), provider(), provider()]);
+  const later = await provider();
+
+  assert.equal(sts.requests.length, 1);
+  concurrent.forEach((creds) => assert.equal(creds.accessKeyId, concurrent[0].accessKeyId));
+  assert.equal(later.accessKeyId, concurrent[0].accessKeyId);
+});
+
+test("memoize refreshes credentials inside the expiry window", async () => {
+  // Expires in 30 s, refresh window 60 s: every call is inside the window
+  expiresInMs = 30 * 1000;
+  const provider = awsCredentials.memoize(awsCredentials.fromAssumeRole({
+    roleArn: "arn:aws:iam::123456789012:role/load-test",
+    sourceProvider: async () => SOURCE,
+  }), { refreshWindowMs: 60 * 1000 });
+
+  const first = await provider();
+  expiresInMs = 3600 * 1000;
+  const refreshed = await provider();
+  const cached = await provider();
+
+  assert.equal(sts.requests.length, 2);
+  assert.notEqual(refreshed.accessKeyId, first.accessKeyId);
+  assert.equal(cached.accessKeyId, refreshed.accessKeyId);
+});
+
+test("memoize(forceRefresh) fetches new credentials", async () => {
+  const provider = awsCredentials.memoize(async () => ({ ...SOURCE, accessKeyId: `AKIA${Date.now()}${Math.random()}` }));
+
+  const first = await provider();
+  const forced = await provider(true);
+
+  assert.notEqual(forced.accessKeyId, first.accessKeyId);
+});
+
+test("describeCredentials never includes the secret", () => {
+  const line = awsCredentials.describeCredentials({ ...SOURCE, sessionToken: "t", expiration: new Date(0) });
+
+  assert.equal(line.includes(SOURCE.secretAccessKey), false);
+  assert.match(line, /^AKIA\*\*\*\*0001 \(session\) expires 1970/);
+});
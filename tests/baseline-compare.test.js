@@ -0,0 +1,147 @@
+/**
+ * utilities/baseline-compare.js: latency needs both the relative and the absolute
+ * tolerance exceeded, error-rate increases must also be significant, 'failOn'
+ * decides what fails the run, and --update-baseline only stores passing runs
+ * (unless 'always').
+ *
+ * HOW TO RUN:
+ *   npm install && npm test
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const baselineCompare = require("../utilities/baseline-compare");
+const { resolveSlaConfig } = require("../utilities/sla-evaluator");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "baseline-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const START = 1700000000000;
+
+/**
+ * Artillery report of a 100s run. 'endpoints' maps a name to
+ * { ok, failed, latency: { p50, … } }.
+ */
+function report(endpoints, seconds = 100) {
+  const counters = {};
+  const summaries = {};
+  let ok = 0;
+  let failed = 0;
+  Object.entries(endpoints).forEach(([name, ep]) => {
+    counters[`plugins.metrics-by-endpoint.${name}.codes.200`] = ep.ok;
+    if (ep.failed) counters[`plugins.metrics-by-endpoint.${name}.codes.500`] = ep.failed;
+    summaries[`plugins.metrics-by-endpoint.response_time.${name}`] = { count: ep.ok + (ep.failed || 0), ...ep.latency };
+    ok += ep.ok;
+    failed += ep.failed || 0;
+  });
+  counters["http.codes.200"] = ok;
+  if (failed) counters["http.codes.500"] = failed;
+  return { aggregate: { counters, summaries, firstMetricAt: START, lastMetricAt: START + seconds * 1000 } };
+}
+
+const latency = (p95, rest = {}) => ({ p50: 50, p90: 90, p95, p99: 400, ...rest });
+const byName = (comparison, name) => comparison.endpoints.find((ep) => ep.endpoint === name);
+const check = (comparison, name, metric) => byName(comparison, name).checks.find((c) => c.metric === metric);
+
+test("latency regresses only beyond both the relative and the absolute tolerance", () => {
+  const baseline = report({
+    "/within": { ok: 1000, latency: latency(200) },
+    "/slower": { ok: 1000, latency: latency(200) },
+    "/faster": { ok: 1000, latency: latency(200) },
+    "/tiny": { ok: 1000, latency: latency(200, { p50: 20 }) },
+  });
+  const candidate = report({
+    "/within": { ok: 1000, latency: latency(215) },
+    "/slower": { ok: 1000, latency: latency(230) },
+    "/faster": { ok: 1000, latency: latency(150) },
+    "/tiny": { ok: 1000, latency: latency(200, { p50: 28 }) },
+  });
+  const comparison = baselineCompare.compareRuns([baseline], [candidate]);
+
+  assert.deepEqual(
+    ["/within", "/slower", "/faster", "/tiny"].map((name) => [byName(comparison, name).status, check(comparison, name, "p95").status]),
+    [["unchanged", "unchanged"], ["regressed", "regressed"], ["improved", "improved"], ["unchanged", "unchanged"]],
+  );
+  // +40% on p50, but only 8ms
+  assert.deepEqual([check(comparison, "/tiny", "p50").deltaPct, check(comparison, "/tiny", "p50").status], [40, "unchanged"]);
+  assert.deepEqual([comparison.passed, comparison.regressions], [false, 1]);
+});
+
+test("an error-rate increase must also be significant", () => {
+  const baseline = report({ "/big": { ok: 990, failed: 10, latency: latency(100) }, "/small": { ok: 40, latency: latency(100) } });
+  const candidate = report({ "/big": { ok: 975, failed: 25, latency: latency(100) }, "/small": { ok: 39, failed: 1, latency: latency(100) } });
+  const comparison = baselineCompare.compareRuns([baseline], [candidate]);
+
+  const big = check(comparison, "/big", "errorRate");
+  assert.deepEqual([big.baseline, big.candidate, big.status], [0.01, 0.025, "regressed"]);
+  assert.ok(big.pValue < 0.05);
+
+  // +2.5 points is beyond the tolerance, but 1 failure in 40 is not significant
+  const small = check(comparison, "/small", "errorRate");
+  assert.equal(small.status, "unchanged");
+  assert.ok(small.pValue > 0.05);
+});
+
+test("failOn decides whether a regression fails the run", () => {
+  const baseline = report({ "/orders": { ok: 1000, latency: latency(100) }, "/users": { ok: 1000, latency: latency(100) } });
+  // Same requests in 125s: TPH −20% on both endpoints
+  const candidate = report({ "/orders": { ok: 1000, latency: latency(100) }, "/users": { ok: 1000, latency: latency(100) } }, 125);
+
+  const byDefault = baselineCompare.compareRuns([baseline], [candidate]);
+  assert.deepEqual([byDefault.passed, byName(byDefault, "/orders").status], [true, "warning"]);
+  assert.deepEqual([check(byDefault, "/orders", "tph").status, check(byDefault, "/orders", "tph").gated], ["regressed", false]);
+
+  const rules = resolveSlaConfig({ endpoints: { "/orders": { failOn: ["throughput"] } } });
+  const gated = baselineCompare.compareRuns([baseline], [candidate], rules);
+  assert.deepEqual([gated.passed, gated.regressions], [false, 1]);
+  assert.deepEqual([byName(gated, "/orders").status, byName(gated, "/orders").ruleKey], ["regressed", "/orders"]);
+  assert.equal(byName(gated, "/users").status, "warning");
+});
+
+test("new, missing and small endpoints are reported without checks", () => {
+  const baseline = report({ "/old": { ok: 100, latency: latency(100) }, "/rare": { ok: 5, latency: latency(100) } });
+  const candidate = report({ "/new": { ok: 100, latency: latency(100) }, "/rare": { ok: 5, latency: latency(900) } });
+  const comparison = baselineCompare.compareRuns([baseline], [candidate]);
+
+  assert.deepEqual(comparison.endpoints.map((ep) => [ep.endpoint, ep.status, ep.checks.length]), [
+    ["(all requests)", "unchanged", 6],
+    ["/new", "new", 0],
+    ["/old", "missing", 0],
+    ["/rare", "insufficient-data", 0],
+  ]);
+  assert.equal(comparison.passed, true);
+});
+
+test("--update-baseline writes passing runs, and failing ones only with 'always'", (t) => {
+  t.mock.method(console, "log", () => {});
+  const baselineFile = path.join(dir, "applications", "app1", "baselines", "test.json");
+  const write = (name, data) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(data));
+    return file;
+  };
+  const good = write("good.json", report({ "/orders": { ok: 1000, latency: latency(100) } }));
+  const slow = write("slow.json", report({ "/orders": { ok: 1000, latency: latency(300) } }));
+  const run = (candidate, ...extra) => baselineCompare.main([
+    "--candidate", candidate, "--app", "app1", "--env", "test", "--baseline-root", path.join(dir, "applications"),
+    "--output-dir", path.join(dir, "out"), "--run-id", "run-1", ...extra,
+  ]);
+  const stored = () => JSON.parse(fs.readFileSync(baselineFile, "utf8"));
+
+  // No baseline yet: the run passes and becomes the baseline
+  assert.equal(run(good, "--update-baseline"), 0);
+  assert.deepEqual([stored().baseline.app, stored().baseline.environment, stored().baseline.runId, stored().baseline.sources], ["app1", "test", "run-1", ["good.json"]]);
+  assert.equal(stored().aggregate.summaries["plugins.metrics-by-endpoint.response_time./orders"].p95, 100);
+
+  assert.equal(run(slow, "--update-baseline"), 1);
+  assert.equal(stored().aggregate.summaries["plugins.metrics-by-endpoint.response_time./orders"].p95, 100);
+  const comparison = JSON.parse(fs.readFileSync(path.join(dir, "out", "baseline-comparison.json"), "utf8"));
+  assert.deepEqual([comparison.passed, comparison.baselineFile], [false, baselineFile]);
+  assert.match(fs.readFileSync(path.join(dir, "out", "baseline-comparison.md"), "utf8"), /❌ 1 regression\(s\) in 1 endpoint\(s\)/);
+
+  assert.equal(run(slow, "--update-baseline", "always"), 1);
+  assert.equal(stored().aggregate.summaries["plugins.metrics-by-endpoint.response_time./orders"].p95, 300);
+});
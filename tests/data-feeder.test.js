@@ -0,0 +1,103 @@
+/**
+ * utilities/data-feeder.js across worker threads: Artillery runs VUs in several
+ * workers of one process, and 'unique' / 'unique-once' rows must still go to
+ * one VU per run.
+ *
+ * HOW TO RUN:
+ *   npm install && npm test
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "feeder-test-"));
+const csv = path.join(dir, "users.csv");
+process.env.DATA_POOL_DIR = dir;
+const { DataFeeder, feedData } = require("../utilities/data-feeder");
+
+before(() => {
+  fs.writeFileSync(csv, ["id", ...Array.from({ length: 40 }, (_, i) => `u${i + 1}`)].join("\n"));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/** Runs 'script' in 'count' worker threads (same process, like Artillery) and collects their results. */
+function inWorkers(count, workerData, script) {
+  const code = `
+    const { parentPort, workerData } = require("worker_threads");
+    const { DataFeeder } = require(${JSON.stringify(path.resolve(__dirname, "../utilities/data-feeder"))});
+    (async () => { ${script} })().then((result) => parentPort.postMessage(result));
+  `;
+  return Promise.all(Array.from({ length: count }, () => new Promise((resolve, reject) => {
+    const worker = new Worker(code, { eval: true, workerData });
+    worker.once("message", resolve);
+    worker.once("error", reject);
+  })));
+}
+
+const drainUniqueOnce = `
+  const feeder = new DataFeeder(workerData.name, { path: workerData.csv, mode: "unique-once", onExhausted: "stop", stream: workerData.stream });
+  const ids = [];
+  for (;;) {
+    const lease = await feeder.checkout();
+    if (lease.exhausted) return ids;
+    ids.push(lease.record.id);
+  }
+`;
+
+for (const stream of [false, true]) {
+  test(`unique-once${stream ? " (stream)" : ""}: every row is handed out once across workers`, async () => {
+    const results = await inWorkers(3, { name: `once-${stream}`, csv, stream }, drainUniqueOnce);
+    const ids = results.flat();
+
+    assert.equal(ids.length, 40);
+    assert.equal(new Set(ids).size, 40);
+  });
+}
+
+test("unique: rows checked out in one worker are not leased by another until checked in", async () => {
+  const results = await inWorkers(4, { name: "leases", csv }, `
+    const feeder = new DataFeeder(workerData.name, { path: workerData.csv, mode: "unique", onExhausted: "stop" });
+    const leases = [];
+    for (let i = 0; i < 10; i++) leases.push(await feeder.checkout());
+    return leases.map((lease) => lease.record.id);
+  `);
+  assert.equal(new Set(results.flat()).size, 40);
+
+  const feeder = new DataFeeder("leases", { path: csv, mode: "unique", onExhausted: "stop" });
+  assert.equal((await feeder.checkout()).exhausted, true);
+});
+
+test("onExhausted 'fail' makes the run exit non-zero", async () => {
+  global.artillery = { suggestedExitCode: 0 };
+  const counters = [];
+  const ee = { emit: (type, name, value) => counters.push([name, value]) };
+  const context = { vars: { dataFeeders: { once: { path: csv, mode: "unique-once", onExhausted: "fail", shared: false } } } };
+
+  try {
+    for (let i = 0; i < 40; i++) {
+      await new Promise((resolve, reject) => feedData({ vars: { ...context.vars } }, ee, (err) => (err ? reject(err) : resolve())));
+    }
+    const err = await new Promise((resolve) => feedData({ vars: { ...context.vars } }, ee, resolve));
+
+    assert.equal(err.code, "FEEDER_EXHAUSTED");
+    assert.deepEqual(counters.filter(([name]) => name === "feeder.once.exhausted_fail"), [["feeder.once.exhausted_fail", 1]]);
+    assert.equal(global.artillery.suggestedExitCode, 1);
+  } finally {
+    delete global.artillery;
+  }
+});
+
+test("the run-state plugin removes the run's shared state files when the run ends", async () => {
+  const { Plugin } = require("../utilities/artillery-plugin-run-state");
+  const stateFiles = () => fs.readdirSync(dir).filter((file) => file.startsWith("artillery-feeder-"));
+  assert.ok(stateFiles().length > 0);
+
+  await new Promise((resolve) => new Plugin({ config: {} }, null).cleanup(resolve));
+  assert.deepEqual(stateFiles(), []);
+  assert.deepEqual(fs.readdirSync(dir), ["users.csv"]);
+});
@@ -0,0 +1,65 @@
+/**
+ * utilities/data-generators.js across worker threads: a generated seed is made once
+ * by the run-state plugin in the main process and reaches every worker through the
+ * environment, so a run replays with one DATA_SEED and leaves no seed file behind.
+ *
+ * HOW TO RUN:
+ *   npm install && npm test
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "generators-test-"));
+process.env.DATA_POOL_DIR = dir;
+process.env.ARTILLERY_LOG_DIR = dir;
+delete process.env.DATA_SEED;
+delete process.env.DATA_GENERATED_SEED;
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Loads data-generators in 'count' worker threads (one process, like Artillery) and
+ * returns what they report. 'workerId' pins LOCAL_WORKER_ID, as a replay has the same ids.
+ */
+function inWorkers(count, workerId) {
+  const code = `
+    const { parentPort } = require("worker_threads");
+    const generators = require(${JSON.stringify(path.resolve(__dirname, "../utilities/data-generators"))});
+    const context = { vars: {} };
+    parentPort.postMessage({ seed: generators.GLOBAL_SEED, first: generators.fakerFor(context).string.alphanumeric(12) });
+  `;
+  return Promise.all(Array.from({ length: count }, () => new Promise((resolve, reject) => {
+    const env = workerId ? { ...process.env, LOCAL_WORKER_ID: workerId } : process.env;
+    const worker = new Worker(code, { eval: true, env, stdout: true, stderr: true });
+    worker.once("message", resolve);
+    worker.once("error", reject);
+  })));
+}
+
+test("every worker uses the seed the run-state plugin generated", async () => {
+  const { Plugin } = require("../utilities/artillery-plugin-run-state");
+  new Plugin({ config: {} }, null);
+  const seed = Number(process.env.DATA_GENERATED_SEED);
+  assert.ok(seed > 0);
+
+  const results = await inWorkers(3);
+  results.forEach((result) => assert.equal(result.seed, seed));
+  assert.deepEqual(fs.readdirSync(dir).filter((file) => file.startsWith("artillery-")), []);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, "data-seed-runner-1.json"), "utf8")).seed, seed);
+});
+
+test("DATA_SEED wins over the generated seed and replays the same values", async () => {
+  process.env.DATA_SEED = "12345";
+  try {
+    const [first, second] = [await inWorkers(1, "1"), await inWorkers(1, "1")].map(([result]) => result);
+    assert.equal(first.seed, 12345);
+    assert.equal(first.first, second.first);
+  } finally {
+    delete process.env.DATA_SEED;
+  }
+});
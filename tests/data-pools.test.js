@@ -0,0 +1,198 @@
+/**
+ * utilities/data-pools.js: pools hand values out oldest first, cap their size,
+ * expire pushed values, seed once from this runner's share of a CSV, apply the
+ * onEmpty policy, and 'shared' pools see the pushes of every worker thread.
+ *
+ * HOW TO RUN:
+ *   npm install && npm test
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "data-pool-test-"));
+process.env.DATA_POOL_DIR = dir;
+const { DataPool, DataPoolEmptyError, takeFromPool, pushToPool } = require("../utilities/data-pools");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const csv = path.join(dir, "orders.csv");
+fs.writeFileSync(csv, "region,orderId\neu,o1\nus,o2\neu,\nus,o4\neu,o5\n");
+
+/** Fake event emitter counting counters and keeping histograms. */
+function recorder() {
+  const counters = {};
+  const histograms = [];
+  return {
+    counters,
+    histograms,
+    emit: (type, name, value) => {
+      if (type === "counter") counters[name] = (counters[name] || 0) + value;
+      else histograms.push([name, value]);
+    },
+  };
+}
+
+const drain = (pool) => {
+  const values = [];
+  for (let taken = pool.takeOne(); taken.found; taken = pool.takeOne()) values.push(taken.value);
+  return values;
+};
+
+// Callback hooks as promises: resolves with the error passed to done / next (if any)
+const take = (context, ee) => new Promise((resolve) => takeFromPool(context, ee, resolve));
+const push = (requestParams, context, ee) => new Promise((resolve) => pushToPool(requestParams, {}, context, ee, resolve));
+
+test("pop hands values out oldest first; sample leaves them in the pool", (t) => {
+  const pool = new DataPool("fifo");
+  ["a", "b", "c"].forEach((value) => pool.push(value));
+
+  t.mock.method(Math, "random", () => 0.5);
+  assert.deepEqual(pool.takeOne("sample"), { found: true, value: "b", expired: 0 });
+  assert.equal(pool.size(), 3);
+  assert.deepEqual(drain(pool), ["a", "b", "c"]);
+  assert.deepEqual(pool.takeOne(), { found: false, expired: 0 });
+});
+
+test("a full pool evicts its oldest value, or drops the new one with onFull: drop", () => {
+  const evicting = new DataPool("evict", { maxSize: 2 });
+  assert.deepEqual(["a", "b", "c"].map((value) => evicting.push(value)), [
+    { added: true, evicted: 0, expired: 0 },
+    { added: true, evicted: 0, expired: 0 },
+    { added: true, evicted: 1, expired: 0 },
+  ]);
+  assert.deepEqual(drain(evicting), ["b", "c"]);
+
+  const dropping = new DataPool("drop", { maxSize: 2, onFull: "drop" });
+  ["a", "b"].forEach((value) => dropping.push(value));
+  assert.deepEqual(dropping.push("c"), { added: false, evicted: 0, expired: 0 });
+  assert.deepEqual(drain(dropping), ["a", "b"]);
+});
+
+test("pushed values expire after the ttl; seeded values never do", (t) => {
+  const clock = { now: 1700000000000 };
+  t.mock.method(Date, "now", () => clock.now);
+  const pool = new DataPool("ttl", { ttl: "1m", seed: { path: csv, column: "orderId", split: false } });
+
+  pool.push("fresh");
+  clock.now += 30000;
+  pool.push("later");
+  clock.now += 30000;
+
+  assert.deepEqual(pool.takeOne(), { found: true, value: "o1", expired: 1 });
+  assert.equal(pool.size(), 4);
+  clock.now += 30000;
+  assert.deepEqual(drain(pool), ["o2", "o4", "o5"]);
+});
+
+test("seeding takes this runner's share of the CSV once, skipping empty values", () => {
+  Object.assign(process.env, { RUNNER_COUNT: "2", RUNNER_INDEX: "2" });
+  try {
+    assert.deepEqual(drain(new DataPool("split", { seed: { path: csv, column: "orderId" } })), ["o2", "o4"]);
+  } finally {
+    delete process.env.RUNNER_COUNT;
+    delete process.env.RUNNER_INDEX;
+  }
+
+  const whole = new DataPool("whole", { seed: { path: csv, split: false } });
+  assert.deepEqual(drain(whole), ["eu", "us", "eu", "us", "eu"]);
+  assert.equal(whole.size(), 0);
+});
+
+test("invalid options are rejected with the pool name", () => {
+  assert.throws(() => new DataPool("p", { maxSize: 0 }), /Data pool 'p': maxSize must be a positive number/);
+  assert.throws(() => new DataPool("p", { onFull: "block" }), /unknown onFull 'block'/);
+  assert.throws(() => new DataPool("p", { onEmpty: "retry" }), /unknown onEmpty 'retry'/);
+  assert.throws(() => new DataPool("p", { take: "peek" }), /unknown take 'peek'/);
+  assert.throws(() => new DataPool("p", { onEmpty: "default" }), /onEmpty 'default' needs a 'default' value/);
+  assert.throws(() => new DataPool("p", { seed: { column: "id" } }), /seed needs a 'path'/);
+});
+
+test("pushToPool pushes captured vars and counts missing ones; takeFromPool sets them", async () => {
+  const ee = recorder();
+  const dataPools = { orders: { maxSize: 1 } };
+  const producer = { vars: { dataPools, orderId: "o-1", other: "" } };
+
+  assert.equal(await push({ url: "/orders", toPool: { orders: "orderId" } }, producer, ee), undefined);
+  producer.vars.orderId = "o-2";
+  await push({ url: "/orders", toPool: { orders: "orderId", pending: "other" } }, producer, ee);
+
+  const consumer = { vars: { dataPools }, scenario: { fromPool: { orders: { as: "id", mode: "sample" } } } };
+  assert.equal(await take(consumer, ee), undefined);
+  assert.equal(consumer.vars.id, "o-2");
+
+  assert.deepEqual(ee.counters, {
+    "data_pool.orders.pushed": 2,
+    "data_pool.orders.evicted": 1,
+    "data_pool.pending.missing_value": 1,
+    "data_pool.orders.sampled": 1,
+  });
+  assert.deepEqual(ee.histograms, [["data_pool.orders.wait", 0]]);
+});
+
+test("an empty pool skips, defaults or fails as configured", async () => {
+  const ee = recorder();
+  const dataPools = { skipped: { onEmpty: "skip" }, defaulted: { onEmpty: "default", default: "none" }, failing: { onEmpty: "fail" } };
+  const consumer = (fromPool) => ({ vars: { dataPools, id: "stale" }, scenario: { fromPool } });
+
+  const skipping = consumer({ skipped: "id" });
+  assert.equal(await take(skipping, ee), undefined);
+  assert.equal("id" in skipping.vars, false);
+
+  const defaulting = consumer({ defaulted: "id" });
+  await take(defaulting, ee);
+  assert.equal(defaulting.vars.id, "none");
+
+  const err = await take(consumer({ failing: "id" }), ee);
+  assert.ok(err instanceof DataPoolEmptyError);
+  assert.deepEqual([err.code, err.message], ["DATA_POOL_EMPTY", "Data pool 'failing' is empty (onEmpty: fail)"]);
+
+  assert.match((await take({ vars: { dataPools }, scenario: {} }, ee)).message, /no 'fromPool' mapping/);
+  assert.match((await take(consumer({ unknown: "id" }), ee)).message, /Data pool 'unknown' is not defined/);
+  assert.deepEqual(ee.counters, {
+    "data_pool.skipped.empty": 1,
+    "data_pool.skipped.skipped": 1,
+    "data_pool.defaulted.empty": 1,
+    "data_pool.defaulted.defaulted": 1,
+    "data_pool.failing.empty": 1,
+  });
+});
+
+test("onEmpty: wait gets a value pushed meanwhile, and fails after waitTimeout", async () => {
+  const ee = recorder();
+  const dataPools = { queued: { waitTimeout: "2s" }, idle: { waitTimeout: "200ms" } };
+  const consumer = { vars: { dataPools }, scenario: { fromPool: { queued: "id" } } };
+
+  const taking = take(consumer, ee);
+  setTimeout(() => pushToPool({ toPool: { queued: "id" } }, {}, { vars: { dataPools, id: "late" } }, ee, () => {}), 150);
+  assert.equal(await taking, undefined);
+  assert.equal(consumer.vars.id, "late");
+  assert.ok(ee.histograms[0][1] >= 100);
+
+  const err = await take({ vars: { dataPools }, scenario: { fromPool: { idle: "id" } } }, ee);
+  assert.equal(err.message, "Data pool 'idle' is empty (onEmpty: wait)");
+});
+
+test("a shared pool is seeded once and sees the pushes of every worker", async () => {
+  const code = `
+    const { parentPort, workerData } = require("worker_threads");
+    const { DataPool } = require(${JSON.stringify(path.resolve(__dirname, "../utilities/data-pools"))});
+    const pool = new DataPool("shared", { shared: true, seed: { path: workerData.csv, column: "orderId", split: false } });
+    for (let i = 0; i < 10; i++) pool.push(workerData.id + "-" + i);
+    parentPort.postMessage(true);
+  `;
+  await Promise.all(["w1", "w2", "w3"].map((id) => new Promise((resolve, reject) => {
+    const worker = new Worker(code, { eval: true, workerData: { id, csv } });
+    worker.once("message", resolve);
+    worker.once("error", reject);
+  })));
+
+  const values = drain(new DataPool("shared", { shared: true, seed: { path: csv, column: "orderId", split: false } }));
+  assert.equal(values.length, 34);
+  assert.deepEqual(values.slice(0, 4), ["o1", "o2", "o4", "o5"]);
+  assert.deepEqual(values.filter((value) => value.startsWith("w2-")), Array.from({ length: 10 }, (_, i) => `w2-${i}`));
+});
@@ -0,0 +1,64 @@
+/**
+ * utilities/error-fingerprints.js + jsonl-logger.js: one failed response is counted
+ * once however many afterResponse hooks log it, exemplars never keep secrets from
+ * the URL, and captureErrors only prints to the console with DEBUG_LOG_BODY.
+ *
+ * HOW TO RUN:
+ *   npm install && npm test
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fingerprints-test-"));
+process.env.ARTILLERY_LOG_DIR = dir;
+const jsonlLogger = require("../utilities/jsonl-logger");
+const errorFingerprints = require("../utilities/error-fingerprints");
+const processor = require("../processor");
+
+after(() => {
+  jsonlLogger.getLogger("errors").flushSync();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const find = (endpoint) => errorFingerprints.snapshot().fingerprints.find((fp) => fp.endpoint === endpoint);
+
+test("captureErrors and afterResponse on the same response count it once", () => {
+  const req = { method: "GET", url: "/orders/1", name: "get-order" };
+  const res = { statusCode: 503, statusMessage: "Service Unavailable", headers: {}, body: "down" };
+  const context = { vars: {}, scenario: { name: "orders" } };
+
+  processor.captureErrors(req, res, context, null, () => {});
+  jsonlLogger.logResponse(req, res, context);
+  processor.captureErrors(req, res, context, null, () => {});
+
+  assert.equal(find("get-order").count, 1);
+
+  // A second failing response is a new occurrence
+  processor.captureErrors(req, { ...res }, context, null, () => {});
+  assert.equal(find("get-order").count, 2);
+});
+
+test("captureErrors keeps the console quiet unless DEBUG_LOG_BODY is set", (t) => {
+  const consoleError = t.mock.method(console, "error", () => {});
+  processor.captureErrors({ method: "GET", url: "/me?access_token=abc123", name: "quiet" }, { statusCode: 500, headers: {}, body: "" }, { vars: {} }, null, () => {});
+
+  assert.equal(consoleError.mock.callCount(), 0);
+  assert.equal(find("quiet").count, 1);
+});
+
+test("exemplar URLs redact sensitive query parameters", () => {
+  const req = { method: "GET", url: "/me?access_token=abc123&X-Amz-Signature=f00d&page=2", name: "get-me" };
+  jsonlLogger.logResponse(req, { statusCode: 401, headers: {}, body: "" }, { vars: {} });
+
+  assert.equal(find("get-me").exemplars[0].url, "/me?access_token=[REDACTED]&X-Amz-Signature=[REDACTED]&page=2");
+});
+
+test("redactUrl keeps URLs without sensitive parameters unchanged", () => {
+  assert.equal(jsonlLogger.redactUrl("/search?q=a+b&page=1#top"), "/search?q=a+b&page=1#top");
+  assert.equal(jsonlLogger.redactUrl("https://x/cb?state=1&api_key=k"), "https://x/cb?state=1&api_key=[REDACTED]");
+  assert.equal(jsonlLogger.redactUrl(undefined), undefined);
+});
@@ -0,0 +1,93 @@
+/**
+ * ============================================================
+ * LOCAL STUB SERVERS FOR TESTS
+ * ============================================================
+ * Provides:
+ *   ✅ startStub(handler): plain-http server on a random port that buffers
+ *      each request body and records every request
+ *   ✅ verifySigV4(request, secrets): re-computes an AWS SigV4 signature the
+ *      way AWS does, so tests catch a signed body that differs from the sent one
+ * ============================================================
+ */
+
+const http = require("http");
+const aws4 = require("aws4");
+
+/**
+ * Starts a stub server. The handler gets { method, url, path, headers, body } and
+ * returns { status?, headers?, body? } (or a Promise of it).
+ * @returns {Promise<{ url: string, requests: Object[], close: Function }>}
+ */
+function startStub(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", async () => {
+      const request = {
+        method: req.method,
+        url: req.url,
+        path: req.url.split("?")[0],
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString("utf8"),
+      };
+      requests.push(request);
+      try {
+        const reply = (await handler(request)) || {};
+        res.writeHead(reply.status || 200, reply.headers || {});
+        res.end(reply.body !== undefined ? reply.body : "");
+      } catch (err) {
+        res.writeHead(500);
+        res.end(err.message);
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+/**
+ * Verifies the Authorization header of a recorded request.
+ * @param {Object} request - As recorded by startStub.
+ * @param {Object} secrets - { <accessKeyId>: secretAccessKey }
+ * @returns {{ ok: boolean, reason?: string, accessKeyId?: string, service?: string, region?: string }}
+ */
+function verifySigV4(request, secrets) {
+  const auth = request.headers.authorization || "";
+  const match = auth.match(/^AWS4-HMAC-SHA256 Credential=([^/]+)\/\d{8}\/([^/]+)\/([^/]+)\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/);
+  if (!match) return { ok: false, reason: `malformed Authorization header '${auth}'` };
+
+  const [, accessKeyId, region, service, signedHeaders] = match;
+  if (!secrets[accessKeyId]) return { ok: false, reason: `unknown access key ${accessKeyId}` };
+
+  const headers = {};
+  signedHeaders.split(";").forEach((name) => {
+    headers[name] = request.headers[name];
+  });
+  const expected = aws4.sign({
+    host: request.headers.host,
+    path: request.url,
+    method: request.method,
+    service,
+    region,
+    headers,
+    body: request.body,
+  }, {
+    accessKeyId,
+    secretAccessKey: secrets[accessKeyId],
+    sessionToken: request.headers["x-amz-security-token"],
+  });
+
+  if (expected.headers.Authorization !== auth) return { ok: false, reason: "signature mismatch", accessKeyId, service, region };
+  return { ok: true, accessKeyId, service, region };
+}
+
+module.exports = { startStub, verifySigV4 };
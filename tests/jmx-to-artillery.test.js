@@ -0,0 +1,168 @@
+/**
+ * utilities/jmx-to-artillery.js: Thread Groups become phases (closed and open
+ * model), samplers become named steps with their headers, parameters, captures
+ * and expects, and everything left out is listed in the conversion report.
+ *
+ * HOW TO RUN:
+ *   npm install && npm test
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const YAML = require("yaml");
+const jmxToArtillery = require("../utilities/jmx-to-artillery");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jmx-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// -------------------------------
+// JMX building blocks
+// -------------------------------
+
+const xml = (text) => String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/"/g, "&quot;");
+const prop = (name, value) => `<stringProp name="${name}">${xml(value)}</stringProp>`;
+const element = (type, name, props, children = "", extra = "") => `<${type} testclass="${type}" testname="${name}" enabled="${!extra.includes("disabled")}"${extra.includes("defaults") ? " guiclass=\"HttpDefaultsGui\"" : ""}>${props}</${type}><hashTree>${children}</hashTree>`;
+const argumentsProp = (name, list) => `<elementProp name="${name}" elementType="Arguments"><collectionProp name="Arguments.arguments">${list
+  .map(([n, v]) => `<elementProp name="${n}" elementType="HTTPArgument">${prop("Argument.name", n)}${prop("Argument.value", v)}</elementProp>`).join("")}</collectionProp></elementProp>`;
+const headers = (list) => element("HeaderManager", "Headers", `<collectionProp name="HeaderManager.headers">${list
+  .map(([n, v]) => `<elementProp name="" elementType="Header">${prop("Header.name", n)}${prop("Header.value", v)}</elementProp>`).join("")}</collectionProp>`);
+const sampler = (name, method, samplerPath, { params = [], raw, children = "", disabled = false } = {}) => element("HTTPSamplerProxy", name, [
+  prop("HTTPSampler.method", method),
+  prop("HTTPSampler.path", samplerPath),
+  raw === undefined ? argumentsProp("HTTPsampler.Arguments", params) : argumentsProp("HTTPsampler.Arguments", [["", raw]]),
+  raw === undefined ? "" : prop("HTTPSampler.postBodyRaw", "true"),
+].join(""), children, disabled ? "disabled" : "");
+const threadGroup = (type, name, { threads, ramp, loops, duration }, children) => element(type, name, [
+  `<elementProp name="ThreadGroup.main_controller" elementType="LoopController">${prop("LoopController.loops", loops)}</elementProp>`,
+  prop("ThreadGroup.num_threads", threads),
+  prop("ThreadGroup.ramp_time", ramp),
+  prop("ThreadGroup.scheduler", duration ? "true" : "false"),
+  prop("ThreadGroup.duration", duration || ""),
+].join(""), children);
+
+const plan = `<?xml version="1.0" encoding="UTF-8"?>
+<jmeterTestPlan version="1.2"><hashTree>${element("TestPlan", "Shop", argumentsProp("TestPlan.user_defined_variables", [["TERM", "shoes"], ["LOOPS", "3"]]), [
+  headers([["Accept", "application/json"]]),
+  threadGroup("SetupThreadGroup", "Setup", { threads: 1, ramp: 1, loops: 1 }, sampler("login", "POST", "https://auth.example.com/login", {
+    raw: "{\"user\": \"${__P(USER)}\"}",
+    children: element("JSONPostProcessor", "token", [
+      prop("JSONPostProcessor.referenceNames", "token"),
+      prop("JSONPostProcessor.jsonPathExprs", "$.token"),
+      prop("JSONPostProcessor.match_numbers", "1"),
+    ].join("")),
+  })),
+  threadGroup("ThreadGroup", "Shoppers", { threads: 10, ramp: 20, loops: "${LOOPS}" }, [
+    element("ConfigTestElement", "Defaults", prop("HTTPSampler.protocol", "https") + prop("HTTPSampler.domain", "shop.example.com"), "", "defaults"),
+    element("UniformRandomTimer", "Pause", prop("ConstantTimer.delay", "1000") + prop("RandomTimer.range", "500")),
+    element("TransactionController", "Browse", "", sampler("search", "GET", "/products", { params: [["q", "${TERM}"]] })),
+    sampler("add-to-cart", "POST", "/cart", {
+      params: [["sku", "${__Random(1,9)}"], ["qty", "2"]],
+      children: [
+        headers([["X-Trace", "${__UUID}"]]),
+        element("ResponseAssertion", "Created", `<collectionProp name="Asserion.test_strings">${prop("1", "201")}</collectionProp>${prop("Assertion.test_field", "Assertion.response_code")}${prop("Assertion.test_type", "16")}`),
+        element("RegexExtractor", "cartId", prop("RegexExtractor.refname", "cartId") + prop("RegexExtractor.regex", "\"id\":\"(\\w+)\"") + prop("RegexExtractor.template", "$1$")),
+      ].join(""),
+    }),
+    element("IfController", "Has cart", prop("IfController.condition", "${cartId}"), sampler("checkout", "POST", "/checkout/${cartId}")),
+    element("JSR223Sampler", "Compute", prop("script", "vars.put('x', '1')")),
+    sampler("old-page", "GET", "/legacy", { disabled: true }),
+  ].join("")),
+  threadGroup("ThreadGroup", "Pollers", { threads: 5, ramp: 10, loops: -1, duration: 120 }, [
+    element("ConstantThroughputTimer", "600/min", prop("throughput", "600") + prop("calcMode", "1")),
+    sampler("status", "GET", "https://api.example.com/status"),
+  ].join("")),
+].join(""))}</hashTree></jmeterTestPlan>
+`;
+
+const convert = () => jmxToArtillery.convertJmx(plan, { name: "shop", jmxDir: dir, outputDir: dir });
+const report = (result, status) => result.report.filter((r) => r.status === status).map((r) => r.element);
+
+test("each Thread Group becomes a file; setUp groups become the 'before' flow", () => {
+  const { files } = convert();
+
+  assert.deepEqual(files.map((f) => [f.fileName, f.threadGroup]), [["shop_Shoppers.yml", "Shoppers"], ["shop_Pollers.yml", "Pollers"]]);
+  files.forEach(({ script }) => {
+    assert.deepEqual(script.before.flow, [{
+      post: {
+        url: "https://auth.example.com/login",
+        name: "login",
+        json: { user: "{{ $processEnvironment.USER }}" },
+        capture: [{ json: "$.token", as: "token" }],
+      },
+    }]);
+    assert.deepEqual(script.config.defaults, { headers: { Accept: "application/json" } });
+    assert.deepEqual(script.config.variables, { TERM: "shoes", LOOPS: "3" });
+  });
+});
+
+test("threads, ramp-up and loops map to arrivals; a throughput timer to an open model", () => {
+  const [shoppers, pollers] = convert().files.map((f) => f.script);
+
+  assert.equal(shoppers.config.target, "https://shop.example.com");
+  assert.deepEqual(shoppers.config.phases, [{ duration: 20, arrivalCount: 10, name: "Shoppers" }]);
+  assert.equal(shoppers.scenarios[0].flow[0].count, 3);
+
+  assert.equal(pollers.config.target, "https://api.example.com");
+  assert.deepEqual(pollers.config.phases, [
+    { duration: 10, arrivalRate: 0, rampTo: 10, maxVusers: 5, name: "Pollers ramp-up" },
+    { duration: 110, arrivalRate: 10, maxVusers: 5, name: "Pollers" },
+  ]);
+  assert.deepEqual(pollers.scenarios[0].flow, [{ get: { url: "/status", name: "status" } }]);
+});
+
+test("samplers keep their names, parameters, think times, captures and expects", () => {
+  const [shoppers] = convert().files.map((f) => f.script);
+  const steps = shoppers.scenarios[0].flow[0].loop;
+
+  assert.deepEqual(steps, [
+    { think: 1.25 },
+    { get: { url: "/products", name: "search", qs: { q: "{{ TERM }}" } } },
+    { think: 1.25 },
+    {
+      post: {
+        url: "/cart",
+        name: "add-to-cart",
+        headers: { "X-Trace": "{{ $uuid }}" },
+        form: { sku: "{{ $randomNumber(1, 9) }}", qty: "2" },
+        capture: [{ regexp: "\"id\":\"(\\w+)\"", group: 1, as: "cartId" }],
+        expect: [{ statusCode: 201 }],
+      },
+    },
+    { think: 1.25 },
+    { post: { url: "/checkout/{{ cartId }}", name: "checkout" } },
+  ]);
+  assert.deepEqual(shoppers.config.plugins, { "metrics-by-endpoint": { useOnlyRequestNames: true }, expect: {} });
+});
+
+test("the report lists what was dropped or approximated", () => {
+  const result = convert();
+
+  assert.deepEqual(report(result, "unsupported"), ["IfController 'Has cart'", "JSR223Sampler 'Compute'"]);
+  assert.deepEqual(report(result, "ignored"), ["HTTPSamplerProxy 'old-page'"]);
+  assert.ok(report(result, "approximated").includes("UniformRandomTimer 'Pause'"));
+  assert.ok(report(result, "approximated").includes("ConstantThroughputTimer '600/min'"));
+  assert.ok(report(result, "approximated").includes("function ${__UUID}"));
+
+  const markdown = jmxToArtillery.reportMarkdown("shop.jmx", result.files, result.report);
+  assert.match(markdown, /^# JMX conversion report: shop\.jmx/);
+  assert.match(markdown, /\| ❌ not converted \| IfController 'Has cart' \| Shop › Shoppers \| controller logic dropped; its 2 step\(s\) run unconditionally \|/);
+});
+
+test("main writes valid YAML next to a conversion report, and rejects non-JMX input", (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  const consoleError = t.mock.method(console, "error", () => {});
+  const jmx = path.join(dir, "shop.jmx");
+  fs.writeFileSync(jmx, plan);
+
+  assert.equal(jmxToArtillery.main(["--jmx", jmx, "--output-dir", path.join(dir, "out")]), 0);
+  assert.deepEqual(fs.readdirSync(path.join(dir, "out")).sort(), ["shop.conversion.md", "shop_Pollers.yml", "shop_Shoppers.yml"]);
+  assert.deepEqual(YAML.parse(fs.readFileSync(path.join(dir, "out", "shop_Shoppers.yml"), "utf8")), convert().files[0].script);
+
+  fs.writeFileSync(path.join(dir, "plain.jmx"), "<testResults/>");
+  assert.equal(jmxToArtillery.main(["--jmx", path.join(dir, "plain.jmx")]), 2);
+  assert.match(consoleError.mock.calls[0].arguments[0], /Not a JMeter test plan/);
+});
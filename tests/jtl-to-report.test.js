@@ -0,0 +1,142 @@
+/**
+ * utilities/jtl-to-report.js: CSV (quoted fields, no header) and XML results become
+ * an Artillery report where every sample is counted once as a code or an error,
+ * with exact percentiles, 10s buckets and XML sub-results only on request.
+ *
+ * HOW TO RUN:
+ *   npm install && npm test
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const jtlToReport = require("../utilities/jtl-to-report");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jtl-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const T = 1700000000000; // a multiple of 10s
+const HEADER = "timeStamp,elapsed,label,responseCode,responseMessage,threadName,dataType,success,failureMessage,bytes,sentBytes,grpThreads,allThreads,URL,Latency,IdleTime,Connect";
+
+function write(name, text) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+const csv = write("results.csv", [
+  HEADER,
+  `${T},100,Login,200,OK,t 1-1,text,true,,512,100,1,1,https://api.example.com/login?next=1,90,0,5`,
+  `${T + 1000},300,Login,500,Server Error,t 1-1,text,false,,20,100,1,1,https://api.example.com/login,290,0,5`,
+  `${T + 2000},5000,Login,Non HTTP response code: java.net.SocketTimeoutException,Non HTTP response message: Read timed out,t 1-1,text,false,,0,0,1,1,https://api.example.com/login,0,0,0`,
+  `${T + 12000},200,Orders,200,OK,t 1-1,text,false,"Expected ""PAID"", got
+""NEW""",64,30,1,1,null,190,0,3`,
+  `${T + 13000},50,JSR223 Sampler,,,t 1-1,,true,,0,0,1,1,null,0,0,0`,
+  `${T + 14000},400,Checkout,200,"Number of samples in transaction : 2, number of failing samples : 0",t 1-1,,true,,576,130,1,1,null,0,0,0`,
+  "",
+].join("\n"));
+
+const counters = (report) => report.aggregate.counters;
+
+test("every CSV sample is counted once, as a status code or an error", () => {
+  const { report, samples, endpoints, files } = jtlToReport.jtlToReport([csv]);
+
+  assert.equal(samples, 6);
+  assert.deepEqual(files.map((f) => [f.format, f.samples, f.skipped, f.headerless]), [["csv", 6, 0, false]]);
+  assert.deepEqual(endpoints, ["Checkout", "JSR223 Sampler", "Login", "Orders"]);
+  assert.deepEqual(counters(report), {
+    "http.requests": 6,
+    "http.codes.200": 3,
+    "http.codes.500": 1,
+    "http.responses": 5,
+    "http.downloaded_bytes": 1172,
+    "errors.SocketTimeoutException": 1,
+    "errors.AssertionFailure": 1,
+    "plugins.metrics-by-endpoint.Login.codes.200": 1,
+    "plugins.metrics-by-endpoint.Login.codes.500": 1,
+    "plugins.metrics-by-endpoint.Login.errors.SocketTimeoutException": 1,
+    "plugins.metrics-by-endpoint.Orders.errors.AssertionFailure": 1,
+    "plugins.metrics-by-endpoint.JSR223 Sampler.codes.200": 1,
+    "plugins.metrics-by-endpoint.Checkout.codes.200": 1,
+  });
+  // The timed-out sample got no response, so it has no response time
+  assert.deepEqual(report.aggregate.summaries["plugins.metrics-by-endpoint.response_time.Login"], {
+    min: 100, max: 300, count: 2, mean: 200, p50: 100, median: 100, p75: 300, p90: 300, p95: 300, p99: 300, p999: 300,
+  });
+});
+
+test("samples land in 10s buckets and the aggregate spans them", () => {
+  const { report } = jtlToReport.jtlToReport([csv]);
+
+  assert.deepEqual(report.intermediate.map((i) => [i.period, i.counters["http.requests"], i.rates["http.request_rate"]]), [
+    [String(T), 3, 0],
+    [String(T + 10000), 3, 0],
+  ]);
+  assert.deepEqual([report.aggregate.firstMetricAt, report.aggregate.lastMetricAt, report.aggregate.period], [T, T + 14000, T + 10000]);
+});
+
+test("percentiles are exact, not estimated", () => {
+  const rows = Array.from({ length: 100 }, (_, i) => `${T + i},${100 - i},Search,200,OK,t,text,true,,1,1,1,1,,1,0,0`);
+  const file = write("search.csv", [HEADER, ...rows].join("\n"));
+  const summary = jtlToReport.jtlToReport([file]).report.aggregate.summaries["plugins.metrics-by-endpoint.response_time.Search"];
+
+  assert.deepEqual([summary.min, summary.p50, summary.p90, summary.p95, summary.p99, summary.max, summary.mean], [1, 50, 90, 95, 99, 100, 50.5]);
+});
+
+test("headerless CSV uses JMeter's default columns; filters and URL names apply", () => {
+  const headerless = write("headerless.jtl", fs.readFileSync(csv, "utf8").split("\n").slice(1).join("\n"));
+
+  const { files, endpoints } = jtlToReport.jtlToReport([headerless], { names: "url" });
+  assert.equal(files[0].headerless, true);
+  assert.deepEqual(endpoints, ["Checkout", "JSR223 Sampler", "Orders", "api.example.com/login"]);
+
+  assert.deepEqual(jtlToReport.jtlToReport([csv], { transactionsOnly: true }).endpoints, ["Checkout"]);
+  assert.deepEqual(jtlToReport.jtlToReport([csv], { include: ["log*", "Orders"], exclude: ["orders"] }).endpoints, ["Login"]);
+});
+
+test("XML results skip sub-results unless asked, and read nested URL / failure text", () => {
+  const xml = write("results.xml", `<?xml version="1.0" encoding="UTF-8"?>
+<testResults version="1.2">
+<httpSample t="120" lt="100" ts="${T}" s="true" lb="Home" rc="200" rm="OK" tn="t 1-1" by="1000">
+  <httpSample t="20" ts="${T}" s="true" lb="Home-0" rc="302" rm="Found" by="0"/>
+  <httpSample t="80" ts="${T + 1}" s="true" lb="Home-1" rc="200" rm="OK" by="1000"/>
+  <java.net.URL>https://shop.example.com/home?ref=a&amp;b=1</java.net.URL>
+</httpSample>
+<httpSample t="900" ts="${T + 5000}" s="false" lb="Pay &amp; Confirm" rc="503" rm="Service Unavailable">
+  <assertionResult><name>Code</name><failure>true</failure><failureMessage>Expected 200</failureMessage></assertionResult>
+</httpSample>
+<sample t="10" ts="${T + 6000}" s="true" lb="Debug" rc="" rm=""/>
+</testResults>
+`);
+
+  const plain = jtlToReport.jtlToReport([xml]);
+  assert.equal(plain.files[0].format, "xml");
+  assert.deepEqual(plain.endpoints, ["Debug", "Home", "Pay & Confirm"]);
+  assert.deepEqual([counters(plain.report)["http.codes.200"], counters(plain.report)["http.codes.503"]], [2, 1]);
+
+  const withSubResults = jtlToReport.jtlToReport([xml], { subResults: true, names: "url" });
+  assert.deepEqual(withSubResults.endpoints, ["Debug", "Home-0", "Home-1", "Pay & Confirm", "shop.example.com/home"]);
+  assert.equal(counters(withSubResults.report)["plugins.metrics-by-endpoint.Home-0.codes.302"], 1);
+
+  const samples = [];
+  jtlToReport.readJtl(xml, (sample) => samples.push(sample));
+  assert.deepEqual(samples.map((s) => [s.label, s.url, s.failureMessage]), [
+    ["Home", "https://shop.example.com/home?ref=a&b=1", ""],
+    ["Pay & Confirm", "", "Expected 200"],
+    ["Debug", "", ""],
+  ]);
+});
+
+test("main writes the report, and fails when no sample is left", (t) => {
+  t.mock.method(console, "log", () => {});
+  const consoleError = t.mock.method(console, "error", () => {});
+  const output = path.join(dir, "out", "result_jmeter.json");
+
+  assert.equal(jtlToReport.main(["--jtl", csv, "--output", output, "--bucket", "60"]), 0);
+  assert.deepEqual(JSON.parse(fs.readFileSync(output, "utf8")).intermediate.map((i) => i.period), [String(T - (T % 60000))]);
+
+  assert.equal(jtlToReport.main(["--jtl", csv, "--include", "Nothing*"]), 2);
+  assert.match(consoleError.mock.calls[0].arguments[0], /No samples to report/);
+});
@@ -0,0 +1,133 @@
+/**
+ * utilities/live-metrics.js: what a synthetic 'ee' turns into on the wire, checked
+ * through the module's own local listener (node utilities/live-metrics.js listen):
+ * StatsD lines, InfluxDB line protocol and the Prometheus exposition pushed to a
+ * pushgateway.
+ *
+ * HOW TO RUN:
+ *   npm install && npm test
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const dgram = require("dgram");
+const net = require("net");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { spawn } = require("child_process");
+const liveMetrics = require("../utilities/live-metrics");
+
+const LISTENER = path.resolve(__dirname, "../utilities/live-metrics.js");
+const TAGS = "app:app1,environment:qa,runner:2,worker:3";
+
+let listener;
+let output = "";
+let statsdPort;
+let httpPort;
+
+const freeTcpPort = () => new Promise((resolve) => {
+  const server = net.createServer().listen(0, "127.0.0.1", () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+const freeUdpPort = () => new Promise((resolve) => {
+  const socket = dgram.createSocket("udp4").bind(0, "127.0.0.1", () => {
+    const { port } = socket.address();
+    socket.close(() => resolve(port));
+  });
+});
+
+/** Resolves once 'predicate(output)' holds, rejects after 'ms'. */
+function waitFor(predicate, ms = 5000) {
+  return new Promise((resolve, reject) => {
+    const deadline = Date.now() + ms;
+    const poll = () => {
+      if (predicate(output)) return resolve(output);
+      if (Date.now() > deadline) return reject(new Error(`listener output so far:\n${output}`));
+      return setTimeout(poll, 20);
+    };
+    poll();
+  });
+}
+
+before(async () => {
+  statsdPort = await freeUdpPort();
+  httpPort = await freeTcpPort();
+  // --duration: the listener ends on its own even if the test does not stop it
+  listener = spawn(process.execPath, [LISTENER, "listen", "--statsd-port", statsdPort, "--http-port", httpPort, "--duration", "30"]);
+  listener.stdout.on("data", (chunk) => { output += chunk; });
+  await waitFor((text) => text.includes("StatsD (UDP) listening") && text.includes("HTTP (InfluxDB write / pushgateway) listening"));
+});
+
+after(() => {
+  if (listener.exitCode === null) listener.kill();
+});
+
+test("a synthetic ee reaches StatsD, InfluxDB and the pushgateway", async () => {
+  const options = liveMetrics.resolveOptions({
+    sinks: ["statsd", "influx", "prometheus"],
+    statsd: { host: "127.0.0.1", port: statsdPort },
+    influx: { url: `http://127.0.0.1:${httpPort}/write?db=artillery` },
+    prometheus: { pushgateway: `http://127.0.0.1:${httpPort}`, buckets: [100, 500] },
+  }, { APP_NAME: "app1", ENVIRONMENT_NAME: "qa", RUNNER_INDEX: "2", LOCAL_WORKER_ID: "3" });
+  const collector = liveMetrics.createLiveMetrics(options);
+
+  const ee = new EventEmitter();
+  collector.attach(ee);
+  collector.attach(ee);   // attaching twice must not double count
+  ee.emit("counter", "http.requests", 3);
+  ee.emit("counter", "http.codes.200", 2);
+  ee.emit("counter", "http.codes.503", 1);
+  ee.emit("counter", "plugins.metrics-by-endpoint.GET /orders.codes.200", 2);
+  ee.emit("histogram", "http.response_time", 42);
+  ee.emit("histogram", "http.response_time", 250);
+  ee.emit("error", "ETIMEDOUT");
+  await collector.close();
+
+  const text = await waitFor((out) => out.includes("[statsd] artillery.errors:1")
+    && out.includes("[influx] artillery_response_time,")
+    && out.includes("[push] artillery_response_time_ms_count"));
+  const lines = (label) => text.split("\n").filter((l) => l.startsWith(`[${label}] `)).map((l) => l.slice(label.length + 3));
+
+  // StatsD (dogstatsd tags): counters as |c, every latency sample as |ms
+  const statsd = lines("statsd");
+  assert.ok(statsd.includes(`artillery.requests:3|c|#${TAGS}`), statsd.join("\n"));
+  assert.ok(statsd.includes(`artillery.responses:2|c|#${TAGS},code:200`));
+  assert.ok(statsd.includes(`artillery.responses:1|c|#${TAGS},code:503`));
+  assert.ok(statsd.includes(`artillery.endpoint_responses:2|c|#${TAGS},request:GET /orders,code:200`));
+  assert.ok(statsd.includes(`artillery.errors:1|c|#${TAGS},error:ETIMEDOUT`));
+  assert.deepEqual(statsd.filter((l) => l.startsWith("artillery.response_time:")), [
+    `artillery.response_time:42|ms|#${TAGS}`,
+    `artillery.response_time:250|ms|#${TAGS}`,
+  ]);
+
+  // InfluxDB: one point per series, sorted tags, integer counters, ns timestamps
+  const influx = lines("influx");
+  assert.ok(influx.includes("POST /write?db=artillery"));
+  assert.ok(influx.some((l) => /^artillery_responses,app=app1,code=200,environment=qa,runner=2,worker=3 value=2i \d{19}$/.test(l)), influx.join("\n"));
+  assert.ok(influx.some((l) => /^artillery_endpoint_responses,app=app1,code=200,environment=qa,request=GET\\ \/orders,runner=2,worker=3 value=2i \d{19}$/.test(l)));
+  assert.ok(influx.some((l) => /^artillery_response_time,app=app1,environment=qa,runner=2,worker=3 count=2i,min=42,max=250,mean=146,p50=42,p95=250,p99=250 \d{19}$/.test(l)));
+
+  // Prometheus exposition pushed per runner/worker instance
+  const push = lines("push");
+  const labels = 'app="app1",environment="qa",runner="2",worker="3"';
+  assert.ok(push.includes("PUT /metrics/job/artillery/instance/2-3"));
+  assert.ok(push.includes("# TYPE artillery_responses_total counter"));
+  assert.ok(push.includes(`artillery_responses_total{${labels},code="200"} 2`));
+  assert.ok(push.includes(`artillery_requests_total{${labels}} 3`));
+  assert.ok(push.includes("# TYPE artillery_response_time_ms histogram"));
+  assert.ok(push.includes(`artillery_response_time_ms_bucket{${labels},le="100"} 1`));
+  assert.ok(push.includes(`artillery_response_time_ms_bucket{${labels},le="500"} 2`));
+  assert.ok(push.includes(`artillery_response_time_ms_bucket{${labels},le="+Inf"} 2`));
+  assert.ok(push.includes(`artillery_response_time_ms_sum{${labels}} 292`));
+  assert.ok(push.includes(`artillery_response_time_ms_count{${labels}} 2`));
+});
+
+test("metric names map to tagged series", () => {
+  assert.deepEqual(liveMetrics.translateMetric("counter", "assertions.get-order.status.failed"), { name: "assertion_failures", tags: { request: "get-order", rule: "status" } });
+  assert.deepEqual(liveMetrics.translateMetric("timing", "plugins.metrics-by-endpoint.response_time.GET /orders"), { name: "endpoint_response_time", tags: { request: "GET /orders" } });
+  assert.deepEqual(liveMetrics.translateMetric("timing", "think_time.human"), { name: "think_time", tags: { profile: "human" } });
+  assert.deepEqual(liveMetrics.translateMetric("counter", "feeder.users.exhausted"), { name: "feeder_users_exhausted", tags: {} });
+});
@@ -0,0 +1,96 @@
+/**
+ * utilities/merge-reports.js: percentiles come from the count-weighted mix of the
+ * runners' quantile curves (checked on known uniform distributions), and
+ * snapshots of runners that started a few seconds apart land in the same bucket.
+ *
+ * HOW TO RUN:
+ *   npm install && npm test
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const mergeReports = require("../utilities/merge-reports");
+
+/** Artillery summary of 'count' latencies spread uniformly over [from, from + 100]. */
+const uniform = (from, count) => ({
+  min: from,
+  max: from + 100,
+  count,
+  mean: from + 50,
+  p50: from + 50,
+  median: from + 50,
+  p75: from + 75,
+  p90: from + 90,
+  p95: from + 95,
+  p99: from + 99,
+  p999: from + 99.9,
+});
+
+const percentiles = (s) => [s.p50, s.p75, s.p90, s.p95, s.p99, s.p999];
+
+test("disjoint runners merge to the percentiles of the combined distribution", () => {
+  const merged = mergeReports.mergeSummaries([uniform(0, 100), uniform(1000, 100)]);
+
+  assert.deepEqual([merged.min, merged.max, merged.count, merged.mean], [0, 1100, 200, 550]);
+  // The upper half of the mix is the slow runner: p75 is its median, p95 its p90.
+  assert.deepEqual(percentiles(merged), [100, 1050, 1080, 1090, 1098, 1099.8]);
+  assert.equal(merged.median, merged.p50);
+});
+
+test("runner weights follow their request counts", () => {
+  const merged = mergeReports.mergeSummaries([uniform(0, 300), uniform(1000, 100)]);
+
+  assert.equal(merged.mean, 300);
+  assert.equal(merged.p50, 66.7);
+  assert.equal(merged.p90, 1060);
+  assert.equal(merged.p95, 1080);
+});
+
+test("identical runners keep their percentiles and a single runner is copied", () => {
+  const merged = mergeReports.mergeSummaries([uniform(200, 40), uniform(200, 60)]);
+  assert.deepEqual(percentiles(merged), percentiles(uniform(200, 0)));
+  assert.equal(merged.count, 100);
+
+  assert.deepEqual(mergeReports.mergeSummaries([uniform(5, 10), { count: 0 }]), uniform(5, 10));
+});
+
+test("misaligned snapshots are summed in aligned buckets", () => {
+  const T = 1700000000000;
+  const snapshot = (period, requests, rate, from) => ({
+    period: String(period),
+    firstCounterAt: period,
+    lastCounterAt: period + 9000,
+    counters: { "http.requests": requests, "http.codes.200": requests },
+    rates: { "http.request_rate": rate },
+    summaries: { "http.response_time": uniform(from, requests) },
+  });
+  const runner1 = {
+    intermediate: [snapshot(T, 100, 10, 0), snapshot(T + 10000, 100, 10, 0)],
+    aggregate: { period: String(T + 10000), firstCounterAt: T, lastCounterAt: T + 19000, counters: { "http.requests": 200 }, summaries: { "http.response_time": uniform(0, 200) } },
+  };
+  const runner2 = {
+    intermediate: [snapshot(T + 3000, 50, 5, 1000), snapshot(T + 13000, 30, 3, 1000)],
+    aggregate: { period: String(T + 13000), firstCounterAt: T + 3000, lastCounterAt: T + 22000, counters: { "http.requests": 80 }, summaries: { "http.response_time": uniform(1000, 80) } },
+  };
+
+  const { intermediate, aggregate } = mergeReports.mergeReports([runner1, runner2]);
+
+  assert.deepEqual(intermediate.map((i) => i.period), [String(T), String(T + 10000)]);
+  assert.deepEqual(intermediate.map((i) => i.counters["http.requests"]), [150, 130]);
+  assert.deepEqual(intermediate.map((i) => i.rates["http.request_rate"]), [15, 13]);
+  assert.deepEqual([intermediate[0].firstCounterAt, intermediate[0].lastCounterAt], [T, T + 12000]);
+  assert.equal(intermediate[1].summaries["http.response_time"].count, 130);
+
+  assert.equal(aggregate.counters["http.requests"], 280);
+  assert.equal(aggregate.rates["http.request_rate"], 14);
+  assert.deepEqual([aggregate.firstMetricAt, aggregate.lastMetricAt, aggregate.period], [T, T + 22000, T + 13000]);
+  assert.deepEqual([aggregate.histograms["http.response_time"].count, aggregate.histograms["http.response_time"].max], [280, 1100]);
+});
+
+test("a coarser bucket folds several snapshots of one runner together", () => {
+  const T = 1699999980000; // a multiple of 30s
+  const item = (period) => ({ period: String(period), counters: { "http.requests": 1 } });
+  const { intermediate } = mergeReports.mergeReports([{ intermediate: [item(T), item(T + 10000), item(T + 30000)] }], { bucketMs: 30000 });
+
+  assert.deepEqual(intermediate.map((i) => [i.period, i.counters["http.requests"]]), [[String(T), 2], [String(T + 30000), 1]]);
+});
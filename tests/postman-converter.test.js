@@ -0,0 +1,147 @@
+/**
+ * utilities/postman-converter.js: requests take the auth of their nearest folder,
+ * urlencoded bodies with repeated keys keep every value, folder and collection
+ * bearer tokens chain to the login that captures them, and pm.* test scripts become
+ * expect / capture.
+ *
+ * HOW TO RUN:
+ *   npm install && npm test
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const YAML = require("yaml");
+const { createConverter } = require("../utilities/postman-converter");
+
+const get = (name, path) => ({ name, request: { method: "GET", url: `https://api.example.com${path}` } });
+const form = (name, fields) => ({
+  name,
+  request: { method: "POST", url: "https://api.example.com/login", body: { mode: "urlencoded", urlencoded: fields } },
+});
+
+const collection = {
+  info: { name: "auth and forms", schema: "https://schema.getpostman.com/json/collection/v2.1.0/collection.json" },
+  auth: { type: "basic", basic: [{ key: "username", value: "{{basicUser}}" }, { key: "password", value: "{{basicPass}}" }] },
+  item: [
+    {
+      name: "Admin",
+      auth: { type: "bearer", bearer: [{ key: "token", value: "{{adminToken}}" }] },
+      item: [
+        { name: "Users", auth: { type: "inherit" }, item: [get("list-users", "/users")] },
+        { name: "Public", auth: { type: "noauth" }, item: [get("health", "/health")] },
+      ],
+    },
+    get("me", "/me"),
+    form("login", [
+      { key: "scope", value: "read write" },
+      { key: "scope", value: "orders" },
+      { key: "user", value: "{{user}}" },
+      { key: "debug", value: "1", disabled: true },
+    ]),
+    form("refresh", [{ key: "grant_type", value: "refresh_token" }]),
+  ],
+};
+
+function convert(source = collection) {
+  const converter = createConverter({});
+  const requests = converter.loadCollection(source);
+  const [file] = converter.buildFiles(requests, { mode: "single" });
+  const steps = {};
+  const { scenarios } = YAML.parse(file.content);
+  scenarios.forEach((scenario) => {
+    scenario.flow.forEach((step) => {
+      const [method] = Object.keys(step);
+      steps[step[method].name] = step[method];
+    });
+  });
+  return { requests, steps, scenarios, warnings: file.warnings };
+}
+
+test("requests inherit the auth of their nearest folder, else the collection's", () => {
+  const { requests, steps } = convert();
+  const authType = (name) => requests.find((r) => r.customName === name).inheritedAuth.type;
+
+  assert.equal(authType("list-users"), "bearer");
+  assert.equal(authType("health"), "noauth");
+  assert.equal(authType("me"), "basic");
+  assert.equal(steps["list-users"].headers.Authorization, "{{BEARER_TOKEN}}");
+  assert.equal(steps.health.headers, undefined);
+  assert.equal(steps.health.auth, undefined);
+  assert.deepEqual(steps.me.auth, { user: "{{BASIC_USER}}", pass: "{{BASIC_PASS}}" });
+});
+
+test("repeated urlencoded keys are sent as an encoded body with every value", () => {
+  const { steps, warnings } = convert();
+
+  assert.equal(steps.login.form, undefined);
+  assert.equal(steps.login.body, "scope=read+write&scope=orders&user={{ $processEnvironment.USER }}");
+  assert.equal(steps.login.headers["Content-Type"], "application/x-www-form-urlencoded");
+  assert.ok(warnings.some((w) => w.startsWith("login: Form field(s) 'scope' repeat")));
+  assert.deepEqual(steps.refresh.form, { grant_type: "refresh_token" });
+});
+
+const bearer = (token) => ({ type: "bearer", bearer: [{ key: "token", value: token }] });
+const login = {
+  name: "login",
+  auth: { type: "noauth" },
+  request: { method: "POST", url: "https://api.example.com/login" },
+  event: [{
+    listen: "test",
+    script: {
+      exec: [
+        "pm.test(\"Status code is 200\", function () {",
+        "    pm.response.to.have.status(200);",
+        "});",
+        "var jsonData = pm.response.json();",
+        "pm.expect(jsonData.token_type).to.eql(\"Bearer\");",
+        "pm.environment.set(\"token\", jsonData.access_token);",
+        "postman.setNextRequest(null);",
+      ],
+    },
+  }],
+};
+const scenarioNames = (scenarios) => scenarios.map((scenario) => scenario.flow.map((step) => Object.values(step)[0].name));
+
+test("a folder's bearer {{token}} chains its requests to the login that captures it", () => {
+  const { scenarios, steps } = convert({
+    info: collection.info,
+    item: [
+      { name: "Early", auth: bearer("{{token}}"), item: [get("early", "/early")] },
+      login,
+      { name: "Orders", auth: bearer("{{token}}"), item: [get("list-orders", "/orders"), get("get-order", "/orders/1")] },
+      get("health", "/health"),
+    ],
+  });
+
+  assert.deepEqual(scenarioNames(scenarios), [["early"], ["login", "list-orders", "get-order"], ["health"]]);
+  assert.equal(steps["list-orders"].headers.Authorization, "Bearer {{ token }}");
+  assert.equal(steps["get-order"].headers.Authorization, "Bearer {{ token }}");
+  // Runs before any login, so the token comes from the environment
+  assert.equal(steps.early.headers.Authorization, "{{BEARER_TOKEN}}");
+});
+
+test("a collection-level bearer {{token}} chains too, captures stay in their scenario", () => {
+  const { scenarios, steps } = convert({
+    info: collection.info,
+    auth: bearer("{{token}}"),
+    item: [
+      login,
+      get("me", "/me"),
+      { ...get("status", "/status"), request: { ...get("status", "/status").request, auth: bearer("{{STATUS_TOKEN}}") } },
+      { name: "Public", auth: { type: "noauth" }, item: [get("docs", "/docs")] },
+    ],
+  });
+
+  assert.deepEqual(scenarioNames(scenarios), [["login", "me"], ["status"], ["docs"]]);
+  assert.equal(steps.me.headers.Authorization, "Bearer {{ token }}");
+  assert.equal(steps.status.headers.Authorization, "{{BEARER_TOKEN}}");
+  assert.equal(steps.docs.headers, undefined);
+});
+
+test("pm.* test scripts become expect and capture, the rest is reported", () => {
+  const { steps, warnings } = convert({ info: collection.info, item: [login] });
+
+  assert.deepEqual(steps.login.expect, [{ statusCode: 200 }, { equals: ["{{ expected_token_type }}", "Bearer"] }]);
+  assert.deepEqual(steps.login.capture, [{ json: "$.token_type", as: "expected_token_type" }, { json: "$.access_token", as: "token" }]);
+  assert.deepEqual(warnings, ["login: Test script not converted: postman.setNextRequest(null)"]);
+});
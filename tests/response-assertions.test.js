@@ -0,0 +1,151 @@
+/**
+ * utilities/response-assertions.js: the JSONPath subset, the built-in JSON Schema
+ * validator, one counter per failed rule and abortOnFailure.
+ *
+ * HOW TO RUN:
+ *   npm install && npm test
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "assertions-test-"));
+process.env.ARTILLERY_LOG_DIR = dir;
+const jsonlLogger = require("../utilities/jsonl-logger");
+const assertions = require("../utilities/response-assertions");
+
+after(() => {
+  jsonlLogger.getLogger("errors").flushSync();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const order = {
+  id: "o-1",
+  status: "CREATED",
+  total: 42,
+  items: [{ sku: "SKU-1", qty: 1 }, { sku: "SKU-2", qty: 3, tags: { sku: "nested" } }],
+  "odd key": true,
+};
+
+function recorder() {
+  const counters = {};
+  return { counters, emit: (type, name, value) => { counters[name] = (counters[name] || 0) + value; } };
+}
+
+const run = (requestParams, response, context = { vars: {} }, ee = recorder()) => new Promise((resolve) => {
+  assertions.assertResponse(requestParams, response, context, ee, (err) => resolve({ err, ee }));
+});
+
+const response = (overrides) => ({
+  statusCode: 201,
+  headers: { "content-type": "application/json", "x-request-id": "r-1" },
+  body: JSON.stringify(order),
+  timings: { phases: { total: 120 } },
+  ...overrides,
+});
+
+test("queryJsonPath supports keys, indexes, wildcards and deep scans", () => {
+  assert.deepEqual(assertions.queryJsonPath(order, "$.id"), ["o-1"]);
+  assert.deepEqual(assertions.queryJsonPath(order, "$.items[1].qty"), [3]);
+  assert.deepEqual(assertions.queryJsonPath(order, "$.items[-1].sku"), ["SKU-2"]);
+  assert.deepEqual(assertions.queryJsonPath(order, "$.items[*].sku"), ["SKU-1", "SKU-2"]);
+  assert.deepEqual(assertions.queryJsonPath(order, "$['odd key']"), [true]);
+  assert.deepEqual(assertions.queryJsonPath(order, "$..sku"), ["SKU-1", "SKU-2", "nested"]);
+  assert.deepEqual(assertions.queryJsonPath(order, "$.items[5].sku"), []);
+  assert.deepEqual(assertions.queryJsonPath(order, "$"), [order]);
+  assert.throws(() => assertions.queryJsonPath(order, "$.items[?(@.qty > 1)]"), /Unsupported JSONPath/);
+});
+
+test("the built-in schema validator reports each violated keyword", () => {
+  const schema = {
+    type: "object",
+    required: ["id", "status", "items"],
+    additionalProperties: false,
+    properties: {
+      id: { type: "string", pattern: "^o-" },
+      status: { enum: ["CREATED", "PAID"] },
+      total: { type: "number", minimum: 0, maximum: 40 },
+      items: { type: "array", minItems: 1, items: { type: "object", required: ["sku"], properties: { qty: { type: "integer" } } } },
+    },
+  };
+
+  assert.deepEqual(assertions.validateSchemaSubset(schema, { id: "o-1", status: "PAID", items: [{ sku: "a", qty: 1 }] }), []);
+  assert.deepEqual(assertions.validateSchemaSubset(schema, { id: "x", status: "LOST", total: 41, items: [{ qty: 1.5 }], extra: 1 }), [
+    "$.id: does not match ^o-",
+    "$.status: not one of enum values",
+    "$.total: above maximum 40",
+    "$.items[0]: missing required property 'sku'",
+    "$.items[0].qty: expected integer, got number",
+    "$: unexpected property 'extra'",
+  ]);
+  assert.deepEqual(assertions.validateSchemaSubset({ oneOf: [{ type: "string" }, { type: "number" }] }, 1), []);
+  assert.deepEqual(assertions.validateSchemaSubset({ anyOf: [{ type: "string" }, { type: "null" }] }, 1), ["$: does not match anyOf"]);
+});
+
+test("passing assertions emit nothing and call next without an error", async () => {
+  const { err, ee } = await run({
+    name: "create-order",
+    assertions: {
+      status: [200, 201],
+      maxLatencyMs: 800,
+      headers: { "Content-Type": { matches: "json" }, "x-request-id": { exists: true } },
+      jsonPath: [
+        { path: "$.id", equals: "{{ orderId }}" },
+        { path: "$.total", equals: "42" },
+        { path: "$.items[*].sku", matches: "^SKU-" },
+        { path: "$.deleted", exists: false },
+      ],
+      schema: { type: "object", required: ["id"] },
+    },
+  }, response(), { vars: { orderId: "o-1" } });
+
+  assert.equal(err, undefined);
+  assert.deepEqual(ee.counters, {});
+});
+
+test("each failed rule increments its own counter", async () => {
+  const { err, ee } = await run({
+    name: "create order",
+    assertions: {
+      status: 200,
+      maxLatencyMs: 100,
+      headers: { "x-trace": { exists: true, name: "trace" } },
+      jsonPath: [{ path: "$.items[*].qty", equals: 1 }, { path: "$.status", equals: "PAID", name: "paid" }],
+      schema: { type: "object", required: ["customer"] },
+    },
+  }, response());
+
+  assert.equal(err, undefined);
+  assert.deepEqual(ee.counters, {
+    "assertions.create_order.status.failed": 1,
+    "assertions.create_order.latency.failed": 1,
+    "assertions.create_order.trace.failed": 1,
+    "assertions.create_order.jsonPath.items[*].qty.failed": 1,
+    "assertions.create_order.paid.failed": 1,
+    "assertions.create_order.schema.failed": 1,
+  });
+  jsonlLogger.getLogger("errors").flushSync();
+  const [record] = fs.readFileSync(path.join(dir, "errors.jsonl"), "utf8").trim().split("\n").map(JSON.parse);
+  assert.deepEqual(record.assertionFailures.map((failure) => failure.rule), ["status", "latency", "trace", "jsonPath.items[*].qty", "paid", "schema"]);
+});
+
+test("a non-JSON body fails the JSON rules once", async () => {
+  const failures = assertions.evaluateAssertions({ jsonPath: [{ path: "$.id", exists: true }] }, response({ body: "<html>" }), { vars: {} });
+  assert.deepEqual(failures, [{ rule: "body", message: "response body is not JSON" }]);
+});
+
+test("abortOnFailure fails the request through next(err)", async () => {
+  const { err, ee } = await run({ name: "get-order", assertions: { status: [200], abortOnFailure: true } }, response({ statusCode: 503 }));
+
+  assert.match(err.message, /^Assertions failed for get-order: status 503 not in \[200\]$/);
+  assert.equal(ee.counters["assertions.get-order.status.failed"], 1);
+});
+
+test("requests without an assertions block are left alone", async () => {
+  const { err, ee } = await run({ name: "plain" }, response({ statusCode: 500 }));
+  assert.equal(err, undefined);
+  assert.deepEqual(ee.counters, {});
+});
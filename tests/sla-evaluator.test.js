@@ -0,0 +1,51 @@
+/**
+ * utilities/sla-evaluator.js: endpoints only take another key's SLA by service name
+ * when sla.json opts in or uses the legacy format, and the verdict says which key
+ * applied and how.
+ *
+ * HOW TO RUN:
+ *   npm install && npm test
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const slaEvaluator = require("../utilities/sla-evaluator");
+
+const ENDPOINT = "https://orders-994656192388.us-central1.run.app/orders";
+const report = {
+  aggregate: {
+    counters: { [`plugins.metrics-by-endpoint.${ENDPOINT}.codes.200`]: 50 },
+    summaries: { [`plugins.metrics-by-endpoint.response_time.${ENDPOINT}`]: { count: 50, p95: 700 } },
+    firstMetricAt: 0,
+    lastMetricAt: 60000,
+  },
+};
+const sla = (extra) => slaEvaluator.resolveSlaConfig({ endpoints: { "orders-nafj7uberq-uc.a.run.app/": { p95: 500 } }, ...extra });
+
+test("another service's entry is not applied without matchByService", () => {
+  const [endpoint] = slaEvaluator.evaluate([report], sla()).endpoints;
+  assert.deepEqual([endpoint.slaKey, endpoint.matchedBy, endpoint.status], [null, null, "no-sla"]);
+});
+
+test("matchByService applies the first key on the same service and reports it", () => {
+  const verdict = slaEvaluator.evaluate([report], sla({ matchByService: true }));
+  const [endpoint] = verdict.endpoints;
+
+  assert.deepEqual([endpoint.slaKey, endpoint.matchedBy, endpoint.status], ["orders-nafj7uberq-uc.a.run.app/", "service", "breached"]);
+  assert.equal(verdict.passed, false);
+});
+
+test("exact keys ignore templates and trailing slashes", () => {
+  const keys = ["orders.example.com/orders/", "orders.example.com/"];
+  assert.deepEqual(slaEvaluator.matchSlaKey("orders.example.com/orders/{{ id }}", keys), { key: "orders.example.com/orders/", matchedBy: "exact" });
+  assert.equal(slaEvaluator.matchSlaKey("orders.example.com/refunds", keys), null);
+  assert.deepEqual(slaEvaluator.matchSlaKey("orders.example.com/refunds", keys, { byService: true }), { key: "orders.example.com/orders/", matchedBy: "service" });
+});
+
+test("the legacy positional format keeps matching by service name", () => {
+  const legacy = slaEvaluator.resolveSlaConfig({ "orders-nafj7uberq-uc.a.run.app/": [500, 545] });
+  const [endpoint] = slaEvaluator.evaluate([report], legacy).endpoints;
+
+  assert.equal(legacy.matchByService, true);
+  assert.deepEqual([endpoint.slaKey, endpoint.matchedBy, endpoint.status], ["orders-nafj7uberq-uc.a.run.app/", "service", "breached"]);
+});
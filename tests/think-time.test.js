@@ -0,0 +1,155 @@
+/**
+ * utilities/think-time.js: every distribution draws from its spec (checked with a
+ * fixed Math.random), min / max clamp the result, profiles resolve by name with a
+ * 'default' fallback, and 'pace' waits out the rest of the cycle.
+ *
+ * HOW TO RUN:
+ *   npm install && npm test
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const thinkTime = require("../utilities/think-time");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "think-time-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/** Draws once from a spec with Math.random() returning 'u'. */
+function draw(t, spec, u, context) {
+  t.mock.method(Math, "random", () => u);
+  return thinkTime.createSampler(spec, context)();
+}
+
+/** Fake event emitter recording [type, name, value]. */
+function recorder() {
+  const events = [];
+  return { events, emit: (type, name, value) => events.push([type, name, value]) };
+}
+
+test("fixed pauses accept seconds and durations, clamped by min / max", (t) => {
+  assert.equal(draw(t, 3, 0.5), 3);
+  assert.equal(draw(t, "500ms", 0.5), 0.5);
+  assert.equal(draw(t, { distribution: "fixed", value: "2s", max: 1 }, 0.5), 1);
+  assert.equal(draw(t, { value: 4 }, 0.5), 4);
+});
+
+test("uniform, gaussian and exponential draw from their inverse CDF", (t) => {
+  assert.equal(draw(t, { distribution: "uniform", min: 1, max: 5 }, 0.25), 2);
+  // u = 0.5: −√(2·ln 2) standard deviations
+  assert.ok(Math.abs(draw(t, { distribution: "gaussian", mean: 3, stdDev: 1 }, 0.5) - (3 - Math.sqrt(2 * Math.log(2)))) < 1e-9);
+  assert.equal(draw(t, { distribution: "normal", mean: 0.5, stdDev: 1 }, 0.5), 0);
+  assert.ok(Math.abs(draw(t, { distribution: "exponential", mean: 5 }, 1 - Math.exp(-1)) - 5) < 1e-9);
+  assert.equal(draw(t, { distribution: "poisson", mean: 5, max: 2 }, 0.99), 2);
+});
+
+test("percentiles interpolate between the points, from min up to the top point", (t) => {
+  const spec = { distribution: "percentiles", percentiles: { p50: 2, p90: 6, p99: 15 } };
+
+  const ms = (u) => Math.round(draw(t, spec, u) * 1000);
+  assert.deepEqual([0, 0.25, 0.5, 0.7, 0.9, 0.995].map(ms), [0, 1000, 2000, 4000, 6000, 15000]);
+  assert.equal(draw(t, { ...spec, min: 1 }, 0), 1);
+  assert.equal(draw(t, { ...spec, max: 25 }, 0.995), 20);
+});
+
+test("empirical pauses come from samples or a CSV column", (t) => {
+  assert.equal(draw(t, { distribution: "empirical", samples: [5, 1, 3, "x", 2, 4] }, 0.5), 3);
+  assert.equal(draw(t, { distribution: "empirical", samples: [7] }, 0.9), 7);
+
+  fs.writeFileSync(path.join(dir, "pauses.csv"), "page,seconds\nhome,1\ncart,9\nsearch,5\n");
+  const fromCsv = { distribution: "empirical", path: "pauses.csv", column: "seconds" };
+  assert.equal(draw(t, fromCsv, 0.75, { vars: { $dirname: dir } }), 7);
+});
+
+test("invalid specs are rejected with the setting that is wrong", () => {
+  const rejects = (spec, message) => assert.throws(() => thinkTime.createSampler(spec, undefined, "thinkTimes.x"), { message });
+
+  rejects({ distribution: "lognormal" }, /thinkTimes\.x: unknown distribution 'lognormal'/);
+  rejects({ distribution: "uniform", min: 1 }, /thinkTimes\.x: uniform needs min and max/);
+  rejects({ distribution: "uniform", min: 5, max: 1 }, /thinkTimes\.x: min is greater than max/);
+  rejects({ distribution: "percentiles", percentiles: { p50: 5, p90: 2 } }, /percentile values must not decrease/);
+  rejects({ distribution: "percentiles", percentiles: { p120: 5 } }, /'p120' is not a percentile/);
+  rejects({ distribution: "empirical", samples: ["n/a"] }, /no numeric think times found/);
+  rejects({ distribution: "empirical" }, /empirical needs 'path'/);
+});
+
+test("profiles resolve by name, inline specs and the 'default' profile", () => {
+  const context = { vars: { thinkTimes: { default: 2, browse: "750ms" } } };
+
+  assert.deepEqual(thinkTime.sampleThinkTime("browse", context), { profile: "browse", seconds: 0.75 });
+  assert.deepEqual(thinkTime.sampleThinkTime(undefined, context), { profile: "default", seconds: 2 });
+  assert.deepEqual(thinkTime.sampleThinkTime("4s", context), { profile: "inline", seconds: 4 });
+  assert.deepEqual(thinkTime.sampleThinkTime({ value: 1 }, context), { profile: "inline", seconds: 1 });
+  assert.throws(() => thinkTime.sampleThinkTime("checkout", context), /unknown profile 'checkout'/);
+  assert.throws(() => thinkTime.sampleThinkTime(undefined, { vars: {} }), /thinkTimes\.default is not set/);
+});
+
+test("thinkAfter pauses for the request's profile and records it; thinkTime: 0 skips it", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const ee = recorder();
+  const context = { vars: { thinkTimes: { default: 1, "slow.browse": 3 } } };
+  const next = t.mock.fn();
+
+  thinkTime.thinkAfter({ url: "/products", thinkTime: "slow.browse" }, {}, context, ee, next);
+  t.mock.timers.tick(2999);
+  assert.equal(next.mock.callCount(), 0);
+  t.mock.timers.tick(1);
+  assert.equal(next.mock.callCount(), 1);
+  assert.deepEqual(ee.events, [["histogram", "think_time.slow_browse", 3000]]);
+
+  thinkTime.thinkAfter({ url: "/cart", thinkTime: 0 }, {}, context, ee, next);
+  assert.equal(next.mock.callCount(), 2);
+  assert.equal(ee.events.length, 1);
+
+  thinkTime.thinkAfter({ url: "/x", thinkTime: "missing" }, {}, context, ee, next);
+  assert.match(next.mock.calls[2].arguments[0].message, /unknown profile 'missing'/);
+});
+
+test("pace waits out the cycle, restarts the clock, and counts overruns", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const clock = { now: 1000 };
+  t.mock.method(performance, "now", () => clock.now);
+  const ee = recorder();
+  const context = { vars: { pacing: 30 } };
+  const next = t.mock.fn();
+
+  thinkTime.startPacing(context, ee, () => {});
+  clock.now += 12000;
+  thinkTime.pace(context, ee, next);
+  clock.now += 18000;
+  t.mock.timers.tick(18000);
+  assert.equal(next.mock.callCount(), 1);
+  assert.equal(context._pacing.startedAt, 31000);
+
+  clock.now += 45000;
+  thinkTime.pace(context, ee, next);
+  assert.equal(next.mock.callCount(), 2);
+
+  assert.deepEqual(ee.events, [
+    ["histogram", "pacing.iteration_time", 12000],
+    ["histogram", "pacing.wait", 18000],
+    ["histogram", "pacing.iteration_time", 45000],
+    ["histogram", "pacing.wait", 0],
+    ["counter", "pacing.overrun", 1],
+  ]);
+});
+
+test("pace without a pacing setting or a started clock warns and does not wait", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const ee = recorder();
+  const next = t.mock.fn();
+
+  thinkTime.pace({ vars: {} }, ee, next);
+  const context = { vars: { pacing: "10s" } };
+  thinkTime.pace(context, ee, next);
+
+  assert.equal(next.mock.callCount(), 2);
+  assert.ok(context._pacing);
+  assert.deepEqual(ee.events, []);
+  assert.deepEqual(warn.mock.calls.map((c) => c.arguments[0]), [
+    "⚠️ think-time: 'pace' called but config.variables.pacing is not set (no pacing applied)",
+    "⚠️ think-time: 'pace' called before 'startPacing': the first iteration is not paced",
+  ]);
+});
@@ -0,0 +1,132 @@
+/**
+ * utilities/token-manager.js against a local token endpoint + API stub: token
+ * fetch, cache, refresh before expiry and the one-shot 401 replay.
+ *
+ * HOW TO RUN:
+ *   npm install && npm test
+ */
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStub } = require("./helpers/stub-server");
+const tokenManager = require("../utilities/token-manager");
+
+let stub;
+let issued = 0;
+let expiresIn = 3600;
+const acceptedTokens = new Set();
+
+before(async () => {
+  stub = await startStub((req) => {
+    if (req.path === "/token") {
+      issued += 1;
+      const token = `token-${issued}`;
+      acceptedTokens.add(token);
+      return {
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ access_token: token, refresh_token: `refresh-${issued}`, expires_in: expiresIn }),
+      };
+    }
+    const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+    if (!acceptedTokens.has(token)) return { status: 401, body: "{\"error\":\"invalid_token\"}" };
+    return { headers: { "Content-Type": "application/json" }, body: JSON.stringify({ ok: true, token, echo: req.body }) };
+  });
+});
+
+after(() => stub.close());
+
+beforeEach(() => {
+  stub.requests.length = 0;
+  expiresIn = 3600;
+});
+
+function recorder() {
+  const counters = {};
+  return { counters, emit: (type, name, value) => { counters[name] = (counters[name] || 0) + value; } };
+}
+
+function vuContext(client) {
+  return {
+    vars: {
+      target: stub.url,
+      authClients: {
+        [client.name]: { grant: "client_credentials", tokenUrl: `${stub.url}/token`, clientId: "load-test", clientSecret: "s3cret", scope: "orders.write", ...client.spec },
+      },
+    },
+  };
+}
+
+const attach = (requestParams, context, ee) => new Promise((resolve, reject) => {
+  tokenManager.attachToken(requestParams, context, ee, (err) => (err ? reject(err) : resolve(requestParams)));
+});
+
+const tokenCalls = () => stub.requests.filter((req) => req.path === "/token");
+
+test("attachToken fetches a client_credentials token and sets the bearer header", async () => {
+  const ee = recorder();
+  const params = await attach({ url: "/orders", authClient: "fetch" }, vuContext({ name: "fetch" }), ee);
+
+  assert.match(params.headers.Authorization, /^Bearer token-\d+$/);
+  const [call] = tokenCalls();
+  const form = new URLSearchParams(call.body);
+  assert.equal(form.get("grant_type"), "client_credentials");
+  assert.equal(form.get("scope"), "orders.write");
+  assert.equal(call.headers.authorization, `Basic ${Buffer.from("load-test:s3cret").toString("base64")}`);
+  assert.equal(ee.counters["auth.fetch.token_fetched"], 1);
+});
+
+test("tokens are cached per client and shared by concurrent VUs", async () => {
+  const ee = recorder();
+  const results = await Promise.all([1, 2, 3].map(() => attach({ url: "/orders", authClient: "cache" }, vuContext({ name: "cache" }), ee)));
+  const later = await attach({ url: "/orders", authClient: "cache" }, vuContext({ name: "cache" }), ee);
+
+  assert.equal(tokenCalls().length, 1);
+  results.forEach((params) => assert.equal(params.headers.Authorization, later.headers.Authorization));
+});
+
+test("a token inside the refresh window is refreshed with its refresh_token", async () => {
+  const ee = recorder();
+  expiresIn = 30;   // refreshBeforeSeconds 60: already inside the window
+  const context = vuContext({ name: "refresh", spec: { refreshBeforeSeconds: 60 } });
+
+  const first = await attach({ url: "/orders", authClient: "refresh" }, context, ee);
+  expiresIn = 3600;
+  const second = await attach({ url: "/orders", authClient: "refresh" }, context, ee);
+  const third = await attach({ url: "/orders", authClient: "refresh" }, context, ee);
+
+  const [, refreshCall] = tokenCalls();
+  assert.equal(tokenCalls().length, 2);
+  assert.equal(new URLSearchParams(refreshCall.body).get("grant_type"), "refresh_token");
+  assert.match(new URLSearchParams(refreshCall.body).get("refresh_token"), /^refresh-\d+$/);
+  assert.notEqual(second.headers.Authorization, first.headers.Authorization);
+  assert.equal(third.headers.Authorization, second.headers.Authorization);
+  assert.equal(ee.counters["auth.refresh.token_refreshed"], 1);
+});
+
+test("retryOn401 replays the request once with a new token", async () => {
+  const ee = recorder();
+  const context = vuContext({ name: "replay" });
+  const params = await attach({ method: "POST", url: "/orders", json: { sku: "A-1" }, authClient: "replay" }, context, ee);
+  const rejected = params.headers.Authorization.replace(/^Bearer /, "");
+  acceptedTokens.delete(rejected);   // the API revoked it
+
+  const response = { statusCode: 401, headers: {}, body: "{\"error\":\"invalid_token\"}" };
+  await new Promise((resolve) => tokenManager.retryOn401(params, response, context, ee, resolve));
+
+  assert.equal(response.statusCode, 200);
+  const body = JSON.parse(response.body);
+  assert.notEqual(body.token, rejected);
+  assert.deepEqual(JSON.parse(body.echo), { sku: "A-1" });
+  assert.equal(ee.counters["auth.replay.retried_401"], 1);
+  assert.equal(context._authTokens.replay, body.token);
+});
+
+test("retryOn401 leaves other statuses and unmanaged requests alone", async () => {
+  const ee = recorder();
+  const response = { statusCode: 401, headers: {}, body: "" };
+  await new Promise((resolve) => tokenManager.retryOn401({ url: "/orders" }, response, { vars: {} }, ee, resolve));
+  await new Promise((resolve) => tokenManager.retryOn401({ url: "/orders" }, { statusCode: 500 }, vuContext({ name: "x" }), ee, resolve));
+
+  assert.equal(response.statusCode, 401);
+  assert.equal(stub.requests.length, 0);
+});
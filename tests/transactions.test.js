@@ -0,0 +1,130 @@
+/**
+ * utilities/transactions.js: a transaction is emitted like a metrics-by-endpoint
+ * request (duration + code / error), named from its inner requests, failed by an
+ * inner 4xx / 5xx or a VU error, and a failed inner transaction fails the outer one.
+ *
+ * HOW TO RUN:
+ *   npm install && npm test
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const transactions = require("../utilities/transactions");
+
+/** Runs the hooks of one VU against a fake event emitter, with a controllable clock. */
+function vu(t) {
+  const events = [];
+  const ee = { emit: (type, name, value) => events.push([type, name, value]) };
+  const clock = { now: 1000 };
+  t.mock.method(performance, "now", () => clock.now);
+  const context = { vars: {} };
+  const done = () => {};
+  return {
+    events,
+    context,
+    clock,
+    start: () => transactions.startTransaction(context, ee, done),
+    end: () => transactions.endTransaction(context, ee, done),
+    response: (params, statusCode) => transactions.trackTransaction(params, { statusCode }, context, ee, done),
+    error: (err, params) => transactions.failTransactions(err, params, context, ee, done),
+  };
+}
+
+test("a passing transaction reports its duration and a 200 under its 'transaction' name", (t) => {
+  const run = vu(t);
+  run.start();
+  run.response({ url: "/login", name: "Login", transaction: "Checkout" }, 200);
+  run.clock.now += 250;
+  run.response({ url: "/orders", name: "Place order" }, 201);
+  run.clock.now += 100;
+  run.end();
+
+  assert.deepEqual(run.events, [
+    ["histogram", "plugins.metrics-by-endpoint.response_time.Checkout", 350],
+    ["counter", "plugins.metrics-by-endpoint.Checkout.codes.200", 1],
+  ]);
+  assert.deepEqual(run.context._transactions, []);
+});
+
+test("an unnamed transaction is named after its first request", (t) => {
+  const run = vu(t);
+  run.start();
+  run.response({ url: "/health", method: "GET" }, 200);
+  run.end();
+  run.start();
+  run.end();
+
+  assert.deepEqual(run.events.map(([, name]) => name), [
+    "plugins.metrics-by-endpoint.response_time.GET /health transaction",
+    "plugins.metrics-by-endpoint.GET /health transaction.codes.200",
+    "plugins.metrics-by-endpoint.response_time.transaction",
+    "plugins.metrics-by-endpoint.transaction.codes.200",
+  ]);
+});
+
+test("an inner 4xx / 5xx fails the transaction with the first failing status", (t) => {
+  const run = vu(t);
+  run.start();
+  run.response({ url: "/cart", name: "Cart", transaction: "Buy" }, 404);
+  run.response({ url: "/pay", name: "Pay" }, 503);
+  run.end();
+
+  assert.deepEqual(run.events[1], ["counter", "plugins.metrics-by-endpoint.Buy.codes.404", 1]);
+});
+
+test("a failed inner transaction fails the outer one; 'transaction' names the innermost unnamed one", (t) => {
+  const run = vu(t);
+  run.start();
+  run.response({ url: "/home", name: "Home", transaction: "Visit" }, 200);
+  run.start();
+  run.clock.now += 40;
+  run.response({ url: "/search", name: "Search", transaction: "Find" }, 500);
+  run.end();
+  run.clock.now += 60;
+  run.end();
+
+  assert.deepEqual(run.events, [
+    ["histogram", "plugins.metrics-by-endpoint.response_time.Find", 40],
+    ["counter", "plugins.metrics-by-endpoint.Find.codes.500", 1],
+    ["histogram", "plugins.metrics-by-endpoint.response_time.Visit", 100],
+    ["counter", "plugins.metrics-by-endpoint.Visit.codes.500", 1],
+  ]);
+});
+
+test("a request error closes every open transaction as failed, without a duration", (t) => {
+  const run = vu(t);
+  run.start();
+  run.start();
+  run.error({ code: "ETIMEDOUT" }, { url: "/slow", name: "Slow", transaction: "Report" });
+
+  assert.deepEqual(run.events, [
+    ["counter", "plugins.metrics-by-endpoint.Report.errors.ETIMEDOUT", 1],
+    ["counter", "plugins.metrics-by-endpoint.Slow transaction.errors.ETIMEDOUT", 1],
+  ]);
+  assert.deepEqual(run.context._transactions, []);
+});
+
+test("assertion failures and VU errors are counted under metric-safe error names", (t) => {
+  const run = vu(t);
+  run.start();
+  run.response({ url: "/orders", name: "Orders", transaction: "Order" }, 200);
+  transactions.markTransactionFailed(run.context, { error: "AssertionFailure" });
+  run.end();
+  run.start();
+  run.error({ name: "Socket.Error closed" }, { url: "/pay", name: "Pay", transaction: "Payment" });
+
+  assert.deepEqual(run.events.filter(([type]) => type === "counter").map(([, name]) => name), [
+    "plugins.metrics-by-endpoint.Order.errors.AssertionFailure",
+    "plugins.metrics-by-endpoint.Payment.errors.Socket_Error_closed",
+  ]);
+});
+
+test("endTransaction without a startTransaction is ignored with one warning", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const run = vu(t);
+  run.end();
+  run.end();
+
+  assert.deepEqual(run.events, []);
+  assert.deepEqual(warn.mock.calls.map((c) => c.arguments[0]), ["⚠️ transactions: endTransaction without a matching startTransaction (ignored)"]);
+});
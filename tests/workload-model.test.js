@@ -0,0 +1,51 @@
+/**
+ * utilities/workload-model.js: stepped ramps keep their planned duration,
+ * 'build --sla' only writes the sla.json entry named by the endpoint / slaKey, and
+ * compareWithSla falls back to the service name like sla-evaluator.js.
+ *
+ * HOW TO RUN:
+ *   npm install && npm test
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const workloadModel = require("../utilities/workload-model");
+
+const spec = (overrides) => ({ runners: 1, steadyState: "10m", transactions: { orders: { tps: 10 } }, ...overrides });
+const total = (phases, prefix) => phases.filter((p) => p.name.startsWith(prefix)).reduce((sum, p) => sum + p.duration, 0);
+
+test("a stepped ramp-down fills rampDown with non-zero steps", () => {
+  const { phases } = workloadModel.buildWorkload(spec({ profile: "steps", steps: 4, rampUp: "1m", rampDown: "2m" }));
+  const down = phases.filter((p) => p.name.startsWith("RampDown"));
+
+  assert.equal(total(phases, "RampUp"), 60);
+  assert.equal(total(phases, "RampDown"), 120);
+  assert.deepEqual(down.map((p) => p.arrivalRate), [8, 6, 4, 2]);
+});
+
+test("a single-step ramp-down still runs for rampDown", () => {
+  const { phases } = workloadModel.buildWorkload(spec({ profile: "steps", steps: 1, rampDown: "1m" }));
+  assert.deepEqual(phases.at(-1), { duration: 60, arrivalRate: 5, name: "RampDown_step_1_of_1_5_per_sec" });
+});
+
+test("updateSla leaves entries of other endpoints on the same service alone", () => {
+  const existing = { endpoints: { "orders-abc.a.run.app/": { p95: 300, expectedTph: 100 }, "orders-abc.a.run.app/v2/": { p95: 500 } } };
+  const { sla, changes } = workloadModel.updateSla(existing, { "orders-abc.a.run.app/v2": 40, "orders-abc.a.run.app/v3": 7 });
+
+  assert.deepEqual(sla.endpoints["orders-abc.a.run.app/"], { p95: 300, expectedTph: 100 });
+  assert.deepEqual(sla.endpoints["orders-abc.a.run.app/v2/"], { p95: 500, expectedTph: 40 });
+  assert.deepEqual(sla.endpoints["orders-abc.a.run.app/v3"], { expectedTph: 7 });
+  assert.deepEqual(changes, [
+    "orders-abc.a.run.app/v2/: expectedTph (none) → 40",
+    "orders-abc.a.run.app/v3: new entry, expectedTph 7",
+  ]);
+});
+
+test("compareWithSla matches by service only when sla.json asks for it or is legacy", () => {
+  const load = { endpoints: [{ name: "orders-abc.a.run.app/v2", count: 10, tph: 100 }] };
+  const legacy = workloadModel.compareWithSla(load, { "orders-xyz.a.run.app/": [500, 100] });
+  const named = workloadModel.compareWithSla(load, { endpoints: { "orders-xyz.a.run.app/": { expectedTph: 100 } } });
+
+  assert.deepEqual([legacy[0].key, legacy[0].matchedBy, legacy[0].ok], ["orders-xyz.a.run.app/", "service", true]);
+  assert.deepEqual([named[0].key, named[0].expectedTph], [null, null]);
+});
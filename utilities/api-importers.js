@@ -0,0 +1,647 @@
+/**
+ * ============================================================
+ * HAR / OPENAPI → POSTMAN-SHAPED COLLECTION (importers for postman-converter.js)
+ * ============================================================
+ * Provides:
+ *   ✅ HAR recording → one flow in recorded order, think times from the timings
+ *      (static assets, third-party hosts, CORS preflights and followed redirects dropped)
+ *   ✅ HAR dynamic values (response JSON fields / headers reused by later requests)
+ *      → captures on the producing request + {{variables}} in the consumers
+ *   ✅ OpenAPI 3 (JSON or YAML) → one request per operation with example payloads,
+ *      security schemes as Postman auth and the documented success status
+ *   ✅ OpenAPI path / required query / header parameters → {{variables}} + parameter
+ *      rules + a CSV skeleton (one row of example values)
+ *   ✅ Same code in Node (utilities/postman-to-artillery.js) and the browser page
+ *      (postman-artillery-converter.html loads this file as window.ApiImporters)
+ * ============================================================
+ *
+ * USAGE:
+ *   const { importDocument } = require("./api-importers");
+ *   const { format, collection, rules, warnings } = importDocument(text, "shop.har");
+ *   const converter = createConverter({ rules });                // same rules format as the rules file
+ *   converter.buildFiles(converter.loadCollection(collection), { mode: "single" });
+ *
+ * The collection is a Postman v2.1 collection, so everything downstream (parameter
+ * rules, secrets → env vars, pm.* scripts → capture / expect, chaining, YAML + CSV
+ * output) is the Postman converter's. Two non-Postman hints ride on the items:
+ *   item.artillery.flow    requests with the same flow name share one scenario
+ *   item.artillery.think   seconds to pause before the request
+ *
+ * DYNAMIC VALUE HEURISTIC (HAR): a response value is a candidate when it is a string
+ * of 4+ characters containing a digit (or 12+ characters), or an integer of 3+ digits,
+ * that no earlier request sent. When a later request sends it (URL segment / query
+ * value, header, body), the latest response holding it captures it.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(() => {
+      try {
+        return require("yaml");
+      } catch (err) {
+        return null;
+      }
+    });
+  } else {
+    root.ApiImporters = factory(() => root.YAML);
+  }
+})(typeof self !== "undefined" ? self : this, function (loadYaml) {
+  const STATIC_EXTENSIONS = /\.(?:css|js|mjs|map|png|jpe?g|gif|svg|ico|webp|avif|bmp|woff2?|ttf|otf|eot|mp4|webm|mp3|wav|ogg)$/i;
+  const STATIC_MIME = /^(?:text\/css|image\/|font\/|audio\/|video\/|application\/(?:x-)?(?:javascript|font-\w+)|text\/javascript)/i;
+  const STATIC_RESOURCE_TYPES = ["stylesheet", "script", "image", "font", "media", "manifest", "texttrack", "websocket", "ping"];
+
+  // Request headers the browser (or Artillery) manages itself
+  const BROWSER_HEADERS = [
+    "host", "content-length", "connection", "accept-encoding", "cookie", "user-agent", "referer", "origin",
+    "pragma", "cache-control", "priority", "dnt", "upgrade-insecure-requests", "if-none-match", "if-modified-since",
+  ];
+
+  // Response headers that never carry a value a later request reuses
+  const STANDARD_RESPONSE_HEADERS = /^(?:date|server|vary|age|expires|last-modified|etag|connection|keep-alive|transfer-encoding|set-cookie|content-.*|access-control-.*|cache-control|pragma|strict-transport-security|alt-svc|via|x-content-type-options|x-frame-options|x-xss-protection|report-to|nel|cf-.*|x-cache.*|x-amz-cf-.*)$/i;
+
+  const GENERIC_KEYS = ["id", "uuid", "guid", "key", "value", "code", "token", "name"];
+  const HTTP_METHODS = ["get", "put", "post", "delete", "patch", "head", "options"];
+  const SCHEMA_DEPTH_LIMIT = 8;
+  const MAX_CANDIDATES_PER_RESPONSE = 500;
+
+  // -------------------------------
+  // Helpers
+  // -------------------------------
+
+  const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+  const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+  /** 'X-CSRF-Token' → xCsrfToken, 'access_token' → accessToken, 'petId' → petId. */
+  function camelCase(text) {
+    const words = String(text).split(/[^a-zA-Z0-9]+/).filter(Boolean)
+      .map((word) => (word === word.toUpperCase() ? word.toLowerCase() : word));
+    return words
+      .map((word, i) => (i === 0 ? word[0].toLowerCase() : word[0].toUpperCase()) + word.slice(1))
+      .join("")
+      .replace(/^(\d)/, "_$1");
+  }
+
+  function decodeBase64(text) {
+    if (typeof Buffer !== "undefined") return Buffer.from(text, "base64").toString("utf8");
+    return decodeURIComponent(escape(atob(text)));
+  }
+
+  function parseJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  /** Postman v2.1 collection shell. */
+  const collectionOf = (name, items, variables) => ({
+    info: { name, schema: "https://schema.getpostman.com/json/collection/v2.1.0/collection.json" },
+    item: items,
+    ...(variables.length > 0 ? { variable: variables } : {}),
+  });
+
+  /**
+   * Postman test script: the expected status and pm.environment.set captures.
+   * 200 is the converter's default and 3xx is never seen (Artillery follows redirects).
+   */
+  function testEvent(status, captureLines) {
+    const exec = [];
+    if (status && status !== 200 && (status < 300 || status >= 400)) exec.push(`pm.test("Status code is ${status}", function () { pm.response.to.have.status(${status}); });`);
+    exec.push(...captureLines);
+    return exec.length > 0 ? [{ listen: "test", script: { type: "text/javascript", exec } }] : [];
+  }
+
+  // -------------------------------
+  // HAR
+  // -------------------------------
+
+  function isStaticEntry(entry) {
+    const url = entry.request.url.split("?")[0];
+    const mimeType = (entry.response && entry.response.content && entry.response.content.mimeType) || "";
+    return STATIC_RESOURCE_TYPES.includes(entry._resourceType) || STATIC_EXTENSIONS.test(url) || STATIC_MIME.test(mimeType);
+  }
+
+  /** Hosts to keep: the given list, else the host with the most non-static requests. */
+  function primaryHosts(entries, hosts) {
+    if (hosts && hosts.length > 0) return hosts.map((h) => h.toLowerCase());
+    const counts = new Map();
+    entries.forEach((entry) => {
+      const host = new URL(entry.request.url).host.toLowerCase();
+      counts.set(host, (counts.get(host) || 0) + 1);
+    });
+    const [top] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    return top ? [top[0]] : [];
+  }
+
+  /** Response body text (base64 decoded), or '' when not recorded. */
+  function responseText(entry) {
+    const content = (entry.response && entry.response.content) || {};
+    if (typeof content.text !== "string") return "";
+    try {
+      return content.encoding === "base64" ? decodeBase64(content.text) : content.text;
+    } catch (e) {
+      return "";
+    }
+  }
+
+  function isCandidate(value) {
+    if (typeof value === "number") return Number.isInteger(value) && Math.abs(value) >= 100;
+    if (typeof value !== "string" || value.length > 2048) return false;
+    return (value.length >= 4 && /\d/.test(value)) || value.length >= 12;
+  }
+
+  /** Candidate leaves of a JSON document: [{ value, path: ['items', 0, 'id'] }]. */
+  function jsonCandidates(json) {
+    const found = [];
+    (function walk(node, path) {
+      if (found.length >= MAX_CANDIDATES_PER_RESPONSE) return;
+      if (Array.isArray(node)) {
+        node.forEach((child, i) => walk(child, [...path, i]));
+      } else if (isPlainObject(node)) {
+        // Keys the converter's capture translation cannot address are skipped
+        Object.keys(node).filter((key) => /^\w+$/.test(key)).forEach((key) => walk(node[key], [...path, key]));
+      } else if (isCandidate(node)) {
+        found.push({ value: String(node), path });
+      }
+    })(json, []);
+    return found;
+  }
+
+  /** Variable name for a JSON path: 'order.id' → orderId, 'token' → token. */
+  function nameForPath(path, fallback) {
+    const keys = path.filter((key) => typeof key === "string");
+    const last = keys[keys.length - 1];
+    if (!last) return camelCase(`${fallback}_value`);
+    if (!GENERIC_KEYS.includes(last.toLowerCase())) return camelCase(last);
+    const parent = keys[keys.length - 2] || fallback;
+    return camelCase(`${parent}_${last}`);
+  }
+
+  /** Last non-numeric path segment of a URL (used to name root-level values). */
+  function resourceName(url) {
+    const segments = new URL(url).pathname.split("/").filter((s) => s && !/\d/.test(s));
+    return segments[segments.length - 1] || "response";
+  }
+
+  /**
+   * Converts a HAR recording into a single-flow collection.
+   * @param {Object} har - HAR 1.2 document ({ log: { entries } })
+   * @param {Object} [options]
+   * @param {string[]} [options.hosts] - Hosts to keep (default: the busiest host)
+   * @param {number} [options.minThink=1] - Gaps shorter than this (seconds) are not paused
+   * @param {boolean} [options.thinkTime=true] - false: no think steps
+   * @param {boolean} [options.captures=true] - false: no dynamic-value detection
+   * @returns {{ collection: Object, rules: Object, warnings: string[] }}
+   */
+  function fromHar(har, options = {}) {
+    if (!har || !har.log || !Array.isArray(har.log.entries)) throw new Error("Not a HAR file (log.entries is missing)");
+    const minThink = options.minThink !== undefined ? Number(options.minThink) : 1;
+    const warnings = [];
+
+    // 1. Requests worth replaying
+    const dynamicEntries = har.log.entries
+      .filter((entry) => entry && entry.request && /^https?:/i.test(entry.request.url))
+      .filter((entry) => entry.request.method !== "OPTIONS" && !isStaticEntry(entry) && (!entry.response || entry.response.status !== 0))
+      .sort((a, b) => new Date(a.startedDateTime) - new Date(b.startedDateTime));
+    const hosts = primaryHosts(dynamicEntries, options.hosts);
+    const dropped = new Map();
+    const entries = [];
+    let redirectTarget = null;
+    dynamicEntries.forEach((entry) => {
+      const host = new URL(entry.request.url).host.toLowerCase();
+      if (!hosts.includes(host)) {
+        dropped.set(host, (dropped.get(host) || 0) + 1);
+        return;
+      }
+      // Artillery follows redirects itself: the recorded follow-up request is not replayed
+      if (redirectTarget && entry.request.url === redirectTarget) {
+        redirectTarget = null;
+        return;
+      }
+      const status = entry.response ? entry.response.status : 0;
+      redirectTarget = status >= 300 && status < 400 && entry.response.redirectURL
+        ? new URL(entry.response.redirectURL, entry.request.url).href
+        : null;
+      entries.push(entry);
+    });
+    dropped.forEach((count, host) => warnings.push(`Dropped ${count} request(s) to ${host} (not one of: ${hosts.join(", ")})`));
+    if (entries.length === 0) throw new Error("No replayable requests in the HAR file (only static assets or other hosts)");
+
+    const origin = new URL(entries[0].request.url).origin;
+    const flowName = (har.log.pages && har.log.pages[0] && har.log.pages[0].title) || "HAR recording";
+
+    // 2. Postman requests (URLs relative to {{baseUrl}} when on the first origin)
+    const requests = entries.map((entry) => {
+      const url = new URL(entry.request.url);
+      const headers = (entry.request.headers || [])
+        .filter((h) => h.name && !h.name.startsWith(":") && !BROWSER_HEADERS.includes(h.name.toLowerCase()) && !/^sec-/i.test(h.name))
+        .map((h) => ({ key: h.name, value: h.value }));
+      const request = {
+        method: entry.request.method,
+        header: headers,
+        url: url.origin === origin ? `{{baseUrl}}${url.pathname}${url.search}` : url.href,
+      };
+      const postData = entry.request.postData;
+      if (postData) {
+        const mimeType = (postData.mimeType || "").toLowerCase();
+        if (mimeType.includes("x-www-form-urlencoded") && Array.isArray(postData.params) && postData.params.length > 0) {
+          request.body = { mode: "urlencoded", urlencoded: postData.params.map((p) => ({ key: p.name, value: decodeURIComponent(p.value || "") })) };
+        } else if (mimeType.includes("multipart/form-data")) {
+          const params = postData.params || [];
+          request.body = { mode: "formdata", formdata: params.map((p) => (p.fileName ? { key: p.name, type: "file", src: p.fileName } : { key: p.name, type: "text", value: p.value || "" })) };
+          if (params.length === 0) warnings.push(`${entry.request.method} ${url.pathname}: multipart body was not recorded`);
+        } else if (typeof postData.text === "string") {
+          const language = mimeType.includes("json") ? "json" : mimeType.includes("xml") ? "xml" : "text";
+          request.body = { mode: "raw", raw: postData.text, options: { raw: { language } } };
+        }
+      }
+      return request;
+    });
+
+    // 3. Dynamic values: response value → capture on the producer, {{name}} in consumers
+    const captureLines = entries.map(() => []);
+    if (options.captures !== false) {
+      const known = new Map(); // value → { producer, name, source }
+      const captured = new Set(); // `${producer}|${name}`
+      const names = new Map(); // name → value
+      let sentSoFar = "";
+
+      const uniqueName = (base, value) => {
+        let name = base;
+        for (let i = 2; names.has(name) && names.get(name) !== value; i += 1) name = `${base}${i}`;
+        names.set(name, value);
+        return name;
+      };
+
+      entries.forEach((entry, j) => {
+        const request = requests[j];
+        sentSoFar += JSON.stringify(entry.request);
+
+        // Consumers: replace the longest values first (a token may contain an id)
+        [...known.keys()].sort((a, b) => b.length - a.length).forEach((value) => {
+          const pattern = new RegExp(`(^|[^\\w-])${escapeRegExp(value)}(?=$|[^\\w-])`, "g");
+          const replace = (text) => (typeof text === "string" ? text.replace(pattern, (m, before) => `${before}{{${known.get(value).name}}}`) : text);
+          const before = JSON.stringify(request);
+          request.url = replace(request.url);
+          request.header.forEach((h) => { h.value = replace(h.value); });
+          if (request.body && request.body.mode === "raw") request.body.raw = replace(request.body.raw);
+          if (request.body && request.body[request.body.mode] && Array.isArray(request.body[request.body.mode])) {
+            request.body[request.body.mode].forEach((p) => { if (p.type !== "file") p.value = replace(p.value); });
+          }
+          if (JSON.stringify(request) === before) return;
+
+          const { producer, name, source } = known.get(value);
+          if (captured.has(`${producer}|${name}`)) return;
+          captured.add(`${producer}|${name}`);
+          captureLines[producer].push(`pm.environment.set("${name}", ${source});`);
+        });
+
+        // Producers: values this response introduces
+        const json = parseJson(responseText(entry));
+        if (json !== undefined) {
+          jsonCandidates(json).forEach(({ value, path }) => {
+            if (sentSoFar.includes(value)) return;
+            const accessor = path.map((key) => (typeof key === "number" ? `[${key}]` : `.${key}`)).join("");
+            const name = uniqueName(nameForPath(path, resourceName(entry.request.url)), value);
+            known.set(value, { producer: j, name, source: `pm.response.json()${accessor}` });
+          });
+        }
+        ((entry.response && entry.response.headers) || [])
+          .filter((h) => h.name && !STANDARD_RESPONSE_HEADERS.test(h.name) && isCandidate(h.value) && !sentSoFar.includes(h.value))
+          .forEach((h) => {
+            const name = uniqueName(camelCase(h.name.replace(/^x-/i, "")), h.value);
+            known.set(h.value, { producer: j, name, source: `pm.response.headers.get("${h.name}")` });
+          });
+      });
+    }
+
+    // 4. Items: one flow, think time = idle gap before each request
+    let previousEnd = null;
+    const items = entries.map((entry, j) => {
+      const start = new Date(entry.startedDateTime).getTime();
+      const gap = previousEnd === null ? 0 : (start - previousEnd) / 1000;
+      previousEnd = Math.max(previousEnd || 0, start + (Number(entry.time) || 0));
+      const item = {
+        // Named after the templated path, so repeated calls share one endpoint metric; variables
+        // become {param} like OpenAPI paths, since a name with '{{ }}' would be templated per VU
+        name: `${entry.request.method} ${(requests[j].url.replace(/^\{\{baseUrl\}\}/, "").replace(/^https?:\/\/[^/]+/, "").split("?")[0] || "/").replace(/\{\{\s*([^}]+?)\s*\}\}/g, "{$1}")}`,
+        request: requests[j],
+        event: testEvent(entry.response && entry.response.status, captureLines[j]),
+        artillery: { flow: flowName },
+      };
+      if (options.thinkTime !== false && gap >= minThink) item.artillery.think = Math.round(gap * 10) / 10;
+      return item;
+    });
+
+    return {
+      collection: collectionOf(flowName, items, [{ key: "baseUrl", value: origin }]),
+      rules: { rules: [] },
+      warnings,
+    };
+  }
+
+  // -------------------------------
+  // OpenAPI 3
+  // -------------------------------
+
+  /**
+   * Resolves a local '#/components/…' $ref (one level; callers recurse).
+   * The $refs followed on the way are added to 'seen'.
+   */
+  function deref(spec, node, seen = new Set()) {
+    let current = node;
+    while (isPlainObject(current) && typeof current.$ref === "string") {
+      if (seen.has(current.$ref) || !current.$ref.startsWith("#/")) return {};
+      seen.add(current.$ref);
+      current = current.$ref.slice(2).split("/")
+        .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"))
+        .reduce((obj, part) => (obj ? obj[part] : undefined), spec) || {};
+    }
+    return current || {};
+  }
+
+  /** True when the schema (or its array items) refers back to a $ref in 'refPath'. */
+  function refersTo(spec, schemaNode, refPath) {
+    const refs = new Set();
+    const schema = deref(spec, schemaNode, refs);
+    if (schema.type === "array" && schema.items) deref(spec, schema.items, refs);
+    return [...refs].some((ref) => refPath.has(ref));
+  }
+
+  /**
+   * Example value for a schema: example / default / enum, else a sample by type and format.
+   * 'refPath' holds the $refs being sampled above this node: a required property that
+   * refers back to one is null (an empty list for arrays), an optional one is left out.
+   */
+  function sampleFromSchema(spec, schemaNode, depth = 0, forRequest = true, refPath = new Set()) {
+    const refs = new Set();
+    const schema = deref(spec, schemaNode, refs);
+    if (schema.example !== undefined) return schema.example;
+    if (schema.default !== undefined) return schema.default;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+    if (depth > SCHEMA_DEPTH_LIMIT || [...refs].some((ref) => refPath.has(ref))) return null;
+    const path = new Set([...refPath, ...refs]);
+    const sampleOf = (node) => sampleFromSchema(spec, node, depth + 1, forRequest, path);
+    if (Array.isArray(schema.allOf)) {
+      return schema.allOf.reduce((merged, part) => {
+        const sample = sampleOf(part);
+        return isPlainObject(sample) ? { ...merged, ...sample } : merged;
+      }, {});
+    }
+    const variant = (schema.oneOf || schema.anyOf || [])[0];
+    if (variant) return sampleOf(variant);
+
+    const type = Array.isArray(schema.type) ? schema.type.find((t) => t !== "null") : schema.type;
+    if (type === "object" || (!type && schema.properties)) {
+      const required = Array.isArray(schema.required) ? schema.required : [];
+      const sample = {};
+      Object.entries(schema.properties || {}).forEach(([key, property]) => {
+        if (forRequest && deref(spec, property).readOnly) return;
+        if (!required.includes(key) && refersTo(spec, property, path)) return;
+        sample[key] = sampleOf(property);
+      });
+      return sample;
+    }
+    if (type === "array") return refersTo(spec, schema.items || {}, path) ? [] : [sampleOf(schema.items || {})];
+    if (type === "integer" || type === "number") return schema.minimum !== undefined ? schema.minimum : 1;
+    if (type === "boolean") return true;
+    const byFormat = {
+      "date-time": "2024-01-01T00:00:00Z",
+      date: "2024-01-01",
+      email: "user@example.com",
+      uuid: "00000000-0000-4000-8000-000000000000",
+      uri: "https://example.com",
+      binary: "",
+    };
+    return byFormat[schema.format] !== undefined ? byFormat[schema.format] : "string";
+  }
+
+  /** Example of a parameter or media type object (example / examples / schema). */
+  function exampleOf(spec, node) {
+    const resolved = deref(spec, node);
+    if (resolved.example !== undefined) return resolved.example;
+    if (isPlainObject(resolved.examples)) {
+      const first = Object.values(resolved.examples)[0];
+      if (first !== undefined) return deref(spec, first).value;
+    }
+    return resolved.schema ? sampleFromSchema(spec, resolved.schema) : "";
+  }
+
+  /** Base URL of the first server with its variables filled in. */
+  function serverUrl(spec) {
+    const server = (spec.servers || [])[0];
+    if (!server || !server.url) return "";
+    return server.url
+      .replace(/\{(\w+)\}/g, (m, name) => {
+        const variable = server.variables && server.variables[name];
+        return variable && variable.default !== undefined ? variable.default : m;
+      })
+      .replace(/\/$/, "");
+  }
+
+  /** Postman auth block for an operation's first security requirement (null: none). */
+  function authFor(spec, operation, warnings, label) {
+    const requirements = operation.security !== undefined ? operation.security : spec.security;
+    if (!Array.isArray(requirements) || requirements.length === 0) return null;
+    const [schemeName] = Object.keys(requirements[0] || {});
+    if (!schemeName) return { type: "noauth" };
+    const scheme = deref(spec, ((spec.components || {}).securitySchemes || {})[schemeName]);
+    const kv = (pairs) => Object.entries(pairs).map(([key, value]) => ({ key, value }));
+    const scopes = (requirements[0][schemeName] || []).join(" ");
+
+    if (scheme.type === "http" && /^bearer$/i.test(scheme.scheme)) return { type: "bearer", bearer: kv({ token: "{{bearerToken}}" }) };
+    if (scheme.type === "http" && /^basic$/i.test(scheme.scheme)) return { type: "basic", basic: kv({ username: "{{username}}", password: "{{password}}" }) };
+    if (scheme.type === "http" && /^digest$/i.test(scheme.scheme)) return { type: "digest", digest: [] };
+    if (scheme.type === "apiKey" && scheme.in !== "cookie") return { type: "apikey", apikey: kv({ key: scheme.name, value: `{{${camelCase(scheme.name)}}}`, in: scheme.in }) };
+    if (scheme.type === "oauth2") {
+      const flows = scheme.flows || {};
+      const flow = flows.clientCredentials ? ["client_credentials", flows.clientCredentials]
+        : flows.password ? ["password_credentials", flows.password]
+          : ["authorization_code", flows.authorizationCode || {}];
+      return {
+        type: "oauth2",
+        oauth2: kv({
+          grant_type: flow[0],
+          accessTokenUrl: flow[1].tokenUrl || "",
+          clientId: "{{clientId}}",
+          clientSecret: "{{clientSecret}}",
+          username: "{{username}}",
+          password: "{{password}}",
+          scope: scopes,
+        }).filter((p) => p.value !== ""),
+      };
+    }
+    if (scheme.type === "openIdConnect") return { type: "oauth2", oauth2: kv({ grant_type: "authorization_code" }) };
+    warnings.push(`${label}: security scheme '${schemeName}' (${scheme.type || "unknown"}${scheme.in ? ` in ${scheme.in}` : ""}) is not converted`);
+    return null;
+  }
+
+  /** Postman body for an operation's request body (first supported media type). */
+  function bodyFor(spec, operation) {
+    const requestBody = deref(spec, operation.requestBody);
+    const content = requestBody.content || {};
+    const mediaType = Object.keys(content).find((type) => /json/i.test(type))
+      || Object.keys(content).find((type) => /x-www-form-urlencoded|multipart\/form-data|xml|^text\//i.test(type));
+    if (!mediaType) return null;
+    const example = exampleOf(spec, content[mediaType]);
+
+    if (/json/i.test(mediaType)) {
+      return { contentType: mediaType, body: { mode: "raw", raw: JSON.stringify(example, null, 2), options: { raw: { language: "json" } } } };
+    }
+    if (/x-www-form-urlencoded|multipart/i.test(mediaType)) {
+      const fields = isPlainObject(example) ? example : {};
+      const schema = deref(spec, content[mediaType].schema);
+      if (/x-www-form-urlencoded/i.test(mediaType)) {
+        return { contentType: mediaType, body: { mode: "urlencoded", urlencoded: Object.entries(fields).map(([key, value]) => ({ key, value: String(value) })) } };
+      }
+      return {
+        contentType: null,
+        body: {
+          mode: "formdata",
+          formdata: Object.entries(fields).map(([key, value]) => {
+            const property = deref(spec, (schema.properties || {})[key]);
+            return property.format === "binary" ? { key, type: "file", src: `${key}.bin` } : { key, type: "text", value: typeof value === "string" ? value : JSON.stringify(value) };
+          }),
+        },
+      };
+    }
+    return { contentType: mediaType, body: { mode: "raw", raw: typeof example === "string" ? example : "", options: { raw: { language: /xml/i.test(mediaType) ? "xml" : "text" } } } };
+  }
+
+  /**
+   * Converts an OpenAPI 3 spec into a collection with one request per operation.
+   * Path, required query and required header parameters become {{variables}} fed by
+   * one CSV ('<title>_params.csv', a column per parameter name, one example row).
+   * @param {Object} spec - Parsed OpenAPI 3.x document
+   * @returns {{ collection: Object, rules: Object, warnings: string[] }}
+   */
+  function fromOpenApi(spec) {
+    if (spec && spec.swagger) throw new Error("Swagger 2.0 specs are not supported; convert the spec to OpenAPI 3 first");
+    if (!spec || !/^3\./.test(String(spec.openapi)) || !isPlainObject(spec.paths)) throw new Error("Not an OpenAPI 3 spec ('openapi: 3.x' and 'paths' are required)");
+
+    const title = (spec.info && spec.info.title) || "OpenAPI";
+    const csvFile = `${title.replace(/[^a-zA-Z0-9_]/g, "_")}_params.csv`;
+    const warnings = [];
+    const columns = new Map(); // parameter name → example value
+    const base = serverUrl(spec);
+    const absoluteBase = /^https?:\/\//i.test(base);
+    const folders = new Map(); // tag → items
+
+    Object.entries(spec.paths).forEach(([pathTemplate, pathItemNode]) => {
+      const pathItem = deref(spec, pathItemNode);
+      HTTP_METHODS.filter((method) => isPlainObject(pathItem[method])).forEach((method) => {
+        const operation = pathItem[method];
+        const label = operation.operationId || `${method.toUpperCase()} ${pathTemplate}`;
+
+        // Operation parameters override path-level ones (same name + location)
+        const parameters = new Map();
+        [...(pathItem.parameters || []), ...(operation.parameters || [])].map((p) => deref(spec, p))
+          .forEach((p) => parameters.set(`${p.in}:${p.name}`, p));
+
+        const variableFor = (parameter) => {
+          const name = camelCase(parameter.name);
+          const example = exampleOf(spec, parameter);
+          if (!columns.has(name)) columns.set(name, typeof example === "object" && example !== null ? JSON.stringify(example) : example);
+          return `{{${name}}}`;
+        };
+
+        let path = pathTemplate;
+        const query = [];
+        const header = [];
+        parameters.forEach((parameter) => {
+          if (parameter.in === "path") path = path.replace(`{${parameter.name}}`, variableFor(parameter));
+          else if (parameter.in === "query" && parameter.required) query.push(`${encodeURIComponent(parameter.name)}=${variableFor(parameter)}`);
+          else if (parameter.in === "header" && parameter.required) header.push({ key: parameter.name, value: variableFor(parameter) });
+        });
+
+        const request = {
+          method: method.toUpperCase(),
+          header,
+          url: `${absoluteBase ? "{{baseUrl}}" : base}${path}${query.length > 0 ? `?${query.join("&")}` : ""}`,
+        };
+        const body = bodyFor(spec, operation);
+        if (body) {
+          request.body = body.body;
+          if (body.contentType) header.push({ key: "Content-Type", value: body.contentType });
+        } else if (operation.requestBody) {
+          warnings.push(`${label}: request body media type is not converted (${Object.keys(deref(spec, operation.requestBody).content || {}).join(", ")})`);
+        }
+        const auth = authFor(spec, operation, warnings, label);
+        if (auth) request.auth = auth;
+
+        const success = Object.keys(operation.responses || {}).find((code) => /^2\d\d$/.test(code));
+        const item = {
+          name: operation.operationId || operation.summary || `${method.toUpperCase()} ${pathTemplate}`,
+          request,
+          event: testEvent(success ? Number(success) : null, []),
+        };
+        const tag = (operation.tags && operation.tags[0]) || "";
+        if (!folders.has(tag)) folders.set(tag, []);
+        folders.get(tag).push(item);
+      });
+    });
+
+    const items = [];
+    folders.forEach((folderItems, tag) => {
+      if (tag) items.push({ name: tag, item: folderItems });
+      else items.push(...folderItems);
+    });
+    if (items.length === 0) throw new Error("The OpenAPI spec has no operations");
+
+    const fields = [...columns.keys()];
+    return {
+      collection: collectionOf(title, items, absoluteBase ? [{ key: "baseUrl", value: base }] : []),
+      rules: fields.length > 0
+        ? {
+          rules: fields.map((field) => ({ variable: field, csv: csvFile })),
+          csv: { [csvFile]: { fields, rows: [fields.map((field) => columns.get(field))] } },
+        }
+        : { rules: [] },
+      warnings,
+    };
+  }
+
+  // -------------------------------
+  // Detection
+  // -------------------------------
+
+  /** 'har' | 'openapi' | 'postman' | null for a parsed document. */
+  function detectFormat(doc) {
+    if (!isPlainObject(doc)) return null;
+    if (doc.log && Array.isArray(doc.log.entries)) return "har";
+    if (doc.openapi || doc.swagger) return "openapi";
+    if (doc.info && Array.isArray(doc.item)) return "postman";
+    return null;
+  }
+
+  /**
+   * Parses a Postman collection, HAR file or OpenAPI spec (JSON, or YAML for OpenAPI).
+   * @param {string} text - File contents
+   * @param {string} [fileName] - Used for the YAML decision and error messages
+   * @param {Object} [options] - Passed to fromHar()
+   * @returns {{ format: string, collection: Object, rules: Object|null, warnings: string[] }}
+   */
+  function importDocument(text, fileName = "", options = {}) {
+    let doc = parseJson(text);
+    if (doc === undefined && /\.ya?ml$/i.test(fileName)) {
+      const YAML = loadYaml();
+      if (!YAML) throw new Error("The 'yaml' library is not loaded (npm install yaml, or include it in the page)");
+      doc = YAML.parse(text);
+    }
+    if (doc === undefined) throw new Error(`${fileName || "File"} is not valid JSON`);
+
+    const format = detectFormat(doc);
+    if (format === "har") return { format, ...fromHar(doc, options) };
+    if (format === "openapi") return { format, ...fromOpenApi(doc) };
+    if (format === "postman") return { format, collection: doc, rules: null, warnings: [] };
+    throw new Error(`${fileName || "File"} is not a Postman collection, HAR file or OpenAPI 3 spec`);
+  }
+
+  return {
+    fromHar,
+    fromOpenApi,
+    detectFormat,
+    importDocument,
+  };
+});
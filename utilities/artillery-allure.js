@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * ARTILLERY JSON → ALLURE 2 / 3 RESULTS
+ * ============================================================
+ * Provides:
+ *   ✅ Reads Artillery JSON reports + sla.json directly (no dashboard HTML scraping)
+ *   ✅ One Allure test per endpoint / request name, percentiles as parameters
+ *   ✅ Pass/fail from the same SLA evaluation as utilities/sla-evaluator.js
+ *   ✅ One step per SLA check and per load phase (from the scenario YAML)
+ *   ✅ Time-series CSV attached to every test
+ *   ✅ Falls back to the HTML scraping converter when no JSON report is available
+ * ============================================================
+ *
+ * HOW TO RUN:
+ *   node utilities/artillery-allure.js \
+ *     --json reports/result_merged.json \       # or "result_runner_1.json,result_runner_2.json" (merged first)
+ *     --sla applications/app1/scripts/sla.json \
+ *     [--env test] [--yaml applications/app1/scripts/loadscript.yml] \
+ *     [--app-name app1] [--run-id nightly-42] [--output-dir ./allure-results] \
+ *     [--html dashboard.html]                    # fallback input + attached to the summary test
+ *
+ *   npx allure generate ./allure-results   (Allure 2)   |   npx allure open ./allure-results (Allure 3)
+ *
+ * TEST STATUS (per endpoint):
+ *   failed   an SLA check is breached
+ *   broken   SLAs met but some requests failed (non-2xx / connection errors)
+ *   passed   otherwise (endpoints without an SLA entry are checked for errors only)
+ *
+ * Phase steps need the yaml package (npm install yaml). Without it, or without --yaml,
+ * phase steps are omitted. The HTML fallback (allure2_report.txt) needs uuid,
+ * mime-types and yargs.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { parseArgs, splitList } = require("./cli-args");
+const { mergeReports, mergeSummaries } = require("./merge-reports");
+const slaEvaluator = require("./sla-evaluator");
+
+const DEFAULT_OUTPUT_DIR = "./allure-results";
+const LEGACY_HTML_CONVERTER = path.join(__dirname, "..", "allure2_report.txt");
+const ENDPOINT_PREFIX = "plugins.metrics-by-endpoint.";
+const RESPONSE_TIME_PREFIX = `${ENDPOINT_PREFIX}response_time.`;
+
+const md5 = (value) => crypto.createHash("md5").update(value).digest("hex");
+
+// -------------------------------
+// Phases (from the scenario YAML)
+// -------------------------------
+
+/** "30", 30, "30s", "5m", "1h" → seconds. */
+function parseDurationSeconds(value) {
+  if (typeof value === "number") return value;
+  const match = String(value || "").trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|sec|m|min|h|hr)?$/);
+  if (!match) return 0;
+  const n = Number(match[1]);
+  const unit = match[2] || "s";
+  if (unit === "ms") return n / 1000;
+  if (unit.startsWith("m")) return n * 60;
+  if (unit.startsWith("h")) return n * 3600;
+  return n;
+}
+
+/**
+ * Reads config.phases from a scenario YAML as [{ name, startSec, endSec, description }].
+ * Returns [] when the file or the yaml package is unavailable.
+ */
+function loadPhases(yamlPath) {
+  if (!yamlPath || !fs.existsSync(yamlPath)) return [];
+  let yaml;
+  try {
+    yaml = require("yaml");
+  } catch (err) {
+    console.warn("⚠️ yaml not installed, phase steps are omitted (npm install yaml).");
+    return [];
+  }
+
+  const doc = yaml.parse(fs.readFileSync(yamlPath, "utf8")) || {};
+  const phases = (doc.config && doc.config.phases) || [];
+  let offset = 0;
+  return phases.map((phase, i) => {
+    const duration = parseDurationSeconds(phase.duration !== undefined ? phase.duration : phase.pause);
+    const load = phase.pause !== undefined ? "pause"
+      : phase.rampTo !== undefined ? `ramp ${phase.arrivalRate || 0} → ${phase.rampTo}/s`
+      : phase.arrivalRate !== undefined ? `${phase.arrivalRate}/s`
+      : phase.arrivalCount !== undefined ? `${phase.arrivalCount} VUs` : "";
+    const result = { name: phase.name || `Phase ${i + 1}`, startSec: offset, endSec: offset + duration, description: load };
+    offset += duration;
+    return result;
+  });
+}
+
+// -------------------------------
+// Metrics
+// -------------------------------
+
+/** Per-bucket rows for one endpoint (or the whole run when endpoint is null). */
+function timeSeries(report, endpoint) {
+  const summaryKey = endpoint ? `${RESPONSE_TIME_PREFIX}${endpoint}` : "http.response_time";
+  return (report.intermediate || []).map((item) => {
+    const counters = item.counters || {};
+    let requests = 0;
+    let failed = 0;
+    Object.entries(counters).forEach(([key, value]) => {
+      if (endpoint) {
+        const codes = `${ENDPOINT_PREFIX}${endpoint}.codes.`;
+        if (key.startsWith(codes)) {
+          requests += value;
+          if (!/^2\d\d$/.test(key.slice(codes.length))) failed += value;
+        } else if (key.startsWith(`${ENDPOINT_PREFIX}${endpoint}.errors.`)) {
+          requests += value;
+          failed += value;
+        }
+      } else if (key.startsWith("http.codes.")) {
+        requests += value;
+        if (!/^2\d\d$/.test(key.slice(11))) failed += value;
+      } else if (key.startsWith("errors.")) {
+        requests += value;
+        failed += value;
+      }
+    });
+    const summary = (item.summaries || {})[summaryKey] || {};
+    const span = item.lastMetricAt && item.firstMetricAt ? (item.lastMetricAt - item.firstMetricAt) / 1000 : 0;
+    return {
+      timestamp: new Date(Number(item.period)).toISOString(),
+      period: Number(item.period),
+      requests,
+      failed,
+      rps: span > 0 ? Math.round((requests / span) * 10) / 10 : requests,
+      summary,
+    };
+  });
+}
+
+function toCsv(rows) {
+  const header = "timestamp,requests,failed,rps,p50,p90,p95,p99,max";
+  const lines = rows.map((r) => [r.timestamp, r.requests, r.failed, r.rps,
+    r.summary.p50, r.summary.p90, r.summary.p95, r.summary.p99, r.summary.max]
+    .map((v) => (v === undefined ? "" : v)).join(","));
+  return `${[header, ...lines].join("\n")}\n`;
+}
+
+/** Requests, failures and merged latency for the buckets inside one phase window. */
+function phaseMetrics(rows, phase, startMs) {
+  const from = startMs + phase.startSec * 1000;
+  const to = startMs + phase.endSec * 1000;
+  const inPhase = rows.filter((r) => r.period + 5000 > from && r.period + 5000 <= to);
+  const requests = inPhase.reduce((n, r) => n + r.requests, 0);
+  const failed = inPhase.reduce((n, r) => n + r.failed, 0);
+  return { requests, failed, summary: mergeSummaries(inPhase.map((r) => r.summary)) || {} };
+}
+
+// -------------------------------
+// Allure result builders
+// -------------------------------
+
+const round1 = (n) => (typeof n === "number" ? Math.round(n * 10) / 10 : n);
+
+function writeAttachment(outputDir, name, content, type, extension) {
+  const source = `${crypto.randomUUID()}-attachment.${extension}`;
+  fs.writeFileSync(path.join(outputDir, source), content);
+  return { name, type, source };
+}
+
+function phaseSteps(phases, rows, startMs, targets) {
+  return phases.map((phase) => {
+    const m = phaseMetrics(rows, phase, startMs);
+    const breaches = [];
+    if (targets) {
+      ["p50", "p75", "p90", "p95", "p99", "max"].forEach((field) => {
+        if (targets[field] !== undefined && typeof m.summary[field] === "number" && m.summary[field] > targets[field]) {
+          breaches.push(`${field} ${m.summary[field]}ms > ${targets[field]}ms`);
+        }
+      });
+      if (targets.maxErrorRate !== undefined && m.requests > 0 && m.failed / m.requests > targets.maxErrorRate) {
+        breaches.push(`errorRate ${(m.failed / m.requests).toFixed(4)} > ${targets.maxErrorRate}`);
+      }
+    }
+    const status = breaches.length ? "failed" : m.failed > 0 ? "broken" : "passed";
+    const p95 = typeof m.summary.p95 === "number" ? `, p95 ${m.summary.p95}ms` : "";
+    return {
+      name: `Phase '${phase.name}' (${phase.startSec}s–${phase.endSec}s${phase.description ? `, ${phase.description}` : ""}): ${m.requests} requests${p95}, ${m.failed} failed`,
+      status,
+      stage: "finished",
+      start: startMs + phase.startSec * 1000,
+      stop: startMs + phase.endSec * 1000,
+      ...(breaches.length ? { statusDetails: { message: breaches.join("; ") } } : {}),
+      parameters: [
+        { name: "requests", value: String(m.requests) },
+        { name: "failed", value: String(m.failed) },
+        ...["p50", "p95", "p99", "max"].filter((f) => typeof m.summary[f] === "number").map((f) => ({ name: f, value: String(m.summary[f]) })),
+      ],
+    };
+  });
+}
+
+/**
+ * Builds the Allure result for one endpoint of the SLA verdict.
+ * @param {Object} ep - Verdict endpoint entry from sla-evaluator.evaluate().
+ */
+function endpointResult(ep, context) {
+  const { report, phases, startMs, stopMs, appName, runId, sla, outputDir } = context;
+  const breached = ep.checks.filter((c) => !c.passed);
+  const status = breached.length ? "failed" : ep.metrics.failed > 0 ? "broken" : "passed";
+  const targets = ep.slaKey ? { ...(sla.defaults || {}), ...sla.endpoints[ep.slaKey] } : sla.defaults;
+  const rows = timeSeries(report, ep.endpoint);
+  const fullName = `${appName}.${ep.endpoint}`;
+
+  const messages = breached.map((c) => `${c.rule} (actual: ${c.actual})`);
+  if (!breached.length && ep.metrics.failed > 0) messages.push(`${ep.metrics.failed} of ${ep.metrics.total} requests failed`);
+
+  return {
+    uuid: crypto.randomUUID(),
+    historyId: md5(fullName),
+    testCaseId: md5(fullName),
+    name: ep.endpoint,
+    fullName,
+    status,
+    stage: "finished",
+    start: startMs,
+    stop: stopMs,
+    statusDetails: { message: messages.length ? messages.join("; ") : "All checks passed" },
+    description: ep.slaKey
+      ? `SLA entry: \`${ep.slaKey}\`${sla.environment ? ` (environment: ${sla.environment})` : ""}`
+      : "No SLA entry for this endpoint: only failed requests are checked.",
+    labels: [
+      { name: "parentSuite", value: appName },
+      { name: "suite", value: runId },
+      { name: "subSuite", value: "Transactions" },
+      { name: "feature", value: appName },
+      { name: "story", value: runId },
+      { name: "epic", value: "Performance" },
+      ...(sla.environment ? [{ name: "tag", value: sla.environment }] : []),
+    ],
+    parameters: [
+      ...Object.entries(ep.metrics.latency).map(([name, value]) => ({ name: `${name} (ms)`, value: String(round1(value)) })),
+      { name: "requests", value: String(ep.metrics.total) },
+      { name: "failed", value: String(ep.metrics.failed) },
+      { name: "errorRate", value: ep.metrics.errorRate.toFixed(4) },
+      { name: "tph", value: String(ep.metrics.tph === null ? "n/a" : ep.metrics.tph) },
+    ],
+    steps: [
+      ...ep.checks.map((c) => ({
+        name: `Check ${c.rule} (actual: ${c.actual})`,
+        status: c.passed ? "passed" : "failed",
+        stage: "finished",
+        start: startMs,
+        stop: startMs,
+      })),
+      {
+        name: `Check failed requests: ${ep.metrics.failed} of ${ep.metrics.total}`,
+        status: ep.metrics.failed === 0 ? "passed" : "broken",
+        stage: "finished",
+        start: startMs,
+        stop: startMs,
+      },
+      ...phaseSteps(phases, rows, startMs, targets),
+    ],
+    attachments: [
+      writeAttachment(outputDir, `${ep.endpoint} time series (CSV)`, toCsv(rows), "text/csv", "csv"),
+    ],
+  };
+}
+
+function summaryHtml(verdict, overall, appName, runId, startMs, stopMs) {
+  const cell = "border: 1px solid #ddd; padding: 6px;";
+  const rows = verdict.endpoints.map((ep) => {
+    const color = ep.status === "breached" ? "#f8d7da" : ep.metrics.failed > 0 ? "#fff3cd" : "#d4edda";
+    return `<tr><td style="${cell} text-align:left;">${ep.endpoint}</td>`
+      + ["p50", "p90", "p95", "p99", "max"].map((f) => `<td style="${cell}">${ep.metrics.latency[f] !== undefined ? round1(ep.metrics.latency[f]) : ""}</td>`).join("")
+      + `<td style="${cell}">${ep.metrics.total}</td><td style="${cell}">${ep.metrics.failed}</td>`
+      + `<td style="${cell}">${ep.metrics.tph === null ? "" : ep.metrics.tph}</td>`
+      + `<td style="${cell} background-color:${color};">${ep.status.toUpperCase()}</td></tr>`;
+  }).join("\n");
+
+  return `
+    <h3>Overall Performance Metrics</h3>
+    <p><b>Application:</b> ${appName} &nbsp; <b>Run:</b> ${runId} &nbsp; <b>Start:</b> ${new Date(startMs).toISOString()}
+    &nbsp; <b>Duration:</b> ${Math.round((stopMs - startMs) / 1000)}s &nbsp; <b>Requests:</b> ${overall.requests}
+    &nbsp; <b>Failed:</b> ${overall.failed}${verdict.environment ? ` &nbsp; <b>Environment:</b> ${verdict.environment}` : ""}</p>
+    <h3>Transaction Summary Table</h3>
+    <table style="width:100%; border-collapse: collapse; font-size: 14px; text-align: center;">
+      <thead style="background-color:#f2f2f2;"><tr>
+        <th style="${cell}">Endpoint</th><th style="${cell}">P50</th><th style="${cell}">P90</th><th style="${cell}">P95</th>
+        <th style="${cell}">P99</th><th style="${cell}">Max</th><th style="${cell}">Total</th><th style="${cell}">Failed</th>
+        <th style="${cell}">TPH</th><th style="${cell}">SLA</th>
+      </tr></thead>
+      <tbody>
+${rows}
+      </tbody>
+    </table>`;
+}
+
+/**
+ * Converts one (merged) Artillery report into Allure result files.
+ * @param {Object} report - Parsed Artillery report (see merge-reports.js for N runners).
+ * @param {Object} options - { sla (resolved config), outputDir, appName, runId, phases, htmlFile }
+ * @returns {{ tests: number, status: string }}
+ */
+function convert(report, options) {
+  const outputDir = options.outputDir || DEFAULT_OUTPUT_DIR;
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const aggregate = report.aggregate || {};
+  const startMs = aggregate.firstMetricAt || Date.now();
+  const stopMs = aggregate.lastMetricAt || startMs;
+  const appName = options.appName || "Default Application";
+  const runId = options.runId || `TestRun_${new Date(startMs).toISOString().replace(/[^0-9A-Za-z]/g, "_")}`;
+  const sla = options.sla || { defaults: null, endpoints: {}, environment: null };
+  const phases = options.phases || [];
+
+  const verdict = slaEvaluator.evaluate([report], sla);
+  const context = { report, phases, startMs, stopMs, appName, runId, sla, outputDir };
+  const transactionTests = verdict.endpoints.map((ep) => endpointResult(ep, context));
+
+  const overallRows = timeSeries(report, null);
+  const overall = {
+    requests: overallRows.reduce((n, r) => n + r.requests, 0),
+    failed: overallRows.reduce((n, r) => n + r.failed, 0),
+  };
+  const summaryStatus = transactionTests.some((t) => t.status === "failed") ? "failed"
+    : transactionTests.some((t) => t.status === "broken") ? "broken" : "passed";
+
+  const attachments = [writeAttachment(outputDir, "Overall time series (CSV)", toCsv(overallRows), "text/csv", "csv")];
+  if (options.htmlFile && fs.existsSync(options.htmlFile)) {
+    attachments.push(writeAttachment(outputDir, "Full Performance Dashboard (HTML)", fs.readFileSync(options.htmlFile), "text/html", "html"));
+  }
+
+  const summaryTest = {
+    uuid: crypto.randomUUID(),
+    historyId: md5(`${appName}.Overall`),
+    name: "Overall Performance Summary",
+    fullName: `${appName}.${runId}-Summary`,
+    status: summaryStatus,
+    stage: "finished",
+    start: startMs,
+    stop: stopMs,
+    descriptionHtml: summaryHtml(verdict, overall, appName, runId, startMs, stopMs),
+    labels: [
+      { name: "parentSuite", value: appName },
+      { name: "suite", value: runId },
+      { name: "subSuite", value: "Overall" },
+      { name: "feature", value: appName },
+      { name: "story", value: runId },
+      { name: "epic", value: "Performance" },
+    ],
+    steps: phaseSteps(phases, overallRows, startMs, null),
+    attachments,
+  };
+
+  const allTests = [summaryTest, ...transactionTests];
+  allTests.forEach((test) => {
+    fs.writeFileSync(path.join(outputDir, `${test.uuid}-result.json`), JSON.stringify(test, null, 2));
+  });
+
+  const container = { uuid: crypto.randomUUID(), name: runId, children: allTests.map((t) => t.uuid), start: startMs, stop: stopMs };
+  fs.writeFileSync(path.join(outputDir, `${container.uuid}-container.json`), JSON.stringify(container, null, 2));
+  fs.writeFileSync(path.join(outputDir, "executor.json"), JSON.stringify({
+    name: "Artillery to Allure Converter",
+    type: "performance-tool",
+    url: "https://artillery.io/",
+    buildName: `${appName} (${runId})`,
+    reportName: `Performance Test Report: ${appName}`,
+  }, null, 2));
+  fs.writeFileSync(path.join(outputDir, "environment.properties"), [
+    `Application=${appName}`,
+    `Run=${runId}`,
+    `Environment=${sla.environment || ""}`,
+    `Start=${new Date(startMs).toISOString()}`,
+    `Requests=${overall.requests}`,
+  ].join("\n") + "\n");
+
+  return { tests: allTests.length, status: summaryStatus };
+}
+
+// -------------------------------
+// CLI
+// -------------------------------
+
+/** Runs the legacy HTML scraping converter (fallback when there is no JSON report). */
+function runHtmlFallback(args) {
+  const script = args["legacy-script"] || LEGACY_HTML_CONVERTER;
+  const legacyArgs = ["--html", args.html];
+  if (args["app-name"]) legacyArgs.push("--appName", args["app-name"]);
+  if (args["run-id"]) legacyArgs.push("--runId", args["run-id"]);
+  console.warn(`⚠️ No Artillery JSON report available, falling back to HTML scraping (${path.basename(script)}).`);
+  const result = spawnSync(process.execPath, [script, ...legacyArgs], { stdio: "inherit" });
+  return result.status === null ? 1 : result.status;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const files = splitList(args.json).filter((f) => fs.existsSync(f));
+
+  if (files.length === 0) {
+    if (args.html && args.html !== true) return runHtmlFallback(args);
+    console.error("Usage: node utilities/artillery-allure.js --json <report.json[,…]> [--sla sla.json] [--env name] [--yaml scenario.yml] [--app-name name] [--run-id id] [--output-dir dir] [--html dashboard.html]");
+    return 2;
+  }
+
+  let report;
+  let sla;
+  try {
+    const reports = files.map((f) => JSON.parse(fs.readFileSync(f, "utf8")));
+    report = reports.length === 1 ? reports[0] : mergeReports(reports);
+    sla = args.sla && args.sla !== true ? slaEvaluator.loadSlaConfig(args.sla, args.env || process.env.SLA_ENV) : undefined;
+  } catch (err) {
+    console.error(`❌ Allure conversion input error: ${err.message}`);
+    return 2;
+  }
+
+  const outputDir = args["output-dir"] || DEFAULT_OUTPUT_DIR;
+  const result = convert(report, {
+    sla,
+    outputDir,
+    appName: args["app-name"],
+    runId: args["run-id"],
+    phases: loadPhases(args.yaml),
+    htmlFile: args.html,
+  });
+  console.log(`✅ Generated ${result.tests} Allure result files in ${outputDir} (overall: ${result.status})`);
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  loadPhases,
+  timeSeries,
+  convert,
+  main,
+};
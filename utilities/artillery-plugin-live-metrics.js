@@ -0,0 +1,56 @@
+/**
+ * ============================================================
+ * ARTILLERY PLUGIN: live-metrics
+ * ============================================================
+ * Provides:
+ *   ✅ Attaches utilities/live-metrics.js to every scenario (no YAML change)
+ *   ✅ Phase markers (phase_started / phase_completed, phase_active) from the main process
+ *   ✅ Final flush when a worker or the run stops
+ * ============================================================
+ *
+ * HOW TO ENABLE (Artillery looks for 'artillery-plugin-<name>' on ARTILLERY_PLUGIN_PATH):
+ *   ARTILLERY_PLUGIN_PATH="$PWD/utilities" ARTILLERY_PLUGINS='{"live-metrics":{}}' \
+ *   LIVE_METRICS=prometheus npx artillery run applications/app1/scripts/loadscript.yml
+ *
+ * or in the script:
+ *   config:
+ *     plugins:
+ *       live-metrics:
+ *         sinks: "statsd,influx"
+ *         influx: { url: "http://localhost:8086/write?db=artillery" }
+ */
+
+const { createLiveMetrics, getLiveMetrics, resolveOptions, startLiveMetrics } = require("./live-metrics");
+
+const HOOK_NAME = "liveMetrics_beforeScenario";
+
+/**
+ * v2 plugin: runs in each worker thread (full script, injects the hook) and in the
+ * main process (dummy script + run events, sends the phase markers).
+ */
+function LiveMetricsPlugin(script, events) {
+  const config = (script.config.plugins && script.config.plugins["live-metrics"]) || {};
+
+  if (typeof process.env.LOCAL_WORKER_ID === "undefined") {
+    this.collector = createLiveMetrics(resolveOptions(config));
+    if (!this.collector.enabled) return;
+    events.on("phaseStarted", (spec) => this.collector.phase("started", spec));
+    events.on("phaseCompleted", (spec) => this.collector.phase("completed", spec));
+    return;
+  }
+
+  this.collector = getLiveMetrics(config);
+  if (!this.collector.enabled) return;
+
+  if (!script.config.processor) script.config.processor = {};
+  script.config.processor[HOOK_NAME] = startLiveMetrics;
+  (script.scenarios || []).forEach((scenario) => {
+    scenario.beforeScenario = [HOOK_NAME].concat(scenario.beforeScenario || []);
+  });
+}
+
+LiveMetricsPlugin.prototype.cleanup = function cleanup(done) {
+  this.collector.close().then(() => done(), () => done());
+};
+
+module.exports = { Plugin: LiveMetricsPlugin };
@@ -0,0 +1,39 @@
+/**
+ * ============================================================
+ * ARTILLERY PLUGIN: run-state
+ * ============================================================
+ * Provides:
+ *   ✅ One generated data seed for every worker (data-generators.js): created in
+ *      the main process before the workers start, passed on as DATA_GENERATED_SEED
+ *   ✅ Removes the run's shared state files (shared-store.js: data-feeder cursors,
+ *      shared data pools) from the temp dir when the run ends
+ * ============================================================
+ *
+ * HOW TO ENABLE (Artillery looks for 'artillery-plugin-<name>' on ARTILLERY_PLUGIN_PATH):
+ *   ARTILLERY_PLUGIN_PATH="$PWD/utilities" ARTILLERY_PLUGINS='{"run-state":{}}' \
+ *   npx artillery run applications/app1/scripts/loadscript.yml
+ *
+ * Workers are stopped without running exit handlers, so the files can only be
+ * removed from the main process, after every worker has finished.
+ */
+
+const crypto = require("crypto");
+const { removeRunFiles } = require("./shared-store");
+
+/**
+ * v2 plugin: only the main-process instance does anything. It is created before
+ * the workers, which start with a copy of its environment.
+ */
+function RunStatePlugin() {
+  this.main = typeof process.env.LOCAL_WORKER_ID === "undefined";
+  if (this.main && process.env.DATA_SEED === undefined && process.env.DATA_GENERATED_SEED === undefined) {
+    process.env.DATA_GENERATED_SEED = String(crypto.randomInt(1, 2 ** 31 - 1));
+  }
+}
+
+RunStatePlugin.prototype.cleanup = function cleanup(done) {
+  if (this.main) removeRunFiles();
+  done();
+};
+
+module.exports = { Plugin: RunStatePlugin };
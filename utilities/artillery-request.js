@@ -0,0 +1,336 @@
+/**
+ * ============================================================
+ * ARTILLERY REQUEST HELPERS (templates, bodies, query strings)
+ * ============================================================
+ * Provides:
+ *   ✅ Template resolution on values (not on serialized JSON), including
+ *      Artillery's template functions ({{ $randomNumber(1, 9) }}, …)
+ *   ✅ Exact wire bytes for json / form / multipart / raw body
+ *   ✅ Query strings ('qs' + URL) built the way Artillery sends them
+ * ============================================================
+ * Used by signRequest so the SigV4 signature covers exactly the
+ * bytes and canonical URI that Artillery puts on the wire: the
+ * body is serialized here once and written back to requestParams
+ * (json/multipart/qs become body/url; form stays an object because
+ * the engine re-serializes it identically). Artillery
+ * templates the request again after beforeRequest hooks, so anything
+ * left unresolved would change after signing: that is an error.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const querystring = require("querystring");
+
+const TEMPLATE_PATTERN = /{{\s*([^}]+?)\s*}}/g;
+const WHOLE_TEMPLATE_PATTERN = /^{{\s*([^}]+?)\s*}}$/;
+// Same shape Artillery accepts: {{ $name(literal, …) }}
+const FUNCTION_CALL_PATTERN = /{{\s*\$([A-Za-z0-9_]+)\s*\(([^)]*)\)\s*}}/g;
+
+const MIME_TYPES = {
+  ".json": "application/json",
+  ".xml": "application/xml",
+  ".txt": "text/plain",
+  ".csv": "text/csv",
+  ".html": "text/html",
+  ".pdf": "application/pdf",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".zip": "application/zip",
+};
+
+// -------------------------------
+// Templates
+// -------------------------------
+
+function lookupTemplateValue(expression, vars) {
+  if (expression.startsWith("$processEnvironment.")) return process.env[expression.slice(20)];
+  if (expression.startsWith("$env.")) return process.env[expression.slice(5)];
+  if (!vars) return undefined;
+  if (Object.prototype.hasOwnProperty.call(vars, expression)) return vars[expression];
+  // Dotted / indexed paths, as Artillery resolves them: {{ user.id }}, {{ items[0].sku }}
+  return expression.split(/\.|\[['"]?|['"]?\]\.?/).filter(Boolean).reduce(
+    (value, key) => (value !== undefined && value !== null ? value[key] : undefined),
+    vars
+  );
+}
+
+/** '1, "a", 2.5' → [1, "a", 2.5] (the literal arguments of a template function call). */
+function parseCallArguments(argsSource) {
+  if (!argsSource.trim()) return [];
+  return argsSource.split(",").map((arg) => {
+    const value = arg.trim();
+    const quoted = value.match(/^(['"])(.*)\1$/);
+    if (quoted) return quoted[2];
+    return value !== "" && !Number.isNaN(Number(value)) ? Number(value) : value;
+  });
+}
+
+/**
+ * Resolves '{{ $fn(args) }}' calls with the VU's template functions (context.funcs:
+ * $randomNumber, $randomString, …). Unknown functions are left untouched.
+ */
+function renderFunctionCalls(str, funcs) {
+  if (!funcs) return str;
+  return str.replace(FUNCTION_CALL_PATTERN, (match, name, args) => {
+    const fn = funcs[`$${name}`];
+    return typeof fn === "function" ? String(fn(...parseCallArguments(args))) : match;
+  });
+}
+
+/**
+ * Resolves '{{ $fn() }}' calls and '{{ var }}' placeholders in a string. Unknown
+ * placeholders are left untouched. A string that is exactly one placeholder yields
+ * the raw value (numbers stay numbers), matching Artillery's own templating.
+ * @param {Object} [funcs] - Template functions (context.funcs)
+ */
+function renderString(str, vars, funcs) {
+  str = renderFunctionCalls(str, funcs);
+  const whole = str.match(WHOLE_TEMPLATE_PATTERN);
+  if (whole) {
+    const value = lookupTemplateValue(whole[1], vars);
+    return value !== undefined ? value : str;
+  }
+  return str.replace(TEMPLATE_PATTERN, (match, expression) => {
+    const value = lookupTemplateValue(expression, vars);
+    if (value === undefined) return match;
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  });
+}
+
+/**
+ * Deep template resolution over strings, arrays and plain objects (keys and values).
+ * @param {Object} [funcs] - Template functions (context.funcs), for '{{ $fn() }}' calls
+ */
+function renderTemplate(value, vars, funcs) {
+  if (typeof value === "string") return renderString(value, vars, funcs);
+  if (Array.isArray(value)) return value.map((v) => renderTemplate(v, vars, funcs));
+  if (value && typeof value === "object" && !Buffer.isBuffer(value)) {
+    const out = {};
+    Object.entries(value).forEach(([k, v]) => {
+      out[String(renderString(k, vars, funcs))] = renderTemplate(v, vars, funcs);
+    });
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Throws when a rendered value still holds a '{{ … }}' placeholder: Artillery would
+ * template it after the signature is computed, so the signed bytes would not be sent.
+ */
+function assertFullyRendered(value, where) {
+  const found = [];
+  const visit = (v) => {
+    if (typeof v === "string") (v.match(TEMPLATE_PATTERN) || []).forEach((m) => found.push(m));
+    else if (Array.isArray(v)) v.forEach(visit);
+    else if (v && typeof v === "object" && !Buffer.isBuffer(v)) Object.entries(v).forEach(([k, item]) => { visit(k); visit(item); });
+  };
+  visit(value);
+  if (found.length > 0) {
+    throw new Error(`Cannot sign the request: ${found.join(", ")} in the ${where} could not be resolved ` +
+      "(unknown variable or template function); set it before the request or use a literal value");
+  }
+}
+
+// -------------------------------
+// Query strings
+// -------------------------------
+
+/** RFC 3986 encoding (what SigV4 canonicalises to): also escapes !'()* */
+function encodeRfc3986(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function safeDecode(str) {
+  try {
+    return decodeURIComponent(str);
+  } catch (err) {
+    return str;
+  }
+}
+
+/**
+ * Returns the URL with its query string rebuilt from the original query plus
+ * 'qs' (arrays become repeated keys), every key/value RFC 3986 encoded. A
+ * literal '+' is kept as a plus (%2B), never turned into a space.
+ */
+function buildUrlWithQuery(rawUrl, qs) {
+  const hashIx = rawUrl.indexOf("#");
+  const withoutHash = hashIx >= 0 ? rawUrl.slice(0, hashIx) : rawUrl;
+  const queryIx = withoutHash.indexOf("?");
+  const base = queryIx >= 0 ? withoutHash.slice(0, queryIx) : withoutHash;
+  const query = queryIx >= 0 ? withoutHash.slice(queryIx + 1) : "";
+
+  const pairs = [];
+  query.split("&").filter(Boolean).forEach((piece) => {
+    const eq = piece.indexOf("=");
+    const key = eq >= 0 ? piece.slice(0, eq) : piece;
+    const value = eq >= 0 ? piece.slice(eq + 1) : "";
+    pairs.push([safeDecode(key), safeDecode(value)]);
+  });
+  Object.entries(qs || {}).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    (Array.isArray(value) ? value : [value]).forEach((v) => pairs.push([key, String(v)]));
+  });
+
+  if (pairs.length === 0) return base;
+  return `${base}?${pairs.map(([k, v]) => `${encodeRfc3986(k)}=${encodeRfc3986(v)}`).join("&")}`;
+}
+
+// -------------------------------
+// Bodies
+// -------------------------------
+
+function findHeader(headers, name) {
+  return Object.keys(headers || {}).find((k) => k.toLowerCase() === name.toLowerCase());
+}
+
+function setDefaultHeader(requestParams, name, value) {
+  requestParams.headers = requestParams.headers || {};
+  if (!findHeader(requestParams.headers, name)) requestParams.headers[name] = value;
+}
+
+function resolveFilePath(filePath, context) {
+  if (path.isAbsolute(filePath)) return filePath;
+  const baseDir = (context && context.vars && context.vars.$dirname) || process.cwd();
+  return path.resolve(baseDir, filePath);
+}
+
+/**
+ * Builds a multipart/form-data body with a fixed boundary. Field values can be
+ * plain values, { fromFile: "./path" } (file upload) or
+ * { value, contentType?, filename? }.
+ * @returns {{ body: Buffer, contentType: string }}
+ */
+function buildMultipartBody(formData, context) {
+  const boundary = `----ArtilleryFormBoundary${crypto.randomBytes(12).toString("hex")}`;
+  const parts = [];
+
+  Object.entries(formData).forEach(([name, field]) => {
+    let content;
+    let filename;
+    let contentType;
+
+    if (field && typeof field === "object" && field.fromFile) {
+      const filePath = resolveFilePath(field.fromFile, context);
+      content = fs.readFileSync(filePath);
+      filename = field.filename || path.basename(filePath);
+      contentType = field.contentType || MIME_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream";
+    } else if (field && typeof field === "object" && !Buffer.isBuffer(field) && "value" in field) {
+      content = Buffer.isBuffer(field.value) ? field.value : Buffer.from(String(field.value));
+      filename = field.filename;
+      contentType = field.contentType;
+    } else {
+      content = Buffer.isBuffer(field) ? field : Buffer.from(String(field));
+    }
+
+    let head = `--${boundary}\r\nContent-Disposition: form-data; name="${name}"`;
+    if (filename) head += `; filename="${filename}"`;
+    head += "\r\n";
+    if (contentType) head += `Content-Type: ${contentType}\r\n`;
+    parts.push(Buffer.from(`${head}\r\n`), content, Buffer.from("\r\n"));
+  });
+  parts.push(Buffer.from(`--${boundary}--\r\n`));
+
+  return { body: Buffer.concat(parts), contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+/**
+ * The query string Artillery sends for a 'qs' block: the engine stringifies it with
+ * querystring (arrays become repeated keys) and got swaps it in for the URL's own
+ * query through URLSearchParams, which is what ends up on the wire.
+ */
+function artilleryQueryString(qs) {
+  return new URLSearchParams(querystring.stringify(qs)).toString();
+}
+
+/**
+ * Artillery builds 'formData' bodies itself after beforeRequest hooks (random
+ * boundary, streamed files), so that request cannot be signed: a signed upload
+ * uses 'multipart' instead (same field syntax), which is serialized here into
+ * the exact bytes that are signed and sent.
+ */
+function assertSignableByArtillery(requestParams) {
+  if (requestParams.formData) {
+    throw new Error(
+      "Cannot sign a 'formData' request: Artillery rebuilds multipart bodies after beforeRequest hooks " +
+        "with a new boundary, so the signature would not match. Use 'multipart:' (same fields) on signed requests"
+    );
+  }
+}
+
+/**
+ * Serializes the request body exactly once into the bytes that will be sent
+ * and rewrites requestParams so Artillery sends those bytes:
+ *   json      → JSON.stringify(rendered object), Content-Type application/json
+ *   form      → kept as the rendered object (the engine sends it through got);
+ *               the signed payload is the same URLSearchParams serialization
+ *   multipart → multipart/form-data (fixed boundary, files read from disk)
+ *   formData  → same, for requests sent outside Artillery (token replay)
+ *   body      → string/Buffer as-is (objects are JSON-stringified)
+ * With 'qs' the query is built the way Artillery builds it (the URL's own query
+ * is dropped, as on the wire); otherwise the URL query is RFC 3986 normalized.
+ * @returns {string|Buffer|undefined} The payload to sign.
+ */
+function prepareRequestForSigning(requestParams, context) {
+  const vars = context && context.vars;
+  const funcs = context && context.funcs;
+  const render = (value, where) => {
+    const rendered = renderTemplate(value, vars, funcs);
+    assertFullyRendered(rendered, where);
+    return rendered;
+  };
+
+  const url = String(render(requestParams.url, "url"));
+  if (requestParams.qs) {
+    const query = artilleryQueryString(render(requestParams.qs, "qs"));
+    const base = url.split("#")[0].split("?")[0];
+    requestParams.url = query ? `${base}?${query}` : base;
+  } else {
+    requestParams.url = buildUrlWithQuery(url);
+  }
+  delete requestParams.qs;
+  if (requestParams.headers) requestParams.headers = render(requestParams.headers, "headers");
+
+  let body;
+  if (requestParams.json !== undefined) {
+    body = JSON.stringify(render(requestParams.json, "json body"));
+    setDefaultHeader(requestParams, "Content-Type", "application/json");
+    delete requestParams.json;
+  } else if (requestParams.form) {
+    requestParams.form = render(requestParams.form, "form body");
+    body = new URLSearchParams(requestParams.form).toString();
+    setDefaultHeader(requestParams, "Content-Type", "application/x-www-form-urlencoded");
+    return body;
+  } else if (requestParams.multipart || requestParams.formData) {
+    const key = requestParams.multipart ? "multipart" : "formData";
+    const multipart = buildMultipartBody(render(requestParams[key], `${key} body`), context);
+    body = multipart.body;
+    const existing = findHeader(requestParams.headers, "Content-Type");
+    if (existing) delete requestParams.headers[existing];
+    setDefaultHeader(requestParams, "Content-Type", multipart.contentType);
+    delete requestParams[key];
+  } else if (requestParams.body !== undefined && requestParams.body !== null) {
+    body = Buffer.isBuffer(requestParams.body)
+      ? requestParams.body
+      : typeof requestParams.body === "string"
+      ? render(requestParams.body, "body")
+      : JSON.stringify(render(requestParams.body, "body"));
+    if (typeof body !== "string" && !Buffer.isBuffer(body)) body = String(body);
+  }
+
+  if (body !== undefined) requestParams.body = body;
+  return body;
+}
+
+module.exports = {
+  renderTemplate,
+  buildUrlWithQuery,
+  buildMultipartBody,
+  prepareRequestForSigning,
+  assertSignableByArtillery,
+  findHeader,
+};
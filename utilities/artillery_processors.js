@@ -1,22 +1,16 @@
 'use strict';
-const fs = require('fs');
-const path = require('path');
-
-// Define a log file path
-const logFile = path.join(__dirname, 'responses.log');
+const { logResponse } = require('./jsonl-logger');
 
 module.exports = {
   captureErrors: function (requestParams, response, context, ee, next) {
-    const statusCode = response.statusCode;
-    const responseBody = response.body;  // full response JSON as string
+    const statusCode = response ? response.statusCode : 0;
 
-    // Only log if status code is NOT 2XX
-    if (statusCode < 200 || statusCode >= 300) {
-      console.log(`Non-2XX response detected: URL: ${requestParams.url}, Status: ${statusCode}, Body: ${responseBody}`);
-      
-      // Append to file
-      const logEntry = `[${new Date().toISOString()}] URL: ${requestParams.url}, Status: ${statusCode}, Body: ${responseBody}\n`;
-      fs.appendFileSync(logFile, logEntry);
+    // Only log if status code is NOT 2XX (structured record in errors.jsonl)
+    const isError = logResponse(requestParams, response, context, {
+      isError: statusCode < 200 || statusCode >= 300,
+    });
+    if (isError) {
+      console.log(`Non-2XX response detected: URL: ${requestParams.url}, Status: ${statusCode}`);
     }
 
     return next(); // continue scenario
@@ -0,0 +1,366 @@
+/**
+ * ============================================================
+ * AWS CREDENTIAL PROVIDERS (used by signRequest)
+ * ============================================================
+ * Provides:
+ *   ✅ Environment variables (APP_AWS_* or standard AWS_*)
+ *   ✅ Shared credentials/config files with named profiles
+ *   ✅ Web identity token files (AssumeRoleWithWebIdentity)
+ *   ✅ STS AssumeRole on top of any other provider
+ *   ✅ Expiry-aware caching + refresh (long soak phases keep signing)
+ * ============================================================
+ *
+ * A provider is an async function resolving to:
+ *   { accessKeyId, secretAccessKey, sessionToken?, expiration?: Date }
+ *
+ * Secrets are never logged — use describeCredentials() for log lines.
+ *
+ * ENVIRONMENT:
+ *   APP_AWS_KEY / APP_AWS_SECRET / APP_AWS_SESSION   static keys (preferred)
+ *   AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY / AWS_SESSION_TOKEN
+ *   AWS_PROFILE, AWS_SHARED_CREDENTIALS_FILE, AWS_CONFIG_FILE
+ *   AWS_WEB_IDENTITY_TOKEN_FILE + AWS_ROLE_ARN [+ AWS_ROLE_SESSION_NAME]
+ *   APP_AWS_ROLE_ARN [+ APP_AWS_EXTERNAL_ID, APP_AWS_ROLE_DURATION]  assume a role on top of the chain
+ *   AWS_STS_ENDPOINT   override the STS URL (e.g. a local mock: http://127.0.0.1:4566)
+ *   AWS_CREDENTIALS_REFRESH_WINDOW_SECONDS   refresh this long before expiry (default 300)
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const aws4 = require("aws4");
+const { httpRequest } = require("./http-client");
+
+const STS_VERSION = "2011-06-15";
+const DEFAULT_SESSION_NAME = "artillery-load-test";
+const DEFAULT_REFRESH_WINDOW_MS = Number(process.env.AWS_CREDENTIALS_REFRESH_WINDOW_SECONDS || 300) * 1000;
+const MAX_SOURCE_PROFILE_DEPTH = 5;
+
+/**
+ * Error raised when a provider cannot supply credentials. 'chain' moves on to
+ * the next provider for this error only; anything else (bad STS response,
+ * unreadable token file) stops the chain so misconfiguration is not hidden.
+ */
+class CredentialsProviderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CredentialsProviderError";
+  }
+}
+
+// -------------------------------
+// Helpers
+// -------------------------------
+
+/** Safe one-line description of credentials for logs (no secret, masked key id). */
+function describeCredentials(creds) {
+  if (!creds || !creds.accessKeyId) return "<no credentials>";
+  const id = creds.accessKeyId;
+  const masked = id.length > 8 ? `${id.slice(0, 4)}****${id.slice(-4)}` : "****";
+  const expiry = creds.expiration ? ` expires ${creds.expiration.toISOString()}` : "";
+  return `${masked}${creds.sessionToken ? " (session)" : ""}${expiry}`;
+}
+
+/** Parses an INI file into { sectionName: { key: value } }. Missing file → {}. */
+function parseIniFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return {};
+
+  const sections = {};
+  let current = null;
+  fs.readFileSync(filePath, "utf8").split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#") || line.startsWith(";")) return;
+
+    const section = line.match(/^\[([^\]]+)\]$/);
+    if (section) {
+      current = section[1].trim();
+      sections[current] = sections[current] || {};
+      return;
+    }
+    const eq = line.indexOf("=");
+    if (current && eq > 0) {
+      sections[current][line.slice(0, eq).trim().toLowerCase()] = line.slice(eq + 1).trim();
+    }
+  });
+  return sections;
+}
+
+/**
+ * Loads a merged profile: credentials file '[name]' over config file
+ * '[profile name]' ('[default]' in both).
+ */
+function loadProfile(profileName) {
+  const home = os.homedir();
+  const credsFile = process.env.AWS_SHARED_CREDENTIALS_FILE || path.join(home, ".aws", "credentials");
+  const configFile = process.env.AWS_CONFIG_FILE || path.join(home, ".aws", "config");
+
+  const config = parseIniFile(configFile);
+  const credentials = parseIniFile(credsFile);
+  const configSection = profileName === "default" ? config.default : config[`profile ${profileName}`];
+
+  if (!configSection && !credentials[profileName]) return null;
+  return { ...(configSection || {}), ...(credentials[profileName] || {}) };
+}
+
+function xmlValue(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? match[1].trim() : undefined;
+}
+
+/**
+ * Calls an STS query action and returns the credentials from its response.
+ * When 'signingCredentials' is given the call is SigV4-signed (AssumeRole);
+ * AssumeRoleWithWebIdentity is sent unsigned.
+ */
+async function callSts(params, signingCredentials) {
+  const region = process.env.AWS_STS_REGION || process.env.AWS_REGION || "us-east-1";
+  const endpoint = process.env.AWS_STS_ENDPOINT || `https://sts.${region}.amazonaws.com/`;
+  const body = new URLSearchParams({ ...params, Version: STS_VERSION }).toString();
+
+  const target = new URL(endpoint);
+  let headers = {
+    "Content-Type": "application/x-www-form-urlencoded; charset=utf-8",
+    "Content-Length": Buffer.byteLength(body),
+    Host: target.host,
+  };
+  if (signingCredentials) {
+    headers = aws4.sign({
+      host: target.host,
+      path: target.pathname + target.search,
+      method: "POST",
+      service: "sts",
+      region,
+      headers,
+      body,
+    }, signingCredentials).headers;
+  }
+
+  const res = await httpRequest({ url: endpoint, method: "POST", headers, body });
+  if (res.statusCode !== 200) {
+    const code = xmlValue(res.body, "Code") || "UnknownError";
+    const message = xmlValue(res.body, "Message") || `HTTP ${res.statusCode}`;
+    throw new Error(`STS ${params.Action} failed: ${code} - ${message}`);
+  }
+
+  const creds = {
+    accessKeyId: xmlValue(res.body, "AccessKeyId"),
+    secretAccessKey: xmlValue(res.body, "SecretAccessKey"),
+    sessionToken: xmlValue(res.body, "SessionToken"),
+    expiration: xmlValue(res.body, "Expiration") ? new Date(xmlValue(res.body, "Expiration")) : undefined,
+  };
+  if (!creds.accessKeyId || !creds.secretAccessKey) {
+    throw new Error(`STS ${params.Action} returned no credentials`);
+  }
+  return creds;
+}
+
+// -------------------------------
+// Providers
+// -------------------------------
+
+/** Static keys from APP_AWS_KEY/APP_AWS_SECRET/APP_AWS_SESSION, else AWS_ACCESS_KEY_ID/... */
+function fromEnv() {
+  return async () => {
+    const env = process.env;
+    if (env.APP_AWS_KEY && env.APP_AWS_SECRET) {
+      return { accessKeyId: env.APP_AWS_KEY, secretAccessKey: env.APP_AWS_SECRET, sessionToken: env.APP_AWS_SESSION || undefined };
+    }
+    if (env.AWS_ACCESS_KEY_ID && env.AWS_SECRET_ACCESS_KEY) {
+      return { accessKeyId: env.AWS_ACCESS_KEY_ID, secretAccessKey: env.AWS_SECRET_ACCESS_KEY, sessionToken: env.AWS_SESSION_TOKEN || undefined };
+    }
+    throw new CredentialsProviderError("No AWS credentials in environment");
+  };
+}
+
+/**
+ * AssumeRoleWithWebIdentity using a token file (e.g. GitHub OIDC / EKS IRSA).
+ * The token file is re-read on every refresh because it is rotated externally.
+ */
+function fromWebIdentity(options = {}) {
+  return async () => {
+    const tokenFile = options.tokenFile || process.env.AWS_WEB_IDENTITY_TOKEN_FILE;
+    const roleArn = options.roleArn || process.env.AWS_ROLE_ARN;
+    if (!tokenFile || !roleArn) {
+      throw new CredentialsProviderError("Web identity not configured (AWS_WEB_IDENTITY_TOKEN_FILE / AWS_ROLE_ARN)");
+    }
+
+    const token = fs.readFileSync(tokenFile, "utf8").trim();
+    return callSts({
+      Action: "AssumeRoleWithWebIdentity",
+      RoleArn: roleArn,
+      RoleSessionName: options.roleSessionName || process.env.AWS_ROLE_SESSION_NAME || DEFAULT_SESSION_NAME,
+      WebIdentityToken: token,
+      ...(options.durationSeconds ? { DurationSeconds: String(options.durationSeconds) } : {}),
+    });
+  };
+}
+
+/**
+ * STS AssumeRole, signed with credentials from 'sourceProvider'.
+ * @param {Object} options - { roleArn, roleSessionName?, externalId?, durationSeconds?, sourceProvider }
+ */
+function fromAssumeRole(options) {
+  if (!options || !options.roleArn) throw new Error("fromAssumeRole requires a roleArn");
+  const sourceProvider = options.sourceProvider || defaultBaseChain();
+
+  return async () => {
+    const sourceCreds = await sourceProvider();
+    return callSts({
+      Action: "AssumeRole",
+      RoleArn: options.roleArn,
+      RoleSessionName: options.roleSessionName || DEFAULT_SESSION_NAME,
+      ...(options.externalId ? { ExternalId: options.externalId } : {}),
+      ...(options.durationSeconds ? { DurationSeconds: String(options.durationSeconds) } : {}),
+    }, sourceCreds);
+  };
+}
+
+/**
+ * Named profile from the shared credentials/config files. Supports static
+ * keys, role_arn + source_profile / credential_source=Environment, and
+ * role_arn + web_identity_token_file.
+ */
+function fromIni(options = {}) {
+  const resolveProfile = (profileName, depth) => {
+    if (depth > MAX_SOURCE_PROFILE_DEPTH) {
+      throw new Error(`Profile '${profileName}': source_profile chain too deep`);
+    }
+    const profile = loadProfile(profileName);
+    if (!profile) throw new CredentialsProviderError(`Profile '${profileName}' not found`);
+
+    if (profile.role_arn) {
+      const roleOptions = {
+        roleArn: profile.role_arn,
+        roleSessionName: profile.role_session_name,
+        externalId: profile.external_id,
+        durationSeconds: profile.duration_seconds,
+      };
+      if (profile.web_identity_token_file) {
+        return fromWebIdentity({ ...roleOptions, tokenFile: profile.web_identity_token_file });
+      }
+      let sourceProvider;
+      if (profile.source_profile) {
+        sourceProvider = profile.source_profile === profileName
+          ? staticProfileProvider(profileName, profile)
+          : resolveProfile(profile.source_profile, depth + 1);
+      } else if (profile.credential_source === "Environment") {
+        sourceProvider = fromEnv();
+      } else {
+        throw new Error(`Profile '${profileName}': role_arn needs source_profile or credential_source=Environment`);
+      }
+      return fromAssumeRole({ ...roleOptions, sourceProvider });
+    }
+    return staticProfileProvider(profileName, profile);
+  };
+
+  return async () => {
+    const profileName = options.profile || process.env.AWS_PROFILE || "default";
+    const provider = resolveProfile(profileName, 0);
+    return provider();
+  };
+}
+
+function staticProfileProvider(profileName, profile) {
+  return async () => {
+    if (!profile.aws_access_key_id || !profile.aws_secret_access_key) {
+      throw new CredentialsProviderError(`Profile '${profileName}' has no static keys`);
+    }
+    return {
+      accessKeyId: profile.aws_access_key_id,
+      secretAccessKey: profile.aws_secret_access_key,
+      sessionToken: profile.aws_session_token || undefined,
+    };
+  };
+}
+
+/** Tries each provider in order; the first to return credentials wins. */
+function chain(...providers) {
+  return async () => {
+    const reasons = [];
+    for (const provider of providers) {
+      try {
+        return await provider();
+      } catch (err) {
+        if (!(err instanceof CredentialsProviderError)) throw err;
+        reasons.push(err.message);
+      }
+    }
+    throw new CredentialsProviderError(`Could not load AWS credentials: ${reasons.join("; ")}`);
+  };
+}
+
+/**
+ * Caches a provider's credentials and refreshes them 'refreshWindowMs' before
+ * they expire. Concurrent callers during a refresh share one in-flight call,
+ * so a refresh under high arrival rates hits STS once.
+ */
+function memoize(provider, options = {}) {
+  const refreshWindowMs = options.refreshWindowMs !== undefined ? options.refreshWindowMs : DEFAULT_REFRESH_WINDOW_MS;
+  let current = null;
+  let pending = null;
+
+  const needsRefresh = () => !current ||
+    (current.expiration && current.expiration.getTime() - Date.now() <= refreshWindowMs);
+
+  return async (forceRefresh = false) => {
+    if (!forceRefresh && !needsRefresh()) return current;
+    if (!pending) {
+      pending = provider()
+        .then((creds) => { current = creds; return creds; })
+        .finally(() => { pending = null; });
+    }
+    return pending;
+  };
+}
+
+/** env → web identity → shared profile. */
+function defaultBaseChain() {
+  return chain(fromEnv(), fromWebIdentity(), fromIni());
+}
+
+/**
+ * The chain signRequest uses: the base chain, optionally wrapped in
+ * APP_AWS_ROLE_ARN AssumeRole, memoized with expiry-aware refresh.
+ * @param {Object} overrides - Per-request { profile?, roleArn?, externalId? } (from 'awsSigV4').
+ */
+function defaultProvider(overrides = {}) {
+  let provider = overrides.profile ? fromIni({ profile: overrides.profile }) : defaultBaseChain();
+
+  const roleArn = overrides.roleArn || process.env.APP_AWS_ROLE_ARN;
+  if (roleArn) {
+    provider = fromAssumeRole({
+      roleArn,
+      externalId: overrides.externalId || process.env.APP_AWS_EXTERNAL_ID,
+      durationSeconds: process.env.APP_AWS_ROLE_DURATION,
+      roleSessionName: process.env.APP_AWS_ROLE_SESSION_NAME,
+      sourceProvider: provider,
+    });
+  }
+  return memoize(provider);
+}
+
+// One memoized provider per distinct profile/role combination
+const providerCache = new Map();
+
+/**
+ * Returns (cached) credentials for a request's overrides. Used by signRequest.
+ * @returns {Promise<Object>} credentials
+ */
+function getCredentials(overrides = {}) {
+  const key = `${overrides.profile || ""}|${overrides.roleArn || ""}|${overrides.externalId || ""}`;
+  if (!providerCache.has(key)) providerCache.set(key, defaultProvider(overrides));
+  return providerCache.get(key)();
+}
+
+module.exports = {
+  CredentialsProviderError,
+  fromEnv,
+  fromIni,
+  fromWebIdentity,
+  fromAssumeRole,
+  chain,
+  memoize,
+  defaultProvider,
+  getCredentials,
+  describeCredentials,
+};
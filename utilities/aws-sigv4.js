@@ -0,0 +1,154 @@
+/**
+ * ============================================================
+ * AWS SIGV4 SIGNING CORE (shared by processor.js + custom-artillery-utils.js)
+ * ============================================================
+ * Provides:
+ *   ✅ Opt-in signing per request (tag or 'awsSigV4' block)
+ *   ✅ Service/region/host inferred from the request URL
+ *   ✅ Per-request overrides for custom domains
+ * ============================================================
+ *
+ * HOW TO OPT A REQUEST IN (YAML):
+ *   - get:
+ *       url: "/prod/get/secure"
+ *       tags: ["requiresAwsSigV4"]
+ *
+ *   - post:
+ *       url: "https://abc123.lambda-url.us-east-1.on.aws/orders"
+ *       awsSigV4: true
+ *
+ *   - get:
+ *       url: "https://api.example.com/items"      # custom domain in front of API Gateway
+ *       awsSigV4:
+ *         service: "execute-api"
+ *         region: "eu-west-1"
+ *         host: "abc123.execute-api.eu-west-1.amazonaws.com"
+ */
+
+const aws4 = require("aws4");
+
+const SIGV4_TAG = "requiresAwsSigV4";
+const DEFAULT_SERVICE = process.env.AWS_SIGV4_SERVICE || "execute-api";
+const GLOBAL_REGION = "us-east-1";
+const REGION_PATTERN = /^[a-z]{2}(-gov|-iso[a-z]?)?-[a-z]+-\d+$/;
+
+/**
+ * Returns true when the request has opted in to SigV4 signing, either via the
+ * 'requiresAwsSigV4' tag or an 'awsSigV4' property (true or an overrides object).
+ */
+function requiresSigning(requestParams) {
+  if (!requestParams) return false;
+
+  const tags = requestParams.tags;
+  if (Array.isArray(tags) && tags.includes(SIGV4_TAG)) return true;
+  if (tags && typeof tags === "object" && tags[SIGV4_TAG]) return true;
+
+  const opt = requestParams.awsSigV4;
+  return opt === true || (opt !== null && typeof opt === "object" && opt.enabled !== false);
+}
+
+/**
+ * Infers { service, region } from an AWS hostname. Returns null for hosts that
+ * are not recognisably AWS (custom domains), so callers can fall back to overrides.
+ *   abc.execute-api.eu-west-1.amazonaws.com  -> execute-api / eu-west-1
+ *   abc.lambda-url.us-east-1.on.aws          -> lambda / us-east-1
+ *   bucket.s3.us-west-2.amazonaws.com        -> s3 / us-west-2
+ *   iam.amazonaws.com                        -> iam / us-east-1
+ */
+function inferServiceAndRegion(hostname) {
+  if (!hostname) return null;
+  const host = hostname.toLowerCase();
+
+  const lambdaUrl = host.match(/\.lambda-url\.([a-z0-9-]+)\.on\.aws$/);
+  if (lambdaUrl) return { service: "lambda", region: lambdaUrl[1] };
+
+  const awsSuffix = host.match(/^(.*)\.amazonaws\.com(\.cn)?$/);
+  if (!awsSuffix) return null;
+
+  const labels = awsSuffix[1].split(".").filter((l) => l && l !== "dualstack");
+  if (labels.length === 0) return null;
+
+  const last = labels[labels.length - 1];
+  if (REGION_PATTERN.test(last) && labels.length >= 2) {
+    return { service: labels[labels.length - 2].replace(/-fips$/, ""), region: last };
+  }
+  return { service: last.replace(/-fips$/, ""), region: GLOBAL_REGION };
+}
+
+/**
+ * Resolves the absolute URL Artillery will call: absolute request URLs are used
+ * as-is, relative ones are joined onto the scenario target (or TARGET_HOST).
+ */
+function resolveRequestUrl(rawUrl, context) {
+  if (/^https?:\/\//i.test(rawUrl)) return new URL(rawUrl);
+
+  const target = (context && context.vars && context.vars.target) ||
+    (process.env.TARGET_HOST ? `https://${process.env.TARGET_HOST}` : null);
+  if (!target) {
+    throw new Error(`Cannot sign relative URL '${rawUrl}': no config.target or TARGET_HOST available.`);
+  }
+  return new URL(rawUrl, target);
+}
+
+/**
+ * Works out what to sign for: host (the URL host unless overridden), service
+ * and region (overrides > inferred from host > AWS_REGION / default service).
+ */
+function resolveSigningTarget(requestUrl, overrides = {}) {
+  const host = overrides.host || requestUrl.host;
+  const inferred = inferServiceAndRegion(host.split(":")[0]) || {};
+
+  const service = overrides.service || inferred.service || DEFAULT_SERVICE;
+  const region = overrides.region || inferred.region || process.env.AWS_REGION;
+  if (!region) {
+    throw new Error(`Cannot determine AWS region for host '${host}': set awsSigV4.region or AWS_REGION.`);
+  }
+  return { host, service, region };
+}
+
+/**
+ * Signs an Artillery request in place.
+ * @param {Object} requestParams - Artillery request params (url already template-resolved).
+ * @param {Object} context - Artillery VU context (used for config.target).
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, sessionToken }.
+ * @param {string|undefined} body - The exact payload string that will be sent.
+ * @returns {Object} The resolved signing target ({ host, service, region, path }).
+ */
+function signRequestParams(requestParams, context, credentials, body) {
+  const overrides = (requestParams.awsSigV4 && typeof requestParams.awsSigV4 === "object")
+    ? requestParams.awsSigV4
+    : {};
+
+  const requestUrl = resolveRequestUrl(requestParams.url, context);
+  const target = resolveSigningTarget(requestUrl, overrides);
+  const path = requestUrl.pathname + requestUrl.search;
+
+  // Drop any stale Host header from the YAML so the signed host always wins
+  const headers = {};
+  Object.entries(requestParams.headers || {}).forEach(([key, value]) => {
+    if (key.toLowerCase() !== "host") headers[key] = value;
+  });
+  headers.Host = target.host;
+
+  const signed = aws4.sign({
+    host: target.host,
+    method: (requestParams.method || "GET").toUpperCase(),
+    path,
+    service: target.service,
+    region: target.region,
+    body,
+    headers,
+  }, credentials);
+
+  requestParams.headers = signed.headers;
+  return { ...target, path };
+}
+
+module.exports = {
+  SIGV4_TAG,
+  requiresSigning,
+  inferServiceAndRegion,
+  resolveRequestUrl,
+  resolveSigningTarget,
+  signRequestParams,
+};
@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * BASELINE COMPARISON + REGRESSION GATE
+ * ============================================================
+ * Provides:
+ *   ✅ Compares a candidate Artillery report (per-runner or merged) with a stored baseline
+ *   ✅ Per-endpoint deltas for p50 / p90 / p95 / p99, error rate and throughput (TPH)
+ *   ✅ Tolerance + significance rules (defaults, per endpoint, per environment)
+ *   ✅ Markdown summary (GitHub job summary) + JSON, non-zero exit on regression
+ *   ✅ Baselines stored per app and environment: applications/<app>/baselines/<env>.json
+ * ============================================================
+ *
+ * HOW TO RUN:
+ *   node utilities/baseline-compare.js \
+ *     --candidate _reports/result_merged.json \
+ *     --app app1 --env test \                          # → applications/app1/baselines/test.json
+ *     [--baseline <file>] \                            # explicit baseline instead of app/env
+ *     [--rules applications/app1/scripts/regression.json] \
+ *     [--output-dir _reports] \
+ *     [--update-baseline [always]] [--run-id <id>]
+ *
+ *   Writes <output-dir>/baseline-comparison.json and baseline-comparison.md.
+ *   --update-baseline stores the candidate as the new baseline when there is no
+ *   regression ('always': even with regressions). Without a baseline the run passes
+ *   and, with --update-baseline, becomes the first baseline.
+ *   Exit code: 0 = no regression (or no baseline yet), 1 = regression, 2 = bad input.
+ *
+ * RULES (regression.json, all optional; same defaults / endpoints / environments
+ * layout and endpoint matching as sla.json):
+ *   {
+ *     "defaults":  { "latencyTolerance": 0.1, "minLatencyDeltaMs": 10 },
+ *     "endpoints": { "post-orders": { "latencyTolerance": 0.2, "failOn": ["latency", "errorRate"] } },
+ *     "environments": { "prod": { "defaults": { "latencyTolerance": 0.05 } } }
+ *   }
+ *
+ *   percentiles          latency fields compared (default p50, p90, p95, p99)
+ *   latencyTolerance     allowed relative increase (0.1 = +10%) …
+ *   minLatencyDeltaMs    … and allowed absolute increase: both must be exceeded
+ *   errorRateTolerance   allowed absolute increase of the error rate (0.01 = +1 point) …
+ *   confidence           … and the increase must be significant (one-sided two-proportion z-test)
+ *   throughputTolerance  allowed relative TPH drop (0.1 = −10%)
+ *   minSamples           endpoints with fewer requests in either run are 'insufficient-data'
+ *   failOn               which of latency / errorRate / throughput fail the run
+ *                        (default latency + errorRate; add "throughput" to gate it)
+ *
+ * The '(all requests)' row compares the global http.* metrics, so reports
+ * without metrics-by-endpoint are still compared.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs, splitList } = require("./cli-args");
+const { resolveSlaConfig, matchSlaKey, combineReports, discoverEndpoints, endpointMetrics } = require("./sla-evaluator");
+
+const OVERALL = "(all requests)";
+const DEFAULT_RULES = {
+  percentiles: ["p50", "p90", "p95", "p99"],
+  latencyTolerance: 0.1,
+  minLatencyDeltaMs: 10,
+  errorRateTolerance: 0.01,
+  confidence: 0.95,
+  throughputTolerance: 0.1,
+  minSamples: 30,
+  // Throughput follows the load profile more than the system: opt in with failOn
+  failOn: ["latency", "errorRate"],
+};
+
+// -------------------------------
+// Baselines
+// -------------------------------
+
+/** applications/<app>/baselines/<env>.json */
+function baselinePath(app, environment, root = "applications") {
+  return path.join(root, app, "baselines", `${environment}.json`);
+}
+
+/**
+ * Compact baseline: the combined aggregate (counters + summaries) of the
+ * candidate reports and where it came from. Still readable as an Artillery report.
+ */
+function createBaseline(reports, meta = {}) {
+  const combined = combineReports(reports);
+  return {
+    baseline: { ...meta, createdAt: new Date().toISOString() },
+    aggregate: {
+      counters: combined.counters,
+      summaries: combined.summaries,
+      firstMetricAt: Number.isFinite(combined.firstMetricAt) ? combined.firstMetricAt : null,
+      lastMetricAt: Number.isFinite(combined.lastMetricAt) ? combined.lastMetricAt : null,
+    },
+  };
+}
+
+// -------------------------------
+// Metrics
+// -------------------------------
+
+/** Same shape as endpointMetrics, from the global http.codes.* / errors.* / http.response_time. */
+function overallMetrics(combined) {
+  let responses = 0;
+  let passed = 0;
+  let errors = 0;
+  Object.entries(combined.counters).forEach(([key, value]) => {
+    const code = key.match(/^http\.codes\.(\d+)$/);
+    if (code) {
+      responses += value;
+      if (/^2\d\d$/.test(code[1])) passed += value;
+    } else if (key.startsWith("errors.")) {
+      errors += value;
+    }
+  });
+
+  const total = responses + errors;
+  const durationSec = Number.isFinite(combined.firstMetricAt) && combined.lastMetricAt > combined.firstMetricAt
+    ? (combined.lastMetricAt - combined.firstMetricAt) / 1000
+    : 0;
+  const summary = combined.summaries["http.response_time"] || {};
+  const latency = {};
+  Object.entries(summary).forEach(([field, value]) => {
+    if (field !== "count" && typeof value === "number") latency[field] = value;
+  });
+  return {
+    total,
+    passed,
+    failed: total - passed,
+    errorRate: total > 0 ? (total - passed) / total : 0,
+    tph: durationSec > 0 ? Math.round((total / durationSec) * 3600) : null,
+    latency,
+  };
+}
+
+/** Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7). */
+function normalCdf(z) {
+  const t = 1 / (1 + (0.3275911 * Math.abs(z)) / Math.SQRT2);
+  const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/** One-sided p-value that the candidate error rate is higher than the baseline's. */
+function errorRatePValue(base, cand) {
+  if (base.total === 0 || cand.total === 0) return 1;
+  const pooled = (base.failed + cand.failed) / (base.total + cand.total);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / base.total + 1 / cand.total));
+  if (se === 0) return cand.errorRate > base.errorRate ? 0 : 1;
+  return 1 - normalCdf((cand.errorRate - base.errorRate) / se);
+}
+
+// -------------------------------
+// Comparison
+// -------------------------------
+
+const round = (n, digits = 2) => (n === null || n === undefined ? null : Math.round(n * 10 ** digits) / 10 ** digits);
+
+function delta(metric, kind, baseline, candidate) {
+  const available = typeof baseline === "number" && typeof candidate === "number";
+  return {
+    metric,
+    kind,
+    baseline: typeof baseline === "number" ? baseline : null,
+    candidate: typeof candidate === "number" ? candidate : null,
+    delta: available ? round(candidate - baseline, 6) : null,
+    deltaPct: available && baseline !== 0 ? round(((candidate - baseline) / baseline) * 100, 1) : null,
+    status: available ? "unchanged" : "n/a",
+  };
+}
+
+function compareMetrics(base, cand, rules) {
+  const checks = rules.percentiles.map((field) => {
+    const check = delta(field, "latency", base.latency[field], cand.latency[field]);
+    if (check.status === "n/a") return check;
+    const change = check.delta;
+    const relative = check.baseline > 0 ? Math.abs(change) / check.baseline : Infinity;
+    if (Math.abs(change) >= rules.minLatencyDeltaMs && relative > rules.latencyTolerance) check.status = change > 0 ? "regressed" : "improved";
+    return check;
+  });
+
+  const errors = delta("errorRate", "errorRate", round(base.errorRate, 6), round(cand.errorRate, 6));
+  const pValue = errorRatePValue(base, cand);
+  errors.pValue = round(pValue, 4);
+  if (cand.errorRate - base.errorRate > rules.errorRateTolerance && pValue < 1 - rules.confidence) errors.status = "regressed";
+  else if (base.errorRate - cand.errorRate > rules.errorRateTolerance) errors.status = "improved";
+  checks.push(errors);
+
+  const throughput = delta("tph", "throughput", base.tph, cand.tph);
+  if (throughput.status !== "n/a" && throughput.baseline > 0) {
+    const relative = throughput.delta / throughput.baseline;
+    if (relative < -rules.throughputTolerance) throughput.status = "regressed";
+    else if (relative > rules.throughputTolerance) throughput.status = "improved";
+  }
+  checks.push(throughput);
+
+  checks.forEach((check) => {
+    check.gated = rules.failOn.includes(check.kind);
+  });
+  return checks;
+}
+
+/**
+ * Compares candidate reports with baseline reports, endpoint by endpoint.
+ * @param {Object[]} baselineReports - Parsed Artillery reports (or a stored baseline).
+ * @param {Object[]} candidateReports - Parsed Artillery reports of the run under test.
+ * @param {Object} [rules] - From resolveSlaConfig on a parsed regression.json.
+ * @returns {Object} { passed, regressions, environment, endpoints: [{ endpoint, status, baseline, candidate, checks }] }
+ */
+function compareRuns(baselineReports, candidateReports, rules = { defaults: null, endpoints: {}, environment: null }) {
+  const base = combineReports(baselineReports);
+  const cand = combineReports(candidateReports);
+  const keys = Object.keys(rules.endpoints);
+  const baseNames = discoverEndpoints(base);
+  const candNames = discoverEndpoints(cand);
+  const names = [...new Set([...baseNames, ...candNames])].sort();
+
+  const summarize = (m) => ({ total: m.total, errorRate: round(m.errorRate, 6), tph: m.tph, latency: m.latency });
+  const endpoints = [OVERALL, ...names].map((endpoint) => {
+    const match = endpoint === OVERALL ? null : matchSlaKey(endpoint, keys, { byService: rules.matchByService });
+    const ruleKey = endpoint === OVERALL ? (keys.includes(OVERALL) ? OVERALL : null) : match && match.key;
+    const endpointRules = { ...DEFAULT_RULES, ...(rules.defaults || {}), ...(ruleKey ? rules.endpoints[ruleKey] : {}) };
+    const b = endpoint === OVERALL ? overallMetrics(base) : endpointMetrics(base, endpoint);
+    const c = endpoint === OVERALL ? overallMetrics(cand) : endpointMetrics(cand, endpoint);
+    const entry = { endpoint, ruleKey, matchedBy: match ? match.matchedBy : null, status: "unchanged", baseline: summarize(b), candidate: summarize(c), checks: [] };
+
+    if (endpoint !== OVERALL && !baseNames.includes(endpoint)) entry.status = "new";
+    else if (endpoint !== OVERALL && !candNames.includes(endpoint)) entry.status = "missing";
+    else if (b.total < endpointRules.minSamples || c.total < endpointRules.minSamples) entry.status = "insufficient-data";
+    if (entry.status !== "unchanged") return entry;
+
+    entry.checks = compareMetrics(b, c, endpointRules);
+    if (entry.checks.some((check) => check.gated && check.status === "regressed")) entry.status = "regressed";
+    else if (entry.checks.some((check) => check.status === "regressed")) entry.status = "warning";
+    else if (entry.checks.some((check) => check.status === "improved")) entry.status = "improved";
+    return entry;
+  });
+
+  const regressions = endpoints.reduce((n, ep) => n + ep.checks.filter((c) => c.gated && c.status === "regressed").length, 0);
+  return {
+    generatedAt: new Date().toISOString(),
+    environment: rules.environment,
+    passed: regressions === 0,
+    regressions,
+    endpoints,
+  };
+}
+
+// -------------------------------
+// Output
+// -------------------------------
+
+const STATUS_ICONS = {
+  regressed: "❌ regressed",
+  warning: "⚠️ regressed (not gated)",
+  improved: "✅ improved",
+  unchanged: "✅ unchanged",
+  new: "🆕 new",
+  missing: "⚠️ missing",
+  "insufficient-data": "➖ insufficient data",
+};
+
+function formatValue(kind, value) {
+  if (value === null || value === undefined) return "–";
+  if (kind === "errorRate") return `${round(value * 100, 2)}%`;
+  if (kind === "latency") return `${round(value, 1)}ms`;
+  return String(value);
+}
+
+function formatCheck(check) {
+  if (!check) return "–";
+  if (check.status === "n/a") return `${formatValue(check.kind, check.baseline)} → ${formatValue(check.kind, check.candidate)}`;
+  const change = check.kind === "errorRate"
+    ? `${check.delta >= 0 ? "+" : ""}${round(check.delta * 100, 2)} pts`
+    : check.deltaPct !== null ? `${check.deltaPct >= 0 ? "+" : ""}${check.deltaPct}%` : "";
+  const mark = check.status === "regressed" ? (check.gated ? " ❌" : " ⚠️") : check.status === "improved" ? " ✅" : "";
+  return `${formatValue(check.kind, check.baseline)} → ${formatValue(check.kind, check.candidate)}${change ? ` (${change})` : ""}${mark}`;
+}
+
+/** Markdown for $GITHUB_STEP_SUMMARY: verdict line + one table row per endpoint. */
+function toMarkdown(comparison, meta = {}) {
+  const cell = (text) => String(text).replace(/\|/g, "\\|");
+  const fields = [...new Set(comparison.endpoints.flatMap((ep) => ep.checks.filter((c) => c.kind === "latency").map((c) => c.metric)))];
+  const percentiles = fields.length > 0 ? fields : DEFAULT_RULES.percentiles;
+  const title = [meta.app, comparison.environment || meta.environment].filter(Boolean).join(" / ");
+  const source = meta.baseline || {};
+
+  const lines = [
+    `## Baseline comparison${title ? ` — ${title}` : ""}`,
+    "",
+    `Baseline: ${[source.runId, source.createdAt && `created ${source.createdAt}`, source.commit && `commit ${String(source.commit).slice(0, 7)}`].filter(Boolean).join(", ") || meta.baselineFile || "–"}`,
+    "",
+    comparison.passed
+      ? "✅ No regressions against the baseline."
+      : `❌ ${comparison.regressions} regression(s) in ${comparison.endpoints.filter((ep) => ep.status === "regressed").length} endpoint(s).`,
+    "",
+    `| Endpoint | Requests | ${percentiles.join(" | ")} | Error rate | TPH | Status |`,
+    `| --- | --- | ${percentiles.map(() => "---").join(" | ")} | --- | --- | --- |`,
+  ];
+  comparison.endpoints.forEach((ep) => {
+    const byMetric = (metric) => ep.checks.find((c) => c.metric === metric);
+    const values = ep.checks.length > 0
+      ? [...percentiles.map((p) => formatCheck(byMetric(p))), formatCheck(byMetric("errorRate")), formatCheck(byMetric("tph"))]
+      : [...percentiles.map(() => "–"), "–", "–"];
+    lines.push(`| ${cell(ep.endpoint)} | ${ep.baseline.total} → ${ep.candidate.total} | ${values.map(cell).join(" | ")} | ${STATUS_ICONS[ep.status]} |`);
+  });
+  lines.push("", "❌ regression (fails the run) · ⚠️ regression not gated by 'failOn' · ✅ improvement beyond the tolerance", "");
+  return lines.join("\n");
+}
+
+// -------------------------------
+// CLI
+// -------------------------------
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const environment = args.env || process.env.SLA_ENV;
+  const baselineFile = typeof args.baseline === "string"
+    ? args.baseline
+    : args.app && environment ? baselinePath(args.app, environment, args["baseline-root"] || "applications") : null;
+  if (!args.candidate || !baselineFile) {
+    console.error("Usage: node utilities/baseline-compare.js --candidate <report.json[,report2.json]> (--baseline <file> | --app <app> --env <env>) [--rules <regression.json>] [--output-dir <dir>] [--update-baseline [always]] [--run-id <id>]");
+    return 2;
+  }
+
+  let candidates;
+  let baseline = null;
+  let rules;
+  try {
+    candidates = splitList(args.candidate).map((p) => JSON.parse(fs.readFileSync(p, "utf8")));
+    if (fs.existsSync(baselineFile)) baseline = JSON.parse(fs.readFileSync(baselineFile, "utf8"));
+    const rulesFile = typeof args.rules === "string" ? args.rules : null;
+    rules = resolveSlaConfig(rulesFile ? JSON.parse(fs.readFileSync(rulesFile, "utf8")) : {}, environment);
+  } catch (err) {
+    console.error(`❌ Baseline comparison input error: ${err.message}`);
+    return 2;
+  }
+
+  const outDir = args["output-dir"] || ".";
+  fs.mkdirSync(outDir, { recursive: true });
+  const meta = { app: args.app, environment, baselineFile, baseline: baseline && baseline.baseline };
+  let comparison = null;
+
+  if (!baseline) {
+    console.log(`ℹ️ No baseline at ${baselineFile}: nothing to compare${args["update-baseline"] ? ", this run becomes the baseline" : ""}.`);
+    fs.writeFileSync(path.join(outDir, "baseline-comparison.md"), `## Baseline comparison\n\nℹ️ No baseline at \`${baselineFile}\` yet.\n`);
+  } else {
+    comparison = { ...compareRuns([baseline], candidates, rules), baselineFile, baselineInfo: baseline.baseline || null };
+    fs.writeFileSync(path.join(outDir, "baseline-comparison.json"), JSON.stringify(comparison, null, 2));
+    fs.writeFileSync(path.join(outDir, "baseline-comparison.md"), toMarkdown(comparison, meta));
+
+    comparison.endpoints.forEach((ep) => {
+      const regressed = ep.checks.filter((c) => c.status === "regressed").map((c) => `${c.metric} ${formatCheck(c)}`);
+      console.log(`${STATUS_ICONS[ep.status].split(" ")[0]} ${ep.endpoint} — ${ep.status}${regressed.length ? `: ${regressed.join("; ")}` : ""}`);
+    });
+    console.log(comparison.passed ? "✅ No regressions against the baseline." : `❌ ${comparison.regressions} regression(s) against the baseline.`);
+  }
+
+  const update = args["update-baseline"];
+  if (update && (update === "always" || !comparison || comparison.passed)) {
+    const stored = createBaseline(candidates, {
+      app: args.app || null,
+      environment: environment || null,
+      runId: typeof args["run-id"] === "string" ? args["run-id"] : null,
+      commit: process.env.GITHUB_SHA || null,
+      sources: splitList(args.candidate).map((p) => path.basename(p)),
+    });
+    fs.mkdirSync(path.dirname(baselineFile), { recursive: true });
+    fs.writeFileSync(baselineFile, `${JSON.stringify(stored, null, 2)}\n`);
+    console.log(`✅ Baseline updated: ${baselineFile}`);
+  } else if (update) {
+    console.log(`ℹ️ Baseline not updated (regressions found; use --update-baseline always to override).`);
+  }
+  return !comparison || comparison.passed ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  baselinePath,
+  createBaseline,
+  overallMetrics,
+  compareRuns,
+  toMarkdown,
+  main,
+};
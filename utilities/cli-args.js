@@ -0,0 +1,34 @@
+/**
+ * ============================================================
+ * TINY CLI ARGUMENT PARSER (shared by the utilities/*.js CLIs)
+ * ============================================================
+ * '--name value' and '--name=value' become { name: value }; a flag
+ * with no value (next arg is another --flag or missing) becomes true.
+ * Everything else is collected in '_'.
+ * ============================================================
+ */
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([A-Za-z0-9-]+)(?:=(.*))?$/);
+    if (!match) {
+      args._.push(argv[i]);
+    } else if (match[2] !== undefined) {
+      args[match[1]] = match[2];
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      args[match[1]] = argv[++i];
+    } else {
+      args[match[1]] = true;
+    }
+  }
+  return args;
+}
+
+/** Splits a comma-separated list option ('a.json,b.json') into trimmed entries. */
+function splitList(value) {
+  if (!value || value === true) return [];
+  return String(value).split(",").map((p) => p.trim()).filter(Boolean);
+}
+
+module.exports = { parseArgs, splitList };
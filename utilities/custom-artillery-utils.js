@@ -3,58 +3,48 @@
  * UNIVERSAL ARTILLERY UTILS + AWS SIGV4 SIGNER (CSV-aware)
  * ============================================================
  * Provides:
- *   ✅ AWS Signature V4 signing for API Gateway (optional via tag)
- *   ✅ File-based response/error/debug logging
+ *   ✅ AWS Signature V4 signing, opt-in per request (API Gateway, Lambda URLs, other AWS services)
+ *   ✅ OAuth2 / JWT bearer tokens (attachToken / retryOn401)
+ *   ✅ Structured JSONL response/error/debug logging
  *   ✅ CSV data loading utility
  *   ✅ Random data helpers
  * ============================================================
  */
 
 const fs = require("fs");
-const path = require("path");
-const aws4 = require("aws4");
-const url = require("url");
 const { parse } = require("csv-parse/sync");
-const { faker } = require("@faker-js/faker");
+const sigv4 = require("./aws-sigv4");
+const awsCredentials = require("./aws-credentials");
+const artilleryRequest = require("./artillery-request");
+const jsonlLogger = require("./jsonl-logger");
+const { assertResponse } = require("./response-assertions");
+const generators = require("./data-generators");
+const { attachToken, retryOn401 } = require("./token-manager");
 
 // -------------------------------
 // ENVIRONMENT CONFIG
 // -------------------------------
-const SERVICE_NAME = "execute-api";
-const REGION = process.env.AWS_REGION;
-const TARGET_HOST = process.env.TARGET_HOST;
-const LOG_DIR = path.resolve("./artillery-logs");
-
-// Create logs directory if not present
-if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
-
-// Common log files
-const RESPONSE_LOG = path.join(LOG_DIR, "responses.log");
-const ERROR_LOG = path.join(LOG_DIR, "errors.log");
-const DEBUG_LOG = path.join(LOG_DIR, "debug.log");
+// Log channels → <ARTILLERY_LOG_DIR>/<channel>.w<worker>.jsonl (see jsonl-logger.js)
+const ERROR_LOG = "errors";
+const DEBUG_LOG = "debug";
 
 // -------------------------------
-// Helper: Append line to a log file
+// Helper: Queue a structured log record (buffered, async)
 // -------------------------------
-function logToFile(file, message) {
-  const timestamp = new Date().toISOString();
-  fs.appendFileSync(file, `[${timestamp}] ${message}\n`);
+function logToFile(channel, message) {
+  jsonlLogger.logEvent(channel, channel === ERROR_LOG ? "error" : "debug", message);
 }
 
 // -------------------------------
 // Utility Functions
 // -------------------------------
+// Seeded via DATA_SEED (see data-generators.js)
 function randomNumber(length = 6) {
-  const min = Math.pow(10, length - 1);
-  const max = Math.pow(10, length) - 1;
-  return Math.floor(min + Math.random() * (max - min));
+  return generators.randomNumber(length);
 }
 
 function randomDate(startYear = 2000, endYear = 2025) {
-  const start = new Date(startYear, 0, 1);
-  const end = new Date(endYear, 11, 31);
-  const date = new Date(start.getTime() + Math.random() * (end.getTime() - start.getTime()));
-  return date.toISOString().split("T")[0];
+  return generators.randomDate(startYear, endYear);
 }
 
 function loadCsvData(filePath) {
@@ -72,114 +62,49 @@ function loadCsvData(filePath) {
   }
 }
 
-// // -------------------------------
-// // AWS SigV4 Signing Hook
-// // -------------------------------
-// function signRequest(requestParams, context, ee, next) {
-//   try {
-//     // Only sign if the YAML tag requiresAwsSigV4=true
-//     if (!requestParams.tags || !requestParams.tags.includes("requiresAwsSigV4")) {
-//       return next();
-//     }
-
-//    // const requestPath = url.parse(requestParams.url).path;
-//    // const body = requestParams.json ? JSON.stringify(requestParams.json) : undefined;
-
-//     const options = {
-//       host: TARGET_HOST,
-//       method: requestParams.method || "GET",
-//       path: requestPath,
-//       service: SERVICE_NAME,
-//       region: REGION,
-//       headers: requestParams.headers || {},
-//       body: body,
-//     };
-
-//     // Use generic AWS credentials from environment
-//     const awsCreds = {
-//       accessKeyId: process.env.APP_AWS_KEY,
-//       secretAccessKey: process.env.APP_AWS_SECRET,
-//       sessionToken: process.env.APP_AWS_SESSION || undefined,
-//     };
-
-//     const signed = aws4.sign(options, awsCreds);
-//     requestParams.headers = signed.headers;
-//     if (body) requestParams.body = body;
-
-//     logToFile(
-//       DEBUG_LOG,
-//       `Signed ${options.method} ${options.path} for ${TARGET_HOST} (${REGION})`
-//     );
-//     return next();
-//   } catch (err) {
-//     logToFile(ERROR_LOG, `SigV4 Signing Failed: ${err.message}`);
-//     return next(err);
-//   }
-// }
-
-
-
-
-///////////////////////
-// ALTERNATE AWS4
-
 // -------------------------------
 // AWS SigV4 Signing Hook
 // -------------------------------
+// Opt-in per request: tag the request with "requiresAwsSigV4" (or add an
+// 'awsSigV4' block with service/region/host overrides). Untagged requests pass
+// through unsigned. Service/region/host are inferred from the URL — see aws-sigv4.js.
+// Credentials: see aws-credentials.js ('awsSigV4: { profile, roleArn }' per request).
 function signRequest(requestParams, context, ee, next) {
   try {
-    const requestPath = url.parse(requestParams.url).path;
-
-    // Determine body for signing
-    let body;
-    if (requestParams.json) {
-      body = JSON.stringify(requestParams.json);
-      // Ensure Artillery sends JSON string in body
-      requestParams.body = body;
-    } else if (requestParams.body) {
-      body = typeof requestParams.body === "string" ? requestParams.body : JSON.stringify(requestParams.body);
-    }
-
-    const options = {
-      host: TARGET_HOST,
-      method: requestParams.method || "GET",
-      path: requestPath,
-      service: SERVICE_NAME,
-      region: REGION,
-      headers: requestParams.headers || {},
-      body: body,
-    };
-
-    // AWS credentials from environment
-    const awsCreds = {
-      accessKeyId: process.env.APP_AWS_KEY,
-      secretAccessKey: process.env.APP_AWS_SECRET,
-      sessionToken: process.env.APP_AWS_SESSION || undefined,
-    };
-
-    const signed = aws4.sign(options, awsCreds);
-    requestParams.headers = signed.headers;
-
-    logToFile(
-      DEBUG_LOG,
-      `Signed ${options.method} ${options.path} for ${TARGET_HOST} (${REGION})`
-    );
-    return next();
+    if (!sigv4.requiresSigning(requestParams)) return next();
+
+    // Serialize json/form/multipart/body (and qs) once so the signed payload and
+    // canonical URI are exactly what Artillery sends
+    artilleryRequest.assertSignableByArtillery(requestParams);
+    const body = artilleryRequest.prepareRequestForSigning(requestParams, context);
+
+    // AWS credentials from the provider chain (env / profile / web identity / AssumeRole)
+    const overrides = (requestParams.awsSigV4 && typeof requestParams.awsSigV4 === "object") ? requestParams.awsSigV4 : {};
+    awsCredentials.getCredentials(overrides)
+      .then((awsCreds) => {
+        const target = sigv4.signRequestParams(requestParams, context, awsCreds, body);
+        logToFile(
+          DEBUG_LOG,
+          `Signed ${requestParams.method || "GET"} ${target.path} for ${target.host} (${target.service}/${target.region}) with ${awsCredentials.describeCredentials(awsCreds)}`
+        );
+        next();
+      })
+      .catch((err) => {
+        logToFile(ERROR_LOG, `SigV4 Signing Failed: ${err.message}`);
+        next(err);
+      });
   } catch (err) {
     logToFile(ERROR_LOG, `SigV4 Signing Failed: ${err.message}`);
     return next(err);
   }
 }
 
-
-//
-
-
 // -------------------------------
 // Response Hook: Log Success & Failures
 // -------------------------------
 function afterResponse(requestParams, response, context, ee, next) {
   console.log(`\n--- afterResponse called for ${requestParams.method} ${requestParams.url} ---`);
+  jsonlLogger.logResponse(requestParams, response, context);
 
   if (!response) {
     console.log("⚠️ No response received");
@@ -210,7 +135,10 @@ function afterResponse(requestParams, response, context, ee, next) {
 // -------------------------------
 module.exports = {
   signRequest,
+  attachToken,
+  retryOn401,
   afterResponse,
+  assertResponse,
   loadCsvData,
   randomNumber,
   randomDate,
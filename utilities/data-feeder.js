@@ -0,0 +1,344 @@
+/**
+ * ============================================================
+ * CSV DATA FEEDERS (per-VU unique data, runner-aware)
+ * ============================================================
+ * Provides:
+ *   ✅ Modes: sequential | random | unique (check-out/check-in) | unique-once
+ *   ✅ Exhaustion policies: recycle | stop (end the VU) | fail (fail the test)
+ *   ✅ One cursor per run: rows are handed out across all worker threads
+ *   ✅ Streaming for multi-GB files (sequential / unique-once)
+ *   ✅ Deterministic split across parallel runners (RUNNER_INDEX / RUNNER_COUNT)
+ * ============================================================
+ *
+ * HOW TO USE IN YAML:
+ *   config:
+ *     processor: "../../../processor.js"
+ *     variables:
+ *       dataFeeders:                       # an object, so Artillery passes it through as-is
+ *         users:
+ *           path: "../data/users.csv"
+ *           mode: unique                   # no two live VUs get the same user
+ *           onExhausted: stop
+ *         orders:
+ *           path: "../data/orders.csv"
+ *           mode: random
+ *           prefix: "order_"               # vars become order_productId, order_quantity, …
+ *   scenarios:
+ *     - name: "login"
+ *       beforeScenario: "feedData"         # check out one row per feeder into context.vars
+ *       afterScenario: "releaseData"       # check 'unique' rows back in
+ *       flow: [...]
+ *
+ * FEEDER OPTIONS:
+ *   path         CSV file (absolute, or relative to FEEDER_BASE_DIR / the script dir / cwd)
+ *   mode         sequential (default) | random | unique | unique-once
+ *   onExhausted  recycle (default) | stop | fail
+ *                  unique-once: end of data; unique: every row is checked out
+ *                  (sequential and random always wrap around)
+ *                  recycle on 'unique' lets VUs share rows rather than stall
+ *   stream       true → read lazily instead of loading the file (sequential / unique-once only)
+ *   shared       false → cursors per worker (default: one cursor / lease set for the run)
+ *   split        false → every runner sees every row (default: split when RUNNER_COUNT > 1)
+ *   prefix       prefix for the variable names set from the CSV columns
+ *   delimiter    CSV delimiter (default ",")
+ *
+ * 'fail' ends the VU, emits the counter feeder.<name>.exhausted_fail and makes
+ * 'artillery run' exit with code 1 when the test finishes.
+ *
+ * WORKERS: Artillery runs VUs in several worker threads. Each worker reads the
+ * rows, but the cursors and 'unique' leases live in one locked file per feeder
+ * (shared-store.js), so a 'unique' / 'unique-once' row goes to one VU per run.
+ * The run-state plugin (artillery-plugin-run-state.js) deletes those files at the end.
+ *
+ * RUNNER SPLIT: row i belongs to runner ((i % RUNNER_COUNT) + 1). The framework
+ * workflow exports RUNNER_INDEX / RUNNER_COUNT for each matrix runner.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const csvParse = require("csv-parse");
+const { parse } = require("csv-parse/sync");
+const { MemoryStore, FileStore, runFile } = require("./shared-store");
+
+const MODES = ["sequential", "random", "unique", "unique-once"];
+const POLICIES = ["recycle", "stop", "fail"];
+
+/** Error raised to end a VU when its feeder is exhausted ('stop' / 'fail'). */
+class FeederExhaustedError extends Error {
+  constructor(feederName, policy) {
+    super(`Data feeder '${feederName}' exhausted (onExhausted: ${policy})`);
+    this.name = "FeederExhaustedError";
+    this.code = "FEEDER_EXHAUSTED";
+  }
+}
+
+/** Runner split from the environment: { index (0-based), count }. */
+function runnerSplit() {
+  const count = Math.max(1, Number(process.env.RUNNER_COUNT || 1));
+  const index = Math.min(count, Math.max(1, Number(process.env.RUNNER_INDEX || 1))) - 1;
+  return { index, count };
+}
+
+function resolveDataPath(filePath, context) {
+  if (path.isAbsolute(filePath)) return filePath;
+  const baseDir = process.env.FEEDER_BASE_DIR ||
+    (context && context.vars && context.vars.$dirname) ||
+    process.cwd();
+  return path.resolve(baseDir, filePath);
+}
+
+/**
+ * Reads a whole CSV (header row → object keys). Throws on a missing or
+ * malformed file — callers decide whether to fall back.
+ */
+function loadCsvRecords(filePath, options = {}) {
+  const csvContent = fs.readFileSync(filePath, "utf8");
+  return parse(csvContent, {
+    columns: true,
+    skip_empty_lines: true,
+    delimiter: options.delimiter || ",",
+  });
+}
+
+/** Keeps only the rows that belong to this runner (row i → runner i % count). */
+function splitForRunner(records, split = runnerSplit()) {
+  if (split.count <= 1) return records;
+  return records.filter((_, i) => i % split.count === split.index);
+}
+
+// -------------------------------
+// Feeder
+// -------------------------------
+
+class DataFeeder {
+  /**
+   * @param {string} name - Feeder name (used in counters and errors).
+   * @param {Object} options - See FEEDER OPTIONS above; 'path' must be resolved.
+   *   'shared: false' keeps the cursors in this worker (tests, single-worker tools).
+   */
+  constructor(name, options) {
+    this.name = name;
+    this.path = options.path;
+    this.mode = options.mode || "sequential";
+    this.onExhausted = options.onExhausted || "recycle";
+    this.stream = Boolean(options.stream);
+    this.delimiter = options.delimiter;
+    this.split = options.split === false ? { index: 0, count: 1 } : runnerSplit();
+
+    if (!MODES.includes(this.mode)) throw new Error(`Feeder '${name}': unknown mode '${this.mode}'`);
+    if (!POLICIES.includes(this.onExhausted)) throw new Error(`Feeder '${name}': unknown onExhausted '${this.onExhausted}'`);
+    if (this.stream && !["sequential", "unique-once"].includes(this.mode)) {
+      throw new Error(`Feeder '${name}': stream is only supported for sequential and unique-once modes`);
+    }
+
+    // Every worker reads the same rows; which row is next (and which 'unique'
+    // rows are checked out) lives in one store for all workers of the run.
+    // next: rows handed out, returned: checked-in 'unique' rows, total: streamed row count
+    const initialState = { next: 0, returned: [], shared: 0, total: null };
+    this.store = options.shared === false ? new MemoryStore(initialState) : new FileStore(runFile("feeder", name), initialState);
+
+    if (this.stream) {
+      this.iterator = null;
+      this.position = 0;                            // row the iterator yields next
+      this.queue = Promise.resolve();               // one VU at a time moves the iterator
+    } else {
+      this.records = splitForRunner(loadCsvRecords(this.path, { delimiter: this.delimiter }), this.split);
+      if (this.records.length === 0) {
+        throw new Error(`Feeder '${name}': no rows for runner ${this.split.index + 1}/${this.split.count} in ${this.path}`);
+      }
+    }
+  }
+
+  /** Lazily reads this runner's rows from the start of the file. */
+  async *streamRows() {
+    const parser = fs.createReadStream(this.path).pipe(csvParse.parse({
+      columns: true,
+      skip_empty_lines: true,
+      delimiter: this.delimiter || ",",
+    }));
+    let rowIndex = 0;
+    for await (const record of parser) {
+      if (rowIndex % this.split.count === this.split.index) yield record;
+      rowIndex++;
+    }
+  }
+
+  /** Moves this worker's iterator to row 'target'; null when the file has fewer rows. */
+  async streamRowAt(target) {
+    if (!this.iterator || target < this.position) {
+      this.iterator = this.streamRows();
+      this.position = 0;
+    }
+    for (;;) {
+      const result = await this.iterator.next();
+      if (result.done) {
+        this.iterator = null;
+        return null;
+      }
+      this.position++;
+      if (this.position - 1 === target) return result.value;
+    }
+  }
+
+  /** Claims the next row ordinal for the run, then reads that row from the file. */
+  async nextStreamed() {
+    const claim = this.store.update((state) => {
+      if (state.total !== null && state.next >= state.total) {
+        if (this.mode === "unique-once" && this.onExhausted !== "recycle") return { result: { exhausted: true }, changed: false };
+      }
+      const ordinal = state.next++;
+      return { result: { ordinal, total: state.total }, changed: true };
+    });
+    if (claim.exhausted) return claim;
+
+    let total = claim.total;
+    let record = await this.streamRowAt(total ? claim.ordinal % total : claim.ordinal);
+    if (!record) {
+      // Past the end: now the row count is known to every worker
+      total = this.position;
+      this.store.update((state) => {
+        if (state.total === total) return { result: null, changed: false };
+        state.total = total;
+        return { result: null, changed: true };
+      });
+      if (total === 0) throw new Error(`Feeder '${this.name}': no rows in ${this.path}`);
+      if (this.mode === "unique-once" && this.onExhausted !== "recycle") return { exhausted: true };
+      record = await this.streamRowAt(claim.ordinal % total);
+    }
+    return { record };
+  }
+
+  /**
+   * Checks out one row.
+   * @returns {Promise<{record?: Object, index?: number, exhausted?: boolean, shared?: boolean}>}
+   */
+  async checkout() {
+    if (this.stream) {
+      const next = this.queue.then(() => this.nextStreamed());
+      this.queue = next.catch(() => {});
+      return next;
+    }
+
+    const total = this.records.length;
+    if (this.mode === "random") {
+      const index = Math.floor(Math.random() * total);
+      return { record: this.records[index], index };
+    }
+
+    const lease = this.store.update((state) => {
+      switch (this.mode) {
+        case "unique": {
+          if (state.returned.length > 0) return { result: { index: state.returned.shift(), leased: true }, changed: true };
+          if (state.next < total) return { result: { index: state.next++, leased: true }, changed: true };
+          if (this.onExhausted !== "recycle") return { result: { exhausted: true }, changed: false };
+          return { result: { index: state.shared++ % total, shared: true }, changed: true };
+        }
+        case "unique-once": {
+          if (state.next >= total) {
+            if (this.onExhausted !== "recycle") return { result: { exhausted: true }, changed: false };
+            state.next = 0;
+          }
+          return { result: { index: state.next++ }, changed: true };
+        }
+        default:
+          return { result: { index: state.next++ % total }, changed: true };
+      }
+    });
+    return lease.exhausted ? lease : { record: this.records[lease.index], ...lease };
+  }
+
+  /** Returns a 'unique' row to the pool (no-op for other modes). */
+  checkin(lease) {
+    if (!lease || !lease.leased || this.mode !== "unique") return;
+    this.store.update((state) => {
+      state.returned.push(lease.index);
+      return { result: null, changed: true };
+    });
+  }
+}
+
+// One feeder per name per worker, shared by all VUs (cursors shared by all workers via the store)
+const feeders = new Map();
+
+function getFeeder(name, options, context) {
+  if (!feeders.has(name)) {
+    if (!options || !options.path) throw new Error(`Feeder '${name}': 'path' is required`);
+    feeders.set(name, new DataFeeder(name, { ...options, path: resolveDataPath(options.path, context) }));
+  }
+  return feeders.get(name);
+}
+
+// -------------------------------
+// Artillery hooks
+// -------------------------------
+
+/**
+ * Makes 'artillery run' exit non-zero once the test ends (the same mechanism the
+ * ensure plugin uses; a worker forwards the code to the main process).
+ */
+function failRun() {
+  if (global.artillery) global.artillery.suggestedExitCode = 1;
+}
+
+/**
+ * beforeScenario / function step: checks out one row from every feeder in
+ * context.vars.dataFeeders and copies its columns into context.vars.
+ */
+function feedData(context, ee, done) {
+  const specs = (context.vars && context.vars.dataFeeders) || {};
+  context._feederLeases = context._feederLeases || [];
+
+  (async () => {
+    for (const [name, spec] of Object.entries(specs)) {
+      const feeder = getFeeder(name, spec, context);
+      const lease = await feeder.checkout();
+
+      if (lease.exhausted) {
+        ee.emit("counter", `feeder.${name}.exhausted`, 1);
+        if (feeder.onExhausted === "fail") {
+          ee.emit("counter", `feeder.${name}.exhausted_fail`, 1);
+          failRun();
+        }
+        throw new FeederExhaustedError(name, feeder.onExhausted);
+      }
+      if (lease.shared) ee.emit("counter", `feeder.${name}.shared`, 1);
+      ee.emit("counter", `feeder.${name}.checked_out`, 1);
+
+      context._feederLeases.push({ name, ...lease });
+      const prefix = spec.prefix || "";
+      Object.entries(lease.record).forEach(([column, value]) => {
+        context.vars[`${prefix}${column}`] = value;
+      });
+    }
+  })().then(() => done(), (err) => {
+    // Don't strand rows already checked out by this VU when it is stopped
+    releaseLeases(context);
+    done(err);
+  });
+}
+
+function releaseLeases(context) {
+  (context._feederLeases || []).forEach((lease) => {
+    const feeder = feeders.get(lease.name);
+    if (feeder) feeder.checkin(lease);
+  });
+  context._feederLeases = [];
+}
+
+/** afterScenario / function step: checks this VU's 'unique' rows back in. */
+function releaseData(context, ee, done) {
+  releaseLeases(context);
+  return done();
+}
+
+module.exports = {
+  DataFeeder,
+  FeederExhaustedError,
+  loadCsvRecords,
+  resolveDataPath,
+  splitForRunner,
+  runnerSplit,
+  getFeeder,
+  feedData,
+  releaseData,
+};
@@ -0,0 +1,333 @@
+/**
+ * ============================================================
+ * SEEDABLE, LOCALE-AWARE TEST DATA GENERATORS
+ * ============================================================
+ * Provides:
+ *   ✅ Reproducible runs: global seed from DATA_SEED (logged when auto-generated;
+ *      the run-state plugin generates one for all workers of the run)
+ *   ✅ Per-VU seeded generators derived from the global seed + runner + worker +
+ *      the VU's position on that worker (same seed → same values per VU)
+ *   ✅ Locale selection (DATA_LOCALE, e.g. "de", "en_GB", "fr")
+ *   ✅ Collision-free unique values (run id + runner/worker id + counter)
+ *   ✅ Typed generators: names, addresses, phones, test credit cards, IBANs,
+ *      dates relative to now, numbers, text, emails, UUIDs
+ * ============================================================
+ *
+ * HOW TO USE IN YAML:
+ *   - set:
+ *       email: '{{ $uniqueEmail() }}'
+ *       card: '{{ $creditCard("visa") }}'
+ *
+ *   # Per-VU reproducible values: declare generators and call 'generateTestData'
+ *   config:
+ *     variables:
+ *       generators:                     # object → passed through as-is
+ *         customerName: "fullName"
+ *         dob: "pastDate(18, 80)"       # between 18 and 80 years ago
+ *         deliveryDate: "dateFromNow('+3d')"
+ *         iban: "iban('DE')"
+ *   scenarios:
+ *     - flow:
+ *         - function: "generateTestData"
+ *
+ * Replay a run with the seed printed at startup: DATA_SEED=<seed> artillery run ...
+ * (same worker count). Without DATA_SEED, enable the run-state plugin
+ * (utilities/artillery-plugin-run-state.js) so that every worker uses the same
+ * generated seed; otherwise each worker generates and logs its own. Unique values carry the run id (DATA_RUN_ID, else the
+ * GitHub run id/attempt, else a random tag), so they never repeat across replays.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { threadId } = require("worker_threads");
+const { Faker, allLocales } = require("@faker-js/faker");
+
+// -------------------------------
+// Seed + locale
+// -------------------------------
+
+const LOCALE = process.env.DATA_LOCALE || "en";
+const RUNNER_ID = process.env.RUNNER_INDEX || "1";
+// Local workers are threads of one process; Artillery sets LOCAL_WORKER_ID to the threadId
+const WORKER_ID = process.env.LOCAL_WORKER_ID || String(threadId);
+
+// DATA_GENERATED_SEED comes from the run-state plugin (main process), so it is the same in every worker
+const SEED_SOURCE = process.env.DATA_SEED !== undefined ? "DATA_SEED" : "generated";
+const SEED_PER_WORKER = process.env.DATA_SEED === undefined && process.env.DATA_GENERATED_SEED === undefined;
+const GLOBAL_SEED = Number(process.env.DATA_SEED !== undefined ? process.env.DATA_SEED : process.env.DATA_GENERATED_SEED)
+  || crypto.randomInt(1, 2 ** 31 - 1);
+const RUN_ID = process.env.DATA_RUN_ID
+  || (process.env.GITHUB_RUN_ID ? `${process.env.GITHUB_RUN_ID}.${process.env.GITHUB_RUN_ATTEMPT || 1}` : "")
+  || crypto.randomBytes(3).toString("hex");
+
+function localeChain(locale) {
+  const chain = [];
+  if (allLocales[locale]) chain.push(allLocales[locale]);
+  else console.warn(`⚠️ Unknown DATA_LOCALE '${locale}', falling back to 'en'`);
+  if (locale !== "en") chain.push(allLocales.en);
+  chain.push(allLocales.base);
+  return chain;
+}
+
+/** Derives a stable 32-bit seed from the global seed and any extra parts. */
+function deriveSeed(...parts) {
+  const digest = crypto.createHash("sha256").update([GLOBAL_SEED, ...parts].join(":")).digest();
+  return digest.readUInt32BE(0);
+}
+
+function createFaker(seed, locale = LOCALE) {
+  const instance = new Faker({ locale: localeChain(locale) });
+  instance.seed(seed);
+  return instance;
+}
+
+// Worker-level generator for template helpers (no VU context available there)
+const globalFaker = createFaker(deriveSeed("runner", RUNNER_ID, "thread", WORKER_ID));
+
+/** Records the seed (once per runner, or per worker when each has its own) so any run can be replayed. */
+function recordSeed() {
+  const info = { seed: GLOBAL_SEED, source: SEED_SOURCE, locale: LOCALE, runner: RUNNER_ID, runId: RUN_ID, startedAt: new Date().toISOString() };
+  console.log(`🎲 Data seed: ${GLOBAL_SEED} (${SEED_SOURCE}, locale ${LOCALE}) — replay with DATA_SEED=${GLOBAL_SEED}`);
+  if (SEED_PER_WORKER) console.warn(`⚠️ Worker ${WORKER_ID} generated its own data seed: enable the run-state plugin (utilities/artillery-plugin-run-state.js) for one seed per run`);
+  try {
+    const dir = path.resolve(process.env.ARTILLERY_LOG_DIR || "./artillery-logs");
+    fs.mkdirSync(dir, { recursive: true });
+    const name = SEED_PER_WORKER ? `data-seed-runner-${RUNNER_ID}-worker-${WORKER_ID}.json` : `data-seed-runner-${RUNNER_ID}.json`;
+    fs.writeFileSync(path.join(dir, name), JSON.stringify(info, null, 2));
+  } catch (err) {
+    console.warn(`⚠️ Could not write data seed file: ${err.message}`);
+  }
+}
+if (SEED_PER_WORKER || threadId <= 1) recordSeed();
+
+// VUs seeded on this worker so far: the n-th VU gets the same seed on every replay
+let vuCounter = 0;
+
+/**
+ * Returns the VU's own seeded faker (created on first use, kept on the context),
+ * or the worker-level one when no context is given. The seed comes from the
+ * runner, worker and a per-worker VU counter, never from the VU's random uuid.
+ */
+function fakerFor(context) {
+  if (!context) return globalFaker;
+  if (!context._dataFaker) {
+    vuCounter += 1;
+    context._dataFaker = createFaker(
+      deriveSeed("vu", RUNNER_ID, WORKER_ID, vuCounter),
+      (context.vars && context.vars.dataLocale) || LOCALE
+    );
+  }
+  return context._dataFaker;
+}
+
+// -------------------------------
+// Unique sequences
+// -------------------------------
+
+let sequence = 0;
+
+/**
+ * Collision-free id: run id + runner + worker thread + monotonically increasing
+ * counter. Unique across VUs, workers and runners, and across runs (a replay
+ * with the same DATA_SEED gets a new run id).
+ */
+function uniqueId(prefix = "") {
+  sequence += 1;
+  return `${prefix}${RUN_ID}r${RUNNER_ID}w${WORKER_ID}n${sequence.toString(36)}`;
+}
+
+// -------------------------------
+// Generators (all take an optional faker instance as last argument)
+// -------------------------------
+
+/** Number with exactly 'length' digits; both ends inclusive. */
+function randomNumber(length = 6, f = globalFaker) {
+  const min = Math.pow(10, length - 1);
+  const max = Math.pow(10, length) - 1;
+  return f.number.int({ min, max });
+}
+
+/** Date (YYYY-MM-DD) between Jan 1 of startYear and Dec 31 of endYear. */
+function randomDate(startYear = 2000, endYear = 2025, f = globalFaker) {
+  const date = f.date.between({ from: new Date(Date.UTC(startYear, 0, 1)), to: new Date(Date.UTC(endYear, 11, 31)) });
+  return date.toISOString().split("T")[0];
+}
+
+function randomText(wordCount = 10, f = globalFaker) {
+  return f.lorem.words(wordCount);
+}
+
+function randomEmail(f = globalFaker) {
+  return f.internet.email();
+}
+
+function randomUuid(f = globalFaker) {
+  return f.string.uuid();
+}
+
+/** Email guaranteed unique within the run (username + unique id). */
+function uniqueEmail(f = globalFaker) {
+  const user = f.internet.username().replace(/[^A-Za-z0-9._-]/g, "").toLowerCase() || "user";
+  return `${user}.${uniqueId()}@${f.internet.domainName()}`;
+}
+
+function firstName(f = globalFaker) { return f.person.firstName(); }
+function lastName(f = globalFaker) { return f.person.lastName(); }
+function fullName(f = globalFaker) { return f.person.fullName(); }
+function phoneNumber(f = globalFaker) { return f.phone.number(); }
+
+/** Address object serialised as JSON when used in a template. */
+function address(f = globalFaker) {
+  return {
+    street: f.location.streetAddress(),
+    city: f.location.city(),
+    postalCode: f.location.zipCode(),
+    state: f.location.state(),
+    country: f.location.countryCode(),
+  };
+}
+
+// Card-network test prefixes and lengths (numbers pass Luhn, never real cards)
+const CARD_TEST_PREFIXES = {
+  visa: { prefix: "411111", length: 16 },
+  mastercard: { prefix: "555555", length: 16 },
+  amex: { prefix: "378282", length: 15 },
+  discover: { prefix: "601111", length: 16 },
+};
+
+function luhnCheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+/** Luhn-valid card number on a well-known test prefix. */
+function creditCard(network = "visa", f = globalFaker) {
+  const spec = CARD_TEST_PREFIXES[String(network).toLowerCase()] || CARD_TEST_PREFIXES.visa;
+  let body = spec.prefix;
+  while (body.length < spec.length - 1) body += String(f.number.int({ min: 0, max: 9 }));
+  return body + luhnCheckDigit(body);
+}
+
+// BBAN length (digits) per country for numeric-only IBANs
+const IBAN_BBAN_LENGTHS = { DE: 18, FR: 23, ES: 20, BE: 12, AT: 16, CH: 17 };
+
+/** Checksum-valid IBAN (numeric BBAN) for the given country. */
+function iban(country = "DE", f = globalFaker) {
+  const cc = String(country).toUpperCase();
+  const length = IBAN_BBAN_LENGTHS[cc] || IBAN_BBAN_LENGTHS.DE;
+  let bban = "";
+  while (bban.length < length) bban += String(f.number.int({ min: 0, max: 9 }));
+
+  const numeric = `${bban}${cc}00`.replace(/[A-Z]/g, (ch) => String(ch.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of numeric) remainder = (remainder * 10 + Number(digit)) % 97;
+  const check = String(98 - remainder).padStart(2, "0");
+  return `${cc}${check}${bban}`;
+}
+
+/**
+ * Date relative to now: '+3d', '-2h', '+1M', '-1y', '+30m', '+15s'. Several
+ * offsets can be combined ('+1d-2h').
+ * @param {string} format - 'date' (YYYY-MM-DD, default), 'iso' or 'epoch'.
+ */
+function dateFromNow(offset = "+0d", format = "date") {
+  const date = new Date();
+  const re = /([+-]\d+)\s*([smhdwMy])/g;
+  let match;
+  while ((match = re.exec(offset)) !== null) {
+    const n = Number(match[1]);
+    switch (match[2]) {
+      case "s": date.setSeconds(date.getSeconds() + n); break;
+      case "m": date.setMinutes(date.getMinutes() + n); break;
+      case "h": date.setHours(date.getHours() + n); break;
+      case "d": date.setDate(date.getDate() + n); break;
+      case "w": date.setDate(date.getDate() + n * 7); break;
+      case "M": date.setMonth(date.getMonth() + n); break;
+      default: date.setFullYear(date.getFullYear() + n);
+    }
+  }
+  if (format === "iso") return date.toISOString();
+  if (format === "epoch") return date.getTime();
+  return date.toISOString().split("T")[0];
+}
+
+/** Date (YYYY-MM-DD) between maxYears and minYears ago (e.g. date of birth). */
+function pastDate(minYears = 0, maxYears = 1, f = globalFaker) {
+  const now = Date.now();
+  const year = 365.25 * 24 * 3600 * 1000;
+  return f.date.between({ from: new Date(now - maxYears * year), to: new Date(now - minYears * year) })
+    .toISOString().split("T")[0];
+}
+
+const GENERATORS = {
+  randomNumber, randomDate, randomText, randomEmail, randomUuid, uniqueEmail,
+  firstName, lastName, fullName, phoneNumber, address, creditCard, iban, pastDate,
+  dateFromNow: (offset, format) => dateFromNow(offset, format),
+  uniqueId: (prefix) => uniqueId(prefix),
+};
+
+// Generators that take no faker (never pass the VU instance to them)
+const UNSEEDED = new Set(["dateFromNow", "uniqueId"]);
+
+// Number of positional args before the faker argument
+const ARITY = { randomNumber: 1, randomDate: 2, randomText: 1, creditCard: 1, iban: 1, pastDate: 2 };
+
+/** Parses "name(arg1, 'arg2')" into { name, args }. */
+function parseGeneratorSpec(spec) {
+  const match = String(spec).trim().match(/^([A-Za-z_$][\w$]*)\s*(?:\((.*)\))?$/);
+  if (!match) throw new Error(`Invalid generator spec: ${spec}`);
+  const args = (match[2] || "").split(",").map((a) => a.trim()).filter(Boolean).map((a) => {
+    if (/^-?\d+(\.\d+)?$/.test(a)) return Number(a);
+    return a.replace(/^['"]|['"]$/g, "");
+  });
+  return { name: match[1], args };
+}
+
+/** Runs one generator spec with the VU's seeded faker. */
+function generate(spec, context) {
+  const { name, args } = parseGeneratorSpec(spec);
+  const fn = GENERATORS[name];
+  if (!fn) throw new Error(`Unknown generator '${name}'`);
+  if (UNSEEDED.has(name)) return fn(...args);
+
+  // Fill omitted optional args with undefined so the faker lands in its slot
+  const arity = ARITY[name] || 0;
+  const padded = args.slice(0, arity);
+  while (padded.length < arity) padded.push(undefined);
+  return fn(...padded, fakerFor(context));
+}
+
+/**
+ * PROCESSOR: Sets one var per entry of context.vars.generators using the VU's
+ * seeded generator (reproducible with DATA_SEED).
+ */
+function generateTestData(context, ee, done) {
+  try {
+    Object.entries((context.vars && context.vars.generators) || {}).forEach(([varName, spec]) => {
+      context.vars[varName] = generate(spec, context);
+    });
+    return done();
+  } catch (err) {
+    return done(err);
+  }
+}
+
+module.exports = {
+  GLOBAL_SEED,
+  LOCALE,
+  deriveSeed,
+  fakerFor,
+  uniqueId,
+  generate,
+  generateTestData,
+  ...GENERATORS,
+};
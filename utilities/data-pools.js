@@ -0,0 +1,301 @@
+/**
+ * ============================================================
+ * SHARED DATA POOLS (producer / consumer flows across VUs)
+ * ============================================================
+ * Provides:
+ *   ✅ Named pools: producer requests push captured values (orderIds, …),
+ *      consumer scenarios pop (use once) or sample (reuse) them
+ *   ✅ In-process store, or a file store shared by every worker of the run
+ *   ✅ Size cap (evict the oldest or drop the new value), TTL per value
+ *   ✅ Seeding from CSV (split across runners like dataFeeders)
+ *   ✅ Empty pool behaviour: wait | skip | default | fail
+ * ============================================================
+ *
+ * HOW TO USE IN YAML:
+ *   config:
+ *     processor: "../../../processor.js"
+ *     variables:
+ *       dataPools:                          # an object, so Artillery passes it through as-is
+ *         orders:
+ *           maxSize: 5000
+ *           ttl: "10m"                       # orders older than this are not handed out
+ *           seed: { path: "../data/orders.csv", column: "orderId" }
+ *           onEmpty: wait                    # wait up to waitTimeout for a producer
+ *           waitTimeout: "20s"
+ *           shared: true                     # one pool for all workers (file store)
+ *   scenarios:
+ *     - name: "post-orders"                  # producer
+ *       flow:
+ *         - post:
+ *             url: "/orders"
+ *             capture: { json: "$.id", as: "orderId" }
+ *             afterResponse: "pushToPool"
+ *             toPool: { orders: "orderId" }  # pool → var to push
+ *     - name: "cancel-order"                 # consumer
+ *       fromPool: { orders: "orderId" }      # pool → var to set (pop)
+ *       beforeScenario: "takeFromPool"
+ *       flow:
+ *         - delete: { url: "/orders/{{ orderId }}", ifTrue: "orderId" }
+ *     - name: "get-order"                    # consumer that leaves the id in the pool
+ *       fromPool: { orders: { as: "orderId", mode: "sample" } }
+ *       beforeScenario: "takeFromPool"
+ *       flow:
+ *         - get: { url: "/orders/{{ orderId }}" }
+ *
+ * 'takeFromPool' also works as a 'function' step (takes again at that point of the flow).
+ *
+ * POOL OPTIONS:
+ *   maxSize      values kept (default 10000)
+ *   onFull       evict (default: drop the oldest) | drop (keep the pool, discard the new value)
+ *   ttl          seconds or "10m": pushed values expire after this (seeded ones never do)
+ *   seed         { path, column (default: first), split (default: true), delimiter }
+ *   onEmpty      wait (default) | skip | default | fail
+ *                  wait: poll until a value arrives, then fail after waitTimeout (default 30s)
+ *                  skip: leave the var unset, so steps with 'ifTrue: "<var>"' are skipped
+ *                  default: set the var to 'default'
+ *                  fail: end the VU with DataPoolEmptyError
+ *   take         pop (default) | sample — per consumer: { as: "orderId", mode: "sample" }
+ *   shared       true → file store in DATA_POOL_DIR (default: the OS temp dir), one file per
+ *                pool per run (deleted at the end by the run-state plugin,
+ *                artillery-plugin-run-state.js); 'file: path' names a file that is kept,
+ *                so separate processes can share it
+ *
+ * Artillery runs each worker in its own thread, so an in-process pool (and its seed) is
+ * per worker; 'shared' pools go through a locked JSON file, are seeded once and see every
+ * worker's pushes.
+ *
+ * METRICS (counters): data_pool.<name>.pushed | evicted | dropped | missing_value |
+ *   expired | popped | sampled | empty | skipped | defaulted; histogram data_pool.<name>.wait (ms)
+ */
+
+const { parseDuration } = require("./workload-model");
+const { loadCsvRecords, resolveDataPath, splitForRunner, runnerSplit } = require("./data-feeder");
+const { MemoryStore, FileStore, runFile } = require("./shared-store");
+
+const EMPTY_POLICIES = ["wait", "skip", "default", "fail"];
+const FULL_POLICIES = ["evict", "drop"];
+const TAKE_MODES = ["pop", "sample"];
+const DEFAULT_MAX_SIZE = 10000;
+const DEFAULT_WAIT_TIMEOUT_S = 30;
+const WAIT_POLL_MS = 100;
+
+/** Error raised to end a VU when its pool stays empty ('wait' / 'fail'). */
+class DataPoolEmptyError extends Error {
+  constructor(poolName, policy) {
+    super(`Data pool '${poolName}' is empty (onEmpty: ${policy})`);
+    this.name = "DataPoolEmptyError";
+    this.code = "DATA_POOL_EMPTY";
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// -------------------------------
+// Pool
+// -------------------------------
+
+class DataPool {
+  /**
+   * @param {string} name - Pool name (used in counters, errors and the file name).
+   * @param {Object} options - See POOL OPTIONS above; seed.path / file must be resolved.
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.maxSize = options.maxSize !== undefined ? Number(options.maxSize) : DEFAULT_MAX_SIZE;
+    this.onFull = options.onFull || "evict";
+    this.ttlMs = options.ttl !== undefined ? parseDuration(options.ttl, `Data pool '${name}' ttl`) * 1000 : null;
+    this.onEmpty = options.onEmpty || "wait";
+    this.waitTimeoutMs = parseDuration(options.waitTimeout !== undefined ? options.waitTimeout : DEFAULT_WAIT_TIMEOUT_S, `Data pool '${name}' waitTimeout`) * 1000;
+    this.defaultValue = options.default;
+    this.take = options.take || "pop";
+    this.seedSpec = options.seed || null;
+
+    if (!(this.maxSize > 0)) throw new Error(`Data pool '${name}': maxSize must be a positive number`);
+    if (!FULL_POLICIES.includes(this.onFull)) throw new Error(`Data pool '${name}': unknown onFull '${this.onFull}'`);
+    if (!EMPTY_POLICIES.includes(this.onEmpty)) throw new Error(`Data pool '${name}': unknown onEmpty '${this.onEmpty}'`);
+    if (!TAKE_MODES.includes(this.take)) throw new Error(`Data pool '${name}': unknown take '${this.take}'`);
+    if (this.onEmpty === "default" && this.defaultValue === undefined) {
+      throw new Error(`Data pool '${name}': onEmpty 'default' needs a 'default' value`);
+    }
+    if (this.seedSpec && !this.seedSpec.path) throw new Error(`Data pool '${name}': seed needs a 'path'`);
+
+    const initialState = { seeded: false, items: [] };
+    if (options.file) this.store = new FileStore(options.file, initialState);
+    else if (options.shared) this.store = new FileStore(runFile("data-pool", name), initialState);
+    else this.store = new MemoryStore(initialState);
+  }
+
+  /** Seed values (this runner's share of the CSV). */
+  seedValues() {
+    const split = this.seedSpec.split === false ? { index: 0, count: 1 } : runnerSplit();
+    const records = splitForRunner(loadCsvRecords(this.seedSpec.path, { delimiter: this.seedSpec.delimiter }), split);
+    const column = this.seedSpec.column || (records[0] && Object.keys(records[0])[0]);
+    return records.map((record) => record[column]).filter((value) => value !== undefined && value !== "");
+  }
+
+  /**
+   * Runs fn(items, now) on the live (seeded, unexpired) items.
+   * @returns {{ result: *, expired: number }}
+   */
+  withItems(fn) {
+    return this.store.update((state) => {
+      let changed = false;
+      if (!state.seeded) {
+        if (this.seedSpec) {
+          state.items = state.items.concat(this.seedValues().slice(0, this.maxSize).map((value) => ({ value, expiresAt: null })));
+        }
+        state.seeded = true;
+        changed = true;
+      }
+      const now = Date.now();
+      const before = state.items.length;
+      state.items = state.items.filter((item) => item.expiresAt === null || item.expiresAt > now);
+      const expired = before - state.items.length;
+      const outcome = fn(state.items, now);
+      return { result: { result: outcome.result, expired }, changed: changed || expired > 0 || outcome.changed };
+    });
+  }
+
+  /**
+   * Adds a value.
+   * @returns {{ added: boolean, evicted: number, expired: number }}
+   */
+  push(value) {
+    const { result, expired } = this.withItems((items, now) => {
+      if (items.length >= this.maxSize && this.onFull === "drop") return { result: { added: false, evicted: 0 }, changed: false };
+      const evicted = items.length >= this.maxSize ? items.splice(0, items.length - this.maxSize + 1).length : 0;
+      items.push({ value, expiresAt: this.ttlMs !== null ? now + this.ttlMs : null });
+      return { result: { added: true, evicted }, changed: true };
+    });
+    return { ...result, expired };
+  }
+
+  /**
+   * Takes a value: 'pop' removes the oldest, 'sample' picks one at random and keeps it.
+   * @returns {{ found: boolean, value?: *, expired: number }}
+   */
+  takeOne(mode = this.take) {
+    const { result, expired } = this.withItems((items) => {
+      if (items.length === 0) return { result: { found: false }, changed: false };
+      if (mode === "sample") return { result: { found: true, value: items[Math.floor(Math.random() * items.length)].value }, changed: false };
+      return { result: { found: true, value: items.shift().value }, changed: true };
+    });
+    return { ...result, expired };
+  }
+
+  size() {
+    return this.withItems((items) => ({ result: items.length, changed: false })).result;
+  }
+}
+
+// One pool per name per worker, shared by all VUs (shared pools also share the file)
+const pools = new Map();
+
+function getPool(name, options, context) {
+  if (!pools.has(name)) {
+    if (!options) throw new Error(`Data pool '${name}' is not defined in config.variables.dataPools`);
+    const resolved = { ...options };
+    if (options.seed) resolved.seed = { ...options.seed, path: resolveDataPath(options.seed.path, context) };
+    if (options.file) resolved.file = resolveDataPath(options.file, context);
+    pools.set(name, new DataPool(name, resolved));
+  }
+  return pools.get(name);
+}
+
+const poolSpecs = (context) => (context.vars && context.vars.dataPools) || {};
+
+/** { orders: "orderId" } or { orders: { as: "orderId", mode: "sample" } } → [{ pool, as, mode }] */
+function takeTargets(mapping) {
+  return Object.entries(mapping || {}).map(([pool, target]) => (
+    typeof target === "string" ? { pool, as: target } : { pool, as: target && target.as, mode: target && target.mode }
+  ));
+}
+
+// -------------------------------
+// Artillery hooks
+// -------------------------------
+
+/**
+ * Takes one value for a consumer, applying the pool's onEmpty policy.
+ * Resolves to true when the var was set.
+ */
+async function takeInto(context, ee, { pool: name, as, mode }) {
+  const pool = getPool(name, poolSpecs(context)[name], context);
+  const takeMode = mode || pool.take;
+  if (!as) throw new Error(`Data pool '${name}': 'fromPool' needs a variable name to set`);
+  if (!TAKE_MODES.includes(takeMode)) throw new Error(`Data pool '${name}': unknown take mode '${takeMode}'`);
+
+  const startedAt = Date.now();
+  for (;;) {
+    const taken = pool.takeOne(takeMode);
+    if (taken.expired > 0) ee.emit("counter", `data_pool.${name}.expired`, taken.expired);
+    if (taken.found) {
+      if (pool.onEmpty === "wait") ee.emit("histogram", `data_pool.${name}.wait`, Date.now() - startedAt);
+      ee.emit("counter", `data_pool.${name}.${takeMode === "sample" ? "sampled" : "popped"}`, 1);
+      context.vars[as] = taken.value;
+      return true;
+    }
+    if (pool.onEmpty !== "wait" || Date.now() - startedAt >= pool.waitTimeoutMs) break;
+    await sleep(WAIT_POLL_MS);
+  }
+
+  ee.emit("counter", `data_pool.${name}.empty`, 1);
+  delete context.vars[as];
+  if (pool.onEmpty === "skip") {
+    ee.emit("counter", `data_pool.${name}.skipped`, 1);
+    return false;
+  }
+  if (pool.onEmpty === "default") {
+    ee.emit("counter", `data_pool.${name}.defaulted`, 1);
+    context.vars[as] = pool.defaultValue;
+    return true;
+  }
+  throw new DataPoolEmptyError(name, pool.onEmpty);
+}
+
+/**
+ * beforeScenario / function step: sets one var per entry of the scenario's 'fromPool'
+ * mapping from the named pools.
+ */
+function takeFromPool(context, ee, done) {
+  const targets = takeTargets(context.scenario && context.scenario.fromPool);
+  if (targets.length === 0) {
+    return done(new Error("takeFromPool: the scenario has no 'fromPool' mapping, e.g. fromPool: { orders: \"orderId\" }"));
+  }
+
+  (async () => {
+    for (const target of targets) await takeInto(context, ee, target);
+  })().then(() => done(), (err) => done(err));
+}
+
+/**
+ * AFTER RESPONSE HOOK: pushes the vars named in the request's 'toPool' mapping
+ * (captured values) into their pools. A missing var (failed capture) is not pushed.
+ */
+function pushToPool(requestParams, response, context, ee, next) {
+  try {
+    Object.entries(requestParams.toPool || {}).forEach(([name, varName]) => {
+      const value = context.vars[varName];
+      if (value === undefined || value === null || value === "") {
+        ee.emit("counter", `data_pool.${name}.missing_value`, 1);
+        return;
+      }
+      const pool = getPool(name, poolSpecs(context)[name], context);
+      const pushed = pool.push(value);
+      if (pushed.expired > 0) ee.emit("counter", `data_pool.${name}.expired`, pushed.expired);
+      if (pushed.evicted > 0) ee.emit("counter", `data_pool.${name}.evicted`, pushed.evicted);
+      ee.emit("counter", `data_pool.${name}.${pushed.added ? "pushed" : "dropped"}`, 1);
+    });
+  } catch (err) {
+    return next(err);
+  }
+  return next();
+}
+
+module.exports = {
+  DataPool,
+  DataPoolEmptyError,
+  getPool,
+  takeFromPool,
+  pushToPool,
+};
@@ -0,0 +1,473 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * ERROR FINGERPRINTING + EXEMPLARS (errors-summary.json / .md)
+ * ============================================================
+ * Provides:
+ *   ✅ One fingerprint per endpoint + status / network error code
+ *      (ECONNRESET, ETIMEDOUT, …) + normalised message + body shape
+ *   ✅ Counts per fingerprint and time bucket (ERROR_BUCKET_MS)
+ *   ✅ First N full request/response exemplars per fingerprint, secrets redacted
+ *      (same redaction as utilities/jsonl-logger.js)
+ *   ✅ One partial file per worker; the CLI merges the partials of every
+ *      runner into errors-summary.json + errors-summary.md
+ * ============================================================
+ *
+ * FED BY: every failure written through jsonlLogger.logResponse (afterResponse,
+ * logIfError, artillery_processors captureErrors, assertResponse), processor.js
+ * captureErrors, and the onError hook 'logRequestError' for network errors:
+ *   scenarios:
+ *     - onError: "logRequestError"
+ *
+ * ENVIRONMENT:
+ *   ERROR_FINGERPRINTS         'false' turns fingerprinting off (default on)
+ *   ERROR_FINGERPRINT_DIR      where partial files go (default ARTILLERY_LOG_DIR)
+ *   ERROR_BUCKET_MS            time bucket for counts (default 10000, like Artillery's periods)
+ *   ERROR_EXEMPLARS            exemplars kept per fingerprint (default 3)
+ *   ERROR_EXEMPLAR_BODY_MAX    body characters kept in an exemplar (default 4000)
+ *   ERROR_MAX_FINGERPRINTS     distinct fingerprints per worker before the rest is
+ *                              counted as '(other)' (default 1000)
+ *   ERROR_FLUSH_MS             how often a worker rewrites its partial file (default 5000;
+ *                              Artillery does not wait for workers to exit)
+ *
+ * SUMMARY:
+ *   node utilities/error-fingerprints.js --input <dir|file[,file2]> [--output-dir _reports] [--top 20]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { threadId } = require("worker_threads");
+const jsonlLogger = require("./jsonl-logger");
+const { parseArgs, splitList } = require("./cli-args");
+
+const ENABLED = process.env.ERROR_FINGERPRINTS !== "false";
+const OUTPUT_DIR = path.resolve(process.env.ERROR_FINGERPRINT_DIR || jsonlLogger.LOG_DIR);
+const BUCKET_MS = Number(process.env.ERROR_BUCKET_MS || 10000);
+const EXEMPLARS = Number(process.env.ERROR_EXEMPLARS !== undefined ? process.env.ERROR_EXEMPLARS : 3);
+const EXEMPLAR_BODY_MAX = Number(process.env.ERROR_EXEMPLAR_BODY_MAX || 4000);
+const MAX_FINGERPRINTS = Number(process.env.ERROR_MAX_FINGERPRINTS || 1000);
+const FLUSH_MS = Number(process.env.ERROR_FLUSH_MS || 5000);
+
+const PARTIAL_PREFIX = "error-fingerprints-";
+const MESSAGE_MAX = 160;
+
+// -------------------------------
+// Normalisation
+// -------------------------------
+
+// Volatile tokens that would otherwise give every error its own fingerprint
+const VOLATILE_PATTERNS = [
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, "{uuid}"],
+  [/\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?/g, "{timestamp}"],
+  [/[\w.+-]+@[\w-]+\.[\w.-]+/g, "{email}"],
+  [/\b(?:\d{1,3}\.){3}\d{1,3}(?::\d+)?\b/g, "{ip}"],
+  [/\b(?=[0-9a-f]*\d)[0-9a-f]{12,}\b/gi, "{hex}"],
+  [/\d+(?:\.\d+)?/g, "#"],
+];
+
+/** Message with ids, timestamps, addresses and numbers replaced by placeholders. */
+function normalizeMessage(text) {
+  let out = String(text || "").replace(/\s+/g, " ").trim();
+  VOLATILE_PATTERNS.forEach(([pattern, placeholder]) => {
+    out = out.replace(pattern, placeholder);
+  });
+  return out.length > MESSAGE_MAX ? `${out.slice(0, MESSAGE_MAX)}…` : out;
+}
+
+const isIdSegment = (segment) => /^\d+$/.test(segment)
+  || /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment)
+  || /^(?=.*\d)[0-9a-f]{8,}$/i.test(segment)
+  || /^(?=.*\d)(?=.*[A-Za-z])[A-Za-z0-9_-]{20,}$/.test(segment);
+
+/** Request name, else host + path with id-like segments as {id} and no query string. */
+function endpointName(requestParams) {
+  if (requestParams.name) return String(requestParams.name);
+  const raw = String(requestParams.url || requestParams.uri || "");
+  let host = "";
+  let pathname = raw.split("?")[0];
+  try {
+    const url = new URL(raw);
+    host = url.host;
+    pathname = url.pathname;
+  } catch (err) {
+    // Relative URL: keep the path as written
+  }
+  return host + pathname.split("/").map((s) => (isIdSegment(s) ? "{id}" : s)).join("/");
+}
+
+const MESSAGE_FIELDS = ["message", "error_description", "errorMessage", "error", "detail", "title", "reason", "description"];
+
+function messageFromJson(value) {
+  if (!value || typeof value !== "object") return null;
+  if (Array.isArray(value)) return messageFromJson(value[0]);
+  for (const field of MESSAGE_FIELDS) {
+    if (typeof value[field] === "string" && value[field]) return value[field];
+  }
+  for (const field of ["error", "errors", "fault"]) {
+    const nested = messageFromJson(value[field]);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+/** Keys of a JSON body (two levels deep), e.g. {error:{code,message},requestId}. */
+function jsonShape(value, depth = 0) {
+  if (Array.isArray(value)) return value.length > 0 ? `[${jsonShape(value[0], depth)}]` : "[]";
+  if (!value || typeof value !== "object") return "";
+  const keys = Object.keys(value).sort();
+  const parts = keys.slice(0, 12).map((key) => {
+    const child = depth < 1 && value[key] && typeof value[key] === "object" ? jsonShape(value[key], depth + 1) : "";
+    return child ? `${key}:${child}` : key;
+  });
+  if (keys.length > 12) parts.push("…");
+  return `{${parts.join(",")}}`;
+}
+
+/** { shape, message } of a response body: JSON keys, 'html', 'text' or 'empty'. */
+function describeBody(body) {
+  const text = Buffer.isBuffer(body) ? body.toString("utf8") : typeof body === "object" && body !== null ? JSON.stringify(body) : String(body || "");
+  if (!text.trim()) return { shape: "empty", message: null };
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && typeof parsed === "object") return { shape: jsonShape(parsed), message: messageFromJson(parsed) };
+  } catch (err) {
+    // Not JSON
+  }
+  if (/^\s*</.test(text)) {
+    const title = text.match(/<title[^>]*>([^<]*)<\/title>/i) || text.match(/<h1[^>]*>([^<]*)<\/h1>/i);
+    return { shape: "html", message: title ? title[1] : null };
+  }
+  return { shape: "text", message: text.split("\n")[0] };
+}
+
+/**
+ * Fingerprint of one failure.
+ * @param {Object} failure - { method, endpoint, status, errorCode, message, body }
+ */
+function fingerprint(failure) {
+  const body = failure.status ? describeBody(failure.body) : { shape: null, message: null };
+  const message = normalizeMessage(failure.message || body.message || "");
+  const fields = {
+    method: String(failure.method || "GET").toUpperCase(),
+    endpoint: failure.endpoint,
+    status: failure.status || null,
+    errorCode: failure.errorCode || null,
+    message,
+    bodyShape: body.shape,
+  };
+  const id = crypto.createHash("sha1")
+    .update([fields.method, fields.endpoint, fields.status, fields.errorCode, fields.message, fields.bodyShape].join("\n"))
+    .digest("hex")
+    .slice(0, 12);
+  return { id, ...fields };
+}
+
+// -------------------------------
+// Per-worker aggregator
+// -------------------------------
+
+const entries = new Map();
+let overflow = null;
+let dirty = false;
+let writing = null;
+let timer = null;
+
+function errorDetails(error) {
+  if (!error) return { errorCode: null, message: null };
+  const code = typeof error === "object" ? error.code : /^E[A-Z0-9_]+$/.test(String(error)) ? String(error) : null;
+  const message = typeof error === "object" ? error.message : String(error);
+  return { errorCode: code || null, message: code && message === code ? null : message };
+}
+
+function buildExemplar(requestParams, response, context, error) {
+  const record = jsonlLogger.buildResponseRecord(requestParams, response, context, {
+    level: "error",
+    includeRequestBody: true,
+    bodyMaxLength: EXEMPLAR_BODY_MAX,
+    error: error ? String((error && error.message) || error) : undefined,
+  });
+  if (response) record.responseHeaders = jsonlLogger.redactHeaders(response.headers);
+  return record;
+}
+
+// Responses already counted: several afterResponse hooks may log the same failure
+const counted = new WeakSet();
+
+/**
+ * Counts one failed request (response with a failing status, a failed assertion, or
+ * no response at all) under its fingerprint and keeps it as an exemplar while the
+ * fingerprint has fewer than ERROR_EXEMPLARS.
+ * @param {Object} [options] - { error, assertionFailures }
+ * @returns {number|null} how many times this worker has seen the fingerprint (0 when
+ *   disabled), or null when this response was already counted by an earlier hook
+ */
+function recordFailure(requestParams, response, context, options = {}) {
+  if (!ENABLED) return 0;
+  if (response && typeof response === "object") {
+    if (counted.has(response)) return null;
+    counted.add(response);
+  }
+  const { errorCode, message } = errorDetails(options.error);
+  const assertionRules = (options.assertionFailures || []).map((f) => f.rule);
+  const fp = fingerprint({
+    method: requestParams.method,
+    endpoint: endpointName(requestParams),
+    status: response ? response.statusCode : null,
+    errorCode: response ? null : errorCode || "NO_RESPONSE",
+    message: assertionRules.length > 0 ? `assertions failed: ${assertionRules.join(", ")}` : message,
+    body: response ? response.body : undefined,
+  });
+
+  let entry = entries.get(fp.id);
+  if (!entry) {
+    if (entries.size >= MAX_FINGERPRINTS) {
+      overflow = overflow || { ...fingerprint({ method: "*", endpoint: "(other)", message: `more than ${MAX_FINGERPRINTS} fingerprints` }), count: 0, buckets: {}, exemplars: [] };
+      entry = overflow;
+    } else {
+      entry = { ...fp, count: 0, firstSeen: null, lastSeen: null, buckets: {}, exemplars: [] };
+      entries.set(fp.id, entry);
+    }
+  }
+
+  const now = Date.now();
+  const bucket = Math.floor(now / BUCKET_MS) * BUCKET_MS;
+  entry.count += 1;
+  entry.firstSeen = entry.firstSeen || now;
+  entry.lastSeen = now;
+  entry.buckets[bucket] = (entry.buckets[bucket] || 0) + 1;
+  if (entry.exemplars.length < EXEMPLARS) entry.exemplars.push(buildExemplar(requestParams, response, context, options.error));
+  dirty = true;
+  if (!timer) {
+    timer = setInterval(writePartial, FLUSH_MS);
+    timer.unref();
+  }
+  return entry.count;
+}
+
+/** This worker's fingerprints in the partial-file format. */
+function snapshot() {
+  const fingerprints = [...entries.values()];
+  if (overflow) fingerprints.push(overflow);
+  return {
+    runner: process.env.RUNNER_INDEX || "1",
+    worker: process.env.LOCAL_WORKER_ID || "main",
+    bucketMs: BUCKET_MS,
+    fingerprints,
+  };
+}
+
+// One partial file per worker thread
+const partialFile = () => path.join(OUTPUT_DIR, `${PARTIAL_PREFIX}runner-${process.env.RUNNER_INDEX || "1"}-${process.pid}-${threadId}.json`);
+
+/** Rewrites this worker's partial file if anything changed (temp file + rename). */
+function writePartial() {
+  if (!dirty || writing) return writing;
+  dirty = false;
+  const file = partialFile();
+  writing = fs.promises.mkdir(OUTPUT_DIR, { recursive: true })
+    .then(() => fs.promises.writeFile(`${file}.tmp`, JSON.stringify(snapshot())))
+    .then(() => fs.promises.rename(`${file}.tmp`, file))
+    .catch((err) => console.error(`Error fingerprint write failed: ${err.message}`))
+    .finally(() => {
+      writing = null;
+    });
+  return writing;
+}
+
+process.on("exit", () => {
+  if (!dirty) return;
+  try {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    fs.writeFileSync(partialFile(), JSON.stringify(snapshot()));
+  } catch (err) {
+    console.error(`Error fingerprint write failed: ${err.message}`);
+  }
+});
+
+// -------------------------------
+// Summary (merge of partial files)
+// -------------------------------
+
+/**
+ * Merges partial files into one summary: fingerprints sorted by count, each with
+ * its timeline and the earliest exemplars.
+ * @param {Object[]} partials - Parsed partial files.
+ * @param {Object} [options] - { exemplars: max exemplars per fingerprint (default ERROR_EXEMPLARS) }
+ */
+function summarize(partials, options = {}) {
+  const limit = options.exemplars !== undefined ? options.exemplars : EXEMPLARS;
+  const merged = new Map();
+  let bucketMs = BUCKET_MS;
+
+  partials.forEach((partial) => {
+    bucketMs = partial.bucketMs || bucketMs;
+    (partial.fingerprints || []).forEach((fp) => {
+      if (!merged.has(fp.id)) {
+        merged.set(fp.id, { ...fp, count: 0, firstSeen: null, lastSeen: null, buckets: {}, exemplars: [], runners: new Set() });
+      }
+      const entry = merged.get(fp.id);
+      entry.count += fp.count;
+      entry.firstSeen = entry.firstSeen ? Math.min(entry.firstSeen, fp.firstSeen || entry.firstSeen) : fp.firstSeen;
+      entry.lastSeen = Math.max(entry.lastSeen || 0, fp.lastSeen || 0) || null;
+      Object.entries(fp.buckets || {}).forEach(([bucket, n]) => {
+        entry.buckets[bucket] = (entry.buckets[bucket] || 0) + n;
+      });
+      entry.exemplars.push(...(fp.exemplars || []));
+      entry.runners.add(String(partial.runner || "1"));
+    });
+  });
+
+  const total = [...merged.values()].reduce((sum, fp) => sum + fp.count, 0);
+  const fingerprints = [...merged.values()]
+    .sort((a, b) => b.count - a.count || a.endpoint.localeCompare(b.endpoint))
+    .map((fp) => ({
+      id: fp.id,
+      endpoint: fp.endpoint,
+      method: fp.method,
+      status: fp.status,
+      errorCode: fp.errorCode,
+      message: fp.message,
+      bodyShape: fp.bodyShape,
+      count: fp.count,
+      share: total > 0 ? Math.round((fp.count / total) * 10000) / 10000 : 0,
+      firstSeen: fp.firstSeen ? new Date(fp.firstSeen).toISOString() : null,
+      lastSeen: fp.lastSeen ? new Date(fp.lastSeen).toISOString() : null,
+      runners: [...fp.runners].sort(),
+      timeline: Object.keys(fp.buckets).map(Number).sort((a, b) => a - b)
+        .map((bucket) => ({ time: new Date(bucket).toISOString(), count: fp.buckets[bucket] })),
+      exemplars: fp.exemplars.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp))).slice(0, limit),
+    }));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    bucketMs,
+    totals: { errors: total, fingerprints: fingerprints.length, partials: partials.length },
+    fingerprints,
+  };
+}
+
+const SPARK = "▁▂▃▄▅▆▇█";
+
+/** Counts per bucket over the whole run as a sparkline of at most 'width' characters. */
+function sparkline(timeline, start, end, bucketMs, width = 24) {
+  const buckets = Math.max(1, Math.round((end - start) / bucketMs) + 1);
+  const perChar = Math.ceil(buckets / width);
+  const columns = new Array(Math.ceil(buckets / perChar)).fill(0);
+  timeline.forEach(({ time, count }) => {
+    columns[Math.floor(Math.round((Date.parse(time) - start) / bucketMs) / perChar)] += count;
+  });
+  const max = Math.max(...columns);
+  return columns.map((n) => (n === 0 ? " " : SPARK[Math.min(SPARK.length - 1, Math.floor((n / max) * (SPARK.length - 1)))])).join("");
+}
+
+/**
+ * Markdown for the job summary: the top fingerprints and one exemplar each.
+ * @param {Object} [options] - { top: rows in the table (default 20) }
+ */
+function toMarkdown(summary, options = {}) {
+  const top = options.top || 20;
+  const cell = (text) => String(text === null || text === undefined || text === "" ? "–" : text).replace(/\|/g, "\\|").replace(/`/g, "'");
+  const time = (iso) => (iso ? iso.slice(11, 19) : "–");
+  const lines = ["## Error fingerprints", ""];
+  if (summary.totals.errors === 0) {
+    lines.push("✅ No failed requests recorded.", "");
+    return lines.join("\n");
+  }
+
+  const buckets = summary.fingerprints.flatMap((fp) => fp.timeline.map((t) => Date.parse(t.time)));
+  const start = Math.min(...buckets);
+  const end = Math.max(...buckets);
+  lines.push(
+    `❌ ${summary.totals.errors.toLocaleString("en-US")} failed request(s) in ${summary.totals.fingerprints} fingerprint(s), ${summary.bucketMs / 1000} s buckets, ${time(new Date(start).toISOString())} → ${time(new Date(end).toISOString())} UTC.`,
+    "",
+    "| # | Count | Share | Endpoint | Status / error | Message | Body shape | Timeline | First → last seen |",
+    "| --- | --- | --- | --- | --- | --- | --- | --- | --- |",
+  );
+  const shown = summary.fingerprints.slice(0, top);
+  shown.forEach((fp, i) => {
+    lines.push(`| ${i + 1} | ${fp.count.toLocaleString("en-US")} | ${(fp.share * 100).toFixed(1)}% | ${cell(`${fp.method} ${fp.endpoint}`)} | ${cell(fp.status || fp.errorCode)} | ${cell(fp.message)} | ${cell(fp.bodyShape)} | \`${sparkline(fp.timeline, start, end, summary.bucketMs)}\` | ${time(fp.firstSeen)} → ${time(fp.lastSeen)} |`);
+  });
+  if (summary.fingerprints.length > top) {
+    lines.push("", `… ${summary.fingerprints.length - top} more fingerprint(s) in errors-summary.json.`);
+  }
+
+  lines.push("", "### Exemplars", "");
+  shown.filter((fp) => fp.exemplars.length > 0).forEach((fp, i) => {
+    lines.push(
+      `<details><summary>#${i + 1} ${cell(`${fp.method} ${fp.endpoint}`)} — ${cell(fp.status || fp.errorCode)} (${fp.exemplars.length} exemplar(s) in errors-summary.json)</summary>`,
+      "",
+      "```json",
+      JSON.stringify(fp.exemplars[0], null, 2),
+      "```",
+      "",
+      "</details>",
+      "",
+    );
+  });
+  return lines.join("\n");
+}
+
+// -------------------------------
+// CLI
+// -------------------------------
+
+/** Partial files from a list of files and/or directories. */
+function findPartials(inputs) {
+  return inputs.flatMap((input) => {
+    if (!fs.existsSync(input)) return [];
+    if (!fs.statSync(input).isDirectory()) return [input];
+    return fs.readdirSync(input)
+      .filter((name) => name.startsWith(PARTIAL_PREFIX) && name.endsWith(".json"))
+      .map((name) => path.join(input, name));
+  }).sort();
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const inputs = splitList(args.input || args._.join(","));
+  if (inputs.length === 0) {
+    console.error("Usage: node utilities/error-fingerprints.js --input <dir|file[,file2]> [--output-dir _reports] [--top 20] [--exemplars 3]");
+    return 2;
+  }
+
+  let partials;
+  try {
+    partials = findPartials(inputs).map((file) => JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (err) {
+    console.error(`❌ Error fingerprint input error: ${err.message}`);
+    return 2;
+  }
+
+  const summary = summarize(partials, { exemplars: args.exemplars !== undefined ? Number(args.exemplars) : undefined });
+  const outDir = args["output-dir"] || ".";
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, "errors-summary.json"), JSON.stringify(summary, null, 2));
+  fs.writeFileSync(path.join(outDir, "errors-summary.md"), toMarkdown(summary, { top: Number(args.top) || 20 }));
+
+  if (summary.totals.errors === 0) {
+    console.log(`✅ No failed requests recorded (${partials.length} partial file(s)).`);
+  } else {
+    summary.fingerprints.slice(0, 10).forEach((fp) => {
+      console.log(`❌ ${fp.count} × ${fp.method} ${fp.endpoint} — ${fp.status || fp.errorCode}${fp.message ? `: ${fp.message}` : ""}`);
+    });
+    console.log(`ℹ️ ${summary.totals.errors} failed request(s) in ${summary.totals.fingerprints} fingerprint(s) → ${path.join(outDir, "errors-summary.md")}`);
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  normalizeMessage,
+  endpointName,
+  describeBody,
+  fingerprint,
+  recordFailure,
+  snapshot,
+  summarize,
+  toMarkdown,
+  main,
+};
@@ -220,8 +220,32 @@ INPUT_JSONS = existing_files
 print(f"✅ Proceeding with {len(INPUT_JSONS)} existing JSON file(s).")
 
 # ---------------- LOAD SLA JSON ----------------
+def normalize_sla_data(raw, environment=None):
+    """Map sla.json to {endpoint: (p95, expected_tph)}.
+    Accepts the named format (endpoints/defaults/environments, see utilities/sla.schema.json)
+    and the legacy positional format {endpoint: [p95, expected_tph]}, which keeps
+    matching by service name as it always did."""
+    global SLA_MATCH_BY_SERVICE
+    if not any(k in raw for k in ("endpoints", "defaults", "environments")):
+        SLA_MATCH_BY_SERVICE = True
+        return raw
+    SLA_MATCH_BY_SERVICE = bool(raw.get("matchByService"))
+    defaults = dict(raw.get("defaults") or {})
+    endpoints = {k: dict(v) for k, v in (raw.get("endpoints") or {}).items()}
+    override = (raw.get("environments") or {}).get(environment) if environment else None
+    if override:
+        defaults.update(override.get("defaults") or {})
+        for k, v in (override.get("endpoints") or {}).items():
+            endpoints.setdefault(k, {}).update(v)
+    result = {}
+    for k, v in endpoints.items():
+        merged = {**defaults, **v}
+        result[k] = (merged.get("p95", DEFAULT_SLA), merged.get("expectedTph", DEFAULT_TPH))
+    return result
+
 sla_data = {}
 SLA_ENABLED = False
+SLA_MATCH_BY_SERVICE = False
 if INPUT_SLA:
     sla_path = Path(INPUT_SLA).resolve()
     if not sla_path.exists():
@@ -229,7 +253,7 @@ if INPUT_SLA:
     else:
         try:
             with open(sla_path, "r", encoding="utf-8") as f:
-                sla_data = json.load(f) or {}
+                sla_data = normalize_sla_data(json.load(f) or {}, os.environ.get("SLA_ENV"))
             SLA_ENABLED = bool(sla_data)
             print(f"✅ Loaded SLA definitions ({len(sla_data)} entries).")
         except Exception as e:
@@ -606,7 +630,9 @@ def extract_core_service_name(ep_name):
     return hostname.split('.')[0].split('-')[0]
 
 def get_sla_for_endpoint(ep_name, sla_dict, default_sla=DEFAULT_SLA, default_tph=DEFAULT_TPH):
-    """Resolve SLA (ms) and expected TPH for an endpoint using fallback strategies."""
+    """Resolve SLA (ms) and expected TPH for an endpoint: exact key, then (with
+    "matchByService": true, or a legacy sla.json) the first key on the same service,
+    as sla-evaluator.js does."""
     if not sla_dict:
         return default_sla, default_tph
     canon_ep_name = re.sub(r"/\{\{.*?\}\}", "", ep_name).rstrip("/")
@@ -615,6 +641,8 @@ def get_sla_for_endpoint(ep_name, sla_dict, default_sla=DEFAULT_SLA, default_tph
     for key in sla_dict:
         if canon_ep_name == key.rstrip("/"):
             return tuple(sla_dict[key])
+    if not SLA_MATCH_BY_SERVICE:
+        return default_sla, default_tph
     ep_service_name = extract_core_service_name(ep_name)
     for key, val in sla_dict.items():
         if extract_core_service_name(key) == ep_service_name:
@@ -0,0 +1,49 @@
+/**
+ * ============================================================
+ * MINIMAL HTTP(S) CLIENT (Node core only)
+ * ============================================================
+ * Used by processor-side helpers that must call out of band of
+ * Artillery's own HTTP engine (STS, OAuth2 token endpoints, 401
+ * retries, metrics backends). Works against plain-http local stubs.
+ * ============================================================
+ */
+
+const http = require("http");
+const https = require("https");
+
+/**
+ * Sends one request and buffers the response.
+ * @param {Object} options - { url, method = "GET", headers = {}, body?, timeoutMs = 10000, rejectUnauthorized? }
+ * @returns {Promise<{ statusCode: number, headers: Object, body: string }>}
+ */
+function httpRequest(options) {
+  const target = new URL(options.url);
+  const transport = target.protocol === "http:" ? http : https;
+  const timeoutMs = options.timeoutMs || 10000;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request({
+      protocol: target.protocol,
+      hostname: target.hostname,
+      port: target.port || undefined,
+      path: target.pathname + target.search,
+      method: options.method || "GET",
+      headers: options.headers || {},
+      timeout: timeoutMs,
+      ...(options.rejectUnauthorized === false ? { rejectUnauthorized: false } : {}),
+    }, (res) => {
+      const chunks = [];
+      res.on("data", (c) => chunks.push(c));
+      res.on("end", () => resolve({
+        statusCode: res.statusCode,
+        headers: res.headers,
+        body: Buffer.concat(chunks).toString("utf8"),
+      }));
+    });
+    req.on("timeout", () => req.destroy(new Error(`Request to ${target.host} timed out after ${timeoutMs}ms`)));
+    req.on("error", reject);
+    req.end(options.body);
+  });
+}
+
+module.exports = { httpRequest };
@@ -0,0 +1,961 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * JMETER JMX → ARTILLERY CONVERTER
+ * ============================================================
+ * Provides:
+ *   ✅ Thread Groups → config.phases (one YAML per Thread Group; setUp / tearDown
+ *      Thread Groups → before / after flows)
+ *   ✅ Constant Throughput Timer → arrival rate, Constant / Uniform / Gaussian Timers → think
+ *   ✅ HTTP Samplers → flow steps (query, raw / JSON body, form, multipart + files), named
+ *      after the sampler so metrics-by-endpoint reports the JMeter labels
+ *   ✅ CSV Data Set Config → config.payload (the existing data/*.csv files, path kept)
+ *   ✅ HTTP Header Manager → config.defaults.headers (plan / thread group) or request headers
+ *   ✅ JSON / Regex / Boundary extractors → capture, Response / JSON assertions → expect
+ *   ✅ User Defined Variables → config.variables, ${__P(X)} → {{ $processEnvironment.X }}
+ *   ✅ Conversion report (<plan>.conversion.md): everything approximated or not converted
+ * ============================================================
+ *
+ * HOW TO RUN:
+ *   node utilities/jmx-to-artillery.js \
+ *     --jmx applications/app1/scripts/sample_jmeter.jmx \
+ *     [--output-dir applications/app1/scripts] \    # default: next to the JMX
+ *     [--force]                                     # write YAML that fails the schema check
+ *
+ * OUTPUT:
+ *   <plan>.yml                 one Thread Group (or <plan>_<thread group>.yml for several;
+ *                              JMeter runs them side by side, run the files on separate runners)
+ *   <plan>.conversion.md       converted / approximated / not converted / ignored elements
+ *
+ * LOAD MODEL:
+ *   N threads × L loops        arrivalCount N over the ramp-up, flow wrapped in 'loop: count L'
+ *   Constant Throughput Timer  open model: one arrival = one iteration at the timer's rate,
+ *                              maxVusers = threads; ramp-up → 'rampTo'
+ *   endless loops, no timer    approximated: arrivalRate N/s with maxVusers N (N threads busy
+ *                              when an iteration takes a second or more)
+ *
+ * Elements that are not converted (JSR223 / BeanShell, If / While controllers, other
+ * samplers, …) are listed in the report; the children of unsupported controllers are
+ * kept in the flow unconditionally. Needs the 'yaml' package (see postman-converter.js).
+ * Exit code: 0 = written, 1 = a YAML fails the Artillery script check (not written
+ * unless --force), 2 = bad input.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("./cli-args");
+const { toYAML, checkRoundTrip, formatProblems } = require("./postman-converter");
+
+const DEFAULT_ENDLESS_DURATION = 600; // seconds, for endless Thread Groups without a scheduler
+const TARGET_FALLBACK = "{{ $processEnvironment.ARTILLERY_TARGET }}";
+
+const STATUS_LABELS = {
+  unsupported: "❌ not converted",
+  approximated: "≈ approximated",
+  converted: "✅ converted",
+  ignored: "➖ ignored",
+};
+
+const LISTENERS = ["ResultCollector", "Summariser", "BackendListener"];
+const FLATTENED_CONTROLLERS = ["GenericController", "TransactionController"];
+
+const round = (n, digits = 4) => Math.round(n * 10 ** digits) / 10 ** digits;
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// -------------------------------
+// XML
+// -------------------------------
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (all, entity) => {
+    if (entity[0] === "#") {
+      const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+      return Number.isFinite(code) ? String.fromCodePoint(code) : all;
+    }
+    return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : all;
+  });
+}
+
+/** Small XML parser for JMX files → { name, attrs, children, text }. */
+function parseXml(text) {
+  const document = { name: "#document", attrs: {}, children: [], text: "" };
+  const stack = [document];
+  const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([\w.:-]+)\s*>|<([\w.:-]+)((?:\s+[\w.:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|</g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const [all, cdata, closing, opening, attributes, selfClosing, chars] = match;
+    const current = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closing) {
+      if (current.name !== closing) throw new Error(`Malformed XML: </${closing}> closes <${current.name}> (offset ${match.index})`);
+      stack.pop();
+    } else if (opening) {
+      const element = { name: opening, attrs: {}, children: [], text: "" };
+      (attributes || "").replace(/([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (a, name, double, single) => {
+        element.attrs[name] = decodeXml(double !== undefined ? double : single);
+      });
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    } else if (chars !== undefined) {
+      current.text += decodeXml(chars);
+    } else if (all === "<") {
+      throw new Error(`Malformed XML: stray '<' (offset ${match.index})`);
+    }
+  }
+  if (stack.length !== 1) throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is not closed`);
+  return document;
+}
+
+// -------------------------------
+// JMX test tree
+// -------------------------------
+
+/** <hashTree> → [{ element, children }]: every element is followed by the hashTree of its children. */
+function testTree(hashTree) {
+  const nodes = [];
+  (hashTree ? hashTree.children : []).forEach((child) => {
+    if (child.name === "hashTree") {
+      if (nodes.length > 0) nodes[nodes.length - 1].children = testTree(child);
+    } else {
+      nodes.push({ element: child, children: [] });
+    }
+  });
+  return nodes;
+}
+
+const typeOf = (element) => element.attrs.testclass || element.name;
+const isEnabled = (element) => element.attrs.enabled !== "false";
+const describe = (element) => `${typeOf(element).split(".").pop()} '${element.attrs.testname || ""}'`;
+
+/** Property child by name (stringProp name="…", or doubleProp / FloatProperty with <name>). */
+function findProp(element, name) {
+  return element.children.find((child) => child.attrs.name === name
+    || (child.children[0] && child.children[0].name === "name" && child.children[0].text === name));
+}
+
+function prop(element, name, fallback = "") {
+  const found = findProp(element, name);
+  if (!found) return fallback;
+  const value = found.children.find((child) => child.name === "value");
+  return value ? value.text : found.text;
+}
+
+const boolProp = (element, name, fallback = false) => {
+  const value = prop(element, name, "").trim().toLowerCase();
+  return value === "" ? fallback : value === "true";
+};
+
+/** elementProp entries of a collectionProp (arguments, headers, files). */
+function collection(element, name) {
+  const found = element && findProp(element, name);
+  return found ? found.children.filter((child) => child.name === "elementProp") : [];
+}
+
+/** [{ name, value }] of an Arguments element (User Defined Variables, sampler parameters). */
+function argumentList(element) {
+  return collection(element, "Arguments.arguments").map((arg) => ({
+    name: prop(arg, "Argument.name"),
+    value: prop(arg, "Argument.value"),
+  }));
+}
+
+// -------------------------------
+// Conversion state + report
+// -------------------------------
+
+/** Shared by every file: report entries, template notes, plan-level variables. */
+function createContext(options) {
+  return {
+    jmxDir: options.jmxDir || ".",
+    outputDir: options.outputDir || options.jmxDir || ".",
+    report: [],
+    noted: new Set(),
+    rawVariables: {},
+  };
+}
+
+function record(ctx, status, element, where, note) {
+  ctx.report.push({ status, element: typeof element === "string" ? element : describe(element), where: where.join(" › "), note });
+}
+
+/** Per output file (plan-level state is cloned into every Thread Group). */
+function createFileState() {
+  return { variables: {}, payload: [], headers: {}, httpDefaults: null, throughput: [], expectUsed: false, timeoutMs: 0 };
+}
+
+function cloneState(state) {
+  return {
+    ...state,
+    variables: { ...state.variables },
+    payload: [...state.payload],
+    headers: { ...state.headers },
+    throughput: [...state.throughput],
+  };
+}
+
+/**
+ * JMeter text → Artillery template: ${VAR} → {{ VAR }}, ${__P(X,d)} → {{ $processEnvironment.X }},
+ * ${__Random(a,b)} → {{ $randomNumber(a, b) }}, ${__RandomString(n,…)} → {{ $randomString(n) }}.
+ */
+function toTemplate(value, ctx, where) {
+  return String(value).replace(/\$\{(__\w+)(?:\(([^)]*)\))?\}|\$\{([\w.-]+)\}/g, (all, fn, args, name) => {
+    if (name) return `{{ ${name} }}`;
+    const params = (args || "").split(",").map((p) => p.trim());
+    const once = (status, note) => {
+      if (ctx.noted.has(all)) return;
+      ctx.noted.add(all);
+      record(ctx, status, `function ${all}`, where, note);
+    };
+    if (["__P", "__property", "__env"].includes(fn) && params[0]) {
+      const fallback = fn === "__P" ? params[1] : params[2];
+      once(fallback ? "approximated" : "converted", `JMeter property → environment variable ${params[0]}${fallback ? ` (default '${fallback}' dropped: set ${params[0]} before the run)` : ""}`);
+      return `{{ $processEnvironment.${params[0]} }}`;
+    }
+    if (fn === "__Random" && params.length >= 2) return `{{ $randomNumber(${params[0]}, ${params[1]}) }}`;
+    if (fn === "__RandomString" && params[0]) return `{{ $randomString(${params[0]}) }}`;
+    if (fn === "__UUID") {
+      once("approximated", "→ {{ $uuid }} (one id per virtual user, not per request)");
+      return "{{ $uuid }}";
+    }
+    once("unsupported", "JMeter function left as-is");
+    return all;
+  });
+}
+
+/**
+ * Number from a property that may hold ${VAR} (User Defined Variable) or
+ * ${__P(X,default)}; the default is used and noted.
+ */
+function numberProp(element, name, ctx, where, fallback) {
+  const raw = prop(element, name, "").trim();
+  if (raw === "") return fallback;
+  if (/^-?\d+(\.\d+)?$/.test(raw)) return Number(raw);
+  const resolved = raw
+    .replace(/\$\{([\w.-]+)\}/g, (all, variable) => (ctx.rawVariables[variable] !== undefined ? ctx.rawVariables[variable] : all))
+    .replace(/\$\{__(?:P|property)\(([^,)]*)(?:,([^,)]*))?(?:,([^)]*))?\)\}/g, (all, prop1, second, third) => {
+      const value = (third !== undefined ? third : second) || "";
+      return value.trim();
+    });
+  const number = Number(resolved);
+  if (resolved.trim() !== "" && Number.isFinite(number)) {
+    record(ctx, "approximated", `${name} ${raw}`, where, `used ${number} (the default); Artillery phases need fixed numbers`);
+    return number;
+  }
+  record(ctx, "approximated", `${name} ${raw}`, where, `not a number, used ${fallback}`);
+  return fallback;
+}
+
+/** Path of a data file as seen from the output directory (JMeter resolves it next to the JMX). */
+function dataPath(ctx, file) {
+  if (file.includes("${")) return { path: file, exists: false };
+  const absolute = path.resolve(ctx.jmxDir, file);
+  const relative = path.relative(ctx.outputDir, absolute).split(path.sep).join("/");
+  return { path: relative.startsWith(".") ? relative : `./${relative}`, exists: fs.existsSync(absolute), absolute };
+}
+
+// -------------------------------
+// Scope elements (config, timers, extractors, assertions)
+// -------------------------------
+
+function headerMap(element, ctx, where) {
+  const headers = {};
+  collection(element, "HeaderManager.headers").forEach((header) => {
+    const name = prop(header, "Header.name").trim();
+    if (name) headers[name] = toTemplate(prop(header, "Header.value"), ctx, where);
+  });
+  return headers;
+}
+
+function csvPayload(element, ctx, where) {
+  const file = prop(element, "filename").trim();
+  const { path: csvPath, exists, absolute } = dataPath(ctx, file);
+  const delimiter = prop(element, "delimiter", ",") || ",";
+  let fields = prop(element, "variableNames").split(delimiter === "\\t" ? "\t" : delimiter).map((f) => f.trim()).filter(Boolean);
+  let skipHeader = boolProp(element, "ignoreFirstLine");
+  const notes = [];
+
+  if (fields.length === 0) {
+    if (exists) {
+      fields = fs.readFileSync(absolute, "utf8").split(/\r?\n/)[0].split(delimiter).map((f) => f.trim());
+      skipHeader = true;
+      notes.push("column names read from the file's first line");
+    } else {
+      notes.push("no variable names and the file was not found: add 'fields'");
+    }
+  }
+  if (!exists) notes.push(`file not found at ${csvPath}`);
+  if (!boolProp(element, "recycle", true) || boolProp(element, "stopThread")) notes.push("Artillery always recycles rows (JMeter: stop at end of file)");
+  const shareMode = prop(element, "shareMode", "shareMode.all");
+  if (shareMode !== "shareMode.all") notes.push(`sharing mode '${shareMode}' → rows shared by all virtual users`);
+
+  const payload = { path: csvPath, fields, order: "sequence", skipHeader };
+  if (delimiter !== ",") payload.delimiter = delimiter === "\\t" ? "\t" : delimiter;
+  const status = notes.some((n) => !n.startsWith("column names")) ? "approximated" : "converted";
+  record(ctx, status, element, where, [`→ config.payload ${csvPath} (${fields.join(", ") || "no fields"})`, ...notes].join("; "));
+  return payload;
+}
+
+/** Think time (ms) of a timer, or null when the timer is not converted. */
+function timerDelay(element, ctx, where) {
+  const type = typeOf(element);
+  const delay = numberProp(element, "ConstantTimer.delay", ctx, where, 0);
+  if (type === "ConstantTimer") {
+    record(ctx, "converted", element, where, `→ think ${round(delay / 1000, 3)}s before each request in scope`);
+    return delay;
+  }
+  if (type === "UniformRandomTimer") {
+    const range = numberProp(element, "RandomTimer.range", ctx, where, 0);
+    record(ctx, "approximated", element, where, `${delay} + random(0..${range}) ms → fixed think of the mean, ${round((delay + range / 2) / 1000, 3)}s`);
+    return delay + range / 2;
+  }
+  if (type === "GaussianRandomTimer") {
+    record(ctx, "approximated", element, where, `${delay} ms ± deviation → fixed think of the mean, ${round(delay / 1000, 3)}s`);
+    return delay;
+  }
+  return null;
+}
+
+/** RegexExtractor / BoundaryExtractor / JSONPostProcessor → capture entries. */
+function extractorCaptures(element, ctx, where) {
+  const type = typeOf(element);
+  if (type === "JSONPostProcessor") {
+    const names = prop(element, "JSONPostProcessor.referenceNames").split(";").map((s) => s.trim());
+    const paths = prop(element, "JSONPostProcessor.jsonPathExprs").split(";").map((s) => s.trim());
+    const matches = prop(element, "JSONPostProcessor.match_numbers").split(";").map((s) => s.trim());
+    const defaults = prop(element, "JSONPostProcessor.defaultValues").split(";");
+    const captures = [];
+    const notes = [];
+    names.forEach((name, i) => {
+      if (!name || !paths[i]) return;
+      if (matches[i] === "-1") notes.push(`${name}: all matches (match no. -1) not supported, first match captured`);
+      else if (matches[i] === "0") notes.push(`${name}: random match → first match`);
+      const capture = { json: toTemplate(paths[i], ctx, where), as: name };
+      if (defaults[i] !== undefined && defaults[i].trim() !== "") {
+        capture.strict = false;
+        notes.push(`${name}: default '${defaults[i].trim()}' dropped (capture is not strict)`);
+      }
+      captures.push(capture);
+    });
+    record(ctx, notes.length ? "approximated" : "converted", element, where, [`→ capture ${captures.map((c) => c.as).join(", ")}`, ...notes].join("; "));
+    return captures;
+  }
+
+  const prefix = type === "RegexExtractor" ? "RegexExtractor" : "BoundaryExtractor";
+  const name = prop(element, `${prefix}.refname`).trim();
+  const source = prop(element, `${prefix}.useHeaders`, "false").trim();
+  if (!["", "false", "unescaped"].includes(source)) {
+    record(ctx, "unsupported", element, where, `applies to '${source}' (only the response body is supported)`);
+    return [];
+  }
+
+  let capture;
+  const notes = [];
+  if (type === "RegexExtractor") {
+    let regexp = prop(element, "RegexExtractor.regex");
+    let flags = "";
+    const inline = regexp.match(/^\(\?([imsx]+)\)/);
+    if (inline) {
+      flags = inline[1].replace("x", "");
+      regexp = regexp.slice(inline[0].length);
+    }
+    const template = prop(element, "RegexExtractor.template", "$1$").trim();
+    const group = template.match(/^\$(\d+)\$$/);
+    if (!group) {
+      record(ctx, "unsupported", element, where, `template '${template}' (only a single $n$ group is supported)`);
+      return [];
+    }
+    capture = { regexp: toTemplate(regexp, ctx, where), group: Number(group[1]), as: name };
+    if (flags) capture.flags = flags;
+  } else {
+    const left = prop(element, "BoundaryExtractor.lboundary");
+    const right = prop(element, "BoundaryExtractor.rboundary");
+    capture = { regexp: `${escapeRegExp(left)}([\\s\\S]*?)${escapeRegExp(right)}`, group: 1, as: name };
+  }
+
+  const matchNumber = prop(element, `${prefix}.match_number`, "1").trim();
+  if (matchNumber === "-1") notes.push("all matches (match no. -1) not supported, first match captured");
+  else if (matchNumber === "0") notes.push("random match → first match");
+  else if (matchNumber && matchNumber !== "1") notes.push(`match no. ${matchNumber} → first match`);
+  const fallback = prop(element, `${prefix}.default`).trim();
+  if (fallback || boolProp(element, `${prefix}.default_empty_value`)) {
+    capture.strict = false;
+    if (fallback) notes.push(`default '${fallback}' dropped (capture is not strict)`);
+  }
+  record(ctx, notes.length ? "approximated" : "converted", element, where, [`→ capture ${name}`, ...notes].join("; "));
+  return [capture];
+}
+
+// Response Assertion test_type bits
+const ASSERT_MATCHES = 1;
+const ASSERT_CONTAINS = 2;
+const ASSERT_NOT = 4;
+const ASSERT_EQUALS = 8;
+const ASSERT_SUBSTRING = 16;
+const ASSERT_OR = 32;
+
+/** ResponseAssertion / JSONPathAssertion → { expects, captures }, or null when not converted. */
+function assertionExpects(element, ctx, where) {
+  const type = typeOf(element);
+  if (type === "JSONPathAssertion") {
+    const jsonPath = prop(element, "JSON_PATH").trim();
+    const validate = boolProp(element, "JSONVALIDATION");
+    if (boolProp(element, "INVERT") || boolProp(element, "ISREGEX") || boolProp(element, "EXPECT_NULL") || !/^\$(\.\w+|\[\d+\])*$/.test(jsonPath)) {
+      record(ctx, "unsupported", element, where, `${jsonPath}: only plain paths without invert / regex / null checks are supported`);
+      return null;
+    }
+    const property = jsonPath.replace(/^\$\.?/, "");
+    if (!validate) {
+      record(ctx, "converted", element, where, `→ expect hasProperty ${property}`);
+      return { expects: [{ hasProperty: property }], captures: [] };
+    }
+    const captureAs = `expected_${property.replace(/\W+/g, "_") || "body"}`;
+    const expected = toTemplate(prop(element, "EXPECTED_VALUE"), ctx, where);
+    record(ctx, "converted", element, where, `→ capture ${captureAs} + expect equals '${expected}'`);
+    return { expects: [{ equals: [`{{ ${captureAs} }}`, expected] }], captures: [{ json: jsonPath, as: captureAs }] };
+  }
+
+  const field = prop(element, "Assertion.test_field").trim();
+  const testType = Number(prop(element, "Assertion.test_type", "16"));
+  const strings = (findProp(element, "Asserion.test_strings") || { children: [] }).children.map((s) => s.text);
+  const negated = Boolean(testType & ASSERT_NOT);
+  const anyOf = Boolean(testType & ASSERT_OR) || strings.length === 1;
+  if (strings.length === 0) {
+    record(ctx, "ignored", element, where, "no patterns to test");
+    return { expects: [], captures: [] };
+  }
+  const notes = boolProp(element, "Assertion.assume_success") ? ["'Ignore Status' has no Artillery equivalent"] : [];
+
+  if (field === "Assertion.response_code") {
+    const plain = strings.every((s) => /^\d{3}$/.test(s.trim()));
+    if (!plain || !anyOf) {
+      record(ctx, "unsupported", element, where, `response code patterns ${strings.join(", ")} (only literal codes, one or OR-ed, are supported)`);
+      return null;
+    }
+    const codes = strings.map((s) => Number(s.trim()));
+    const value = codes.length === 1 ? codes[0] : codes;
+    record(ctx, notes.length ? "approximated" : "converted", element, where, [`→ expect ${negated ? "notStatusCode" : "statusCode"} ${codes.join(" | ")}`, ...notes].join("; "));
+    return { expects: [negated ? { notStatusCode: value } : { statusCode: value }], captures: [] };
+  }
+
+  if (field === "Assertion.response_data" || field === "Assertion.response_data_as_document") {
+    if (negated) {
+      record(ctx, "unsupported", element, where, "negated body checks (the expect plugin has no 'does not match')");
+      return null;
+    }
+    const patterns = strings.map((s) => {
+      const pattern = toTemplate(s, ctx, where);
+      if (testType & ASSERT_EQUALS) return `^${escapeRegExp(pattern)}$`;
+      if (testType & ASSERT_SUBSTRING) return escapeRegExp(pattern);
+      if (testType & ASSERT_MATCHES) return `^(?:${pattern})$`;
+      return pattern; // ASSERT_CONTAINS
+    });
+    const expects = testType & ASSERT_OR ? [{ matchesRegexp: patterns.map((p) => `(?:${p})`).join("|") }] : patterns.map((p) => ({ matchesRegexp: p }));
+    record(ctx, notes.length ? "approximated" : "converted", element, where, [`→ expect matchesRegexp (${expects.length})`, ...notes].join("; "));
+    return { expects, captures: [] };
+  }
+
+  record(ctx, "unsupported", element, where, `tests '${field.replace("Assertion.", "")}' (only response code and body are supported)`);
+  return null;
+}
+
+/**
+ * Applies the non-flow elements of one tree level to the scope (inherited by the
+ * samplers below) or to the file state (global in Artillery).
+ * @param {number} depth - 0 plan, 1 thread group, 2+ controllers; 'sampler' for a sampler's children
+ */
+function collectScope(nodes, scope, state, ctx, where, depth) {
+  const inner = { ...scope, headers: { ...scope.headers }, timers: [...scope.timers], captures: [...scope.captures], expects: [...scope.expects] };
+  nodes.forEach(({ element }) => {
+    const type = typeOf(element);
+    if (isFlowElement(type)) return;
+    if (!isEnabled(element)) {
+      record(ctx, "ignored", element, where, "disabled");
+      return;
+    }
+
+    if (type === "HeaderManager") {
+      const headers = headerMap(element, ctx, where);
+      if (depth === 0 || depth === 1) {
+        Object.assign(state.headers, headers);
+        record(ctx, "converted", element, where, `→ config.defaults.headers (${Object.keys(headers).join(", ")})`);
+      } else {
+        Object.assign(inner.headers, headers);
+        record(ctx, "converted", element, where, `→ request headers (${Object.keys(headers).join(", ")})`);
+      }
+    } else if (type === "CSVDataSet") {
+      state.payload.push(csvPayload(element, ctx, where));
+      if (depth !== 0 && depth !== 1) record(ctx, "approximated", element, where, "scoped to a controller in JMeter, global in Artillery");
+    } else if (type === "Arguments") {
+      argumentList(element).forEach(({ name, value }) => {
+        if (!name) return;
+        ctx.rawVariables[name] = value;
+        state.variables[name] = toTemplate(value, ctx, where);
+      });
+      record(ctx, "converted", element, where, "→ config.variables");
+    } else if (type === "ConfigTestElement" && element.attrs.guiclass === "HttpDefaultsGui") {
+      if (!state.httpDefaults) state.httpDefaults = element;
+      record(ctx, "converted", element, where, "→ config.target (protocol, host, port)");
+    } else if (type === "CookieManager") {
+      record(ctx, "converted", element, where, "Artillery keeps cookies per virtual user by default");
+    } else if (type === "CacheManager") {
+      record(ctx, "ignored", element, where, "Artillery does not cache responses");
+    } else if (type === "ConstantThroughputTimer") {
+      state.throughput.push({ element, perMinute: Number(prop(element, "throughput", "0")), calcMode: Number(prop(element, "calcMode", "0")), perSampler: depth === "sampler", where });
+    } else if (/Timer$/.test(type)) {
+      const delay = timerDelay(element, ctx, where);
+      if (delay === null) record(ctx, "unsupported", element, where, "timer type not supported");
+      else inner.timers.push(delay);
+    } else if (["RegexExtractor", "BoundaryExtractor", "JSONPostProcessor"].includes(type)) {
+      inner.captures.push(...extractorCaptures(element, ctx, where));
+    } else if (/Assertion$/.test(type)) {
+      const converted = ["ResponseAssertion", "JSONPathAssertion"].includes(type) ? assertionExpects(element, ctx, where) : null;
+      if (converted) {
+        inner.expects.push(...converted.expects);
+        inner.captures.push(...converted.captures);
+      } else if (!["ResponseAssertion", "JSONPathAssertion"].includes(type)) {
+        record(ctx, "unsupported", element, where, type === "DurationAssertion" ? "use sla.json / ensure thresholds for response times" : "assertion type not supported");
+      }
+    } else if (LISTENERS.includes(type)) {
+      record(ctx, "ignored", element, where, "listener (Artillery writes its own reports)");
+    } else {
+      record(ctx, "unsupported", element, where, "element type not supported");
+    }
+  });
+  return inner;
+}
+
+// -------------------------------
+// Flow (samplers + controllers)
+// -------------------------------
+
+function isFlowElement(type) {
+  return /ThreadGroup$/.test(type) || /Sampler(Proxy)?$/.test(type) || /Controller$/.test(type)
+    || ["InterleaveControl", "RunTime", "GenericController", "ForeachController"].includes(type);
+}
+
+const isSampler = (type) => /Sampler(Proxy)?$/.test(type);
+
+function countSamplers(nodes) {
+  return nodes.reduce((n, node) => {
+    if (!isEnabled(node.element)) return n;
+    return n + (isSampler(typeOf(node.element)) ? 1 : countSamplers(node.children));
+  }, 0);
+}
+
+function originOf(protocol, domain, port) {
+  if (!domain) return null;
+  const scheme = (protocol || "http").toLowerCase();
+  const defaultPort = (scheme === "https" && port === "443") || (scheme === "http" && port === "80");
+  return `${scheme}://${domain}${port && !defaultPort ? `:${port}` : ""}`;
+}
+
+/** Origin of an HTTP sampler (falling back to HTTP Request Defaults), or null for a relative one. */
+function samplerOrigin(element, state) {
+  const defaults = state.httpDefaults;
+  const pick = (name) => prop(element, `HTTPSampler.${name}`).trim() || (defaults ? prop(defaults, `HTTPSampler.${name}`).trim() : "");
+  const samplerPath = prop(element, "HTTPSampler.path").trim();
+  if (/^https?:\/\//i.test(samplerPath)) return new URL(samplerPath.replace(/\$\{[^}]*\}/g, "x")).origin;
+  return originOf(pick("protocol"), pick("domain"), pick("port"));
+}
+
+function convertSampler(node, scope, state, ctx, where, target) {
+  const { element } = node;
+  const name = element.attrs.testname || "request";
+  const here = [...where, name];
+  const own = collectScope(node.children, scope, state, ctx, here, "sampler");
+  const method = (prop(element, "HTTPSampler.method").trim() || "GET").toLowerCase();
+  if (!["get", "post", "put", "patch", "delete", "head", "options"].includes(method)) {
+    record(ctx, "unsupported", element, where, `HTTP method ${method.toUpperCase()}`);
+    return [];
+  }
+
+  const notes = [];
+  let samplerPath = prop(element, "HTTPSampler.path").trim();
+  const origin = samplerOrigin(element, state);
+  if (/^https?:\/\//i.test(samplerPath)) {
+    const absoluteOrigin = samplerPath.match(/^https?:\/\/[^/]+/i)[0];
+    samplerPath = samplerPath.slice(absoluteOrigin.length) || "/";
+  }
+  if (!samplerPath.startsWith("/")) samplerPath = `/${samplerPath}`;
+  const defaultsPath = state.httpDefaults ? prop(state.httpDefaults, "HTTPSampler.path").trim() : "";
+  if (!prop(element, "HTTPSampler.path").trim() && defaultsPath) samplerPath = defaultsPath.startsWith("/") ? defaultsPath : `/${defaultsPath}`;
+  const url = origin && origin !== target ? `${origin}${samplerPath}` : samplerPath;
+
+  const request = { url: toTemplate(url, ctx, here), name };
+  const headers = { ...own.headers };
+  if (Object.keys(headers).length > 0) request.headers = headers;
+
+  // Parameters / body
+  const args = argumentList(findProp(element, "HTTPsampler.Arguments") || { children: [] });
+  const files = collection(findProp(element, "HTTPsampler.Files"), "HTTPFileArgs.files");
+  const contentType = Object.entries({ ...state.headers, ...headers }).find(([key]) => key.toLowerCase() === "content-type");
+  const rawBody = boolProp(element, "HTTPSampler.postBodyRaw") || (args.length === 1 && !args[0].name && method !== "get");
+  if (rawBody && args.length > 0) {
+    const text = toTemplate(args.map((a) => a.value).join(""), ctx, here);
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      parsed = undefined;
+    }
+    if (parsed !== undefined && typeof parsed === "object" && (!contentType || /json/i.test(contentType[1]))) request.json = parsed;
+    else request.body = text;
+  } else if (files.length > 0 || boolProp(element, "HTTPSampler.DO_MULTIPART_POST")) {
+    request.formData = {};
+    args.filter((a) => a.name).forEach((a) => {
+      request.formData[a.name] = toTemplate(a.value, ctx, here);
+    });
+    files.forEach((file) => {
+      const param = prop(file, "File.paramname").trim() || "file";
+      const { path: filePath, exists } = dataPath(ctx, prop(file, "File.path").trim());
+      request.formData[param] = { fromFile: filePath, ...(prop(file, "File.mimetype").trim() ? { contentType: prop(file, "File.mimetype").trim() } : {}) };
+      if (!exists) notes.push(`upload file not found at ${filePath}`);
+    });
+  } else if (args.some((a) => a.name)) {
+    const params = {};
+    args.filter((a) => a.name).forEach((a) => {
+      params[a.name] = toTemplate(a.value, ctx, here);
+    });
+    if (["get", "delete", "head", "options"].includes(method)) request.qs = params;
+    else request.form = params;
+  }
+
+  if (!boolProp(element, "HTTPSampler.follow_redirects", true) && !boolProp(element, "HTTPSampler.auto_redirects")) request.followRedirect = false;
+  if (own.captures.length > 0) request.capture = own.captures;
+  if (own.expects.length > 0) {
+    request.expect = own.expects;
+    state.expectUsed = true;
+  }
+  const timeout = Number(prop(element, "HTTPSampler.response_timeout", "").trim());
+  if (timeout > 0) {
+    state.timeoutMs = Math.max(state.timeoutMs, timeout);
+    notes.push(`response timeout ${timeout} ms → config.http.timeout (one value for the whole script)`);
+  }
+  if (boolProp(element, "HTTPSampler.image_parser")) notes.push("embedded resources are not downloaded");
+
+  record(ctx, notes.length ? "approximated" : "converted", element, where, [`→ ${method.toUpperCase()} ${request.url}`, ...notes].join("; "));
+  const think = own.timers.reduce((sum, ms) => sum + ms, 0);
+  return [...(think > 0 ? [{ think: round(think / 1000, 3) }] : []), { [method]: request }];
+}
+
+/** Flow steps for one tree level. */
+function convertFlow(nodes, scope, state, ctx, where, depth, target) {
+  const inner = collectScope(nodes, scope, state, ctx, where, depth);
+  const steps = [];
+  nodes.forEach((node) => {
+    const { element } = node;
+    const type = typeOf(element);
+    if (!isFlowElement(type) || /ThreadGroup$/.test(type)) return;
+    if (!isEnabled(element)) {
+      record(ctx, "ignored", element, where, "disabled");
+      return;
+    }
+    const here = [...where, element.attrs.testname || type];
+
+    if (type === "HTTPSamplerProxy") {
+      steps.push(...convertSampler(node, inner, state, ctx, where, target));
+    } else if (isSampler(type)) {
+      const dropped = node.children.filter((child) => isEnabled(child.element)).length;
+      record(ctx, "unsupported", element, where, `only HTTP samplers are converted${dropped ? ` (its ${dropped} child element(s) dropped too)` : ""}`);
+    } else if (FLATTENED_CONTROLLERS.includes(type)) {
+      steps.push(...convertFlow(node.children, inner, state, ctx, here, depth + 1, target));
+      if (type === "TransactionController") record(ctx, "approximated", element, where, "children inlined; the transaction's own timing is not reported");
+    } else if (type === "LoopController") {
+      const count = numberProp(element, "LoopController.loops", ctx, where, 1);
+      const children = convertFlow(node.children, inner, state, ctx, here, depth + 1, target);
+      if (count < 0) {
+        record(ctx, "unsupported", element, where, "endless loop inside a thread group; children run once");
+        steps.push(...children);
+      } else {
+        record(ctx, "converted", element, where, `→ loop count ${count}`);
+        if (children.length > 0) steps.push({ loop: children, count });
+      }
+    } else if (type === "ThroughputController") {
+      const percent = Number(prop(element, "ThroughputController.percentThroughput", "100"));
+      steps.push(...convertFlow(node.children, inner, state, ctx, here, depth + 1, target));
+      record(ctx, "approximated", element, where, `children run on every iteration (JMeter: ${Number(prop(element, "ThroughputController.style", "1")) === 1 ? `${percent}% of iterations` : "a fixed number of executions"}); split them into weighted scenarios to keep the mix`);
+    } else {
+      const children = convertFlow(node.children, inner, state, ctx, here, depth + 1, target);
+      record(ctx, "unsupported", element, where, children.length > 0 ? `controller logic dropped; its ${children.length} step(s) run unconditionally` : "controller not supported");
+      steps.push(...children);
+    }
+  });
+  return steps;
+}
+
+// -------------------------------
+// Thread Groups → phases
+// -------------------------------
+
+/** Iterations per second from the Constant Throughput Timers in scope, or null. */
+function throughputRate(state, threads, samplers, ctx) {
+  if (state.throughput.length === 0) return null;
+  const rates = state.throughput.map(({ element, perMinute, calcMode, perSampler, where }) => {
+    const total = (calcMode === 0 ? perMinute * threads : perMinute) / 60;
+    const rate = perSampler ? total : total / Math.max(samplers, 1);
+    record(ctx, "approximated", element, where, `${perMinute}/min (${calcMode === 0 ? "per thread" : "all threads"}) → ${round(rate)} iteration(s)/s${perSampler ? "" : ` (${samplers} sampler(s) per iteration)`}; open model capped at ${threads} virtual users`);
+    return rate;
+  });
+  return Math.min(...rates);
+}
+
+/** @returns {{ phases: Object[], loops: number }} */
+function threadGroupPhases(element, state, samplers, ctx, where) {
+  const name = element.attrs.testname || "Thread Group";
+  const threads = Math.max(1, numberProp(element, "ThreadGroup.num_threads", ctx, where, 1));
+  const ramp = Math.max(0, numberProp(element, "ThreadGroup.ramp_time", ctx, where, 0));
+  const scheduler = boolProp(element, "ThreadGroup.scheduler");
+  const duration = scheduler ? numberProp(element, "ThreadGroup.duration", ctx, where, 0) : 0;
+  const delay = scheduler ? numberProp(element, "ThreadGroup.delay", ctx, where, 0) : 0;
+  const main = findProp(element, "ThreadGroup.main_controller") || { children: [] };
+  const loops = numberProp(main, "LoopController.loops", ctx, where, 1);
+  const endless = loops < 0;
+
+  const phases = delay > 0 ? [{ pause: delay, name: `${name} startup delay` }] : [];
+  const rate = throughputRate(state, threads, samplers, ctx);
+  const runFor = duration > 0 ? duration : DEFAULT_ENDLESS_DURATION;
+  const summary = `${threads} thread(s), ramp-up ${ramp}s, ${endless ? "endless loops" : `${loops} loop(s)`}${scheduler && duration ? `, ${duration}s` : ""}`;
+
+  if (rate !== null && !endless) {
+    const total = threads * loops;
+    phases.push({ duration: Math.max(1, Math.ceil(total / rate)), arrivalCount: total, maxVusers: threads, name });
+    record(ctx, "approximated", element, where, `${summary} → ${total} arrivals at ${round(rate)}/s`);
+    return { phases, loops: 1 };
+  }
+  if (rate !== null || endless) {
+    const arrivalRate = rate !== null ? round(rate) : threads;
+    if (ramp > 0) phases.push({ duration: ramp, arrivalRate: 0, rampTo: arrivalRate, maxVusers: threads, name: `${name} ramp-up` });
+    phases.push({ duration: Math.max(1, runFor - ramp), arrivalRate, maxVusers: threads, name });
+    const notes = [];
+    if (rate === null) notes.push(`closed model approximated as ${arrivalRate} arrival(s)/s capped at ${threads} virtual users; raise arrivalRate if one iteration takes under a second`);
+    if (!(scheduler && duration)) notes.push(`no scheduler duration (JMeter runs until stopped), ${DEFAULT_ENDLESS_DURATION}s used`);
+    record(ctx, "approximated", element, where, [`${summary} → ${phases.length - (delay > 0 ? 1 : 0)} phase(s)`, ...notes].join("; "));
+    return { phases, loops: 1 };
+  }
+
+  phases.push({ duration: Math.max(1, ramp), arrivalCount: threads, name });
+  const notes = scheduler && duration ? [`the ${duration}s scheduler limit is not enforced (each virtual user runs its ${loops} loop(s))`] : [];
+  record(ctx, notes.length ? "approximated" : "converted", element, where, [`${summary} → arrivalCount ${threads} over ${Math.max(1, ramp)}s${loops > 1 ? `, flow looped ${loops}×` : ""}`, ...notes].join("; "));
+  return { phases, loops };
+}
+
+/** Most common sampler origin (or the HTTP Request Defaults) → config.target. */
+function pickTarget(nodes, state) {
+  if (state.httpDefaults) {
+    const origin = originOf(prop(state.httpDefaults, "HTTPSampler.protocol").trim(), prop(state.httpDefaults, "HTTPSampler.domain").trim(), prop(state.httpDefaults, "HTTPSampler.port").trim());
+    if (origin) return origin;
+  }
+  const counts = new Map();
+  const visit = (list) => list.forEach((node) => {
+    if (!isEnabled(node.element)) return;
+    if (typeOf(node.element) === "HTTPSamplerProxy") {
+      const origin = samplerOrigin(node.element, state);
+      if (origin) counts.set(origin, (counts.get(origin) || 0) + 1);
+    }
+    visit(node.children);
+  });
+  visit(nodes);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([origin]) => origin)[0] || null;
+}
+
+/** HTTP Request Defaults of a thread group override the plan's (needed before the target is picked). */
+function withGroupDefaults(state, groupNode) {
+  const defaults = groupNode.children.find(({ element }) => isEnabled(element)
+    && typeOf(element) === "ConfigTestElement" && element.attrs.guiclass === "HttpDefaultsGui");
+  if (defaults) state.httpDefaults = defaults.element;
+  return state;
+}
+
+/** Resolves ${VAR} in the target from User Defined Variables, then templates it. */
+function targetTemplate(origin, ctx, where) {
+  const resolved = origin.replace(/\$\{([\w.-]+)\}/g, (all, name) => (ctx.rawVariables[name] !== undefined ? ctx.rawVariables[name] : all));
+  return toTemplate(resolved, ctx, where);
+}
+
+// -------------------------------
+// Plan → scripts
+// -------------------------------
+
+const slug = (text) => String(text).trim().replace(/[^a-zA-Z0-9_-]+/g, "_").replace(/^_+|_+$/g, "") || "thread_group";
+
+/**
+ * Converts a JMX document.
+ * @param {string} text - JMX (XML) content
+ * @param {Object} options - { name: plan base name, jmxDir, outputDir }
+ * @returns {{ files: { fileName: string, script: Object, threadGroup: string }[], report: Object[] }}
+ */
+function convertJmx(text, options = {}) {
+  const document = parseXml(text);
+  const root = document.children.find((child) => child.name === "jmeterTestPlan");
+  if (!root) throw new Error("Not a JMeter test plan (no <jmeterTestPlan> element)");
+  const top = testTree(root.children.find((child) => child.name === "hashTree"));
+  const planNode = top.find((node) => typeOf(node.element) === "TestPlan");
+  if (!planNode) throw new Error("No TestPlan element in the JMX");
+
+  const ctx = createContext(options);
+  const planName = planNode.element.attrs.testname || "Test Plan";
+  const where = [planName];
+  const planState = createFileState();
+
+  const userVariables = findProp(planNode.element, "TestPlan.user_defined_variables");
+  argumentList(userVariables).forEach(({ name, value }) => {
+    if (!name) return;
+    ctx.rawVariables[name] = value;
+    planState.variables[name] = toTemplate(value, ctx, where);
+  });
+  if (boolProp(planNode.element, "TestPlan.serialize_threadgroups")) {
+    record(ctx, "approximated", planNode.element, [], "thread groups run one after another in JMeter: run the generated files in that order");
+  }
+
+  const planScope = collectScope(planNode.children, { headers: {}, timers: [], captures: [], expects: [] }, planState, ctx, where, 0);
+  const groups = planNode.children.filter((node) => /ThreadGroup$/.test(typeOf(node.element)));
+  planNode.children.filter((node) => isFlowElement(typeOf(node.element)) && !/ThreadGroup$/.test(typeOf(node.element)))
+    .forEach(({ element }) => record(ctx, "unsupported", element, where, "outside a thread group"));
+
+  const enabled = groups.filter(({ element }) => {
+    if (isEnabled(element)) return true;
+    record(ctx, "ignored", element, where, "disabled");
+    return false;
+  });
+  const setup = enabled.filter(({ element }) => typeOf(element) === "SetupThreadGroup");
+  const teardown = enabled.filter(({ element }) => typeOf(element) === "PostThreadGroup");
+  const mains = enabled.filter(({ element }) => typeOf(element) === "ThreadGroup");
+  enabled.filter(({ element }) => !["ThreadGroup", "SetupThreadGroup", "PostThreadGroup"].includes(typeOf(element)))
+    .forEach(({ element }) => record(ctx, "unsupported", element, where, "thread group type not supported (use ThreadGroup)"));
+  if (mains.length === 0) throw new Error("No enabled Thread Group to convert");
+
+  /**
+   * setUp / tearDown groups: one pass of their flow before / after the run. Their URLs
+   * stay absolute: config.target is picked from the main Thread Group.
+   */
+  const hookFlow = (list, label) => list.flatMap((node) => {
+    const state = withGroupDefaults(cloneState(planState), node);
+    const here = [...where, node.element.attrs.testname || label];
+    const flow = convertFlow(node.children, planScope, state, ctx, here, 1, null);
+    record(ctx, "approximated", node.element, where, `→ ${label} flow, run once (threads and loops dropped)`);
+    return flow;
+  });
+  const beforeFlow = hookFlow(setup, "before");
+  const afterFlow = hookFlow(teardown, "after");
+
+  const baseName = options.name || slug(planName);
+  const files = mains.map((node) => {
+    const tgName = node.element.attrs.testname || "Thread Group";
+    const here = [...where, tgName];
+    const state = withGroupDefaults(cloneState(planState), node);
+    const origin = pickTarget(node.children, state);
+    const flow = convertFlow(node.children, planScope, state, ctx, here, 1, origin);
+    const { phases, loops } = threadGroupPhases(node.element, state, countSamplers(node.children), ctx, where);
+
+    if (!origin) record(ctx, "approximated", "config.target", here, `no host in the samplers or HTTP Request Defaults → ${TARGET_FALLBACK}`);
+    const config = {
+      target: origin ? targetTemplate(origin, ctx, here) : TARGET_FALLBACK,
+      phases,
+    };
+    if (state.payload.length > 0) config.payload = state.payload.length === 1 ? state.payload[0] : state.payload;
+    if (Object.keys(state.variables).length > 0) config.variables = state.variables;
+    if (Object.keys(state.headers).length > 0) config.defaults = { headers: state.headers };
+    if (state.timeoutMs > 0) config.http = { timeout: Math.ceil(state.timeoutMs / 1000) };
+    config.plugins = { "metrics-by-endpoint": { useOnlyRequestNames: true } };
+    if (state.expectUsed) config.plugins.expect = {};
+
+    const script = { config };
+    if (beforeFlow.length > 0) script.before = { flow: beforeFlow };
+    if (afterFlow.length > 0) script.after = { flow: afterFlow };
+    if (flow.length === 0) record(ctx, "unsupported", node.element, where, "no HTTP sampler converted: the scenario only logs a message");
+    script.scenarios = [{
+      name: tgName,
+      flow: flow.length === 0 ? [{ log: `Nothing converted from ${tgName}, see the conversion report` }] : loops > 1 ? [{ loop: flow, count: loops }] : flow,
+    }];
+    return { fileName: mains.length === 1 ? `${baseName}.yml` : `${baseName}_${slug(tgName)}.yml`, script, threadGroup: tgName };
+  });
+  return { files, report: ctx.report };
+}
+
+/** Conversion report as Markdown (not converted first). */
+function reportMarkdown(jmxName, files, report) {
+  const cell = (text) => String(text || "").replace(/\|/g, "\\|").replace(/\n/g, " ");
+  const counts = Object.keys(STATUS_LABELS).map((status) => `${STATUS_LABELS[status]}: ${report.filter((r) => r.status === status).length}`);
+  const rows = Object.keys(STATUS_LABELS).flatMap((status) => report.filter((r) => r.status === status))
+    .map((r) => `| ${STATUS_LABELS[r.status]} | ${cell(r.element)} | ${cell(r.where)} | ${cell(r.note)} |`);
+  return [
+    `# JMX conversion report: ${jmxName}`,
+    "",
+    `Generated by \`utilities/jmx-to-artillery.js\` on ${new Date().toISOString()}.`,
+    "",
+    "| File | Scenario | Phases |",
+    "| --- | --- | --- |",
+    ...files.map((f) => `| ${cell(f.fileName)} | ${cell(f.threadGroup)} | ${cell(f.script.config.phases.map((p) => p.name).join(", "))} |`),
+    "",
+    counts.join(" · "),
+    "",
+    "| Status | Element | Location | Notes |",
+    "| --- | --- | --- | --- |",
+    ...rows,
+    "",
+  ].join("\n");
+}
+
+// -------------------------------
+// CLI
+// -------------------------------
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const jmx = typeof args.jmx === "string" ? args.jmx : args._[0];
+  if (!jmx) {
+    console.error("Usage: node utilities/jmx-to-artillery.js --jmx <plan.jmx> [--output-dir <dir>] [--force]");
+    return 2;
+  }
+
+  const jmxDir = path.dirname(path.resolve(jmx));
+  const outputDir = typeof args["output-dir"] === "string" ? path.resolve(args["output-dir"]) : jmxDir;
+  const name = path.basename(jmx, path.extname(jmx));
+  let result;
+  try {
+    result = convertJmx(fs.readFileSync(jmx, "utf8"), { name, jmxDir, outputDir });
+  } catch (err) {
+    console.error(`❌ Cannot convert '${jmx}': ${err.message}`);
+    return 2;
+  }
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  let failed = false;
+  result.files.forEach((file) => {
+    const target = path.join(outputDir, file.fileName);
+    const content = toYAML(file.script, [
+      `Converted from ${path.basename(jmx)} (thread group '${file.threadGroup}') by utilities/jmx-to-artillery.js.`,
+      `Approximations and elements that were not converted: ${name}.conversion.md`,
+    ]);
+    const { valid, problems } = checkRoundTrip(content, file.script);
+    if (!valid) {
+      failed = true;
+      console.error(`❌ ${path.relative(process.cwd(), target)} fails the Artillery script check${args.force ? " (written anyway, --force)" : " (not written)"}:`);
+      formatProblems(problems).forEach((problem) => console.error(`   - ${problem}`));
+      if (!args.force) return;
+    }
+    fs.writeFileSync(target, content);
+    console.log(`✅ Wrote ${path.relative(process.cwd(), target)}`);
+  });
+
+  const reportFile = path.join(outputDir, `${name}.conversion.md`);
+  fs.writeFileSync(reportFile, reportMarkdown(path.basename(jmx), result.files, result.report));
+  result.report.filter((r) => r.status === "unsupported").forEach((r) => console.warn(`⚠️ Not converted: ${r.element} (${r.where}): ${r.note}`));
+  const approximated = result.report.filter((r) => r.status === "approximated").length;
+  console.log(`ℹ️ Report: ${path.relative(process.cwd(), reportFile)}${approximated ? ` (${approximated} approximation(s))` : ""}`);
+  return failed && !args.force ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  parseXml,
+  convertJmx,
+  reportMarkdown,
+  main,
+};
@@ -0,0 +1,374 @@
+/**
+ * ============================================================
+ * STRUCTURED JSONL REQUEST/RESPONSE LOGGER
+ * ============================================================
+ * Provides:
+ *   ✅ One record shape for processor.js, hooks.js and artillery_processors.js
+ *   ✅ Async buffered writes (no appendFileSync per response)
+ *   ✅ Size-based rotation (file.jsonl → file.jsonl.1 … .N), one file set per
+ *      worker thread (errors.w<threadId>.jsonl) so rotation never races
+ *   ✅ Sampling of successful responses (errors are always kept)
+ *   ✅ Header + body + URL query redaction (Authorization, X-Auth-Token, SigV4
+ *      headers, ?access_token=, …)
+ * ============================================================
+ *
+ * RECORD SHAPE (one JSON object per line):
+ *   { timestamp, level, scenario, request, method, url, status, latencyMs,
+ *     vuId, requestHeaders, requestBody, responseBody, error, ...extra }
+ *
+ * ENVIRONMENT:
+ *   ARTILLERY_LOG_DIR            output directory (default ./artillery-logs)
+ *   LOG_MAX_BYTES                rotate when a file exceeds this size (default 50 MB)
+ *   LOG_MAX_FILES                rotated files to keep (default 5)
+ *   LOG_FLUSH_INTERVAL_MS        buffer flush interval (default 1000)
+ *   LOG_BUFFER_RECORDS           flush early once this many records are buffered (default 500)
+ *   LOG_SUCCESS_SAMPLE_RATE      0..1 fraction of 2xx/3xx responses to log
+ *                                (default 1 if RESPONSE_LOG_BODY_ENABLED=true, else 0)
+ *   LOG_BODY_MAX_LENGTH          truncate bodies to this many chars (default 500)
+ *   LOG_REDACT_HEADERS           extra header names to redact (comma separated)
+ *   LOG_REDACT_BODY_FIELDS       extra JSON/form field names to redact (comma separated)
+ *   LOG_REDACT_QUERY_PARAMS      extra URL query parameter names to redact (comma separated;
+ *                                body field names and access_token, api_key, X-Amz-Signature, …
+ *                                are always redacted)
+ *   LOG_MAX_PER_FINGERPRINT      stop writing errors.jsonl lines for an error fingerprint after
+ *                                this many per worker (default 0 = no limit); counts and
+ *                                exemplars still go to utilities/error-fingerprints.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { isMainThread, threadId } = require("worker_threads");
+
+const LOG_DIR = path.resolve(process.env.ARTILLERY_LOG_DIR || "./artillery-logs");
+const MAX_BYTES = Number(process.env.LOG_MAX_BYTES || 50 * 1024 * 1024);
+const MAX_FILES = Number(process.env.LOG_MAX_FILES || 5);
+const FLUSH_INTERVAL_MS = Number(process.env.LOG_FLUSH_INTERVAL_MS || 1000);
+const BUFFER_RECORDS = Number(process.env.LOG_BUFFER_RECORDS || 500);
+const BODY_MAX_LENGTH = Number(process.env.LOG_BODY_MAX_LENGTH || 500);
+const MAX_PER_FINGERPRINT = Number(process.env.LOG_MAX_PER_FINGERPRINT || 0);
+const SUCCESS_SAMPLE_RATE = process.env.LOG_SUCCESS_SAMPLE_RATE !== undefined
+  ? Number(process.env.LOG_SUCCESS_SAMPLE_RATE)
+  : process.env.RESPONSE_LOG_BODY_ENABLED === "true" ? 1 : 0;
+
+const REDACTED = "[REDACTED]";
+
+const splitList = (value) => (value || "").split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+
+const REDACT_HEADERS = new Set([
+  "authorization",
+  "proxy-authorization",
+  "x-auth-token",
+  "x-api-key",
+  "x-amz-security-token",
+  "cookie",
+  "set-cookie",
+  ...splitList(process.env.LOG_REDACT_HEADERS),
+]);
+
+const REDACT_BODY_FIELDS = new Set([
+  "password",
+  "secret",
+  "client_secret",
+  "token",
+  "access_token",
+  "accesstoken",
+  "refresh_token",
+  "refreshtoken",
+  "id_token",
+  "secretaccesskey",
+  "sessiontoken",
+  ...splitList(process.env.LOG_REDACT_BODY_FIELDS),
+]);
+
+const REDACT_QUERY_PARAMS = new Set([
+  ...REDACT_BODY_FIELDS,
+  "api_key",
+  "apikey",
+  "sig",
+  "signature",
+  "x-amz-signature",
+  "x-amz-credential",
+  "x-amz-security-token",
+  ...splitList(process.env.LOG_REDACT_QUERY_PARAMS),
+]);
+
+// -------------------------------
+// Redaction + formatting helpers
+// -------------------------------
+
+/**
+ * Redacts sensitive query parameters (?access_token=…, presigned X-Amz-Signature, …),
+ * keeping the rest of the URL as sent.
+ */
+function redactUrl(url) {
+  if (typeof url !== "string" || !url.includes("?")) return url;
+  return url.replace(/([?&])([^=&#]+)=([^&#]*)/g, (match, sep, key) => {
+    let name = key;
+    try {
+      name = decodeURIComponent(key);
+    } catch (err) {
+      // Keep the raw key
+    }
+    return REDACT_QUERY_PARAMS.has(name.toLowerCase()) ? `${sep}${key}=${REDACTED}` : match;
+  });
+}
+
+/** Returns a copy of 'headers' with sensitive values replaced by [REDACTED]. */
+function redactHeaders(headers) {
+  if (!headers || typeof headers !== "object") return headers;
+  const out = {};
+  Object.entries(headers).forEach(([key, value]) => {
+    out[key] = REDACT_HEADERS.has(key.toLowerCase()) ? REDACTED : value;
+  });
+  return out;
+}
+
+function redactObject(value) {
+  if (Array.isArray(value)) return value.map(redactObject);
+  if (value && typeof value === "object") {
+    const out = {};
+    Object.entries(value).forEach(([key, v]) => {
+      out[key] = REDACT_BODY_FIELDS.has(key.toLowerCase()) ? REDACTED : redactObject(v);
+    });
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Redacts sensitive fields from a body (object, JSON string, form string or
+ * Buffer) and truncates it to LOG_BODY_MAX_LENGTH characters.
+ */
+function redactBody(body, maxLength = BODY_MAX_LENGTH) {
+  if (body === undefined || body === null || body === "") return undefined;
+
+  let text;
+  if (Buffer.isBuffer(body)) {
+    text = body.toString("utf8");
+  } else if (typeof body === "object") {
+    text = JSON.stringify(redactObject(body));
+  } else {
+    text = String(body);
+  }
+
+  if (typeof body !== "object" || Buffer.isBuffer(body)) {
+    try {
+      text = JSON.stringify(redactObject(JSON.parse(text)));
+    } catch (err) {
+      // Not JSON: redact key=value pairs (form bodies, query-like strings)
+      text = text.replace(/([A-Za-z0-9_.-]+)=([^&\s]*)/g, (match, key) =>
+        (REDACT_BODY_FIELDS.has(key.toLowerCase()) ? `${key}=${REDACTED}` : match));
+    }
+  }
+
+  return text.length > maxLength ? `${text.substring(0, maxLength)}...` : text;
+}
+
+/** Total response latency in ms from the got timings Artillery attaches, if present. */
+function responseLatency(response) {
+  const timings = response && response.timings;
+  if (!timings) return undefined;
+  if (timings.phases && timings.phases.total !== undefined) return timings.phases.total;
+  if (timings.end && timings.start) return timings.end - timings.start;
+  return undefined;
+}
+
+function scenarioName(context) {
+  if (!context) return undefined;
+  if (context.scenario && context.scenario.name) return context.scenario.name;
+  return context.vars && context.vars.$scenarioName;
+}
+
+// -------------------------------
+// Buffered, rotating JSONL writer
+// -------------------------------
+
+class JsonlLogger {
+  /**
+   * @param {string} filePath - Target .jsonl file.
+   * @param {Object} options - { maxBytes, maxFiles, flushIntervalMs, bufferRecords }
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.maxBytes = options.maxBytes || MAX_BYTES;
+    this.maxFiles = options.maxFiles || MAX_FILES;
+    this.bufferRecords = options.bufferRecords || BUFFER_RECORDS;
+    this.buffer = [];
+    this.writing = Promise.resolve();
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+
+    this.timer = setInterval(() => this.flush(), options.flushIntervalMs || FLUSH_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  /** Queues one record; it is written on the next flush. */
+  write(record) {
+    this.buffer.push(JSON.stringify(record));
+    if (this.buffer.length >= this.bufferRecords) this.flush();
+  }
+
+  /** Writes buffered records asynchronously. Writes are serialized. */
+  flush() {
+    if (this.buffer.length === 0) return this.writing;
+    const chunk = `${this.buffer.join("\n")}\n`;
+    this.buffer = [];
+
+    this.writing = this.writing
+      .then(async () => {
+        const bytes = Buffer.byteLength(chunk);
+        if (this.size > 0 && this.size + bytes > this.maxBytes) await this.rotate();
+        await fs.promises.appendFile(this.filePath, chunk);
+        this.size += bytes;
+      })
+      .catch((err) => console.error(`JSONL logger write failed for ${this.filePath}: ${err.message}`));
+    return this.writing;
+  }
+
+  /** Synchronous flush for process exit, when async writes can no longer complete. */
+  flushSync() {
+    if (this.buffer.length === 0) return;
+    const chunk = `${this.buffer.join("\n")}\n`;
+    this.buffer = [];
+    try {
+      const bytes = Buffer.byteLength(chunk);
+      if (this.size > 0 && this.size + bytes > this.maxBytes) this.rotateSync();
+      fs.appendFileSync(this.filePath, chunk);
+      this.size += bytes;
+    } catch (err) {
+      console.error(`JSONL logger write failed for ${this.filePath}: ${err.message}`);
+    }
+  }
+
+  /** file.jsonl → file.jsonl.1, file.jsonl.1 → .2, … dropping the oldest. */
+  async rotate() {
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      const from = `${this.filePath}.${i}`;
+      if (fs.existsSync(from)) await fs.promises.rename(from, `${this.filePath}.${i + 1}`);
+    }
+    if (fs.existsSync(this.filePath)) await fs.promises.rename(this.filePath, `${this.filePath}.1`);
+    this.size = 0;
+  }
+
+  rotateSync() {
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      const from = `${this.filePath}.${i}`;
+      if (fs.existsSync(from)) fs.renameSync(from, `${this.filePath}.${i + 1}`);
+    }
+    if (fs.existsSync(this.filePath)) fs.renameSync(this.filePath, `${this.filePath}.1`);
+    this.size = 0;
+  }
+
+  close() {
+    clearInterval(this.timer);
+    return this.flush();
+  }
+}
+
+// One logger per file, shared by every processor loaded in this worker
+const loggers = new Map();
+
+/**
+ * <channel>.jsonl outside Artillery workers, <channel>.w<threadId>.jsonl inside: each
+ * worker thread owns (and alone rotates) its files, so workers never rename a file
+ * another one is appending to.
+ */
+function channelFile(channel) {
+  return path.join(LOG_DIR, isMainThread ? `${channel}.jsonl` : `${channel}.w${threadId}.jsonl`);
+}
+
+/**
+ * Returns the shared logger for a channel ('responses', 'errors', 'debug', …),
+ * writing to this worker's <ARTILLERY_LOG_DIR>/<channel>[.w<threadId>].jsonl.
+ */
+function getLogger(channel) {
+  if (!loggers.has(channel)) {
+    loggers.set(channel, new JsonlLogger(channelFile(channel)));
+  }
+  return loggers.get(channel);
+}
+
+process.on("beforeExit", () => loggers.forEach((logger) => logger.flush()));
+process.on("exit", () => loggers.forEach((logger) => logger.flushSync()));
+
+// -------------------------------
+// Record builders
+// -------------------------------
+
+/**
+ * Writes a free-form event (replacement for the old text logToFile).
+ * @param {string} channel - 'debug', 'errors', …
+ * @param {string} level - 'debug' | 'info' | 'error'
+ */
+function logEvent(channel, level, message, fields = {}) {
+  getLogger(channel).write({ timestamp: new Date().toISOString(), level, message, ...fields });
+}
+
+/**
+ * Builds the standard request/response record.
+ * @param {Object} options - { includeRequestBody, bodyMaxLength, error, extra }
+ */
+function buildResponseRecord(requestParams, response, context, options = {}) {
+  const record = {
+    timestamp: new Date().toISOString(),
+    level: options.level,
+    scenario: scenarioName(context),
+    request: requestParams.name,
+    method: (requestParams.method || "GET").toUpperCase(),
+    url: redactUrl(requestParams.url),
+    status: response ? response.statusCode : null,
+    latencyMs: responseLatency(response),
+    vuId: context ? context._uid : undefined,
+    requestHeaders: redactHeaders(requestParams.headers),
+    responseBody: response ? redactBody(response.body, options.bodyMaxLength) : undefined,
+    ...(options.extra || {}),
+  };
+  if (options.includeRequestBody) {
+    record.requestBody = redactBody(requestParams.body !== undefined ? requestParams.body : requestParams.json || requestParams.form, options.bodyMaxLength);
+  }
+  if (!response) record.error = options.error ? String(options.error.message || options.error) : "No response received";
+  return record;
+}
+
+// Loaded on first use: error-fingerprints requires this module for redaction
+let errorFingerprints = null;
+const fingerprints = () => errorFingerprints || (errorFingerprints = require("./error-fingerprints"));
+
+/**
+ * Logs one response: failures are fingerprinted (utilities/error-fingerprints.js) and
+ * go to errors.jsonl (up to LOG_MAX_PER_FINGERPRINT per fingerprint), successes are
+ * sampled into responses.jsonl at LOG_SUCCESS_SAMPLE_RATE.
+ * @param {Object} options - { isError?: boolean, includeRequestBody?: boolean, error?: Error|string, extra?: Object }
+ * @returns {boolean} true when the response was treated as an error.
+ */
+function logResponse(requestParams, response, context, options = {}) {
+  const status = response ? response.statusCode : 0;
+  const isError = options.isError !== undefined ? options.isError : (!response || status >= 400);
+
+  if (isError) {
+    const seen = fingerprints().recordFailure(requestParams, response, context, {
+      error: options.error,
+      assertionFailures: options.extra && options.extra.assertionFailures,
+    });
+    // null: another hook already logged this response
+    if (seen !== null && (MAX_PER_FINGERPRINT <= 0 || seen <= MAX_PER_FINGERPRINT)) {
+      getLogger("errors").write(buildResponseRecord(requestParams, response, context, { ...options, level: "error" }));
+    }
+  } else if (SUCCESS_SAMPLE_RATE > 0 && Math.random() < SUCCESS_SAMPLE_RATE) {
+    getLogger("responses").write(buildResponseRecord(requestParams, response, context, { ...options, level: "info" }));
+  }
+  return isError;
+}
+
+module.exports = {
+  JsonlLogger,
+  getLogger,
+  logEvent,
+  logResponse,
+  buildResponseRecord,
+  redactHeaders,
+  redactBody,
+  redactUrl,
+  LOG_DIR,
+};
@@ -0,0 +1,574 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * JMETER JTL (CSV / XML) → ARTILLERY JSON REPORT
+ * ============================================================
+ * Provides:
+ *   ✅ Streams JMeter result files (CSV with or without header, or XML) of any size
+ *   ✅ Writes a report in Artillery's own JSON format: aggregate + 10s intermediate buckets,
+ *      one metrics-by-endpoint entry per JMeter label (transaction)
+ *   ✅ Output works with the SLA evaluator, merge-reports.js and the Allure converters,
+ *      so JMeter and Artillery runs go through the same pipeline
+ *   ✅ Exact percentiles (computed from every sample, not merged)
+ * ============================================================
+ *
+ * HOW TO RUN:
+ *   node utilities/jtl-to-report.js \
+ *     --jtl "results-runner-1.jtl,results-runner-2.jtl" \   # all files → one report
+ *     --output reports/result_jmeter.json \
+ *     [--names label|url] \                 # endpoint name: JMeter label (default) or host + path
+ *     [--include "Login,Checkout*"] [--exclude "*-0,*-1"] [--transactions-only] \
+ *     [--sub-results] [--bucket 10] [--delimiter ","]
+ *
+ *   node utilities/sla-evaluator.js --json reports/result_jmeter.json --sla applications/app1/scripts/sla.json
+ *
+ * HOW SAMPLES ARE COUNTED (each sample exactly once):
+ *   codes.<rc>       successful samples, and failed ones with a 4xx / 5xx status;
+ *                    successful non-HTTP samples (JSR223, JDBC, transaction
+ *                    controllers) count as 200
+ *   errors.<name>    failed samples without a status ("Non HTTP response code:
+ *                    java.net.SocketTimeoutException" → SocketTimeoutException) and
+ *                    2xx / 3xx samples failed by an assertion (AssertionFailure)
+ *   response_time    'elapsed' of every sample that got a response, bucketed by timeStamp
+ *
+ *   --names url      names endpoints the way metrics-by-endpoint does for an absolute
+ *                    URL (host[:port] + path, query dropped), so sla.json keys written
+ *                    for Artillery runs match; samples without a URL keep their label
+ *   --transactions-only  keeps transaction controller samples only
+ *   --sub-results    also counts samples nested in an XML parent sample (redirects,
+ *                    embedded resources, transaction children); CSV rows are all counted,
+ *                    use --exclude to drop sub-result labels ("Home-0", "Home-1")
+ *
+ * Exit code: 0 = report written, 2 = bad input or no usable samples.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { StringDecoder } = require("string_decoder");
+const { parseArgs, splitList } = require("./cli-args");
+
+const DEFAULT_BUCKET_MS = 10000;
+const CHUNK_BYTES = 1024 * 1024;
+const ENDPOINT_PREFIX = "plugins.metrics-by-endpoint.";
+const RESPONSE_TIME_PREFIX = `${ENDPOINT_PREFIX}response_time.`;
+const PERCENTILES = [["p50", 0.5], ["p75", 0.75], ["p90", 0.9], ["p95", 0.95], ["p99", 0.99], ["p999", 0.999]];
+
+/** Column order JMeter writes when print_field_names=false (jmeter.properties defaults). */
+const DEFAULT_CSV_FIELDS = ["timeStamp", "elapsed", "label", "responseCode", "responseMessage", "threadName", "dataType",
+  "success", "failureMessage", "bytes", "sentBytes", "grpThreads", "allThreads", "URL", "Latency", "IdleTime", "Connect"];
+
+/** XML attribute → CSV column name. */
+const XML_ATTRIBUTES = {
+  t: "elapsed", it: "IdleTime", lt: "Latency", ct: "Connect", ts: "timeStamp", s: "success", lb: "label",
+  rc: "responseCode", rm: "responseMessage", tn: "threadName", dt: "dataType", by: "bytes", sby: "sentBytes",
+  ng: "grpThreads", na: "allThreads",
+};
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const toRegExp = (pattern) => new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*")}$`, "i");
+
+// -------------------------------
+// Samples
+// -------------------------------
+
+function parseTimestamp(value) {
+  const text = String(value || "").trim();
+  if (/^\d+$/.test(text)) return Number(text);
+  return Date.parse(text);
+}
+
+/** CSV record / XML attributes (CSV column names) → sample, or null when unusable. */
+function toSample(record) {
+  const timeStamp = parseTimestamp(record.timeStamp);
+  const elapsed = Number(record.elapsed);
+  if (!Number.isFinite(timeStamp) || !Number.isFinite(elapsed) || !record.label) return null;
+  return {
+    timeStamp,
+    elapsed,
+    label: record.label,
+    responseCode: String(record.responseCode || "").trim(),
+    responseMessage: record.responseMessage || "",
+    success: String(record.success).trim().toLowerCase() === "true",
+    failureMessage: record.failureMessage || "",
+    threadName: record.threadName || "",
+    bytes: Number(record.bytes) || 0,
+    sentBytes: Number(record.sentBytes) || 0,
+    allThreads: Number(record.allThreads) || 0,
+    url: record.URL && record.URL !== "null" ? record.URL : "",
+    latency: Number(record.Latency) || 0,
+    connect: Number(record.Connect) || 0,
+  };
+}
+
+/** Transaction controller samples carry this response message. */
+const isTransaction = (sample) => /^Number of samples in transaction/.test(sample.responseMessage);
+
+/** { code } or { error } for a sample, plus whether a response arrived. See the header. */
+function outcome(sample) {
+  const rc = sample.responseCode;
+  const http = /^\d{3}$/.test(rc);
+  if (sample.success) return { code: http ? rc : "200", responded: true };
+  if (http && !/^[23]/.test(rc)) return { code: rc, responded: true };
+  if (http) return { error: "AssertionFailure", responded: true };
+  const cause = rc.split(":").pop().trim().split(".").pop();
+  return { error: cause ? cause.replace(/[^\w-]/g, "_") : "SampleFailure", responded: false };
+}
+
+/** metrics-by-endpoint style name for an absolute URL: host[:port] + path. */
+function urlEndpointName(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.host}${parsed.pathname}`;
+  } catch (err) {
+    return null;
+  }
+}
+
+// -------------------------------
+// CSV reader
+// -------------------------------
+
+/**
+ * Emits every complete CSV record in text; returns the offset of the first
+ * unfinished one (kept for the next chunk). With final=true everything is emitted.
+ */
+function parseCsvRecords(text, delimiter, onRow, final) {
+  const n = text.length;
+  let i = 0;
+  let recordStart = 0;
+  let row = [];
+  while (i < n) {
+    let value = "";
+    if (text[i] === "\"") {
+      let j = i + 1;
+      for (;;) {
+        const quote = text.indexOf("\"", j);
+        if (quote === -1) {
+          if (!final) return recordStart;
+          value += text.slice(j);
+          i = n;
+          break;
+        }
+        if (quote + 1 === n && !final) return recordStart;
+        if (text[quote + 1] === "\"") {
+          value += text.slice(j, quote + 1);
+          j = quote + 2;
+          continue;
+        }
+        value += text.slice(j, quote);
+        i = quote + 1;
+        break;
+      }
+    }
+    let j = i;
+    while (j < n && text[j] !== delimiter && text[j] !== "\n" && text[j] !== "\r") j++;
+    value += text.slice(i, j);
+    i = j;
+    row.push(value);
+
+    if (i >= n) {
+      if (!final) return recordStart;
+      onRow(row);
+      return n;
+    }
+    if (text[i] === delimiter) {
+      i++;
+      continue;
+    }
+    if (text[i] === "\r" && i + 1 === n && !final) return recordStart;
+    i += text[i] === "\r" && text[i + 1] === "\n" ? 2 : 1;
+    onRow(row);
+    row = [];
+    recordStart = i;
+  }
+  if (final && row.length > 0) {
+    row.push(""); // text ended right after a delimiter
+    onRow(row);
+    return n;
+  }
+  return recordStart;
+}
+
+function createCsvReader(onRecord, options, stats) {
+  let carry = "";
+  let delimiter = options.delimiter;
+  let fields = null;
+  let headerKey = null;
+
+  const onRow = (row) => {
+    if (row.length === 1 && row[0].trim() === "") return;
+    if (!fields) {
+      if (row.includes("timeStamp") || row.includes("elapsed")) {
+        fields = row;
+        headerKey = row.join(delimiter);
+        return;
+      }
+      fields = DEFAULT_CSV_FIELDS;
+      stats.headerless = true;
+    } else if (headerKey && row.join(delimiter) === headerKey) {
+      return; // header repeated by a concatenated merge
+    }
+    const record = {};
+    fields.forEach((field, index) => {
+      record[field] = row[index];
+    });
+    onRecord(record);
+  };
+
+  return {
+    format: "csv",
+    write(text, final) {
+      carry += text;
+      if (!delimiter) {
+        const lineEnd = carry.search(/[\r\n]/);
+        if (lineEnd === -1 && !final) return;
+        const firstLine = lineEnd === -1 ? carry : carry.slice(0, lineEnd);
+        const match = firstLine.match(/timeStamp([^\w"])/) || firstLine.match(/^"?\d+"?([^\d"])/);
+        delimiter = match ? match[1] : ",";
+      }
+      const consumed = parseCsvRecords(carry, delimiter, onRow, final);
+      carry = carry.slice(consumed);
+    },
+  };
+}
+
+// -------------------------------
+// XML reader
+// -------------------------------
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (all, entity) => {
+    if (entity[0] === "#") {
+      const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+      return Number.isFinite(code) ? String.fromCodePoint(code) : all;
+    }
+    return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : all;
+  });
+}
+
+function xmlAttributes(tag) {
+  const record = {};
+  const pattern = /([\w.:-]+)\s*=\s*"([^"]*)"/g;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    const name = XML_ATTRIBUTES[match[1]] || match[1];
+    record[name] = decodeXml(match[2]);
+  }
+  return record;
+}
+
+/**
+ * Reads <httpSample> / <sample> elements. Nested ones are sub-results (redirects,
+ * embedded resources, transaction children) and are only emitted with options.subResults.
+ */
+function createXmlReader(onRecord, options) {
+  let carry = "";
+  const stack = [];
+  let textFrom = -1;
+
+  const handleTag = (tag, text, tagStart) => {
+    const match = tag.match(/^<(\/?)([\w.:-]+)/);
+    if (!match) return;
+    const [, closing, name] = match;
+    const selfClosing = /\/>$/.test(tag);
+    const current = stack[stack.length - 1];
+
+    if (name === "httpSample" || name === "sample") {
+      if (closing) {
+        const record = stack.pop();
+        if (record && (stack.length === 0 || options.subResults)) onRecord(record);
+      } else if (selfClosing) {
+        if (stack.length === 0 || options.subResults) onRecord(xmlAttributes(tag));
+      } else {
+        stack.push(xmlAttributes(tag));
+      }
+    } else if ((name === "failureMessage" || name === "java.net.URL") && current) {
+      if (!closing && !selfClosing) {
+        textFrom = tagStart + tag.length;
+      } else if (closing && textFrom !== -1) {
+        const value = decodeXml(text.slice(textFrom, tagStart)).trim();
+        if (name === "java.net.URL") current.URL = value;
+        else if (value && !current.failureMessage) current.failureMessage = value;
+        textFrom = -1;
+      }
+    }
+  };
+
+  return {
+    format: "xml",
+    write(text, final) {
+      carry += text;
+      const pattern = /<[^>]*>/g;
+      let match;
+      let resumeAt = 0;
+      while ((match = pattern.exec(carry)) !== null) {
+        handleTag(match[0], carry, match.index);
+        resumeAt = pattern.lastIndex;
+      }
+      if (final) {
+        carry = "";
+        return;
+      }
+      // Keep an element whose text is still being read, else everything after the last tag
+      const keepFrom = textFrom !== -1 ? carry.lastIndexOf("<", textFrom - 1) : resumeAt;
+      carry = carry.slice(keepFrom);
+      textFrom = -1;
+    },
+  };
+}
+
+// -------------------------------
+// File reading
+// -------------------------------
+
+/** Feeds the decoded text of a file to onText(text, final) in chunks. */
+function readChunks(filePath, onText) {
+  const fd = fs.openSync(filePath, "r");
+  const decoder = new StringDecoder("utf8");
+  const buffer = Buffer.alloc(CHUNK_BYTES);
+  try {
+    let bytes;
+    while ((bytes = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      onText(decoder.write(buffer.subarray(0, bytes)), false);
+    }
+    onText(decoder.end(), true);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Streams one JTL file (format detected from the first character) to onSample.
+ * @param {string} filePath
+ * @param {Function} onSample - Called with each sample (see toSample).
+ * @param {Object} options - { delimiter, subResults }
+ * @returns {{ format: string, samples: number, skipped: number, headerless: boolean }}
+ */
+function readJtl(filePath, onSample, options = {}) {
+  const stats = { format: null, samples: 0, skipped: 0, headerless: false };
+  const onRecord = (record) => {
+    const sample = toSample(record);
+    if (!sample) {
+      stats.skipped++;
+      return;
+    }
+    stats.samples++;
+    onSample(sample);
+  };
+
+  let reader = null;
+  let pending = "";
+  readChunks(filePath, (text, final) => {
+    if (!reader) {
+      pending += text;
+      if (!/\S/.test(pending) && !final) return;
+      reader = /^\s*</.test(pending) ? createXmlReader(onRecord, options) : createCsvReader(onRecord, options, stats);
+      stats.format = reader.format;
+      text = pending;
+    }
+    reader.write(text, final);
+  });
+  return stats;
+}
+
+// -------------------------------
+// Report building
+// -------------------------------
+
+/** Artillery summary ({ min, max, count, mean, p50, median, … }) from raw values. */
+function summarize(values) {
+  const sorted = Float64Array.from(values).sort();
+  const count = sorted.length;
+  const summary = {
+    min: round1(sorted[0]),
+    max: round1(sorted[count - 1]),
+    count,
+    mean: round1(sorted.reduce((sum, v) => sum + v, 0) / count),
+  };
+  PERCENTILES.forEach(([field, q]) => {
+    summary[field] = round1(sorted[Math.max(0, Math.ceil(q * count) - 1)]);
+    if (field === "p50") summary.median = summary.p50;
+  });
+  return summary;
+}
+
+function newBucket() {
+  return { counters: {}, values: new Map(), first: Infinity, last: -Infinity };
+}
+
+/**
+ * Collects samples into Artillery-style buckets.
+ * @param {Object} options - { bucketMs = 10000, names: "label"|"url", include, exclude, transactionsOnly }
+ * @returns {{ add: Function, build: Function, endpoints: Set<string> }}
+ */
+function createReportBuilder(options = {}) {
+  const bucketMs = options.bucketMs || DEFAULT_BUCKET_MS;
+  const include = (options.include || []).map(toRegExp);
+  const exclude = (options.exclude || []).map(toRegExp);
+  const buckets = new Map();
+  const endpoints = new Set();
+
+  const count = (bucket, name, by = 1) => {
+    bucket.counters[name] = (bucket.counters[name] || 0) + by;
+  };
+  const record = (bucket, name, value) => {
+    if (!bucket.values.has(name)) bucket.values.set(name, []);
+    bucket.values.get(name).push(value);
+  };
+
+  function add(sample) {
+    if (include.length > 0 && !include.some((p) => p.test(sample.label))) return false;
+    if (exclude.some((p) => p.test(sample.label))) return false;
+    if (options.transactionsOnly && !isTransaction(sample)) return false;
+
+    const period = sample.timeStamp - (sample.timeStamp % bucketMs);
+    if (!buckets.has(period)) buckets.set(period, newBucket());
+    const bucket = buckets.get(period);
+    bucket.first = Math.min(bucket.first, sample.timeStamp);
+    bucket.last = Math.max(bucket.last, sample.timeStamp);
+
+    const endpoint = (options.names === "url" && sample.url && urlEndpointName(sample.url)) || sample.label;
+    endpoints.add(endpoint);
+    const result = outcome(sample);
+    count(bucket, "http.requests");
+    if (result.code) {
+      count(bucket, `http.codes.${result.code}`);
+      count(bucket, `${ENDPOINT_PREFIX}${endpoint}.codes.${result.code}`);
+    } else {
+      count(bucket, `errors.${result.error}`);
+      count(bucket, `${ENDPOINT_PREFIX}${endpoint}.errors.${result.error}`);
+    }
+    if (result.responded) {
+      count(bucket, "http.responses");
+      if (sample.bytes > 0) count(bucket, "http.downloaded_bytes", sample.bytes);
+      record(bucket, "http.response_time", sample.elapsed);
+      record(bucket, `${RESPONSE_TIME_PREFIX}${endpoint}`, sample.elapsed);
+    }
+    return true;
+  }
+
+  /** @returns {{ aggregate: Object, intermediate: Object[] }} */
+  function build() {
+    const periods = [...buckets.keys()].sort((a, b) => a - b);
+    const all = newBucket();
+    const intermediate = periods.map((period) => {
+      const bucket = buckets.get(period);
+      Object.entries(bucket.counters).forEach(([name, value]) => count(all, name, value));
+      bucket.values.forEach((values, name) => {
+        if (!all.values.has(name)) all.values.set(name, []);
+        all.values.get(name).push(values);
+      });
+      all.first = Math.min(all.first, bucket.first);
+      all.last = Math.max(all.last, bucket.last);
+      return toSnapshot(bucket, period, { "http.request_rate": Math.round((bucket.counters["http.requests"] || 0) / (bucketMs / 1000)) });
+    });
+    all.values.forEach((parts, name) => all.values.set(name, [].concat(...parts)));
+
+    const rate = intermediate.length > 0
+      ? Math.round(intermediate.reduce((sum, item) => sum + item.rates["http.request_rate"], 0) / intermediate.length)
+      : 0;
+    const aggregate = toSnapshot(all, periods.length ? periods[periods.length - 1] : 0, { "http.request_rate": rate });
+    aggregate.period = Number(aggregate.period);
+    return { aggregate, intermediate };
+  }
+
+  return { add, build, endpoints };
+}
+
+function toSnapshot(bucket, period, rates) {
+  const summaries = {};
+  bucket.values.forEach((values, name) => {
+    summaries[name] = summarize(values);
+  });
+  const first = Number.isFinite(bucket.first) ? bucket.first : undefined;
+  const last = Number.isFinite(bucket.last) ? bucket.last : undefined;
+  return {
+    counters: bucket.counters,
+    rates,
+    firstCounterAt: first,
+    firstHistogramAt: first,
+    lastCounterAt: last,
+    lastHistogramAt: last,
+    firstMetricAt: first,
+    lastMetricAt: last,
+    period: String(period),
+    summaries,
+    histograms: summaries,
+  };
+}
+
+/**
+ * Reads JTL files into one Artillery report.
+ * @param {string[]} files
+ * @param {Object} options - createReportBuilder options + { delimiter, subResults }
+ * @returns {{ report: Object, files: Object[], samples: number, endpoints: string[] }}
+ */
+function jtlToReport(files, options = {}) {
+  const builder = createReportBuilder(options);
+  let samples = 0;
+  const fileStats = files.map((file) => ({
+    file,
+    ...readJtl(file, (sample) => {
+      if (builder.add(sample)) samples++;
+    }, options),
+  }));
+  return { report: builder.build(), files: fileStats, samples, endpoints: [...builder.endpoints].sort() };
+}
+
+// -------------------------------
+// CLI
+// -------------------------------
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const files = splitList(args.jtl).concat(args._);
+  if (files.length === 0) {
+    console.error("Usage: node utilities/jtl-to-report.js --jtl <results-runner-1.jtl,results-runner-2.jtl> [--output result_jmeter.json] [--names label|url] [--include <labels>] [--exclude <labels>] [--transactions-only] [--sub-results] [--bucket 10] [--delimiter ,]");
+    return 2;
+  }
+
+  let result;
+  try {
+    result = jtlToReport(files, {
+      bucketMs: args.bucket ? Number(args.bucket) * 1000 : undefined,
+      names: args.names === "url" ? "url" : "label",
+      include: splitList(args.include),
+      exclude: splitList(args.exclude),
+      transactionsOnly: Boolean(args["transactions-only"]),
+      subResults: Boolean(args["sub-results"]),
+      delimiter: typeof args.delimiter === "string" ? args.delimiter.replace("\\t", "\t") : undefined,
+    });
+  } catch (err) {
+    console.error(`❌ Cannot read JTL: ${err.message}`);
+    return 2;
+  }
+
+  result.files.forEach(({ file, format, samples, skipped, headerless }) => {
+    console.log(`ℹ️ ${file}: ${format || "empty"}, ${samples} sample(s)${headerless ? ", no header (default JMeter columns assumed)" : ""}`);
+    if (skipped > 0) console.warn(`⚠️ ${file}: skipped ${skipped} record(s) without timeStamp / elapsed / label`);
+  });
+  if (result.samples === 0) {
+    console.error("❌ No samples to report (empty files, or --include / --exclude / --transactions-only matched nothing)");
+    return 2;
+  }
+
+  const output = args.output && args.output !== true ? args.output : "result_jmeter.json";
+  fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+  fs.writeFileSync(output, JSON.stringify(result.report, null, 2));
+
+  console.log(`✅ ${result.samples} sample(s), ${result.endpoints.length} transaction(s) → ${output} (${result.report.intermediate.length} buckets)`);
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  readJtl,
+  createReportBuilder,
+  jtlToReport,
+  main,
+};
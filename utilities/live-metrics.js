@@ -0,0 +1,594 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * LIVE METRICS EXPORT (StatsD / Prometheus / InfluxDB)
+ * ============================================================
+ * Provides:
+ *   ✅ Listens on the event emitter ('ee') processors receive: latency, status codes,
+ *      errors, assertion / feeder / auth counters, as they happen
+ *   ✅ Per-phase markers (phase started / completed) via artillery-plugin-live-metrics
+ *   ✅ Tags: app, environment, runner, worker + request name / code / error / rule
+ *   ✅ Sinks: StatsD over UDP, Prometheus pushgateway or scrape endpoint,
+ *      InfluxDB line protocol over HTTP
+ *   ✅ 'listen' mode: a local stand-in backend that prints what arrives
+ * ============================================================
+ *
+ * HOW TO ENABLE:
+ *   Every scenario, with phase markers (no YAML change):
+ *     ARTILLERY_PLUGIN_PATH="$PWD/utilities" ARTILLERY_PLUGINS='{"live-metrics":{}}' \
+ *     LIVE_METRICS=statsd,influx LIVE_METRICS_INFLUX_URL="http://localhost:8086/write?db=artillery" \
+ *     npx artillery run applications/app1/scripts/loadscript.yml
+ *   or per scenario, from processor.js:
+ *     beforeScenario: "startLiveMetrics"
+ *
+ * ENVIRONMENT (plugin config keys in brackets override them):
+ *   LIVE_METRICS                   sinks: statsd, prometheus, influx (comma separated) [sinks]
+ *   LIVE_METRICS_PREFIX            metric name prefix (default artillery) [prefix]
+ *   LIVE_METRICS_FLUSH_MS          send interval for StatsD / InfluxDB (default 1000)
+ *   LIVE_METRICS_APP / _ENV        'app' / 'environment' tags (default APP_NAME / ENVIRONMENT_NAME)
+ *   LIVE_METRICS_TAGS              extra tags, e.g. "team:perf,region:us" [tags]
+ *   LIVE_METRICS_STATSD_HOST/PORT  default 127.0.0.1:8125 [statsd.host / statsd.port]
+ *   LIVE_METRICS_STATSD_TAGS       dogstatsd (name:1|c|#k:v), influx (name,k=v:1|c) or none [statsd.tagFormat]
+ *   LIVE_METRICS_PUSHGATEWAY_URL   push to a Prometheus pushgateway every LIVE_METRICS_PUSH_MS
+ *                                  (default 10000) [prometheus.pushgateway]; without it the
+ *                                  prometheus sink serves /metrics on LIVE_METRICS_PROMETHEUS_PORT
+ *                                  (default 9464; each worker thread takes the next free port)
+ *   LIVE_METRICS_BUCKETS           histogram buckets in ms (default 5,10,25,50,100,250,500,1000,2500,5000,10000)
+ *   LIVE_METRICS_INFLUX_URL        full write URL, v1 (/write?db=…) or v2 (/api/v2/write?org=…&bucket=…) [influx.url]
+ *   LIVE_METRICS_INFLUX_TOKEN      sent as 'Authorization: Token …' [influx.token]
+ *
+ * METRICS (<prefix>_ in Prometheus / InfluxDB, <prefix>. in StatsD):
+ *   requests, responses{code}, errors{error}, response_time
+ *   endpoint_responses{request,code}, endpoint_errors{request,error},
+ *   endpoint_response_time{request}        (needs the metrics-by-endpoint plugin)
+ *   assertion_failures{request,rule}       (assertResponse in utilities/response-assertions.js)
+ *   think_time{profile}                    (thinkTime / thinkAfter in utilities/think-time.js)
+ *   vusers_started, phase_started / phase_completed{phase,index}, phase_active{phase,index}
+ *   any other counter / histogram on 'ee' under its name with '.' → '_' (feeder_*, auth_*, http_dns, …)
+ *
+ * LOCAL LISTENER (stand-in backend for tests):
+ *   node utilities/live-metrics.js listen [--statsd-port 8125] [--http-port 8186] [--duration 60]
+ *   Prints StatsD packets, InfluxDB writes and pushgateway pushes; point
+ *   LIVE_METRICS_INFLUX_URL / LIVE_METRICS_PUSHGATEWAY_URL at http://127.0.0.1:8186.
+ */
+
+const dgram = require("dgram");
+const http = require("http");
+const { httpRequest } = require("./http-client");
+const { parseArgs } = require("./cli-args");
+
+const DEFAULT_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+const STATSD_MAX_PACKET = 1432; // fits one Ethernet frame
+const ENDPOINT_PREFIX = "plugins.metrics-by-endpoint.";
+
+const splitList = (value) => (Array.isArray(value) ? value : String(value || "").split(","))
+  .map((s) => String(s).trim()).filter(Boolean);
+
+// Sink failures are reported once per message, not once per flush
+const warned = new Set();
+function warnOnce(message) {
+  if (warned.has(message)) return;
+  warned.add(message);
+  console.warn(`⚠️ live-metrics: ${message}`);
+}
+
+// -------------------------------
+// Config
+// -------------------------------
+
+function parseTags(value) {
+  if (value && typeof value === "object") return { ...value };
+  const tags = {};
+  splitList(value).forEach((pair) => {
+    const [key, ...rest] = pair.split(":");
+    if (key && rest.length > 0) tags[key.trim()] = rest.join(":").trim();
+  });
+  return tags;
+}
+
+/**
+ * Resolves sink settings from plugin config (if any) and the environment.
+ * @param {Object} [config] - config.plugins['live-metrics'] from the test script
+ */
+function resolveOptions(config = {}, env = process.env) {
+  const statsd = config.statsd || {};
+  const prometheus = config.prometheus || {};
+  const influx = config.influx || {};
+  return {
+    sinks: splitList(config.sinks || env.LIVE_METRICS).map((s) => s.toLowerCase()),
+    prefix: config.prefix || env.LIVE_METRICS_PREFIX || "artillery",
+    flushMs: Number(config.flushMs || env.LIVE_METRICS_FLUSH_MS || 1000),
+    tags: {
+      app: env.LIVE_METRICS_APP || env.APP_NAME || env.PY_APP_NAME || "unknown",
+      environment: env.LIVE_METRICS_ENV || env.ENVIRONMENT_NAME || "unknown",
+      runner: env.RUNNER_INDEX || "1",
+      worker: env.LOCAL_WORKER_ID || "main",
+      ...parseTags(env.LIVE_METRICS_TAGS),
+      ...parseTags(config.tags),
+    },
+    statsd: {
+      host: statsd.host || env.LIVE_METRICS_STATSD_HOST || "127.0.0.1",
+      port: Number(statsd.port || env.LIVE_METRICS_STATSD_PORT || 8125),
+      tagFormat: statsd.tagFormat || env.LIVE_METRICS_STATSD_TAGS || "dogstatsd",
+    },
+    prometheus: {
+      pushgateway: prometheus.pushgateway || env.LIVE_METRICS_PUSHGATEWAY_URL || null,
+      port: Number(prometheus.port || env.LIVE_METRICS_PROMETHEUS_PORT || 9464),
+      pushMs: Number(prometheus.pushMs || env.LIVE_METRICS_PUSH_MS || 10000),
+      job: prometheus.job || env.LIVE_METRICS_JOB || "artillery",
+      buckets: splitList(prometheus.buckets || env.LIVE_METRICS_BUCKETS).map(Number).filter(Number.isFinite),
+    },
+    influx: {
+      url: influx.url || env.LIVE_METRICS_INFLUX_URL || null,
+      token: influx.token || env.LIVE_METRICS_INFLUX_TOKEN || null,
+    },
+  };
+}
+
+// -------------------------------
+// Artillery metric names → tagged metrics
+// -------------------------------
+
+const sanitize = (name) => String(name).replace(/[^A-Za-z0-9_]+/g, "_").replace(/^_+|_+$/g, "");
+
+/**
+ * Maps an Artillery counter / histogram name to { name, tags }.
+ * @param {string} kind - 'counter' | 'timing'
+ */
+function translateMetric(kind, key) {
+  let match;
+  if (kind === "timing") {
+    if (key === "http.response_time") return { name: "response_time", tags: {} };
+    if (key.startsWith(`${ENDPOINT_PREFIX}response_time.`)) {
+      return { name: "endpoint_response_time", tags: { request: key.slice(`${ENDPOINT_PREFIX}response_time.`.length) } };
+    }
+    match = key.match(/^think_time\.(.+)$/);
+    if (match) return { name: "think_time", tags: { profile: match[1] } };
+    return { name: sanitize(key), tags: {} };
+  }
+
+  match = key.match(/^http\.codes\.(\w+)$/);
+  if (match) return { name: "responses", tags: { code: match[1] } };
+  if (key === "http.requests") return { name: "requests", tags: {} };
+  if (key.startsWith(ENDPOINT_PREFIX)) {
+    match = key.slice(ENDPOINT_PREFIX.length).match(/^(.+)\.codes\.(\w+)$/);
+    if (match) return { name: "endpoint_responses", tags: { request: match[1], code: match[2] } };
+    match = key.slice(ENDPOINT_PREFIX.length).match(/^(.+)\.errors\.(.+)$/);
+    if (match) return { name: "endpoint_errors", tags: { request: match[1], error: match[2] } };
+  }
+  match = key.match(/^assertions\.([^.]+)\.(.+)\.failed$/);
+  if (match) return { name: "assertion_failures", tags: { request: match[1], rule: match[2] } };
+  match = key.match(/^errors\.(.+)$/);
+  if (match) return { name: "errors", tags: { error: match[1] } };
+  return { name: sanitize(key), tags: {} };
+}
+
+// -------------------------------
+// Sinks
+// -------------------------------
+
+const seriesKey = (name, tags) => `${name}|${Object.keys(tags).sort().map((k) => `${k}=${tags[k]}`).join(",")}`;
+
+/** StatsD over UDP: counters as |c, every latency sample as |ms (the server computes percentiles). */
+function createStatsdSink(options) {
+  const socket = dgram.createSocket("udp4");
+  socket.unref();
+  socket.on("error", (err) => warnOnce(`StatsD socket error: ${err.message}`));
+  const { host, port, tagFormat } = options.statsd;
+
+  const line = (name, tags, value, type) => {
+    const entries = Object.entries(tags);
+    const metric = `${options.prefix}.${name}`;
+    if (tagFormat === "influx") return `${metric}${entries.map(([k, v]) => `,${sanitize(k)}=${sanitize(v)}`).join("")}:${value}|${type}`;
+    if (tagFormat === "none") return `${metric}${entries.map(([, v]) => `.${sanitize(v)}`).join("")}:${value}|${type}`;
+    return `${metric}:${value}|${type}${entries.length ? `|#${entries.map(([k, v]) => `${k}:${String(v).replace(/[|,#]/g, "_")}`).join(",")}` : ""}`;
+  };
+
+  const send = (lines) => {
+    let packet = "";
+    const flushPacket = () => {
+      if (!packet) return;
+      socket.send(Buffer.from(packet), port, host, (err) => err && warnOnce(`StatsD send to ${host}:${port} failed: ${err.message}`));
+      packet = "";
+    };
+    lines.forEach((l) => {
+      if (packet && Buffer.byteLength(packet) + 1 + Buffer.byteLength(l) > STATSD_MAX_PACKET) flushPacket();
+      packet = packet ? `${packet}\n${l}` : l;
+    });
+    flushPacket();
+  };
+
+  return {
+    name: "statsd",
+    write({ counters, timings }) {
+      send([
+        ...counters.map((c) => line(c.name, c.tags, c.value, "c")),
+        ...timings.flatMap((t) => t.values.map((v) => line(t.name, t.tags, Math.round(v * 100) / 100, "ms"))),
+      ]);
+    },
+    marker(name, tags) {
+      send([line(name, tags, 1, "c")]);
+    },
+    close() {
+      return new Promise((resolve) => setTimeout(() => socket.close(() => resolve()), 50));
+    },
+  };
+}
+
+const influxEscape = (value) => String(value).replace(/([,= ])/g, "\\$1");
+// Integer fields are written as 42i; plain numbers stay floats so a field never changes type
+const influxInt = (value) => ({ influxInt: Math.round(value) });
+
+function influxField(value) {
+  if (typeof value === "string") return `"${value.replace(/["\\]/g, "\\$&")}"`;
+  if (value && typeof value === "object") return `${value.influxInt}i`;
+  return value;
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+/** InfluxDB line protocol over HTTP: one point per series and flush interval (ns timestamps). */
+function createInfluxSink(options) {
+  const { url, token } = options.influx;
+  if (!url) throw new Error("the influx sink needs LIVE_METRICS_INFLUX_URL");
+  let pending = Promise.resolve();
+
+  const point = (name, tags, fields, timeMs) => {
+    const tagText = Object.entries(tags).sort(([a], [b]) => a.localeCompare(b))
+      .map(([k, v]) => `,${influxEscape(k)}=${influxEscape(v === "" ? "_" : v)}`).join("");
+    const fieldText = Object.entries(fields).map(([k, v]) => `${influxEscape(k)}=${influxField(v)}`).join(",");
+    return `${influxEscape(`${options.prefix}_${name}`)}${tagText} ${fieldText} ${timeMs}000000`;
+  };
+
+  const post = (lines) => {
+    if (lines.length === 0) return pending;
+    pending = pending.then(() => httpRequest({
+      url,
+      method: "POST",
+      headers: { "Content-Type": "text/plain; charset=utf-8", ...(token ? { Authorization: `Token ${token}` } : {}) },
+      body: lines.join("\n"),
+      timeoutMs: 5000,
+    })).then((res) => {
+      if (res.statusCode >= 300) warnOnce(`InfluxDB write to ${url} returned ${res.statusCode}: ${res.body.slice(0, 200)}`);
+    }).catch((err) => warnOnce(`InfluxDB write to ${url} failed: ${err.message}`));
+    return pending;
+  };
+
+  return {
+    name: "influx",
+    write({ counters, timings, time }) {
+      post([
+        ...counters.map((c) => point(c.name, c.tags, { value: influxInt(c.value) }, time)),
+        ...timings.map((t) => {
+          const sorted = [...t.values].sort((a, b) => a - b);
+          const sum = sorted.reduce((s, v) => s + v, 0);
+          return point(t.name, t.tags, {
+            count: influxInt(sorted.length),
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            mean: Math.round((sum / sorted.length) * 100) / 100,
+            p50: percentile(sorted, 50),
+            p95: percentile(sorted, 95),
+            p99: percentile(sorted, 99),
+          }, time);
+        }),
+      ]);
+    },
+    marker(name, tags, fields) {
+      post([point(name, tags, fields, Date.now())]);
+    },
+    close() {
+      return pending;
+    },
+  };
+}
+
+const promLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+
+/** Prometheus: cumulative counters + latency histograms, pushed to a pushgateway or scraped. */
+function createPrometheusSink(options) {
+  const { pushgateway, port, pushMs, job } = options.prometheus;
+  const buckets = options.prometheus.buckets.length > 0 ? options.prometheus.buckets : DEFAULT_BUCKETS;
+  const counters = new Map();
+  const histograms = new Map();
+  const gauges = new Map();
+  let server = null;
+  let lastPush = 0;
+  let pending = Promise.resolve();
+
+  const labels = (tags, extra = {}) => {
+    const all = { ...tags, ...extra };
+    const text = Object.entries(all).map(([k, v]) => `${sanitize(k)}="${promLabel(v)}"`).join(",");
+    return text ? `{${text}}` : "";
+  };
+
+  const exposition = () => {
+    const lines = [];
+    const byName = (map) => {
+      const groups = new Map();
+      map.forEach((entry) => {
+        if (!groups.has(entry.name)) groups.set(entry.name, []);
+        groups.get(entry.name).push(entry);
+      });
+      return groups;
+    };
+    byName(counters).forEach((entries, name) => {
+      lines.push(`# TYPE ${options.prefix}_${name}_total counter`);
+      entries.forEach((e) => lines.push(`${options.prefix}_${name}_total${labels(e.tags)} ${e.value}`));
+    });
+    byName(histograms).forEach((entries, name) => {
+      const metric = `${options.prefix}_${name}_ms`;
+      lines.push(`# TYPE ${metric} histogram`);
+      entries.forEach((e) => {
+        buckets.forEach((le, i) => lines.push(`${metric}_bucket${labels(e.tags, { le })} ${e.buckets[i]}`));
+        lines.push(`${metric}_bucket${labels(e.tags, { le: "+Inf" })} ${e.count}`);
+        lines.push(`${metric}_sum${labels(e.tags)} ${Math.round(e.sum * 100) / 100}`);
+        lines.push(`${metric}_count${labels(e.tags)} ${e.count}`);
+      });
+    });
+    byName(gauges).forEach((entries, name) => {
+      lines.push(`# TYPE ${options.prefix}_${name} gauge`);
+      entries.forEach((e) => lines.push(`${options.prefix}_${name}${labels(e.tags)} ${e.value}`));
+    });
+    return `${lines.join("\n")}\n`;
+  };
+
+  const push = () => {
+    const instance = `${options.tags.runner}-${options.tags.worker}`;
+    const target = `${pushgateway.replace(/\/+$/, "")}/metrics/job/${encodeURIComponent(job)}/instance/${encodeURIComponent(instance)}`;
+    pending = pending.then(() => httpRequest({ url: target, method: "PUT", headers: { "Content-Type": "text/plain; version=0.0.4" }, body: exposition(), timeoutMs: 5000 }))
+      .then((res) => {
+        if (res.statusCode >= 300) warnOnce(`pushgateway ${target} returned ${res.statusCode}: ${res.body.slice(0, 200)}`);
+      })
+      .catch((err) => warnOnce(`push to ${target} failed: ${err.message}`));
+    return pending;
+  };
+
+  if (!pushgateway) {
+    // Worker threads share the process: each one serves on the first free port from 'port'
+    const listen = (attempt) => {
+      server = http.createServer((req, res) => {
+        if (req.url.split("?")[0] !== "/metrics") {
+          res.writeHead(404).end();
+          return;
+        }
+        res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" }).end(exposition());
+      });
+      server.unref();
+      server.on("error", (err) => {
+        if (err.code === "EADDRINUSE" && attempt < 32) listen(attempt + 1);
+        else warnOnce(`cannot serve /metrics: ${err.message}`);
+      });
+      server.listen(port + attempt, () => console.log(`ℹ️ live-metrics: Prometheus metrics on http://localhost:${port + attempt}/metrics (worker ${options.tags.worker})`));
+    };
+    listen(0);
+  }
+
+  return {
+    name: "prometheus",
+    write(batch) {
+      batch.counters.forEach(({ name, tags, value }) => {
+        const key = seriesKey(name, tags);
+        if (!counters.has(key)) counters.set(key, { name, tags, value: 0 });
+        counters.get(key).value += value;
+      });
+      batch.timings.forEach(({ name, tags, values }) => {
+        const key = seriesKey(name, tags);
+        if (!histograms.has(key)) histograms.set(key, { name, tags, buckets: buckets.map(() => 0), sum: 0, count: 0 });
+        const h = histograms.get(key);
+        values.forEach((v) => {
+          buckets.forEach((le, i) => {
+            if (v <= le) h.buckets[i] += 1;
+          });
+          h.sum += v;
+          h.count += 1;
+        });
+      });
+      if (pushgateway && batch.time - lastPush >= pushMs) {
+        lastPush = batch.time;
+        push();
+      }
+    },
+    marker(name, tags, fields) {
+      const key = seriesKey(name, tags);
+      if (!counters.has(key)) counters.set(key, { name, tags, value: 0 });
+      counters.get(key).value += 1;
+      gauges.set(seriesKey("phase_active", tags), { name: "phase_active", tags, value: fields.event === "started" ? 1 : 0 });
+      if (pushgateway) push();
+    },
+    exposition,
+    close() {
+      if (server) server.close();
+      return pushgateway ? push() : Promise.resolve();
+    },
+  };
+}
+
+const SINK_FACTORIES = { statsd: createStatsdSink, influx: createInfluxSink, prometheus: createPrometheusSink };
+
+// -------------------------------
+// Collector
+// -------------------------------
+
+/**
+ * Buffers metrics from one or more 'ee' emitters and sends them to the sinks
+ * every flushMs (Prometheus keeps cumulative values between flushes).
+ * @param {Object} options - From resolveOptions.
+ */
+function createLiveMetrics(options) {
+  const sinks = options.sinks.map((name) => {
+    const factory = SINK_FACTORIES[name];
+    if (!factory) {
+      warnOnce(`unknown sink '${name}' (use statsd, prometheus or influx)`);
+      return null;
+    }
+    try {
+      return factory(options);
+    } catch (err) {
+      warnOnce(`${name} sink disabled: ${err.message}`);
+      return null;
+    }
+  }).filter(Boolean);
+
+  let counters = new Map();
+  let timings = new Map();
+  const attached = new WeakSet();
+
+  const add = (map, name, tags, update) => {
+    const key = seriesKey(name, tags);
+    if (!map.has(key)) map.set(key, { name, tags });
+    update(map.get(key));
+  };
+
+  const collector = {
+    enabled: sinks.length > 0,
+    options,
+
+    counter(key, value = 1) {
+      const { name, tags } = translateMetric("counter", key);
+      add(counters, name, tags, (entry) => {
+        entry.value = (entry.value || 0) + value;
+      });
+    },
+
+    timing(key, value) {
+      if (typeof value !== "number" || !Number.isFinite(value)) return;
+      const { name, tags } = translateMetric("timing", key);
+      add(timings, name, tags, (entry) => {
+        (entry.values = entry.values || []).push(value);
+      });
+    },
+
+    /** Subscribes to a scenario emitter once (safe to call from every hook invocation). */
+    attach(ee) {
+      if (!collector.enabled || !ee || attached.has(ee)) return;
+      attached.add(ee);
+      ee.on("counter", (key, value) => collector.counter(key, value));
+      ee.on("histogram", (key, value) => collector.timing(key, value));
+      ee.on("summary", (key, value) => collector.timing(key, value));
+      ee.on("error", (code) => collector.counter(`errors.${code}`, 1));
+      ee.on("started", () => collector.counter("vusers.started", 1));
+    },
+
+    /** Phase marker: event 'started' | 'completed', spec from the phaseStarted / phaseCompleted events. */
+    phase(event, spec = {}) {
+      const tags = { ...options.tags, phase: spec.name || `phase ${spec.index}`, index: String(spec.index !== undefined ? spec.index : "") };
+      const fields = { event };
+      ["index", "duration", "arrivalRate", "rampTo", "arrivalCount", "pause"].forEach((key) => {
+        if (typeof spec[key] === "number") fields[key] = spec[key];
+      });
+      sinks.forEach((sink) => {
+        try {
+          sink.marker(`phase_${event}`, tags, fields);
+        } catch (err) {
+          warnOnce(`${sink.name} marker failed: ${err.message}`);
+        }
+      });
+    },
+
+    flush() {
+      if (counters.size === 0 && timings.size === 0) return;
+      const batch = {
+        time: Date.now(),
+        counters: [...counters.values()].map((c) => ({ name: c.name, tags: { ...options.tags, ...c.tags }, value: c.value })),
+        timings: [...timings.values()].map((t) => ({ name: t.name, tags: { ...options.tags, ...t.tags }, values: t.values })),
+      };
+      counters = new Map();
+      timings = new Map();
+      sinks.forEach((sink) => {
+        try {
+          sink.write(batch);
+        } catch (err) {
+          warnOnce(`${sink.name} write failed: ${err.message}`);
+        }
+      });
+    },
+
+    async close() {
+      clearInterval(timer);
+      collector.flush();
+      await Promise.all(sinks.map((sink) => Promise.resolve(sink.close()).catch(() => {})));
+    },
+  };
+
+  const timer = setInterval(() => collector.flush(), options.flushMs);
+  timer.unref();
+  return collector;
+}
+
+// One collector per worker thread, shared by every hook and the plugin
+let shared = null;
+
+/**
+ * The worker's collector (created on first use from the environment, or from
+ * the plugin config when the plugin loads first). Disabled when no sink is set.
+ */
+function getLiveMetrics(config) {
+  if (!shared) shared = createLiveMetrics(resolveOptions(config));
+  return shared;
+}
+
+/**
+ * Processor hook (beforeScenario): attaches the collector to 'ee'.
+ * No-op unless LIVE_METRICS (or the plugin config) names a sink.
+ */
+function startLiveMetrics(context, ee, next) {
+  getLiveMetrics().attach(ee);
+  return next();
+}
+
+// -------------------------------
+// Local listener (stand-in backend)
+// -------------------------------
+
+function listen(argv) {
+  const args = parseArgs(argv);
+  const statsdPort = Number(args["statsd-port"] || 8125);
+  const httpPort = Number(args["http-port"] || 8186);
+
+  const udp = dgram.createSocket("udp4");
+  udp.on("message", (msg) => msg.toString("utf8").split("\n").forEach((l) => console.log(`[statsd] ${l}`)));
+  udp.bind(statsdPort, () => console.log(`ℹ️ StatsD (UDP) listening on ${statsdPort}`));
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      const label = req.url.startsWith("/metrics/job/") ? "push" : "influx";
+      console.log(`[${label}] ${req.method} ${req.url}`);
+      Buffer.concat(chunks).toString("utf8").split("\n").filter(Boolean).forEach((l) => console.log(`[${label}] ${l}`));
+      res.writeHead(label === "push" ? 200 : 204).end();
+    });
+  });
+  server.listen(httpPort, () => console.log(`ℹ️ HTTP (InfluxDB write / pushgateway) listening on ${httpPort}`));
+
+  if (args.duration) {
+    setTimeout(() => {
+      udp.close();
+      server.close();
+    }, Number(args.duration) * 1000);
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  const [command, ...rest] = process.argv.slice(2);
+  if (command !== "listen") {
+    console.error("Usage: node utilities/live-metrics.js listen [--statsd-port 8125] [--http-port 8186] [--duration <seconds>]");
+    process.exitCode = 2;
+  } else {
+    process.exitCode = listen(rest);
+  }
+}
+
+module.exports = {
+  resolveOptions,
+  translateMetric,
+  createLiveMetrics,
+  getLiveMetrics,
+  startLiveMetrics,
+  listen,
+};
@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * MERGE MULTI-RUNNER ARTILLERY REPORTS
+ * ============================================================
+ * Provides:
+ *   ✅ One report in Artillery's own JSON format from N runner reports
+ *   ✅ Counters and rates summed per time bucket, buckets aligned across runners
+ *   ✅ Percentiles merged from each runner's quantile curve (never averaged)
+ *   ✅ Output works with 'artillery report', the SLA evaluator and the Allure converters
+ * ============================================================
+ *
+ * HOW TO RUN:
+ *   node utilities/merge-reports.js \
+ *     --json "reports/result_runner_1.json,reports/result_runner_2.json" \
+ *     --output reports/result_merged.json \
+ *     [--bucket 10]                      # bucket size in seconds (Artillery's period is 10s)
+ *
+ * HOW IT MERGES:
+ *   intermediate  snapshots from all runners are grouped by period, rounded down to
+ *                 the bucket size; counters and rates are summed (all runners load
+ *                 the target at the same time), first/last timestamps are min/max
+ *   aggregate     counters summed from the runner aggregates; rates are the mean of
+ *                 the merged buckets (as Artillery does for a single run)
+ *   summaries     Artillery reports hold quantile summaries, not the raw sketches.
+ *   histograms    Each runner's min/p50/p75/p90/p95/p99/p999/max is read as a
+ *                 piecewise-linear CDF; the merged CDF is their count-weighted mix
+ *                 and the merged percentiles are read back from it. min/max/count
+ *                 are exact, mean is count-weighted; a single runner is copied as-is.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs, splitList } = require("./cli-args");
+
+const DEFAULT_BUCKET_MS = 10000;
+const QUANTILE_POINTS = [["min", 0], ["p50", 0.5], ["p75", 0.75], ["p90", 0.9], ["p95", 0.95], ["p99", 0.99], ["p999", 0.999], ["max", 1]];
+const PERCENTILES = [["p50", 0.5], ["p75", 0.75], ["p90", 0.9], ["p95", 0.95], ["p99", 0.99], ["p999", 0.999]];
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// -------------------------------
+// Summary (percentile) merging
+// -------------------------------
+
+/** [[quantile, value], …] with values forced non-decreasing. */
+function quantileCurve(summary) {
+  const points = [];
+  let last = -Infinity;
+  QUANTILE_POINTS.forEach(([field, q]) => {
+    if (typeof summary[field] !== "number") return;
+    last = Math.max(last, summary[field]);
+    points.push([q, last]);
+  });
+  return points;
+}
+
+/** CDF of one curve at x. 'left' gives the limit from below (before any jump at x). */
+function curveCdf(points, x, left) {
+  const first = points[0][1];
+  const lastValue = points[points.length - 1][1];
+  if (left ? x <= first : x < first) return 0;
+  if (left ? x > lastValue : x >= lastValue) return 1;
+
+  let i = 0;
+  if (left) {
+    while (points[i + 1][1] < x) i++;
+  } else {
+    while (i + 2 < points.length && points[i + 1][1] <= x) i++;
+  }
+  const [q0, v0] = points[i];
+  const [q1, v1] = points[i + 1];
+  return v1 === v0 ? (left ? q0 : q1) : q0 + ((q1 - q0) * (x - v0)) / (v1 - v0);
+}
+
+/** Value at quantile q of the count-weighted mix of the given curves. */
+function mixtureQuantile(curves, q) {
+  const candidates = [...new Set(curves.flatMap((c) => c.points.map(([, v]) => v)))].sort((a, b) => a - b);
+  const total = curves.reduce((n, c) => n + c.weight, 0);
+  const cdf = (x, left) => curves.reduce((sum, c) => sum + c.weight * curveCdf(c.points, x, left), 0) / total;
+
+  let previous = candidates[0];
+  let previousCdf = cdf(previous, false);
+  if (previousCdf >= q) return previous;
+
+  for (let k = 1; k < candidates.length; k++) {
+    const x = candidates[k];
+    const leftCdf = cdf(x, true);
+    if (leftCdf >= q) {
+      return leftCdf === previousCdf ? x : previous + ((x - previous) * (q - previousCdf)) / (leftCdf - previousCdf);
+    }
+    const atCdf = cdf(x, false);
+    if (atCdf >= q) return x;
+    previous = x;
+    previousCdf = atCdf;
+  }
+  return candidates[candidates.length - 1];
+}
+
+/**
+ * Merges Artillery summaries ({ min, max, count, mean, p50, median, … }) of the
+ * same metric from different runners.
+ */
+function mergeSummaries(summaries) {
+  const present = summaries.filter((s) => s && s.count > 0);
+  if (present.length === 0) return summaries.find(Boolean) ? { ...summaries.find(Boolean) } : undefined;
+  if (present.length === 1) return { ...present[0] };
+
+  const count = present.reduce((n, s) => n + s.count, 0);
+  const curves = present.map((s) => ({ weight: s.count, points: quantileCurve(s) })).filter((c) => c.points.length > 0);
+
+  const merged = {
+    min: Math.min(...present.map((s) => s.min)),
+    max: Math.max(...present.map((s) => s.max)),
+    count,
+    mean: round1(present.reduce((sum, s) => sum + (s.mean || 0) * s.count, 0) / count),
+  };
+  PERCENTILES.forEach(([field, q]) => {
+    merged[field] = round1(mixtureQuantile(curves, q));
+    if (field === "p50") merged.median = merged.p50;
+  });
+  return merged;
+}
+
+// -------------------------------
+// Period + report merging
+// -------------------------------
+
+function sumInto(target, source) {
+  Object.entries(source || {}).forEach(([name, value]) => {
+    if (typeof value === "number") target[name] = (target[name] || 0) + value;
+  });
+}
+
+function mergeMetricMaps(maps) {
+  const names = new Set(maps.flatMap((m) => Object.keys(m || {})));
+  const merged = {};
+  names.forEach((name) => {
+    merged[name] = mergeSummaries(maps.map((m) => m && m[name]));
+  });
+  return merged;
+}
+
+const minOf = (values) => {
+  const defined = values.filter((v) => typeof v === "number");
+  return defined.length ? Math.min(...defined) : undefined;
+};
+const maxOf = (values) => {
+  const defined = values.filter((v) => typeof v === "number");
+  return defined.length ? Math.max(...defined) : undefined;
+};
+
+/** Timestamp fields shared by aggregate and intermediate entries. */
+function mergeTimestamps(items) {
+  const firstCounterAt = minOf(items.map((i) => i.firstCounterAt));
+  const firstHistogramAt = minOf(items.map((i) => i.firstHistogramAt));
+  const lastCounterAt = maxOf(items.map((i) => i.lastCounterAt));
+  const lastHistogramAt = maxOf(items.map((i) => i.lastHistogramAt));
+  return {
+    firstCounterAt,
+    firstHistogramAt,
+    lastCounterAt,
+    lastHistogramAt,
+    firstMetricAt: minOf([firstCounterAt, firstHistogramAt]),
+    lastMetricAt: maxOf([lastCounterAt, lastHistogramAt]),
+  };
+}
+
+/** Merges the snapshots of one aligned time bucket (one per runner, or more). */
+function mergeBucket(items, period) {
+  const counters = {};
+  const rates = {};
+  items.forEach((item) => {
+    sumInto(counters, item.counters);
+    sumInto(rates, item.rates);
+  });
+  return {
+    counters,
+    rates,
+    ...mergeTimestamps(items),
+    period: String(period),
+    summaries: mergeMetricMaps(items.map((i) => i.summaries)),
+    histograms: mergeMetricMaps(items.map((i) => i.histograms || i.summaries)),
+  };
+}
+
+/**
+ * Merges parsed runner reports into one Artillery report.
+ * @param {Object[]} reports - Parsed result_runner_*.json contents.
+ * @param {Object} options - { bucketMs = 10000 }
+ * @returns {{ aggregate: Object, intermediate: Object[] }}
+ */
+function mergeReports(reports, options = {}) {
+  const bucketMs = options.bucketMs || DEFAULT_BUCKET_MS;
+
+  const buckets = new Map();
+  reports.forEach((report) => {
+    (report.intermediate || []).forEach((item) => {
+      const ts = Number(item.period || item.firstMetricAt);
+      if (!Number.isFinite(ts)) return;
+      const aligned = ts - (ts % bucketMs);
+      if (!buckets.has(aligned)) buckets.set(aligned, []);
+      buckets.get(aligned).push(item);
+    });
+  });
+  const intermediate = [...buckets.keys()].sort((a, b) => a - b).map((ts) => mergeBucket(buckets.get(ts), ts));
+
+  const aggregates = reports.map((r) => r.aggregate || {});
+  const counters = {};
+  aggregates.forEach((a) => sumInto(counters, a.counters));
+
+  const rates = {};
+  intermediate.forEach((item) => sumInto(rates, item.rates));
+  Object.keys(rates).forEach((name) => {
+    rates[name] = Math.round(rates[name] / intermediate.length);
+  });
+
+  const aggregate = {
+    counters,
+    rates,
+    ...mergeTimestamps(aggregates),
+    period: maxOf(aggregates.map((a) => Number(a.period)).concat(intermediate.map((i) => Number(i.period)))),
+    summaries: mergeMetricMaps(aggregates.map((a) => a.summaries)),
+    histograms: mergeMetricMaps(aggregates.map((a) => a.histograms || a.summaries)),
+  };
+  return { aggregate, intermediate };
+}
+
+// -------------------------------
+// CLI
+// -------------------------------
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const files = splitList(args.json).concat(args._);
+  if (files.length === 0) {
+    console.error("Usage: node utilities/merge-reports.js --json <result_runner_1.json,result_runner_2.json> [--output result_merged.json] [--bucket 10]");
+    return 2;
+  }
+
+  let reports;
+  try {
+    reports = files.map((f) => JSON.parse(fs.readFileSync(f, "utf8")));
+  } catch (err) {
+    console.error(`❌ Cannot read runner report: ${err.message}`);
+    return 2;
+  }
+
+  const output = args.output && args.output !== true ? args.output : "result_merged.json";
+  const merged = mergeReports(reports, { bucketMs: args.bucket ? Number(args.bucket) * 1000 : undefined });
+  fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+  fs.writeFileSync(output, JSON.stringify(merged, null, 2));
+
+  console.log(`✅ Merged ${reports.length} report(s) → ${output} (${merged.intermediate.length} buckets, ${merged.aggregate.counters["http.requests"] || 0} requests)`);
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  mergeSummaries,
+  mergeBucket,
+  mergeReports,
+  main,
+};
@@ -0,0 +1,1330 @@
+/**
+ * ============================================================
+ * POSTMAN COLLECTION → ARTILLERY CONVERTER (core)
+ * ============================================================
+ * Provides:
+ *   ✅ Postman v2.x collection → Artillery YAML scenarios (one per request)
+ *   ✅ Hardcoded secrets (auth blocks, sensitive headers) → config.variables → env vars
+ *   ✅ Auth: bearer / basic / API key, OAuth2 → attachToken (token-manager.js), AWS SigV4 →
+ *      signRequest (custom-artillery-utils.js); digest / NTLM reported as warnings;
+ *      requests inherit the auth of their nearest folder (else the collection)
+ *   ✅ Bodies: raw JSON / XML / text, urlencoded → form (repeated keys → encoded body),
+ *      form-data (files too) → formData, GraphQL → json { query, variables }
+ *   ✅ Optional Postman environment file (base URL detection, CSV seed values)
+ *   ✅ Parameter rules: variables / body fields / query params / headers → CSV payloads
+ *   ✅ pm.* test / pre-request scripts → expect / capture (requests that consume captured
+ *      values are chained into one scenario; untranslated lines are reported as warnings)
+ *   ✅ YAML written by the 'yaml' package (real comments, correct quoting), then parsed
+ *      back and checked against Artillery's script schema before it is saved
+ *   ✅ Same code in Node (utilities/postman-to-artillery.js) and the browser page
+ *      (postman-artillery-converter.html loads this file as window.PostmanConverter)
+ *   ✅ Importer hints on items (utilities/api-importers.js, HAR / OpenAPI):
+ *      item.artillery.flow groups requests into one scenario, item.artillery.think pauses
+ * ============================================================
+ *
+ * USAGE:
+ *   const { createConverter } = require("./postman-converter");
+ *   const converter = createConverter({ environment, rules, jsonBodyMode: "raw_data" });
+ *   const requests = converter.loadCollection(collection);      // [{ postmanItem, customName, is_selected, … }]
+ *   const files = converter.buildFiles(requests, { mode: "single", fileName: "orders.yml" });
+ *   //   → [{ fileName, content, problems, warnings }]   problems: [{ path, message }] from the schema check
+ *   const csvFiles = converter.buildDataFiles();                // [{ fileName, content }]
+ *
+ * PARAMETER RULES (rules file):
+ *   {
+ *     "rules": [
+ *       { "variable": "userId", "csv": "users.csv" },                    // {{userId}} → {{ userId }}
+ *       { "body": "credentials.username", "csv": "users.csv", "field": "username" },
+ *       { "query": "city", "csv": "cities.csv" },
+ *       { "header": "X-Tenant", "csv": "tenants.csv", "field": "tenant", "requests": ["Orders*"] }
+ *     ],
+ *     "csv": { "users.csv": { "order": "random", "rows": [["u1", "alice"], ["u2", "bob"]] } }
+ *   }
+ *   "field" defaults to the variable / key name. Without "rows", the CSV is seeded with
+ *   the values found in the collection (or the environment file for variables).
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(() => {
+      try {
+        return require("yaml");
+      } catch (err) {
+        return null;
+      }
+    });
+  } else {
+    root.PostmanConverter = factory(() => root.YAML);
+  }
+})(typeof self !== "undefined" ? self : this, function (loadYaml) {
+  // Keys are matched case-insensitively.
+  const SENSITIVE_HEADER_KEYS = [
+    "x-api-key",
+    "client-key",
+    "api-key",
+    "secret",
+    "access-token",
+  ];
+
+  const TARGET_ENV_VAR = "BASE_URL";
+
+  // Postman raw body language → default Content-Type
+  const RAW_CONTENT_TYPES = {
+    json: "application/json",
+    xml: "application/xml",
+    html: "text/html",
+    javascript: "application/javascript",
+    text: "text/plain",
+  };
+
+  // -------------------------------
+  // YAML output (yaml package: quoting, block scalars, real comments)
+  // -------------------------------
+
+  // Comments live next to the script objects, so the JSON preview stays clean:
+  // object → Map(key before which the comment goes | null for the end of the map → lines)
+  const COMMENTS = new WeakMap();
+
+  /** Attaches a YAML comment to obj, printed before 'beforeKey' (null = after the last key). */
+  function annotate(obj, beforeKey, text) {
+    if (!COMMENTS.has(obj)) COMMENTS.set(obj, new Map());
+    const notes = COMMENTS.get(obj);
+    if (!notes.has(beforeKey)) notes.set(beforeKey, []);
+    notes.get(beforeKey).push(...String(text).split("\n"));
+  }
+
+  const commentText = (lines) => lines.map((line) => ` ${line}`).join("\n");
+
+  function attachComments(node, value) {
+    if (!node || !value || typeof value !== "object" || !Array.isArray(node.items)) return;
+    if (Array.isArray(value)) {
+      node.items.forEach((item, i) => attachComments(item, value[i]));
+      return;
+    }
+    const notes = COMMENTS.get(value);
+    node.items.forEach((pair) => {
+      const key = pair.key && typeof pair.key === "object" ? pair.key.value : pair.key;
+      if (notes && notes.has(key) && pair.key && typeof pair.key === "object") {
+        pair.key.commentBefore = commentText(notes.get(key));
+      }
+      attachComments(pair.value, value[key]);
+    });
+    if (notes && notes.has(null)) node.comment = commentText(notes.get(null));
+  }
+
+  /**
+   * Serializes an Artillery script with the yaml package (Node: require("yaml"),
+   * browser: window.YAML). Key order is kept, strings are quoted where YAML needs it,
+   * multi-line strings become '|' blocks and annotate() notes become comments.
+   * @param {Object} script - { config, scenarios }
+   * @param {string[]} [headerLines] - Printed as a '## …' block above the document
+   */
+  function toYAML(script, headerLines) {
+    const YAML = loadYaml();
+    if (!YAML) throw new Error("The 'yaml' library is not loaded (npm install yaml, or include it in the page)");
+    const doc = new YAML.Document(script);
+    if (headerLines && headerLines.length) {
+      doc.commentBefore = headerLines.map((line) => (line ? `# ${line}` : "#")).join("\n");
+    }
+    attachComments(doc.contents, script);
+    return doc.toString({ lineWidth: 0, blockQuote: "literal" });
+  }
+
+  // -------------------------------
+  // Script validation (mirrors Artillery's script schema)
+  // -------------------------------
+
+  const HTTP_METHODS = ["get", "post", "put", "patch", "delete", "head", "options"];
+  const FLOW_ACTIONS = [...HTTP_METHODS, "function", "log", "think", "loop", "parallel"];
+  const PAYLOAD_ORDERS = ["sequence", "random"];
+
+  const isTemplate = (value) => typeof value === "string" && value.includes("{{");
+  const isNumberish = (value) => typeof value === "number" || isTemplate(value);
+  const isDuration = (value) => typeof value === "number" || (typeof value === "string" && (/^\d+(\.\d+)?\s*(ms|s|sec|m|min|h|hr)?$/.test(value.trim()) || isTemplate(value)));
+  const isStringOrStrings = (value) => typeof value === "string" || (Array.isArray(value) && value.every((v) => typeof v === "string"));
+  const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+  function validatePhases(phases, problems) {
+    if (!Array.isArray(phases)) {
+      problems.push({ path: "config.phases", message: "must be a list of phases" });
+      return;
+    }
+    phases.forEach((phase, i) => {
+      const at = `config.phases[${i}]`;
+      if (!isPlainObject(phase)) {
+        problems.push({ path: at, message: "must be a map" });
+        return;
+      }
+      if (phase.pause !== undefined) {
+        if (!isDuration(phase.pause)) problems.push({ path: `${at}.pause`, message: "must be a duration (e.g. 30, \"30s\", \"5m\")" });
+        return;
+      }
+      if (phase.duration === undefined) problems.push({ path: at, message: "needs 'duration' (or 'pause')" });
+      else if (!isDuration(phase.duration)) problems.push({ path: `${at}.duration`, message: "must be a duration (e.g. 30, \"30s\", \"5m\")" });
+      ["arrivalRate", "arrivalCount", "rampTo", "maxVusers"].forEach((field) => {
+        if (phase[field] !== undefined && !isNumberish(phase[field])) problems.push({ path: `${at}.${field}`, message: "must be a number" });
+      });
+      if (phase.arrivalRate === undefined && phase.arrivalCount === undefined && phase.rampTo === undefined) {
+        problems.push({ path: at, message: "needs 'arrivalRate', 'arrivalCount' or 'rampTo'" });
+      }
+      if (phase.name !== undefined && typeof phase.name !== "string") problems.push({ path: `${at}.name`, message: "must be a string" });
+    });
+  }
+
+  function validatePayload(payload, problems) {
+    const entries = Array.isArray(payload) ? payload : [payload];
+    entries.forEach((entry, i) => {
+      const at = Array.isArray(payload) ? `config.payload[${i}]` : "config.payload";
+      if (!isPlainObject(entry)) {
+        problems.push({ path: at, message: "must be a map with 'path' and 'fields'" });
+        return;
+      }
+      if (typeof entry.path !== "string" || !entry.path) problems.push({ path: `${at}.path`, message: "is required (CSV file path)" });
+      if (entry.fields !== undefined && !(Array.isArray(entry.fields) && entry.fields.every((f) => typeof f === "string"))) {
+        problems.push({ path: `${at}.fields`, message: "must be a list of column names" });
+      }
+      if (entry.order !== undefined && !PAYLOAD_ORDERS.includes(entry.order)) {
+        problems.push({ path: `${at}.order`, message: `must be one of ${PAYLOAD_ORDERS.join(", ")}` });
+      }
+      if (entry.skipHeader !== undefined && typeof entry.skipHeader !== "boolean") problems.push({ path: `${at}.skipHeader`, message: "must be true or false" });
+    });
+  }
+
+  function validateRequest(request, at, problems) {
+    if (!isPlainObject(request)) {
+      problems.push({ path: at, message: "must be a map with at least 'url'" });
+      return;
+    }
+    if (typeof request.url !== "string" || !request.url) problems.push({ path: `${at}.url`, message: "is required" });
+    if (request.headers !== undefined && !isPlainObject(request.headers)) problems.push({ path: `${at}.headers`, message: "must be a map" });
+    ["beforeRequest", "afterResponse"].forEach((hook) => {
+      if (request[hook] !== undefined && !isStringOrStrings(request[hook])) problems.push({ path: `${at}.${hook}`, message: "must be a function name or a list of names" });
+    });
+    if (request.auth !== undefined) {
+      if (!isPlainObject(request.auth) || typeof request.auth.user !== "string" || typeof request.auth.pass !== "string") {
+        problems.push({ path: `${at}.auth`, message: "must be { user, pass } (basic auth)" });
+      }
+    }
+    if (request.capture !== undefined) {
+      [].concat(request.capture).forEach((capture, i) => {
+        if (!isPlainObject(capture) || typeof capture.as !== "string") problems.push({ path: `${at}.capture[${i}]`, message: "needs 'as'" });
+      });
+    }
+    const bodies = ["json", "body", "form", "formData"].filter((key) => request[key] !== undefined);
+    if (bodies.length > 1) problems.push({ path: at, message: `has more than one body (${bodies.join(", ")})` });
+  }
+
+  function validateFlow(flow, at, problems) {
+    if (!Array.isArray(flow)) {
+      problems.push({ path: at, message: "must be a list of steps" });
+      return;
+    }
+    flow.forEach((step, i) => {
+      const stepAt = `${at}[${i}]`;
+      if (!isPlainObject(step)) {
+        problems.push({ path: stepAt, message: "must be a map with one action" });
+        return;
+      }
+      const keys = Object.keys(step);
+      if (step.loop !== undefined) {
+        validateFlow(step.loop, `${stepAt}.loop`, problems);
+        return;
+      }
+      if (keys.length !== 1) {
+        problems.push({ path: stepAt, message: `must have exactly one action, found: ${keys.join(", ") || "none"}` });
+        return;
+      }
+      const action = keys[0];
+      if (!FLOW_ACTIONS.includes(action)) {
+        problems.push({ path: `${stepAt}.${action}`, message: `unknown action (expected one of ${FLOW_ACTIONS.join(", ")})` });
+      } else if (HTTP_METHODS.includes(action)) {
+        validateRequest(step[action], `${stepAt}.${action}`, problems);
+      } else if (action === "parallel") {
+        validateFlow(step.parallel, `${stepAt}.parallel`, problems);
+      } else if ((action === "function" || action === "log") && typeof step[action] !== "string") {
+        problems.push({ path: `${stepAt}.${action}`, message: "must be a string" });
+      } else if (action === "think" && !isDuration(step.think)) {
+        problems.push({ path: `${stepAt}.think`, message: "must be a number of seconds or a duration (e.g. \"500ms\")" });
+      }
+    });
+  }
+
+  /**
+   * Checks a parsed script against Artillery's script schema (config, phases,
+   * payload, scenarios, flow actions). Unlike Artillery, reports every problem.
+   * @returns {{ path: string, message: string }[]}
+   */
+  function validateScript(script) {
+    const problems = [];
+    if (!isPlainObject(script)) return [{ path: "", message: "script must be a map with 'config' and 'scenarios'" }];
+
+    const config = script.config;
+    if (config !== undefined && !isPlainObject(config)) {
+      problems.push({ path: "config", message: "must be a map" });
+    } else if (config) {
+      if (config.target === undefined && config.environments === undefined) problems.push({ path: "config.target", message: "is required (or define config.environments)" });
+      else if (config.target !== undefined && typeof config.target !== "string") problems.push({ path: "config.target", message: "must be a string" });
+      if (config.phases !== undefined) validatePhases(config.phases, problems);
+      if (config.payload !== undefined) validatePayload(config.payload, problems);
+      if (config.processor !== undefined && typeof config.processor !== "string") problems.push({ path: "config.processor", message: "must be a file path" });
+      if (config.variables !== undefined && !isPlainObject(config.variables)) problems.push({ path: "config.variables", message: "must be a map" });
+    }
+
+    if (!Array.isArray(script.scenarios)) {
+      problems.push({ path: "scenarios", message: "is required (list of scenarios)" });
+    } else {
+      script.scenarios.forEach((scenario, i) => {
+        const at = `scenarios[${i}]`;
+        if (!isPlainObject(scenario)) {
+          problems.push({ path: at, message: "must be a map" });
+          return;
+        }
+        if (scenario.name !== undefined && typeof scenario.name !== "string") problems.push({ path: `${at}.name`, message: "must be a string" });
+        if (scenario.weight !== undefined && !isNumberish(scenario.weight)) problems.push({ path: `${at}.weight`, message: "must be a number" });
+        if (scenario.flow === undefined) problems.push({ path: `${at}.flow`, message: "is required" });
+        else if (!scenario.engine || scenario.engine === "http") validateFlow(scenario.flow, `${at}.flow`, problems);
+      });
+    }
+    return problems;
+  }
+
+  function firstDifference(a, b, at = "") {
+    if (a === b) return null;
+    if (typeof a !== typeof b || a === null || b === null || typeof a !== "object" || Array.isArray(a) !== Array.isArray(b)) {
+      return at || "(root)";
+    }
+    const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+    for (const key of keys) {
+      const diff = firstDifference(a[key], b[key], Array.isArray(a) ? `${at}[${key}]` : at ? `${at}.${key}` : key);
+      if (diff) return diff;
+    }
+    return null;
+  }
+
+  /**
+   * Re-parses generated YAML, checks it still equals the script it came from and
+   * validates it against the Artillery schema.
+   * @returns {{ valid: boolean, problems: { path: string, message: string }[] }}
+   */
+  function checkRoundTrip(yamlText, script) {
+    const YAML = loadYaml();
+    let parsed;
+    try {
+      parsed = YAML.parse(yamlText);
+    } catch (err) {
+      return { valid: false, problems: [{ path: "", message: `generated YAML does not parse: ${err.message}` }] };
+    }
+    const problems = [];
+    const diff = firstDifference(JSON.parse(JSON.stringify(script)), parsed);
+    if (diff) problems.push({ path: diff, message: "value changed when the YAML was parsed back" });
+    problems.push(...validateScript(parsed));
+    return { valid: problems.length === 0, problems };
+  }
+
+  /** "config.phases[0].duration: must be …" lines for a problem list. */
+  function formatProblems(problems) {
+    return problems.map((p) => `${p.path ? `${p.path}: ` : ""}${p.message}`);
+  }
+
+  // -------------------------------
+  // Helpers
+  // -------------------------------
+
+  /** Postman variable name → ALL_CAPS_WITH_UNDERSCORES environment variable name. */
+  function getEnvVarName(postmanVar) {
+    return postmanVar.toUpperCase().replace(/[^A-Z0-9_]/g, "_");
+  }
+
+  /** Artillery $processEnvironment reference. */
+  function createEnvRef(envVarName) {
+    return `{{ $processEnvironment.${envVarName} }}`;
+  }
+
+  /** Postman environment export ({ values: [{ key, value, enabled }] }) or a plain map → { key: value }. */
+  function parseEnvironment(environment) {
+    if (!environment) return {};
+    if (!Array.isArray(environment.values)) return { ...environment };
+    const values = {};
+    environment.values.forEach((v) => {
+      if (v && v.key && v.enabled !== false) values[v.key] = v.value;
+    });
+    return values;
+  }
+
+  function globToRegExp(pattern) {
+    return new RegExp(`^${String(pattern).replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".")}$`, "i");
+  }
+
+  function ruleApplies(rule, requestName) {
+    if (!rule.requests) return true;
+    return [].concat(rule.requests).some((pattern) => globToRegExp(pattern).test(requestName));
+  }
+
+  function getPath(obj, dotted) {
+    return dotted.split(".").reduce((node, key) => (node && typeof node === "object" ? node[key] : undefined), obj);
+  }
+
+  function setPath(obj, dotted, value) {
+    const keys = dotted.split(".");
+    const parent = keys.slice(0, -1).reduce((node, key) => (node && typeof node === "object" ? node[key] : undefined), obj);
+    if (parent && typeof parent === "object" && keys[keys.length - 1] in parent) {
+      parent[keys[keys.length - 1]] = value;
+      return true;
+    }
+    return false;
+  }
+
+  function csvCell(value) {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+  }
+
+  const safeFileName = (name, index) => name.replace(/[^a-zA-Z0-9_]/g, "_") || `request_${index}`;
+
+  // -------------------------------
+  // Postman scripts (pm.*) → capture / expect
+  // -------------------------------
+
+  const RESPONSE_JSON = /^(?:pm\.response\.json\(\)|JSON\.parse\(\s*(?:responseBody|pm\.response\.text\(\))\s*\))/;
+  const RESPONSE_TEXT = /^(?:pm\.response\.text\(\)|responseBody)$/;
+  const RESPONSE_HEADER = /^(?:pm\.response\.headers\.get|postman\.getResponseHeader)\(\s*["'`]([^"'`]+)["'`]\s*\)$/;
+  const SET_VARIABLE = /^(?:pm\.(?:environment|collectionVariables|globals|variables)\.set|postman\.set(?:Environment|Global)Variable)\(\s*["'`](\w+)["'`]\s*,\s*([\s\S]+)\)$/;
+  const EQUALITY = /^(?:to\.)?(?:be\.)?(?:deep\.)?(?:eql|equal|equals|eq)$/;
+
+  /** Script lines (exec array or string) of one event type, comments stripped. */
+  function scriptSource(item, listen) {
+    return (item.event || [])
+      .filter((event) => event && event.listen === listen && event.script && !event.disabled)
+      .map((event) => [].concat(event.script.exec || []).join("\n"))
+      .join("\n")
+      .replace(/\/\*[\s\S]*?\*\//g, "")
+      .replace(/(^|[^:"'`\\])\/\/.*$/gm, "$1");
+  }
+
+  /** Splits a script into statements, unwrapping pm.test(...) blocks. */
+  function scriptStatements(source) {
+    return source
+      .replace(/pm\.test\s*\(\s*(["'`])(?:(?!\1).)*\1\s*,\s*(?:function\s*\(\s*\)|\(\s*\)\s*=>)\s*\{/g, "\n")
+      .replace(/\}\s*\)\s*;?/g, "\n")
+      .split(/;|\n/)
+      .map((statement) => statement.trim())
+      .filter((statement) => statement && statement !== "{" && statement !== "}");
+  }
+
+  /** Literal JS value ('a', "a", 1, true, null) or undefined. */
+  function parseLiteral(text) {
+    const trimmed = String(text).trim();
+    const single = trimmed.match(/^'((?:[^'\\]|\\.)*)'$/);
+    try {
+      return JSON.parse(single ? `"${single[1].replace(/"/g, "\\\"")}"` : trimmed.replace(/^`([^`$]*)`$/, "\"$1\""));
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  /** 'jsonData.items[0]["id"]' → '$.items[0].id' (aliases: names bound to the response JSON). */
+  function jsonPathOf(expression, aliases) {
+    const expr = expression.trim();
+    let root = null;
+    let rest = "";
+    const fromResponse = expr.match(RESPONSE_JSON);
+    if (fromResponse) {
+      root = "$";
+      rest = expr.slice(fromResponse[0].length);
+    } else {
+      const name = expr.match(/^(\w+)/);
+      if (name && aliases[name[1]]) {
+        root = aliases[name[1]];
+        rest = expr.slice(name[1].length);
+      }
+    }
+    if (!root || !/^(?:\.\w+|\[\d+\]|\[\s*["']\w+["']\s*\])*$/.test(rest)) return null;
+    return root + rest.replace(/\[\s*["'](\w+)["']\s*\]/g, ".$1");
+  }
+
+  /** '$.data[0].id' → 'data[0].id' (lodash path for the expect plugin). */
+  const propertyPath = (jsonPath) => jsonPath.replace(/^\$\.?/, "");
+  const captureName = (jsonPath) => `expected_${propertyPath(jsonPath).replace(/\W+/g, "_") || "body"}`;
+  const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+  /** Capture definition for a value expression, or null when it is not response data. */
+  function captureFor(expression, aliases, name) {
+    const expr = expression.trim();
+    const jsonPath = jsonPathOf(expr, aliases);
+    if (jsonPath) return { json: jsonPath, as: name };
+    const header = expr.match(RESPONSE_HEADER);
+    if (header) return { header: header[1].toLowerCase(), as: name };
+    const regexp = expr.match(/^(?:pm\.response\.text\(\)|responseBody)\.match\(\s*\/((?:[^/\\]|\\.)+)\/[gimsuy]*\s*\)\s*\[\s*(\d+)\s*\]$/);
+    if (regexp) return { regexp: regexp[1], group: Number(regexp[2]), as: name };
+    return null;
+  }
+
+  /**
+   * Translates the common pm.* patterns of an item's test and pre-request scripts.
+   *   test:       status / property / equality / header / text checks → expect
+   *               pm.environment.set("x", <response value>)           → capture (json, header, regexp)
+   *   both:       pm.*.set("x", <literal>)                             → config.variables default
+   * Anything else comes back in 'warnings' (one per statement).
+   * @returns {{ captures: Object[], expects: Object[], variables: Object, warnings: string[] }}
+   */
+  function translateScripts(item) {
+    const result = { captures: [], expects: [], variables: {}, warnings: [] };
+    const aliases = {};
+    const statusCodes = [];
+    const expectCaptures = new Set();
+
+    const addStatus = (codes) => codes.forEach((code) => {
+      if (!statusCodes.includes(code)) statusCodes.push(code);
+    });
+    const addCapture = (capture) => {
+      if (!result.captures.some((c) => c.as === capture.as)) result.captures.push(capture);
+    };
+
+    function translateAssertion(subject, chain, arg) {
+      const negated = /(^|\.)not(\.|$)/.test(chain);
+      const verb = chain.replace(/(^|\.)not(?=\.|$)/g, "").replace(/^\.+|\.+$/g, "").replace(/\.\.+/g, ".");
+      const literal = arg === undefined ? undefined : parseLiteral(arg);
+
+      if (/^pm\.response\.(?:code|status)$|^responseCode\.code$/.test(subject) && !negated) {
+        const oneOf = /oneOf$/.test(verb) && arg && arg.match(/^\[([\d\s,]+)\]$/);
+        if (EQUALITY.test(verb) && typeof literal === "number") addStatus([literal]);
+        else if (oneOf) addStatus(oneOf[1].split(",").map(Number));
+        else return false;
+        return true;
+      }
+
+      if (RESPONSE_TEXT.test(subject) && /(?:include|contain|contains|string)$/.test(verb) && typeof literal === "string" && !negated) {
+        result.expects.push({ matchesRegexp: escapeRegExp(literal) });
+        return true;
+      }
+
+      const header = subject.match(RESPONSE_HEADER);
+      if (header && !negated && typeof literal === "string") {
+        if (header[1].toLowerCase() === "content-type" && /(?:include|contain|contains|string)$/.test(verb)) {
+          result.expects.push({ contentType: literal });
+          return true;
+        }
+        if (EQUALITY.test(verb)) {
+          result.expects.push({ headerEquals: [header[1].toLowerCase(), literal] });
+          return true;
+        }
+        return false;
+      }
+
+      const jsonPath = jsonPathOf(subject, aliases);
+      if (!jsonPath) return false;
+
+      if (/(?:have\.)?property$/.test(verb) && typeof literal === "string") {
+        const path = [propertyPath(jsonPath), literal].filter(Boolean).join(".");
+        result.expects.push(negated ? { notHasProperty: path } : { hasProperty: path });
+        return true;
+      }
+      const existence = negated
+        ? /^(?:to\.)?(?:be\.)?(?:undefined|null)$/.test(verb)
+        : /^(?:to\.)?(?:exist|be\.ok)$/.test(verb);
+      if (existence && jsonPath !== "$") {
+        result.expects.push({ hasProperty: propertyPath(jsonPath) });
+        return true;
+      }
+      if (EQUALITY.test(verb) && !negated && literal !== undefined && (literal === null || typeof literal !== "object")) {
+        const name = captureName(jsonPath);
+        if (!expectCaptures.has(name)) {
+          expectCaptures.add(name);
+          addCapture({ json: jsonPath, as: name });
+        }
+        result.expects.push({ equals: [`{{ ${name} }}`, String(literal)] });
+        return true;
+      }
+      return false;
+    }
+
+    function translateStatement(statement, listen) {
+      // Response JSON aliases: var jsonData = pm.response.json(); const data = pm.response.json().data
+      const alias = statement.match(/^(?:var|let|const)\s+(\w+)\s*=\s*([\s\S]+)$/);
+      if (alias) {
+        const jsonPath = jsonPathOf(alias[2], aliases);
+        if (jsonPath && listen === "test") {
+          aliases[alias[1]] = jsonPath;
+          return true;
+        }
+        return false;
+      }
+
+      if (/^console\.\w+\(/.test(statement)) return true;
+
+      const set = statement.match(SET_VARIABLE);
+      if (set) {
+        const literal = parseLiteral(set[2]);
+        if (literal !== undefined && (literal === null || typeof literal !== "object")) {
+          result.variables[set[1]] = literal;
+          return true;
+        }
+        const capture = listen === "test" ? captureFor(set[2], aliases, set[1]) : null;
+        if (capture) {
+          addCapture(capture);
+          return true;
+        }
+        return false;
+      }
+
+      if (listen !== "test") return false;
+
+      if (/^pm\.response\.to\.(?:have\.status|be\.status)\(\s*\d+\s*\)$/.test(statement)) {
+        addStatus([Number(statement.match(/(\d+)/)[1])]);
+        return true;
+      }
+      if (/^pm\.response\.to\.be\.ok$/.test(statement)) {
+        addStatus([200]);
+        return true;
+      }
+      const hasHeader = statement.match(/^pm\.response\.to\.have\.header\(\s*["'`]([^"'`]+)["'`]\s*(?:,\s*([\s\S]+))?\)$/);
+      if (hasHeader) {
+        const value = hasHeader[2] === undefined ? undefined : parseLiteral(hasHeader[2]);
+        if (hasHeader[2] !== undefined && typeof value !== "string") return false;
+        result.expects.push(value === undefined ? { hasHeader: hasHeader[1].toLowerCase() } : { headerEquals: [hasHeader[1].toLowerCase(), value] });
+        return true;
+      }
+      // Legacy: tests["Status code is 200"] = responseCode.code === 200
+      const legacyStatus = statement.match(/^tests\[[\s\S]+\]\s*=\s*responseCode\.code\s*===?\s*(\d+)$/);
+      if (legacyStatus) {
+        addStatus([Number(legacyStatus[1])]);
+        return true;
+      }
+
+      const expectation = statement.match(/^pm\.expect\(([\s\S]+?)\)\.((?:\w+\.)*\w+)(?:\(([\s\S]*)\))?$/);
+      if (expectation) return translateAssertion(expectation[1].trim(), expectation[2], expectation[3] === undefined ? undefined : expectation[3].trim());
+      return false;
+    }
+
+    ["prerequest", "test"].forEach((listen) => {
+      scriptStatements(scriptSource(item, listen)).forEach((statement) => {
+        if (!translateStatement(statement, listen)) {
+          result.warnings.push(`${listen === "test" ? "Test" : "Pre-request"} script not converted: ${statement.replace(/\s+/g, " ").slice(0, 160)}`);
+        }
+      });
+    });
+
+    if (statusCodes.length > 0) result.expects.unshift({ statusCode: statusCodes.length === 1 ? statusCodes[0] : statusCodes });
+    return result;
+  }
+
+  // -------------------------------
+  // Converter
+  // -------------------------------
+
+  /**
+   * Creates a converter. State (collection variables, env vars found, CSV seeds) lives
+   * on the instance, so the browser page and the CLI can each hold their own.
+   * @param {Object} options
+   * @param {string} [options.jsonBodyMode="raw_data"] - 'raw_data' (body: |) or 'structured_json' (json: {})
+   * @param {Object} [options.environment] - Postman environment export or { key: value }
+   * @param {Object} [options.rules] - Parameter rules (see file header)
+   * @param {boolean} [options.placeholderPayload=true] - Emit the sample CSV payload block when no rule produced one
+   * @param {string} [options.dataDir="../data"] - CSV path as seen from the generated YAML
+   * @param {string} [options.processorPath="../../../utilities/custom-artillery-utils.js"] - Hook file
+   *   (signRequest, attachToken, retryOn401) as seen from the generated YAML
+   */
+  function createConverter(options = {}) {
+    const converter = { options: {
+      jsonBodyMode: "raw_data",
+      placeholderPayload: true,
+      dataDir: "../data",
+      processorPath: "../../../utilities/custom-artillery-utils.js",
+      ...options,
+    } };
+
+    const environmentValues = parseEnvironment(converter.options.environment);
+    const rules = (converter.options.rules && converter.options.rules.rules) || [];
+    const csvOptions = (converter.options.rules && converter.options.rules.csv) || {};
+
+    const environmentVariables = new Set();
+    const globalAuthVariables = {};
+    const collectionVariables = {};
+    const csvSeeds = new Map(); // csv file → Map(field → seed value), across all runs
+    let usedCsv = new Map(); // csv file → Set(field), for the current YAML file
+    let scriptVariables = {}; // literal pm.*.set() values, for the current YAML file
+    let capturedVariables = new Set(); // names captured by earlier requests of the current scenario
+    let translations = new Map(); // postmanItem → translateScripts() result
+    let warnings = [];
+    let expectPluginUsed = false;
+    let awsSigV4Used = false;
+    let oauthClients = {}; // authClients for attachToken (token-manager.js), for the current YAML file
+    let baseUrlExample = null;
+
+    /** Clears the state of one YAML file (env vars, auth variables, CSV payloads, scripts). */
+    function resetRun() {
+      environmentVariables.clear();
+      Object.keys(globalAuthVariables).forEach((key) => delete globalAuthVariables[key]);
+      usedCsv = new Map();
+      scriptVariables = {};
+      capturedVariables = new Set();
+      translations = new Map();
+      warnings = [];
+      expectPluginUsed = false;
+      awsSigV4Used = false;
+      oauthClients = {};
+    }
+
+    function scriptsOf(postmanItem) {
+      if (!translations.has(postmanItem)) translations.set(postmanItem, translateScripts(postmanItem));
+      return translations.get(postmanItem);
+    }
+
+    /** The auth a request is sent with: its own, or the inherited one for none / 'inherit'. */
+    const requestAuth = (request, inheritedAuth) => (!request.auth || (request.auth.type === "inherit" && inheritedAuth)
+      ? inheritedAuth : request.auth);
+
+    /** Names a request's scripts capture from its response (expect helpers excluded). */
+    const capturedBy = (postmanItem) => scriptsOf(postmanItem).captures.map((c) => c.as).filter((name) => !name.startsWith("expected_"));
+
+    function findRule(kind, key, requestName) {
+      return rules.find((rule) => rule[kind] !== undefined && ruleApplies(rule, requestName)
+        && (kind === "header" ? String(rule[kind]).toLowerCase() === String(key).toLowerCase() : rule[kind] === key));
+    }
+
+    /** Registers a CSV field for the current file and returns its Artillery template. */
+    function useCsvField(rule, defaultField, seedValue) {
+      const field = rule.field || defaultField;
+      if (!usedCsv.has(rule.csv)) usedCsv.set(rule.csv, new Set());
+      usedCsv.get(rule.csv).add(field);
+      if (!csvSeeds.has(rule.csv)) csvSeeds.set(rule.csv, new Map());
+      const seeds = csvSeeds.get(rule.csv);
+      if (!seeds.has(field) || seeds.get(field) === undefined) seeds.set(field, seedValue);
+      return `{{ ${field} }}`;
+    }
+
+    /**
+     * Reads collection variables and flattens the folder tree into request entries.
+     * @returns {Object[]} [{ postmanItem, inheritedAuth, is_selected, customName }]
+     */
+    function loadCollection(collection) {
+      resetRun();
+      Object.keys(collectionVariables).forEach((key) => delete collectionVariables[key]);
+      csvSeeds.clear();
+      baseUrlExample = null;
+
+      if (Array.isArray(collection.variable)) {
+        collection.variable.forEach((v) => {
+          if (v.value) collectionVariables[v.key] = v.value;
+        });
+      }
+
+      // Postman resolves 'inherit' (or no auth) against the nearest folder that sets one
+      const ownAuth = (item, parentAuth) => (item.auth && item.auth.type !== "inherit" ? item.auth : parentAuth);
+      const requests = [];
+      function extractRequests(item, parentAuth) {
+        if (item.request) {
+          requests.push({
+            postmanItem: item,
+            inheritedAuth: parentAuth,
+            is_selected: true,
+            customName: item.name,
+          });
+        }
+        if (item.item) item.item.forEach((child) => extractRequests(child, ownAuth(item, parentAuth)));
+      }
+      (collection.item || []).forEach((item) => extractRequests(item, ownAuth(collection, null)));
+      return requests;
+    }
+
+    /**
+     * Converts a single Postman request into an Artillery scenario.
+     */
+    function convertRequestToScenario(postmanItem, inheritedAuth = null, customName = postmanItem.name) {
+      const request = postmanItem.request;
+      const requestHeaders = {};
+      let url = typeof request.url === "string" ? request.url : (request.url && request.url.raw) || "";
+      const artilleryFlow = {};
+      const notes = []; // [beforeKey, text] → YAML comments on the request
+
+      // Reported in the CLI / page and left as a comment on the request
+      const warn = (beforeKey, text) => {
+        warnings.push(`${customName}: ${text}`);
+        notes.push([beforeKey, `⚠️ ${text}`]);
+      };
+
+      // Secret auth value → env var named after its {{variable}} (or the fallback name)
+      const secretRef = (value, fallbackEnvName) => {
+        const variable = value && String(value).match(/^\{\{(\w+)\}\}$/);
+        const envName = variable ? getEnvVarName(variable[1]) : fallbackEnvName;
+        environmentVariables.add(envName);
+        return createEnvRef(envName);
+      };
+
+      // Postman {{var}} → CSV field (parameter rule), captured / script variable,
+      // collection variable or env var
+      const applyVariableReplacement = (value) => {
+        if (typeof value !== "string") return value;
+        return value.replace(/\{\{(\w+)\}\}/g, (match, p1) => {
+          const rule = findRule("variable", p1, customName);
+          if (rule) {
+            const seed = environmentValues[p1] !== undefined ? environmentValues[p1] : collectionVariables[p1];
+            return useCsvField(rule, p1, seed);
+          }
+          if (capturedVariables.has(p1) || Object.prototype.hasOwnProperty.call(scriptVariables, p1)) {
+            return `{{ ${p1} }}`;
+          }
+          if (Object.prototype.hasOwnProperty.call(collectionVariables, p1)) {
+            return `{{${p1}}}`;
+          }
+          const envVar = getEnvVarName(p1);
+          environmentVariables.add(envVar);
+          return createEnvRef(envVar);
+        });
+      };
+
+      // 1. Base URL from the environment file or a collection variable:
+      //    '{{baseUrl}}/users' → '/users' (config.target covers it)
+      const leadingVar = url.match(/^\{\{(\w+)\}\}/);
+      const baseUrlValue = leadingVar && String(environmentValues[leadingVar[1]] || collectionVariables[leadingVar[1]] || "");
+      if (leadingVar && /^https?:\/\//i.test(baseUrlValue)) {
+        baseUrlExample = baseUrlExample || baseUrlValue;
+        url = url.slice(leadingVar[0].length) || "/";
+      }
+
+      // 2. Postman variable conversion (URL)
+      url = applyVariableReplacement(url);
+
+      // 3. URL and path conversion
+      let path = url;
+      try {
+        const urlObj = new URL(url.startsWith("http") ? url : `http://placeholder${url}`);
+        // URL() percent-encodes the braces of templates in the path (and their spaces in the query)
+        path = (urlObj.pathname + urlObj.search).replace(/(?:%7B|\{){2}.*?(?:%7D|\}){2}/gi, decodeURIComponent);
+        if (path === "/" && url.includes("{{")) path = url;
+        path = path.replace(/\{\{(\w+)\}\}/g, "{{ $1 }}");
+      } catch (e) {
+        // Unparseable URLs (templated hosts) are kept as-is
+      }
+
+      // Query parameter rules
+      path = path.replace(/([?&])([^=&#]+)=([^&#]*)/g, (match, sep, name, value) => {
+        const rule = findRule("query", decodeURIComponent(name), customName);
+        if (!rule) return match;
+        return `${sep}${name}=${useCsvField(rule, decodeURIComponent(name), decodeURIComponent(value))}`;
+      });
+
+      artilleryFlow.name = customName;
+
+      // 4. Authentication
+      const authToProcess = requestAuth(request, inheritedAuth);
+
+      if (authToProcess) {
+        const authType = authToProcess.type;
+        const params = authToProcess[authType];
+        const param = (key) => {
+          const found = Array.isArray(params) ? params.find((p) => p.key === key) : null;
+          return found ? found.value : null;
+        };
+
+        switch (authType) {
+          case "bearer": {
+            const tokenValue = param("token");
+            const tokenVar = tokenValue && String(tokenValue).match(/^\{\{(\w+)\}\}$/);
+            if (tokenVar && (capturedVariables.has(tokenVar[1]) || Object.prototype.hasOwnProperty.call(scriptVariables, tokenVar[1]))) {
+              // Token captured by an earlier request (e.g. login) in the same scenario
+              requestHeaders.Authorization = `Bearer {{ ${tokenVar[1]} }}`;
+            } else if (tokenValue) {
+              const tokenEnvName = getEnvVarName(tokenValue.replace(/\{\{(\w+)\}\}/g, "$1") || "BEARER_TOKEN_ENV");
+              const bearerVarName = "BEARER_TOKEN";
+              environmentVariables.add(tokenEnvName);
+              if (!globalAuthVariables[bearerVarName]) {
+                globalAuthVariables[bearerVarName] = `Bearer {{ $processEnvironment.${tokenEnvName} }}`;
+              }
+              requestHeaders.Authorization = `{{${bearerVarName}}}`;
+            }
+            break;
+          }
+          case "basic": {
+            const userValue = param("username");
+            const passValue = param("password");
+            if (userValue && passValue) {
+              const userEnvName = getEnvVarName(userValue.replace(/\{\{(\w+)\}\}/g, "$1") || "BASIC_AUTH_USERNAME");
+              const passEnvName = getEnvVarName(passValue.replace(/\{\{(\w+)\}\}/g, "$1") || "BASIC_AUTH_PASSWORD");
+              environmentVariables.add(userEnvName);
+              environmentVariables.add(passEnvName);
+              if (!globalAuthVariables.BASIC_USER) globalAuthVariables.BASIC_USER = createEnvRef(userEnvName);
+              if (!globalAuthVariables.BASIC_PASS) globalAuthVariables.BASIC_PASS = createEnvRef(passEnvName);
+              artilleryFlow.auth = { user: "{{BASIC_USER}}", pass: "{{BASIC_PASS}}" };
+            }
+            break;
+          }
+          case "apikey": {
+            const keyName = param("key");
+            const secretValue = param("value");
+            const location = param("in") || "header";
+            if (keyName && secretValue) {
+              const apiKeyEnvName = getEnvVarName(`${keyName}_ENV`);
+              const apiKeyVarName = getEnvVarName(`${keyName}_VAR`);
+              environmentVariables.add(apiKeyEnvName);
+              if (!globalAuthVariables[apiKeyVarName]) {
+                globalAuthVariables[apiKeyVarName] = createEnvRef(apiKeyEnvName);
+              }
+              requestHeaders[keyName] = `{{${apiKeyVarName}}}`;
+              if (location === "query") {
+                notes.push([null, `API Key '${keyName}' is set to be in query. Please ensure the URL (${path}) uses '{{${apiKeyVarName}}}'. The key is still defined in config.variables.`]);
+              }
+            }
+            break;
+          }
+          case "oauth2": {
+            const grant = { client_credentials: "client_credentials", password_credentials: "password" }[param("grant_type") || "authorization_code"];
+            if (!grant) {
+              // Browser flows (authorization code, implicit) cannot be replayed per VU
+              const tokenEnvName = "OAUTH2_ACCESS_TOKEN";
+              environmentVariables.add(tokenEnvName);
+              if (!globalAuthVariables.BEARER_TOKEN) globalAuthVariables.BEARER_TOKEN = `Bearer {{ $processEnvironment.${tokenEnvName} }}`;
+              requestHeaders.Authorization = "{{BEARER_TOKEN}}";
+              warn(null, `OAuth2 grant '${param("grant_type") || "authorization_code"}' needs a browser login; a pre-issued token is read from ${tokenEnvName} instead`);
+              break;
+            }
+            const client = {
+              grant,
+              tokenUrl: applyVariableReplacement(param("accessTokenUrl") || ""),
+              clientId: secretRef(param("clientId"), "OAUTH2_CLIENT_ID"),
+            };
+            if (param("clientSecret")) client.clientSecret = secretRef(param("clientSecret"), "OAUTH2_CLIENT_SECRET");
+            if (grant === "password") {
+              client.username = secretRef(param("username"), "OAUTH2_USERNAME");
+              client.password = secretRef(param("password"), "OAUTH2_PASSWORD");
+            }
+            if (param("scope")) client.scope = applyVariableReplacement(param("scope"));
+            if (param("client_authentication") === "body") client.clientAuth = "body";
+            if (param("headerPrefix") && param("headerPrefix") !== "Bearer") client.scheme = param("headerPrefix");
+            if (!client.tokenUrl) warn(null, "OAuth2 access token URL is empty; set tokenUrl in config.variables.authClients");
+
+            // One authClients entry per distinct configuration (shared token cache)
+            const clientName = Object.keys(oauthClients).find((name) => JSON.stringify(oauthClients[name]) === JSON.stringify(client))
+              || (Object.keys(oauthClients).length === 0 ? "oauth2" : `oauth2_${Object.keys(oauthClients).length + 1}`);
+            oauthClients[clientName] = client;
+            artilleryFlow.authClient = clientName;
+            artilleryFlow.beforeRequest = "attachToken";
+            artilleryFlow.afterResponse = "retryOn401";
+            break;
+          }
+          case "awsv4": {
+            awsSigV4Used = true;
+            artilleryFlow.tags = ["requiresAwsSigV4"];
+            artilleryFlow.beforeRequest = "signRequest";
+            // Service / region are inferred from AWS hostnames; literal Postman values win
+            const overrides = {};
+            ["service", "region"].forEach((key) => {
+              const value = param(key);
+              if (value && !String(value).includes("{{")) overrides[key] = value;
+            });
+            if (Object.keys(overrides).length > 0) artilleryFlow.awsSigV4 = overrides;
+            if ((param("accessKey") && !String(param("accessKey")).includes("{{")) || (param("secretKey") && !String(param("secretKey")).includes("{{"))) {
+              notes.push(["beforeRequest", "Hardcoded AWS keys were not copied: credentials come from the AWS provider chain (see utilities/aws-credentials.js)."]);
+            }
+            break;
+          }
+          case "digest":
+          case "ntlm":
+            warn(null, `${authType === "ntlm" ? "NTLM" : "Digest"} auth is not supported by Artillery; the request is sent without credentials`);
+            break;
+          case "noauth":
+          case "inherit":
+            break;
+          default:
+            warn(null, `Auth type '${authType}' is not converted; the request is sent without credentials`);
+            break;
+        }
+      }
+
+      // 5. Headers (header rules, then sensitive header tokenization)
+      let contentType = null;
+      (request.header || []).forEach((h) => {
+        if (!h || h.disabled) return;
+        const headerValue = applyVariableReplacement(h.value);
+        let finalValue = headerValue;
+
+        const rule = findRule("header", h.key, customName);
+        const isSensitive = SENSITIVE_HEADER_KEYS.some((sensitiveKey) => sensitiveKey === h.key.toLowerCase());
+        if (rule) {
+          finalValue = useCsvField(rule, h.key, h.value);
+        } else if (isSensitive && !String(headerValue).includes("{{")) {
+          const envVarName = getEnvVarName(`${h.key}_ENV`);
+          const artilleryVarName = getEnvVarName(`${h.key}_VAR`);
+          environmentVariables.add(envVarName);
+          if (!globalAuthVariables[artilleryVarName]) {
+            globalAuthVariables[artilleryVarName] = createEnvRef(envVarName);
+          }
+          finalValue = `{{${artilleryVarName}}}`;
+        }
+
+        // Auth logic wins (Authorization, API key headers)
+        if (requestHeaders[h.key] === undefined) requestHeaders[h.key] = finalValue;
+        if (h.key.toLowerCase() === "content-type") contentType = finalValue;
+      });
+
+      const finalHeaders = { ...requestHeaders };
+      const mode = request.body && !request.body.disabled ? request.body.mode : null;
+      const rawLanguage = (mode === "raw" && request.body.options && request.body.options.raw && request.body.options.raw.language) || "json";
+      if (!contentType && ((mode === "raw" && request.body.raw) || mode === "urlencoded")) {
+        contentType = mode === "urlencoded" ? "application/x-www-form-urlencoded" : RAW_CONTENT_TYPES[rawLanguage] || "text/plain";
+        finalHeaders["Content-Type"] = contentType;
+      }
+      if (mode === "formdata" && contentType) {
+        // Artillery writes multipart/form-data with its own boundary
+        Object.keys(finalHeaders).filter((key) => key.toLowerCase() === "content-type").forEach((key) => delete finalHeaders[key]);
+      }
+      if (Object.keys(finalHeaders).length > 0) artilleryFlow.headers = finalHeaders;
+
+      // 6. Request body (original content preserved)
+      if (mode) {
+        if (mode === "urlencoded") {
+          const fields = (request.body.urlencoded || []).filter((p) => p.key && !p.disabled).map((p) => {
+            const rule = findRule("body", p.key, customName);
+            return [p.key, rule ? useCsvField(rule, p.key, p.value) : applyVariableReplacement(p.value || "")];
+          });
+          const keys = fields.map(([key]) => key);
+          const repeated = keys.filter((key, i) => keys.indexOf(key) !== i && keys.indexOf(key, i + 1) === -1);
+          if (repeated.length === 0) {
+            artilleryFlow.form = {};
+            fields.forEach(([key, value]) => { artilleryFlow.form[key] = value; });
+          } else {
+            // Artillery's 'form' holds one value per field ("a,b" for a list): send the body as written
+            const encode = (text) => String(text).split(/(\{\{.*?\}\})/)
+              .map((part, i) => (i % 2 === 1 ? part : encodeURIComponent(part).replace(/%20/g, "+")))
+              .join("");
+            artilleryFlow.body = fields.map(([key, value]) => `${encode(key)}=${encode(value)}`).join("&");
+            warn("body", `Form field(s) ${repeated.map((key) => `'${key}'`).join(", ")} repeat, so the form is sent as an encoded 'body' string (values from {{ }} templates are inserted unencoded)`);
+          }
+        } else if (mode === "formdata") {
+          const artilleryFormData = {};
+          (request.body.formdata || []).forEach((p) => {
+            if (!p.key || p.disabled) return;
+            if (p.type === "file") {
+              // Postman keeps an absolute path on the author's machine: expect the file in the data dir
+              const source = [].concat(p.src || [])[0];
+              if (!source) {
+                warn("formData", `Form file field '${p.key}' has no file selected; it is not sent`);
+                return;
+              }
+              const fileName = String(source).split(/[\\/]/).pop();
+              artilleryFormData[p.key] = { fromFile: `${converter.options.dataDir}/${fileName}` };
+              if (p.contentType) artilleryFormData[p.key].contentType = p.contentType;
+              notes.push(["formData", `Copy '${fileName}' into ${converter.options.dataDir} (uploaded as form field '${p.key}').`]);
+              return;
+            }
+            const rule = findRule("body", p.key, customName);
+            const value = rule ? useCsvField(rule, p.key, p.value) : applyVariableReplacement(p.value || "");
+            artilleryFormData[p.key] = p.contentType ? { value, contentType: p.contentType } : value;
+          });
+          artilleryFlow.formData = artilleryFormData;
+        } else if (mode === "graphql") {
+          const graphql = request.body.graphql || {};
+          artilleryFlow.json = { query: applyVariableReplacement(graphql.query || "") };
+          if (graphql.variables && String(graphql.variables).trim()) {
+            try {
+              artilleryFlow.json.variables = JSON.parse(applyVariableReplacement(graphql.variables));
+            } catch (e) {
+              warn("json", "GraphQL variables are not valid JSON; they are not sent");
+            }
+          }
+        } else if (mode === "file") {
+          warn(null, "Binary file bodies are not supported by Artillery; the request is sent without a body");
+        } else if (mode === "raw" && request.body.raw && request.body.raw.trim().length > 0 && rawLanguage !== "json") {
+          // XML / text / HTML / JavaScript: sent verbatim
+          artilleryFlow.body = applyVariableReplacement(request.body.raw);
+        } else if (mode === "raw" && request.body.raw && request.body.raw.trim().length > 0) {
+          let rawBody = applyVariableReplacement(request.body.raw);
+
+          // Body field rules rewrite the parsed JSON (the raw body is re-serialized)
+          const bodyRules = rules.filter((rule) => rule.body !== undefined && ruleApplies(rule, customName));
+          if (bodyRules.length > 0) {
+            try {
+              const parsed = JSON.parse(rawBody);
+              let changed = false;
+              bodyRules.forEach((rule) => {
+                const original = getPath(parsed, rule.body);
+                if (original === undefined || typeof original === "object") return;
+                const defaultField = rule.body.split(".").pop();
+                changed = setPath(parsed, rule.body, useCsvField(rule, defaultField, original)) || changed;
+              });
+              if (changed) rawBody = JSON.stringify(parsed, null, 2);
+            } catch (e) {
+              // Not JSON: body rules do not apply
+            }
+          }
+
+          if (converter.options.jsonBodyMode === "structured_json") {
+            try {
+              artilleryFlow.json = JSON.parse(rawBody);
+              if (finalHeaders["Content-Type"] && finalHeaders["Content-Type"].toLowerCase().includes("json")) {
+                delete finalHeaders["Content-Type"];
+              }
+            } catch (e) {
+              artilleryFlow.body = rawBody;
+              notes.push(["body", "Content could not be parsed as JSON for `json: {}` format. Falling back to a `body: |` literal block."]);
+            }
+          } else {
+            artilleryFlow.body = rawBody;
+          }
+        }
+      }
+
+      // 7. Test / pre-request scripts → expect + capture (defaults when there are none)
+      const scripts = scriptsOf(postmanItem);
+      if (scripts.expects.length > 0) expectPluginUsed = true;
+      scripts.warnings.forEach((warning) => warn("expect", warning));
+      capturedBy(postmanItem).forEach((name) => capturedVariables.add(name));
+
+      // 8. Final Artillery request
+      const artilleryRequest = {
+        url: path,
+        ...artilleryFlow,
+        expect: scripts.expects.length > 0 ? scripts.expects : [{ statusCode: 200 }],
+        capture: scripts.captures.length > 0 ? scripts.captures : [{ json: "$", as: "response" }],
+      };
+      // Optional hooks / logging, left commented out
+      if (!artilleryRequest.beforeRequest) annotate(artilleryRequest, "expect", "beforeRequest: \"beforeJson\"\nafterResponse: \"afterJson\"");
+      notes.push([null, "log: \"Response: {{ session_id }} for user {{ user_id }}\""]);
+      notes.forEach(([beforeKey, text]) => annotate(artilleryRequest, beforeKey, text));
+
+      // Importer hint (api-importers.js): recorded pause before the request
+      const think = postmanItem.artillery && Number(postmanItem.artillery.think);
+      return {
+        name: customName,
+        flow: [...(think > 0 ? [{ think }] : []), { [request.method.toLowerCase()]: artilleryRequest }],
+      };
+    }
+
+    /** CSV payload blocks for the fields used by the current YAML file. */
+    function buildPayload() {
+      const payloads = [...usedCsv.keys()].map((file) => {
+        const csv = csvOptions[file] || {};
+        return {
+          path: `${converter.options.dataDir}/${file}`,
+          fields: csvFields(file),
+          order: csv.order || "sequence",
+          skipHeader: true,
+        };
+      });
+      if (payloads.length === 0) {
+        return converter.options.placeholderPayload
+          ? { path: "../data/user_city.csv", fields: ["name", "password"], order: "sequence", skipHeader: true }
+          : null;
+      }
+      return payloads.length === 1 ? payloads[0] : payloads;
+    }
+
+    /** Columns of a CSV file: explicit 'fields' from the rules file, else rule order. */
+    function csvFields(file) {
+      if (csvOptions[file] && Array.isArray(csvOptions[file].fields)) return csvOptions[file].fields;
+      return [...(csvSeeds.get(file) || new Map()).keys()];
+    }
+
+    /**
+     * Generates the common Artillery config block.
+     */
+    function generateArtilleryConfig() {
+      const globalVariables = { ...collectionVariables, ...scriptVariables, ...globalAuthVariables };
+      // An object, so Artillery passes it to attachToken as-is
+      if (Object.keys(oauthClients).length > 0) globalVariables.authClients = oauthClients;
+
+      const config = {
+        target: createEnvRef(TARGET_ENV_VAR),
+        phases: [
+          { duration: 30, arrivalRate: 5, name: "Warm-up" },
+          { duration: 120, arrivalRate: 20, rampTo: 50, name: "Load Test" },
+        ],
+        defaults: {
+          headers: { "User-Agent": "Artillery Load Test Client" },
+        },
+        plugins: {
+          "metrics-by-endpoint": { useOnlyRequestNames: true },
+        },
+        ensure: [
+          { "http.response_time.p99": 500 },
+          { "http.response_code.4xx": { max_error_rate: 0.01 } },
+          { "http.response_code.5xx": { max_error_rate: 0.01 } },
+        ],
+      };
+
+      const payload = buildPayload();
+      if (payload) config.payload = payload;
+      if (Object.keys(globalVariables).length > 0) config.variables = globalVariables;
+      // Expectations translated from Postman tests only run with the expect plugin
+      if (expectPluginUsed) config.plugins.expect = {};
+      if (awsSigV4Used || Object.keys(oauthClients).length > 0) config.processor = converter.options.processorPath;
+      return config;
+    }
+
+    /**
+     * Lines of the header comment block (printed as '## …').
+     */
+    function generateYamlHeader(numRequests) {
+      const variablesList = Array.from(environmentVariables)
+        .filter((v) => v !== TARGET_ENV_VAR)
+        .sort()
+        .map((v) => `- ${v}`);
+      if (awsSigV4Used) {
+        variablesList.push("- AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY (AWS SigV4 signing; or a profile / web identity, see utilities/aws-credentials.js)");
+      }
+
+      const collectionList = Object.keys(collectionVariables).length > 0
+        ? Object.keys(collectionVariables).map((v) => `- ${v} (Default: ${collectionVariables[v]})`)
+        : ["- None"];
+      const csvList = usedCsv.size > 0
+        ? ["", `**CSV PARAMETERS (${converter.options.dataDir}):**`, ...[...usedCsv.keys()].map((file) => `- ${file}: ${csvFields(file).join(", ")}`)]
+        : [];
+
+      return [
+        "----------------------------------------------------",
+        "GENERATED ARTILLERY SCRIPT",
+        "",
+        "**SECURITY NOTICE:** Hardcoded secrets/tokens in headers and auth blocks have been replaced with",
+        "secure placeholders referenced in config.variables (which point to system environment variables).",
+        "",
+        `**TOTAL REQUESTS:** ${numRequests}`,
+        "",
+        "**REQUIRED SYSTEM ENVIRONMENT VARIABLES (Set these in your shell/CI/CD environment):**",
+        `- ${TARGET_ENV_VAR} (For config.target${baseUrlExample ? `, e.g. ${baseUrlExample}` : ""})`,
+        ...variablesList,
+        "",
+        "**COLLECTION-LEVEL VARIABLES (Static defaults):**",
+        ...collectionList,
+        ...csvList,
+        "",
+        "----------------------------------------------------",
+      ];
+    }
+
+    /**
+     * Groups requests into scenarios: a request that uses a variable captured by an
+     * earlier request (login → token → orders) joins that request's scenario, so the
+     * captured value is there when it runs. Requests with the same importer flow hint
+     * (item.artillery.flow, e.g. a HAR recording) share one scenario too. Other
+     * requests get a scenario each. Inherited auth counts as part of the request, so
+     * a folder's bearer {{token}} chains its requests to the login that captures it.
+     * @returns {Object[][]} Request entries per scenario, in collection order
+     */
+    function chainRequests(selectedRequests) {
+      const groups = [];
+      const producerGroup = new Map(); // captured name → group
+      const flowGroup = new Map(); // importer flow name → group
+      selectedRequests.forEach((reqData) => {
+        const { request } = reqData.postmanItem;
+        const sent = JSON.stringify([request, requestAuth(request, reqData.inheritedAuth)]);
+        const referenced = new Set([...sent.matchAll(/\{\{(\w+)\}\}/g)].map((m) => m[1]));
+        const flowName = reqData.postmanItem.artillery && reqData.postmanItem.artillery.flow;
+        const producers = [...new Set([
+          ...[...referenced].filter((name) => producerGroup.has(name)).map((name) => producerGroup.get(name)),
+          ...(flowGroup.has(flowName) ? [flowGroup.get(flowName)] : []),
+        ])].sort((a, b) => groups.indexOf(a) - groups.indexOf(b));
+
+        let group = producers[0];
+        if (!group) {
+          group = [];
+          groups.push(group);
+        }
+        // A request fed by several chains merges them (in collection order)
+        producers.slice(1).forEach((other) => {
+          group.push(...other);
+          groups.splice(groups.indexOf(other), 1);
+          [producerGroup, flowGroup].forEach((index) => index.forEach((g, name) => {
+            if (g === other) index.set(name, group);
+          }));
+        });
+        group.push(reqData);
+        if (flowName) flowGroup.set(flowName, group);
+        capturedBy(reqData.postmanItem).forEach((name) => producerGroup.set(name, group));
+      });
+      return groups;
+    }
+
+    /**
+     * One YAML file for the given requests, re-parsed and validated against the
+     * Artillery script schema ('problems' is empty when the file is good to use).
+     * 'warnings' lists script lines that could not be converted (also commented in the YAML).
+     * @returns {{ yaml: string, json: string, problems: Object[], warnings: string[] }}
+     */
+    function generateYaml(selectedRequests) {
+      resetRun();
+      selectedRequests.forEach((reqData) => Object.assign(scriptVariables, scriptsOf(reqData.postmanItem).variables));
+
+      const scenarios = chainRequests(selectedRequests).map((group) => {
+        capturedVariables = new Set(); // captures only reach later requests of the same scenario
+        const flows = group.map((reqData) => convertRequestToScenario(reqData.postmanItem, reqData.inheritedAuth, reqData.customName));
+        const flowName = group[0].postmanItem.artillery && group[0].postmanItem.artillery.flow;
+        if (flows.length === 1 && !flowName) return flows[0];
+        const scenario = { name: flowName || flows[0].name, flow: flows.flatMap((f) => f.flow) };
+        annotate(scenario, "flow", flowName
+          ? `Imported flow: ${flows.length} request(s) in recorded order`
+          : `Chained: ${flows.map((f) => f.name).join(" → ")} (later requests use values captured by earlier ones)`);
+        return scenario;
+      });
+      const artilleryConfig = { config: generateArtilleryConfig(), scenarios };
+      const yaml = toYAML(artilleryConfig, generateYamlHeader(selectedRequests.length));
+      return {
+        yaml,
+        json: JSON.stringify(artilleryConfig, null, 2),
+        problems: checkRoundTrip(yaml, artilleryConfig).problems,
+        warnings: [...warnings],
+      };
+    }
+
+    /**
+     * YAML files for the selected requests.
+     * @param {Object[]} selectedRequests - Entries from loadCollection()
+     * @param {Object} [options] - { mode: 'single' | 'multiple', fileName: 'artillery_load_test.yml' }
+     * Chained requests (see chainRequests) stay together in one file in 'multiple' mode.
+     * @returns {{ fileName: string, content: string, problems: Object[], warnings: string[] }[]}
+     */
+    function buildFiles(selectedRequests, { mode = "single", fileName = "artillery_load_test.yml" } = {}) {
+      if (mode === "single") {
+        const { yaml, problems, warnings: fileWarnings } = generateYaml(selectedRequests);
+        return [{ fileName, content: yaml, problems, warnings: fileWarnings }];
+      }
+      resetRun();
+      return chainRequests(selectedRequests).map((group, index) => {
+        const { yaml, problems, warnings: fileWarnings } = generateYaml(group);
+        const flowName = group[0].postmanItem.artillery && group[0].postmanItem.artillery.flow;
+        return { fileName: `${safeFileName(flowName || group[0].customName, index)}.yml`, content: yaml, problems, warnings: fileWarnings };
+      });
+    }
+
+    /**
+     * CSV files referenced by the YAML generated so far (rows from the rules file, or one seed row).
+     * @returns {{ fileName: string, content: string }[]}
+     */
+    function buildDataFiles() {
+      return [...csvSeeds.keys()].map((file) => {
+        const fields = csvFields(file);
+        const seeds = csvSeeds.get(file);
+        const rows = csvOptions[file] && Array.isArray(csvOptions[file].rows)
+          ? csvOptions[file].rows
+          : [fields.map((field) => seeds.get(field))];
+        const lines = [fields, ...rows].map((row) => row.map(csvCell).join(","));
+        return { fileName: file, content: `${lines.join("\n")}\n` };
+      });
+    }
+
+    Object.assign(converter, {
+      loadCollection,
+      convertRequestToScenario,
+      generateArtilleryConfig,
+      generateYamlHeader,
+      generateYaml,
+      chainRequests,
+      buildFiles,
+      buildDataFiles,
+    });
+    return converter;
+  }
+
+  return {
+    SENSITIVE_HEADER_KEYS,
+    TARGET_ENV_VAR,
+    toYAML,
+    translateScripts,
+    validateScript,
+    checkRoundTrip,
+    formatProblems,
+    getEnvVarName,
+    createEnvRef,
+    parseEnvironment,
+    createConverter,
+  };
+});
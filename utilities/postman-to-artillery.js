@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * POSTMAN → ARTILLERY CLI
+ * ============================================================
+ * Provides:
+ *   ✅ Headless version of postman-artillery-converter.html (same core: postman-converter.js)
+ *   ✅ Writes YAML scenarios to applications/<app>/scripts and CSVs to applications/<app>/data
+ *   ✅ Optional Postman environment file and parameter-rule file
+ *   ✅ HAR recordings and OpenAPI 3 specs instead of a collection (see api-importers.js)
+ * ============================================================
+ *
+ * HOW TO RUN:
+ *   node utilities/postman-to-artillery.js \
+ *     --collection postman/orders.postman_collection.json \  # or --har shop.har | --openapi orders.yaml
+ *     --app app1 \                                  # or --scripts-dir <dir> --data-dir <dir>
+ *     [--environment postman/test.postman_environment.json] \
+ *     [--rules postman/orders.rules.json] \
+ *     [--mode single|multiple] [--output orders.yml] \
+ *     [--json-body raw|json] [--include "Create order,Get*"] [--overwrite-data] [--force] \
+ *     [--hosts api.example.com] [--min-think 1]      # HAR only: hosts to keep, shortest pause replayed
+ *
+ * OUTPUT:
+ *   single     one YAML with a scenario per request (default name: <collection name>.yml)
+ *   multiple   one YAML per request, named after the request
+ *   CSVs       written only when missing (curated data is kept) unless --overwrite-data
+ *   HAR        the recording is one scenario (think times kept), in both modes
+ *   OpenAPI    one scenario per operation; parameters come from <title>_params.csv
+ *              (rules from --rules are applied first, so they override the generated ones)
+ *
+ * Every YAML is parsed back and checked against Artillery's script schema first;
+ * a file with problems is not written (exit 1) unless --force. Needs the 'yaml' package.
+ * Postman test / pre-request script lines that could not be turned into capture /
+ * expect are printed as warnings (and left as comments in the YAML).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs, splitList } = require("./cli-args");
+const { createConverter, formatProblems } = require("./postman-converter");
+const importers = require("./api-importers");
+
+const REPO_ROOT = path.join(__dirname, "..");
+
+function readJson(filePath, label) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot read ${label} '${filePath}': ${err.message}`);
+  }
+}
+
+const toRegExp = (pattern) => new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*")}$`, "i");
+
+/**
+ * Reads the source (Postman collection, HAR file or OpenAPI spec).
+ * @returns {{ collection: Object, rules: Object|null, warnings: string[] }}
+ */
+function readSource(options) {
+  const file = options.har || options.openapi || options.collection;
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    throw new Error(`Cannot read '${file}': ${err.message}`);
+  }
+  const imported = importers.importDocument(text, file, {
+    hosts: options.hosts,
+    minThink: options.minThink,
+  });
+  const expected = options.har ? "har" : options.openapi ? "openapi" : "postman";
+  if (imported.format !== expected) throw new Error(`'${file}' is a ${imported.format} file; use --${imported.format === "postman" ? "collection" : imported.format}`);
+  return imported;
+}
+
+/** User rules first (the converter takes the first matching rule), then the imported ones. */
+function mergeRules(userRules, importedRules) {
+  if (!importedRules) return userRules;
+  if (!userRules) return importedRules;
+  return {
+    rules: [...(userRules.rules || []), ...(importedRules.rules || [])],
+    csv: { ...(importedRules.csv || {}), ...(userRules.csv || {}) },
+  };
+}
+
+/**
+ * Converts a collection (or imported HAR / OpenAPI document) and writes the YAML / CSV files.
+ * @returns {{ written: string[], kept: string[], invalid: { file: string, problems: string[] }[], warnings: string[] }}
+ */
+function convertCollection(options) {
+  const { collection, rules: importedRules, warnings: importWarnings } = readSource(options);
+  const converter = createConverter({
+    environment: options.environment ? readJson(options.environment, "environment") : undefined,
+    rules: mergeRules(options.rules ? readJson(options.rules, "rules file") : undefined, importedRules),
+    jsonBodyMode: options.jsonBody === "json" ? "structured_json" : "raw_data",
+    placeholderPayload: false,
+    dataDir: path.relative(options.scriptsDir, options.dataDir).split(path.sep).join("/") || ".",
+    processorPath: path.relative(options.scriptsDir, path.join(__dirname, "custom-artillery-utils.js")).split(path.sep).join("/"),
+  });
+
+  let requests = converter.loadCollection(collection);
+  if (options.include && options.include.length > 0) {
+    const patterns = options.include.map(toRegExp);
+    requests = requests.filter((r) => patterns.some((p) => p.test(r.customName)));
+  }
+  if (requests.length === 0) throw new Error("No requests to convert (empty collection or --include matched nothing)");
+
+  const source = options.har || options.openapi || options.collection;
+  const collectionName = (collection.info && collection.info.name) || path.basename(source, path.extname(source));
+  const files = converter.buildFiles(requests, {
+    mode: options.mode,
+    fileName: options.output || `${collectionName.replace(/[^a-zA-Z0-9_-]/g, "_")}.yml`,
+  });
+
+  const written = [];
+  const kept = [];
+  const invalid = [];
+  const warnings = [...importWarnings, ...files.flatMap((file) => file.warnings)];
+  fs.mkdirSync(options.scriptsDir, { recursive: true });
+  files.forEach((file) => {
+    const target = path.join(options.scriptsDir, file.fileName);
+    if (file.problems.length > 0) {
+      invalid.push({ file: target, problems: formatProblems(file.problems) });
+      if (!options.force) return;
+    }
+    fs.writeFileSync(target, file.content);
+    written.push(target);
+  });
+
+  const dataFiles = converter.buildDataFiles();
+  if (dataFiles.length > 0) fs.mkdirSync(options.dataDir, { recursive: true });
+  dataFiles.forEach((file) => {
+    const target = path.join(options.dataDir, file.fileName);
+    if (fs.existsSync(target) && !options.overwriteData) {
+      kept.push(target);
+      return;
+    }
+    fs.writeFileSync(target, file.content);
+    written.push(target);
+  });
+  return { written, kept, invalid, warnings };
+}
+
+// -------------------------------
+// CLI
+// -------------------------------
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const sources = ["collection", "har", "openapi"].filter((key) => typeof args[key] === "string");
+  if (sources.length !== 1 || (!args.app && !args["scripts-dir"])) {
+    console.error("Usage: node utilities/postman-to-artillery.js --collection <collection.json> | --har <recording.har> | --openapi <spec.json|yaml> --app <app> | --scripts-dir <dir> [--data-dir <dir>] [--environment <env.json>] [--rules <rules.json>] [--mode single|multiple] [--output <file.yml>] [--json-body raw|json] [--include <names>] [--overwrite-data] [--force] [--hosts <hosts>] [--min-think <seconds>]");
+    return 2;
+  }
+
+  const appDir = args.app ? path.join(REPO_ROOT, "applications", args.app) : null;
+  const scriptsDir = args["scripts-dir"] || path.join(appDir, "scripts");
+  const dataDir = args["data-dir"] || (appDir ? path.join(appDir, "data") : path.join(scriptsDir, "..", "data"));
+
+  try {
+    const { written, kept, invalid, warnings } = convertCollection({
+      collection: args.collection,
+      har: args.har,
+      openapi: args.openapi,
+      hosts: splitList(args.hosts),
+      minThink: args["min-think"] !== undefined ? Number(args["min-think"]) : undefined,
+      environment: args.environment,
+      rules: args.rules,
+      scriptsDir,
+      dataDir,
+      mode: args.mode === "multiple" ? "multiple" : "single",
+      output: args.output,
+      jsonBody: args["json-body"],
+      include: splitList(args.include),
+      overwriteData: Boolean(args["overwrite-data"]),
+      force: Boolean(args.force),
+    });
+    written.forEach((file) => console.log(`✅ Wrote ${path.relative(process.cwd(), file)}`));
+    kept.forEach((file) => console.log(`ℹ️ Kept existing ${path.relative(process.cwd(), file)} (use --overwrite-data to replace)`));
+    warnings.forEach((warning) => console.warn(`⚠️ ${warning}`));
+    invalid.forEach(({ file, problems }) => {
+      console.error(`❌ ${path.relative(process.cwd(), file)} fails the Artillery script check${args.force ? " (written anyway, --force)" : " (not written)"}:`);
+      problems.forEach((problem) => console.error(`   - ${problem}`));
+    });
+    return invalid.length > 0 && !args.force ? 1 : 0;
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  convertCollection,
+  main,
+};
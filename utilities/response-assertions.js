@@ -0,0 +1,367 @@
+/**
+ * ============================================================
+ * DECLARATIVE RESPONSE ASSERTIONS (afterResponse: "assertResponse")
+ * ============================================================
+ * Provides:
+ *   ✅ Status sets and max latency
+ *   ✅ Header checks (exists / equals / regex)
+ *   ✅ JSONPath existence / equality / regex
+ *   ✅ JSON Schema validation (ajv if installed, built-in subset otherwise)
+ *   ✅ One Artillery counter per failed rule: assertions.<request>.<rule>.failed
+ *   ✅ Failures written to errors.jsonl via the structured logger
+ *   ✅ Failures fail the VU's open transactions (utilities/transactions.js)
+ * ============================================================
+ *
+ * HOW TO USE IN YAML:
+ *   - post:
+ *       name: "create-order"
+ *       url: "/orders"
+ *       afterResponse: "assertResponse"
+ *       assertions:
+ *         status: [200, 201]
+ *         maxLatencyMs: 800
+ *         headers:
+ *           content-type: { matches: "application/json" }
+ *           x-request-id: { exists: true }
+ *         jsonPath:
+ *           - { path: "$.id", exists: true }
+ *           - { path: "$.status", equals: "CREATED" }
+ *           - { path: "$.items[*].sku", matches: "^SKU-", name: "skuFormat" }
+ *           - { path: "$.userId", equals: "{{ userId }}" }     # templates resolve from context.vars
+ *         schema: "./schemas/order.schema.json"                 # path or inline schema object
+ *         abortOnFailure: false                                 # true → fail the request/VU like validateResponseData
+ *
+ * Rule names (used in counters) default to: status, latency, header.<name>,
+ * jsonPath.<path>, schema — or set 'name' on a header/jsonPath rule.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { renderTemplate } = require("./artillery-request");
+const jsonlLogger = require("./jsonl-logger");
+const { markTransactionFailed, abortTransactions } = require("./transactions");
+
+// -------------------------------
+// JSONPath (subset): $, .key, ['key'], [n], [*], .*, ..key
+// -------------------------------
+
+function tokenizeJsonPath(expression) {
+  const tokens = [];
+  const expr = expression.trim().replace(/^\$/, "");
+  const re = /\.\.([A-Za-z0-9_$-]+|\*)|\.([A-Za-z0-9_$-]+|\*)|\[\s*'([^']*)'\s*\]|\[\s*"([^"]*)"\s*\]|\[\s*(-?\d+)\s*\]|\[\s*\*\s*\]/gy;
+  let match;
+  while (re.lastIndex < expr.length && (match = re.exec(expr)) !== null) {
+    if (match[1] !== undefined) tokens.push({ type: "deep", key: match[1] });
+    else if (match[2] !== undefined) tokens.push(match[2] === "*" ? { type: "wildcard" } : { type: "key", key: match[2] });
+    else if (match[3] !== undefined) tokens.push({ type: "key", key: match[3] });
+    else if (match[4] !== undefined) tokens.push({ type: "key", key: match[4] });
+    else if (match[5] !== undefined) tokens.push({ type: "index", index: Number(match[5]) });
+    else tokens.push({ type: "wildcard" });
+  }
+  if (re.lastIndex !== expr.length && expr.length > 0) {
+    throw new Error(`Unsupported JSONPath expression: ${expression}`);
+  }
+  return tokens;
+}
+
+function collectDeep(node, key, out) {
+  if (Array.isArray(node)) {
+    node.forEach((child) => collectDeep(child, key, out));
+  } else if (node && typeof node === "object") {
+    Object.entries(node).forEach(([k, v]) => {
+      if (key === "*" || k === key) out.push(v);
+      collectDeep(v, key, out);
+    });
+  }
+}
+
+/**
+ * Evaluates a JSONPath expression and returns every matching value.
+ * @returns {Array} Matches (empty when the path does not exist).
+ */
+function queryJsonPath(data, expression) {
+  let nodes = [data];
+  tokenizeJsonPath(expression).forEach((token) => {
+    const next = [];
+    nodes.forEach((node) => {
+      if (node === null || node === undefined) return;
+      if (token.type === "key") {
+        if (typeof node === "object" && Object.prototype.hasOwnProperty.call(node, token.key)) next.push(node[token.key]);
+      } else if (token.type === "index") {
+        if (Array.isArray(node)) {
+          const ix = token.index < 0 ? node.length + token.index : token.index;
+          if (ix >= 0 && ix < node.length) next.push(node[ix]);
+        }
+      } else if (token.type === "wildcard") {
+        if (typeof node === "object") next.push(...Object.values(node));
+      } else {
+        collectDeep(node, token.key, next);
+      }
+    });
+    nodes = next;
+  });
+  return nodes;
+}
+
+// -------------------------------
+// JSON Schema
+// -------------------------------
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Built-in validator for the common draft-07 keywords: type, enum, const,
+ * required, properties, additionalProperties, items, min/maxItems,
+ * min/maxLength, pattern, minimum/maximum, allOf/anyOf/oneOf.
+ * @returns {string[]} Error messages (empty when valid).
+ */
+function validateSchemaSubset(schema, value, pointer = "$") {
+  const errors = [];
+  if (!schema || typeof schema !== "object") return errors;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOf(value);
+    const ok = types.some((t) => t === actual || (t === "number" && actual === "integer"));
+    if (!ok) return [`${pointer}: expected ${types.join("|")}, got ${actual}`];
+  }
+  if (schema.enum && !schema.enum.some((v) => deepEqual(v, value))) errors.push(`${pointer}: not one of enum values`);
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) errors.push(`${pointer}: does not equal const`);
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${pointer}: shorter than ${schema.minLength}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${pointer}: longer than ${schema.maxLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${pointer}: does not match ${schema.pattern}`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${pointer}: below minimum ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${pointer}: above maximum ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${pointer}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${pointer}: more than ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === "object") {
+      value.forEach((item, i) => errors.push(...validateSchemaSubset(schema.items, item, `${pointer}[${i}]`)));
+    }
+  }
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) errors.push(`${pointer}: missing required property '${key}'`);
+    });
+    const props = schema.properties || {};
+    Object.entries(value).forEach(([key, child]) => {
+      if (props[key]) {
+        errors.push(...validateSchemaSubset(props[key], child, `${pointer}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${pointer}: unexpected property '${key}'`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        errors.push(...validateSchemaSubset(schema.additionalProperties, child, `${pointer}.${key}`));
+      }
+    });
+  }
+  (schema.allOf || []).forEach((sub) => errors.push(...validateSchemaSubset(sub, value, pointer)));
+  if (schema.anyOf && !schema.anyOf.some((sub) => validateSchemaSubset(sub, value, pointer).length === 0)) {
+    errors.push(`${pointer}: does not match anyOf`);
+  }
+  if (schema.oneOf && schema.oneOf.filter((sub) => validateSchemaSubset(sub, value, pointer).length === 0).length !== 1) {
+    errors.push(`${pointer}: does not match exactly one of oneOf`);
+  }
+  return errors;
+}
+
+let ajv;
+function loadAjv() {
+  if (ajv !== undefined) return ajv;
+  try {
+    const Ajv = require("ajv");
+    ajv = new (Ajv.default || Ajv)({ allErrors: true, strict: false });
+  } catch (err) {
+    ajv = null;
+  }
+  return ajv;
+}
+
+// Compiled validators per schema source (file path or inline JSON)
+const schemaCache = new Map();
+
+function getSchemaValidator(schemaSpec, context) {
+  const cacheKey = typeof schemaSpec === "string" ? schemaSpec : JSON.stringify(schemaSpec);
+  if (schemaCache.has(cacheKey)) return schemaCache.get(cacheKey);
+
+  let schema = schemaSpec;
+  if (typeof schemaSpec === "string") {
+    const baseDir = (context && context.vars && context.vars.$dirname) || process.cwd();
+    schema = JSON.parse(fs.readFileSync(path.resolve(baseDir, schemaSpec), "utf8"));
+  }
+
+  let validator;
+  const ajvInstance = loadAjv();
+  if (ajvInstance) {
+    const compiled = ajvInstance.compile(schema);
+    validator = (value) => (compiled(value) ? [] : compiled.errors.map((e) => `$${e.instancePath}: ${e.message}`));
+  } else {
+    validator = (value) => validateSchemaSubset(schema, value);
+  }
+  schemaCache.set(cacheKey, validator);
+  return validator;
+}
+
+// -------------------------------
+// Rule evaluation
+// -------------------------------
+
+function checkValue(actual, rule, vars) {
+  if (rule.exists !== undefined) {
+    const present = actual !== undefined;
+    if (present !== Boolean(rule.exists)) return rule.exists ? "expected to exist" : "expected not to exist";
+  }
+  if (rule.equals !== undefined) {
+    const expected = renderTemplate(rule.equals, vars);
+    // Loose match so "42" in YAML equals 42 in the body
+    if (!deepEqual(actual, expected) && String(actual) !== String(expected)) {
+      return `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`;
+    }
+  }
+  if (rule.matches !== undefined) {
+    if (actual === undefined || !new RegExp(rule.matches).test(String(actual))) {
+      return `expected to match /${rule.matches}/, got ${JSON.stringify(actual)}`;
+    }
+  }
+  return null;
+}
+
+function parseBody(response) {
+  if (!response || response.body === undefined || response.body === null) return undefined;
+  if (typeof response.body === "object" && !Buffer.isBuffer(response.body)) return response.body;
+  try {
+    return JSON.parse(response.body.toString());
+  } catch (err) {
+    return undefined;
+  }
+}
+
+/** Sanitises a request/rule name for use inside an Artillery counter name. */
+function counterSafe(str, allowDots = false) {
+  const unsafe = allowDots ? /[^A-Za-z0-9_.*\[\]-]+/g : /[^A-Za-z0-9_*\[\]-]+/g;
+  return String(str).replace(unsafe, "_").replace(/^_+|_+$/g, "");
+}
+
+/**
+ * Evaluates an 'assertions' block against a response.
+ * @returns {Array<{rule: string, message: string}>} Failures (empty when all pass).
+ */
+function evaluateAssertions(assertions, response, context) {
+  const failures = [];
+  const vars = (context && context.vars) || {};
+  const fail = (rule, message) => failures.push({ rule, message });
+
+  if (!response) {
+    fail("response", "no response received");
+    return failures;
+  }
+
+  if (assertions.status !== undefined) {
+    const allowed = (Array.isArray(assertions.status) ? assertions.status : [assertions.status]).map(Number);
+    if (!allowed.includes(response.statusCode)) fail("status", `status ${response.statusCode} not in [${allowed.join(", ")}]`);
+  }
+
+  if (assertions.maxLatencyMs !== undefined) {
+    const timings = response.timings && response.timings.phases;
+    const latency = timings ? timings.total : undefined;
+    if (latency !== undefined && latency > assertions.maxLatencyMs) {
+      fail("latency", `latency ${latency}ms > ${assertions.maxLatencyMs}ms`);
+    }
+  }
+
+  Object.entries(assertions.headers || {}).forEach(([header, spec]) => {
+    const rule = spec && typeof spec === "object" ? spec : { equals: spec };
+    const actual = (response.headers || {})[header.toLowerCase()];
+    const message = checkValue(actual, rule, vars);
+    if (message) fail(rule.name || `header.${header}`, `header ${header} ${message}`);
+  });
+
+  const jsonRules = assertions.jsonPath || [];
+  const needsBody = jsonRules.length > 0 || assertions.schema;
+  const body = needsBody ? parseBody(response) : undefined;
+  if (needsBody && body === undefined) {
+    fail("body", "response body is not JSON");
+    return failures;
+  }
+
+  jsonRules.forEach((rule) => {
+    const matches = queryJsonPath(body, rule.path);
+    const name = rule.name || `jsonPath.${rule.path.replace(/^\$\.?/, "")}`;
+    if (matches.length === 0) {
+      const message = checkValue(undefined, rule, vars);
+      if (message) fail(name, `${rule.path} ${message}`);
+      return;
+    }
+    matches.some((actual) => {
+      const message = checkValue(actual, rule, vars);
+      if (message) fail(name, `${rule.path} ${message}`);
+      return Boolean(message);
+    });
+  });
+
+  if (assertions.schema) {
+    const errors = getSchemaValidator(assertions.schema, context)(body);
+    if (errors.length > 0) fail("schema", `schema validation failed: ${errors.slice(0, 5).join("; ")}`);
+  }
+
+  return failures;
+}
+
+// -------------------------------
+// Artillery hook
+// -------------------------------
+
+/**
+ * AFTER RESPONSE HOOK: Runs the request's declarative 'assertions' block.
+ * Each failed rule increments 'assertions.<request>.<rule>.failed' and the
+ * failures are logged to errors.jsonl. With 'abortOnFailure: true' the request
+ * is failed via next(err).
+ */
+function assertResponse(requestParams, response, context, ee, next) {
+  const assertions = requestParams.assertions;
+  if (!assertions) return next();
+
+  let failures;
+  try {
+    failures = evaluateAssertions(assertions, response, context);
+  } catch (err) {
+    failures = [{ rule: "config", message: err.message }];
+  }
+  if (failures.length === 0) return next();
+
+  const requestName = counterSafe(requestParams.name || `${requestParams.method || "GET"} ${requestParams.url}`);
+  failures.forEach((failure) => {
+    if (ee) ee.emit("counter", `assertions.${requestName}.${counterSafe(failure.rule, true)}.failed`, 1);
+  });
+  jsonlLogger.logResponse(requestParams, response, context, {
+    isError: true,
+    extra: { assertionFailures: failures },
+  });
+  markTransactionFailed(context, { error: "AssertionFailure" });
+
+  if (assertions.abortOnFailure) {
+    if (ee) abortTransactions(context, ee, "AssertionFailure");
+    return next(new Error(`Assertions failed for ${requestName}: ${failures.map((f) => f.message).join("; ")}`));
+  }
+  return next();
+}
+
+module.exports = {
+  assertResponse,
+  evaluateAssertions,
+  queryJsonPath,
+  validateSchemaSubset,
+};
@@ -0,0 +1,141 @@
+/**
+ * ============================================================
+ * SHARED STATE STORES (across the worker threads of a run)
+ * ============================================================
+ * Provides:
+ *   ✅ MemoryStore: state kept in the current worker
+ *   ✅ FileStore: state in a JSON file behind a lock directory, so every
+ *      worker thread (or process) using the same file sees one state
+ *   ✅ runFile(kind, name): the per-run file name in the temp dir
+ *      (DATA_POOL_DIR overrides the directory)
+ *   ✅ removeRunFiles(): deletes this run's files (called by the run-state
+ *      plugin, utilities/artillery-plugin-run-state.js, when the run ends)
+ * ============================================================
+ * Both stores expose update(fn): fn(state) runs atomically and returns
+ * { result, changed }; the state is written back only when changed.
+ * Used by data-pools.js ('shared' pools) and data-feeder.js (cursors and
+ * leases, so rows are handed out once per run rather than once per worker).
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 10000;
+const SHARED_STATE_DIR = process.env.DATA_POOL_DIR || os.tmpdir();
+
+// Blocks the calling thread briefly while another worker holds a file lock
+const lockWait = new Int32Array(new SharedArrayBuffer(4));
+const sleepSync = (ms) => Atomics.wait(lockWait, 0, 0, ms);
+
+class MemoryStore {
+  constructor(initialState) {
+    this.state = initialState;
+  }
+
+  update(fn) {
+    return fn(this.state).result;
+  }
+}
+
+class FileStore {
+  constructor(file, initialState) {
+    this.file = file;
+    this.lockDir = `${file}.lock`;
+    this.initialState = initialState;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  lock() {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        fs.mkdirSync(this.lockDir);
+        return;
+      } catch (err) {
+        if (err.code !== "EEXIST") throw err;
+      }
+      try {
+        // A worker stopped mid-update leaves its lock behind
+        if (Date.now() - fs.statSync(this.lockDir).mtimeMs > LOCK_STALE_MS) fs.rmdirSync(this.lockDir);
+      } catch (err) {
+        // Released in the meantime
+      }
+      if (Date.now() > deadline) throw new Error(`Shared state file ${this.file} is locked (remove ${this.lockDir} if no test is running)`);
+      sleepSync(2);
+    }
+  }
+
+  update(fn) {
+    this.lock();
+    try {
+      let state = JSON.parse(JSON.stringify(this.initialState));
+      if (fs.existsSync(this.file)) state = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      const { result, changed } = fn(state);
+      if (changed) {
+        const tmp = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(state));
+        fs.renameSync(tmp, this.file);
+      }
+      return result;
+    } finally {
+      fs.rmdirSync(this.lockDir);
+    }
+  }
+}
+
+/**
+ * Identifies this process: local workers are threads of one process, so it scopes
+ * a file to the run. The start time (Linux) keeps a later process that reuses
+ * the pid from picking up a stale file.
+ */
+function processKey() {
+  try {
+    const stat = fs.readFileSync("/proc/self/stat", "utf8");
+    const startTime = stat.slice(stat.lastIndexOf(")") + 2).split(" ")[19];
+    return `${process.pid}-${startTime}`;
+  } catch (err) {
+    return String(process.pid);
+  }
+}
+
+const PROCESS_KEY = processKey();
+
+/** File shared by the workers of this run. */
+function runFile(kind, name) {
+  return path.join(SHARED_STATE_DIR, `artillery-${kind}-${name}-${PROCESS_KEY}.json`);
+}
+
+/**
+ * Deletes the run files of this process (with their lock directories and
+ * half-written temp files). Call it once every worker has stopped.
+ * @returns {number} Files removed
+ */
+function removeRunFiles() {
+  const suffix = `-${PROCESS_KEY}.json`;
+  let removed = 0;
+  let entries = [];
+  try {
+    entries = fs.readdirSync(SHARED_STATE_DIR);
+  } catch (err) {
+    return removed;
+  }
+  entries.filter((entry) => entry.startsWith("artillery-") && entry.includes(suffix)).forEach((entry) => {
+    const file = path.join(SHARED_STATE_DIR, entry);
+    try {
+      fs.rmSync(file, { recursive: true, force: true });
+      if (entry.endsWith(suffix)) removed += 1;
+    } catch (err) {
+      console.warn(`⚠️ Could not remove shared state file ${file}: ${err.message}`);
+    }
+  });
+  return removed;
+}
+
+module.exports = {
+  MemoryStore,
+  FileStore,
+  runFile,
+  removeRunFiles,
+};
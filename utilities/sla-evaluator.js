@@ -0,0 +1,392 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * PER-ENDPOINT SLA EVALUATION + PASS/FAIL GATE
+ * ============================================================
+ * Provides:
+ *   ✅ Reads Artillery JSON reports (result_runner_*.json) + sla.json
+ *   ✅ Percentile, error-rate and throughput targets per endpoint
+ *   ✅ Per-environment overrides (test / prod / …)
+ *   ✅ Verdict as JSON + JUnit XML, non-zero exit on breach
+ * ============================================================
+ *
+ * HOW TO RUN:
+ *   node utilities/sla-evaluator.js \
+ *     --json "reports/result_runner_1.json,reports/result_runner_2.json" \
+ *     --sla applications/app1/scripts/sla.json \
+ *     --env test \
+ *     --output-dir reports
+ *
+ *   Writes <output-dir>/sla-verdict.json and <output-dir>/sla-junit.xml.
+ *   Exit code: 0 = all SLAs met, 1 = at least one breach, 2 = bad input.
+ *
+ * SLA.JSON (schema: utilities/sla.schema.json):
+ *   {
+ *     "defaults":  { "p95": 500, "maxErrorRate": 0.01 },
+ *     "endpoints": {
+ *       "orders-nafj7uberq-uc.a.run.app/": { "p95": 500, "p99": 1500, "expectedTph": 545, "tphTolerance": 0.1 }
+ *     },
+ *     "environments": {
+ *       "test": { "defaults": { "p95": 800 }, "endpoints": { "orders-nafj7uberq-uc.a.run.app/": { "p95": 900 } } }
+ *     },
+ *     "matchByService": false
+ *   }
+ *
+ * TARGET FIELDS (all optional):
+ *   p50 | p75 | p90 | p95 | p99 | p999 | max | mean   response time ceiling (ms)
+ *   maxErrorRate   highest allowed failed/total ratio (0..1); non-2xx responses and
+ *                  connection errors count as failed, as in the dashboard
+ *   minTph         lowest allowed achieved transactions per hour
+ *   expectedTph    planned transactions per hour (shown by the dashboard)
+ *   tphTolerance   with expectedTph: achieved TPH must be ≥ expectedTph × (1 − tolerance)
+ *
+ * Endpoint keys are the metrics-by-endpoint names, matched exactly ('{{ }}'
+ * segments and trailing '/' ignored). With "matchByService": true an endpoint
+ * without its own entry takes the first key on the same service (hostname
+ * prefix, as the Python dashboard did); the verdict records the key and how it
+ * matched. Endpoints with no entry use 'defaults'; without defaults they are
+ * reported as 'no-sla' and do not fail the run.
+ * The legacy positional format ("key": [p95, expectedTph]) is still accepted and
+ * keeps matching by service name, as the dashboard always did for it.
+ *
+ * Multiple reports are combined by summing counts and taking the highest
+ * percentile of any runner (conservative). Pass the report written by
+ * utilities/merge-reports.js to evaluate the merged percentiles instead.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs, splitList } = require("./cli-args");
+
+const ENDPOINT_PREFIX = "plugins.metrics-by-endpoint.";
+const RESPONSE_TIME_PREFIX = `${ENDPOINT_PREFIX}response_time.`;
+const LATENCY_FIELDS = ["p50", "p75", "p90", "p95", "p99", "p999", "max", "mean"];
+
+// -------------------------------
+// SLA config
+// -------------------------------
+
+/** Legacy [p95, expectedTph] tuples become { p95, expectedTph }. */
+function normalizeTargets(value) {
+  if (Array.isArray(value)) {
+    const targets = { p95: value[0] };
+    if (value[1] !== undefined) targets.expectedTph = value[1];
+    return targets;
+  }
+  return { ...(value || {}) };
+}
+
+/**
+ * Normalizes a parsed sla.json (named or legacy format) and applies the
+ * overrides of 'environment', field by field.
+ * @returns {{ defaults: Object|null, endpoints: Object<string, Object>, environment: string|null, matchByService: boolean }}
+ */
+function resolveSlaConfig(raw, environment) {
+  const named = raw && (raw.endpoints || raw.defaults || raw.environments);
+  const base = named ? raw.endpoints || {} : raw || {};
+
+  const endpoints = {};
+  Object.entries(base).forEach(([key, value]) => {
+    endpoints[key] = normalizeTargets(value);
+  });
+  let defaults = named && raw.defaults ? normalizeTargets(raw.defaults) : null;
+
+  const override = environment && named && raw.environments ? raw.environments[environment] : null;
+  if (override) {
+    if (override.defaults) defaults = { ...(defaults || {}), ...normalizeTargets(override.defaults) };
+    Object.entries(override.endpoints || {}).forEach(([key, value]) => {
+      endpoints[key] = { ...(endpoints[key] || {}), ...normalizeTargets(value) };
+    });
+  }
+  return { defaults, endpoints, environment: override ? environment : null, matchByService: named ? Boolean(raw.matchByService) : true };
+}
+
+function loadSlaConfig(filePath, environment) {
+  return resolveSlaConfig(JSON.parse(fs.readFileSync(filePath, "utf8")), environment);
+}
+
+/** Same heuristic as extract_core_service_name in generate_artillery_dashboard.py. */
+function coreServiceName(name) {
+  const hostname = name.replace("http://", "").replace("https://", "").split("/")[0];
+  const match = hostname.match(/^([a-zA-Z]+)(?:[-.0-9a-zA-Z]*)\./);
+  if (match) return match[1];
+  return hostname.split(".")[0].split("-")[0];
+}
+
+/** The sla.json key naming exactly this endpoint ('{{ }}' segments and trailing '/' ignored), or null. */
+function exactSlaKey(endpoint, keys) {
+  const canonical = endpoint.replace(/\/\{\{.*?\}\}/g, "").replace(/\/+$/, "");
+  if (keys.includes(canonical)) return canonical;
+  return keys.find((key) => key.replace(/\/+$/, "") === canonical) || null;
+}
+
+/**
+ * Finds the sla.json key for an endpoint: exact, then (only with byService) the
+ * first key on the same service.
+ * @returns {{ key: string, matchedBy: string }|null} matchedBy: 'exact' | 'service'
+ */
+function matchSlaKey(endpoint, keys, { byService = false } = {}) {
+  const exact = exactSlaKey(endpoint, keys);
+  if (exact) return { key: exact, matchedBy: "exact" };
+  if (!byService) return null;
+  const service = coreServiceName(endpoint);
+  const key = keys.find((candidate) => coreServiceName(candidate) === service);
+  return key ? { key, matchedBy: "service" } : null;
+}
+
+// -------------------------------
+// Report metrics
+// -------------------------------
+
+/**
+ * Combines the 'aggregate' sections of one or more Artillery reports.
+ * @returns {{ counters: Object, summaries: Object, firstMetricAt: number, lastMetricAt: number }}
+ */
+function combineReports(reports) {
+  const combined = { counters: {}, summaries: {}, firstMetricAt: Infinity, lastMetricAt: -Infinity };
+
+  reports.forEach((report) => {
+    const aggregate = report.aggregate || {};
+    Object.entries(aggregate.counters || {}).forEach(([key, value]) => {
+      combined.counters[key] = (combined.counters[key] || 0) + value;
+    });
+    Object.entries(aggregate.summaries || {}).forEach(([key, summary]) => {
+      const existing = combined.summaries[key];
+      if (!existing) {
+        combined.summaries[key] = { ...summary };
+        return;
+      }
+      const n1 = existing.count || 0;
+      const n2 = summary.count || 0;
+      if (n1 + n2 > 0) existing.mean = ((existing.mean || 0) * n1 + (summary.mean || 0) * n2) / (n1 + n2);
+      if (typeof summary.min === "number") existing.min = typeof existing.min === "number" ? Math.min(existing.min, summary.min) : summary.min;
+      LATENCY_FIELDS.filter((f) => f !== "mean").forEach((field) => {
+        const values = [existing[field], summary[field]].filter((v) => typeof v === "number");
+        if (values.length > 0) existing[field] = Math.max(...values);
+      });
+      existing.count = n1 + n2;
+    });
+
+    const first = aggregate.firstMetricAt || aggregate.firstCounterAt;
+    const last = aggregate.lastMetricAt || aggregate.lastCounterAt;
+    if (first) combined.firstMetricAt = Math.min(combined.firstMetricAt, first);
+    if (last) combined.lastMetricAt = Math.max(combined.lastMetricAt, last);
+  });
+  return combined;
+}
+
+/** Endpoint names seen in metrics-by-endpoint counters and summaries. */
+function discoverEndpoints(combined) {
+  const endpoints = new Set();
+  Object.keys(combined.counters).forEach((key) => {
+    if (!key.startsWith(ENDPOINT_PREFIX)) return;
+    const part = key.slice(ENDPOINT_PREFIX.length);
+    if (part.includes(".codes.")) endpoints.add(part.split(".codes.")[0]);
+    else if (part.includes(".errors.")) endpoints.add(part.split(".errors.")[0]);
+  });
+  Object.keys(combined.summaries).forEach((key) => {
+    if (key.startsWith(RESPONSE_TIME_PREFIX)) endpoints.add(key.slice(RESPONSE_TIME_PREFIX.length));
+  });
+  return [...endpoints].sort();
+}
+
+/** Count, pass/fail split, error rate, latency summary and achieved TPH for one endpoint. */
+function endpointMetrics(combined, endpoint) {
+  let responses = 0;
+  let passed = 0;
+  let errors = 0;
+  Object.entries(combined.counters).forEach(([key, value]) => {
+    const codes = `${ENDPOINT_PREFIX}${endpoint}.codes.`;
+    const errs = `${ENDPOINT_PREFIX}${endpoint}.errors.`;
+    if (key.startsWith(codes)) {
+      responses += value;
+      if (/^2\d\d$/.test(key.slice(codes.length))) passed += value;
+    } else if (key.startsWith(errs)) {
+      errors += value;
+    }
+  });
+
+  const total = responses + errors;
+  const durationSec = Number.isFinite(combined.firstMetricAt) && combined.lastMetricAt > combined.firstMetricAt
+    ? (combined.lastMetricAt - combined.firstMetricAt) / 1000
+    : 0;
+  const summary = combined.summaries[`${RESPONSE_TIME_PREFIX}${endpoint}`] || {};
+
+  const latency = {};
+  LATENCY_FIELDS.forEach((field) => {
+    if (typeof summary[field] === "number") latency[field] = summary[field];
+  });
+  return {
+    total,
+    passed,
+    failed: total - passed,
+    errorRate: total > 0 ? (total - passed) / total : 0,
+    tph: durationSec > 0 ? Math.round((total / durationSec) * 3600) : null,
+    latency,
+  };
+}
+
+// -------------------------------
+// Evaluation
+// -------------------------------
+
+function checkTargets(metrics, targets) {
+  const checks = [];
+  LATENCY_FIELDS.forEach((field) => {
+    if (targets[field] === undefined || targets[field] === null) return;
+    const actual = metrics.latency[field];
+    checks.push({
+      rule: `${field} <= ${targets[field]}ms`,
+      target: targets[field],
+      actual: actual === undefined ? null : actual,
+      passed: actual !== undefined && actual <= targets[field],
+    });
+  });
+  if (targets.maxErrorRate !== undefined) {
+    checks.push({
+      rule: `errorRate <= ${targets.maxErrorRate}`,
+      target: targets.maxErrorRate,
+      actual: Number(metrics.errorRate.toFixed(6)),
+      passed: metrics.errorRate <= targets.maxErrorRate,
+    });
+  }
+  const minTph = targets.minTph !== undefined
+    ? targets.minTph
+    : targets.expectedTph !== undefined && targets.tphTolerance !== undefined
+    ? Math.floor(targets.expectedTph * (1 - targets.tphTolerance))
+    : undefined;
+  if (minTph !== undefined) {
+    checks.push({
+      rule: `tph >= ${minTph}`,
+      target: minTph,
+      actual: metrics.tph,
+      passed: metrics.tph !== null && metrics.tph >= minTph,
+    });
+  }
+  return checks;
+}
+
+/**
+ * Evaluates every endpoint of the reports against the SLA config.
+ * @param {Object[]} reports - Parsed Artillery JSON reports.
+ * @param {Object} sla - From resolveSlaConfig / loadSlaConfig.
+ * @returns {Object} Verdict: { passed, breaches, environment, endpoints: [{ endpoint, slaKey, matchedBy, status, metrics, checks }] }
+ */
+function evaluate(reports, sla) {
+  const combined = combineReports(reports);
+  const keys = Object.keys(sla.endpoints);
+
+  const endpoints = discoverEndpoints(combined).map((endpoint) => {
+    const metrics = endpointMetrics(combined, endpoint);
+    const match = matchSlaKey(endpoint, keys, { byService: sla.matchByService });
+    const slaKey = match ? match.key : null;
+    const matchedBy = match ? match.matchedBy : sla.defaults ? "defaults" : null;
+    const targets = slaKey ? { ...(sla.defaults || {}), ...sla.endpoints[slaKey] } : sla.defaults;
+
+    if (!targets) return { endpoint, slaKey: null, matchedBy, status: "no-sla", metrics, checks: [] };
+    if (metrics.total === 0) return { endpoint, slaKey, matchedBy, status: "no-traffic", metrics, checks: [] };
+
+    const checks = checkTargets(metrics, targets);
+    return { endpoint, slaKey, matchedBy, status: checks.every((c) => c.passed) ? "passed" : "breached", metrics, checks };
+  });
+
+  const breaches = endpoints.reduce((n, ep) => n + ep.checks.filter((c) => !c.passed).length, 0);
+  return {
+    generatedAt: new Date().toISOString(),
+    environment: sla.environment,
+    passed: breaches === 0,
+    breaches,
+    endpoints,
+  };
+}
+
+// -------------------------------
+// Output
+// -------------------------------
+
+const xmlEscape = (value) => String(value)
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/** JUnit XML: one testcase per endpoint check, 'no-sla' / 'no-traffic' endpoints as skipped. */
+function toJUnitXml(verdict) {
+  const cases = [];
+  verdict.endpoints.forEach((ep) => {
+    if (ep.checks.length === 0) {
+      cases.push(`    <testcase classname="${xmlEscape(ep.endpoint)}" name="sla"><skipped message="${ep.status}"/></testcase>`);
+      return;
+    }
+    ep.checks.forEach((check) => {
+      const open = `    <testcase classname="${xmlEscape(ep.endpoint)}" name="${xmlEscape(check.rule)}">`;
+      cases.push(check.passed
+        ? `${open}</testcase>`
+        : `${open}<failure message="${xmlEscape(`${check.rule} (actual: ${check.actual})`)}" type="SlaBreach"/></testcase>`);
+    });
+  });
+
+  const tests = cases.length;
+  const skipped = verdict.endpoints.filter((ep) => ep.checks.length === 0).length;
+  const name = `SLA${verdict.environment ? ` (${verdict.environment})` : ""}`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${xmlEscape(name)}" tests="${tests}" failures="${verdict.breaches}">`,
+    `  <testsuite name="${xmlEscape(name)}" tests="${tests}" failures="${verdict.breaches}" skipped="${skipped}" timestamp="${verdict.generatedAt}">`,
+    ...cases,
+    "  </testsuite>",
+    "</testsuites>",
+    "",
+  ].join("\n");
+}
+
+// -------------------------------
+// CLI
+// -------------------------------
+
+function main(argv) {
+  const args = parseArgs(argv);
+  if (!args.json || !args.sla) {
+    console.error("Usage: node utilities/sla-evaluator.js --json <report.json[,report2.json]> --sla <sla.json> [--env <name>] [--output-dir <dir>]");
+    return 2;
+  }
+
+  let reports;
+  let sla;
+  try {
+    reports = splitList(args.json).map((p) => JSON.parse(fs.readFileSync(p, "utf8")));
+    sla = loadSlaConfig(args.sla, args.env || process.env.SLA_ENV);
+  } catch (err) {
+    console.error(`❌ SLA evaluation input error: ${err.message}`);
+    return 2;
+  }
+
+  const verdict = evaluate(reports, sla);
+  const outDir = args["output-dir"] || ".";
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, "sla-verdict.json"), JSON.stringify(verdict, null, 2));
+  fs.writeFileSync(path.join(outDir, "sla-junit.xml"), toJUnitXml(verdict));
+
+  verdict.endpoints.forEach((ep) => {
+    const icon = ep.status === "passed" ? "✅" : ep.status === "breached" ? "❌" : "➖";
+    const failed = ep.checks.filter((c) => !c.passed).map((c) => `${c.rule} (actual: ${c.actual})`);
+    const via = ep.matchedBy === "service" ? ` (SLA of '${ep.slaKey}', same service)` : "";
+    console.log(`${icon} ${ep.endpoint}${via} — ${ep.status}${failed.length ? `: ${failed.join("; ")}` : ""}`);
+  });
+  console.log(verdict.passed ? "✅ All SLAs met." : `❌ ${verdict.breaches} SLA breach(es).`);
+  return verdict.passed ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  resolveSlaConfig,
+  loadSlaConfig,
+  exactSlaKey,
+  matchSlaKey,
+  combineReports,
+  discoverEndpoints,
+  endpointMetrics,
+  evaluate,
+  toJUnitXml,
+  main,
+};
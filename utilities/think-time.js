@@ -0,0 +1,308 @@
+/**
+ * ============================================================
+ * THINK-TIME DISTRIBUTIONS + ITERATION PACING
+ * ============================================================
+ * Provides:
+ *   ✅ Randomised think time: uniform, gaussian, exponential (Poisson arrivals),
+ *      percentiles measured in production, or an empirical file of observed pauses
+ *   ✅ Named profiles in config.variables.thinkTimes, per-request overrides
+ *   ✅ Iteration pacing (JMeter Constant Throughput Timer / LoadRunner pacing):
+ *      a VU waits until the cycle time has passed since its iteration started,
+ *      so its rate holds when the server slows down
+ *   ✅ Metrics for the applied pauses, so the effective load can be checked
+ * ============================================================
+ *
+ * HOW TO USE IN YAML:
+ *   config:
+ *     processor: "../../../processor.js"
+ *     variables:
+ *       thinkTimes:                          # an object, so Artillery passes it through as-is
+ *         default: { distribution: gaussian, mean: 3, stdDev: 1 }
+ *         browse:  { distribution: exponential, mean: 5, max: 30 }
+ *         prod:    { distribution: percentiles, percentiles: { p50: 2, p90: 6, p99: 15 } }
+ *         replay:  { distribution: empirical, path: "../data/think-times.csv", column: "seconds" }
+ *       pacing: 30                           # seconds per iteration (or a distribution spec)
+ *   scenarios:
+ *     - name: "browse"
+ *       beforeScenario: "startPacing"        # starts the VU's iteration clock
+ *       flow:
+ *         - loop:
+ *             - get: { url: "/products", name: "Products", afterResponse: "thinkAfter", thinkTime: "browse" }
+ *             - post: { url: "/cart", name: "Add to cart" }
+ *             - function: "thinkTime"        # 'default' profile
+ *             - function: "pace"             # waits out the rest of the 30 s cycle
+ *           count: 10
+ *
+ * SPECS (seconds; durations such as "500ms" / "2s" are accepted wherever a number is):
+ *   3 | "3s"                                             fixed pause
+ *   { distribution: uniform, min: 1, max: 5 }
+ *   { distribution: gaussian, mean: 3, stdDev: 1 }       clamped to [min (default 0), max]
+ *   { distribution: exponential, mean: 5 }               memoryless pauses → Poisson arrivals
+ *   { distribution: percentiles, percentiles: { p50: 2, p90: 6, p99: 15 } }
+ *                                                        interpolated between the points;
+ *                                                        p0 / p100 default to min (0) / the top point
+ *   { distribution: empirical, path: "think.csv", column: "seconds" }
+ *                                                        observed pauses (CSV with a header; first
+ *                                                        column by default, resolved like dataFeeders)
+ *   min / max clamp every distribution. Request 'thinkTime:' takes a profile name or a spec.
+ *
+ * PACING: 'pace' waits (cycle − time since the iteration started), then restarts the clock,
+ * so inside a loop every iteration is paced without calling 'startPacing' again. An
+ * iteration that overruns the cycle is not paced (pacing.overrun counts them).
+ *
+ * METRICS (histograms in ms, in the Artillery report and live metrics):
+ *   think_time.<profile>     every think pause ('inline' for a spec given on the request)
+ *   pacing.iteration_time    work done in the iteration before 'pace'
+ *   pacing.wait              pause added by 'pace'
+ *   pacing.overrun           counter: iterations longer than the cycle
+ * Effective rate per VU = 1 / (iteration_time + wait); compare it with the plan.
+ */
+
+const { parseDuration } = require("./workload-model");
+const { loadCsvRecords, resolveDataPath } = require("./data-feeder");
+
+const DISTRIBUTIONS = ["fixed", "uniform", "gaussian", "normal", "exponential", "poisson", "percentiles", "empirical"];
+const DEFAULT_PROFILE = "default";
+
+const warned = new Set();
+function warnOnce(message) {
+  if (warned.has(message)) return;
+  warned.add(message);
+  console.warn(`⚠️ think-time: ${message}`);
+}
+
+// -------------------------------
+// Distributions
+// -------------------------------
+
+const seconds = (value, label) => parseDuration(value, label);
+
+/** Standard normal sample (Box–Muller). */
+function gaussian() {
+  const u = 1 - Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * Math.random());
+}
+
+/**
+ * Turns { p50: 2, "90": 6, ... } into sorted [fraction, seconds] points from 0 to 1.
+ * Percentile values must not decrease.
+ */
+function percentilePoints(percentiles, min, max, label) {
+  const points = Object.entries(percentiles || {}).map(([key, value]) => {
+    const pct = Number(String(key).replace(/^p/i, ""));
+    if (!Number.isFinite(pct) || pct < 0 || pct > 100) throw new Error(`${label}: '${key}' is not a percentile (p0 … p100)`);
+    return [pct / 100, seconds(value, `${label}.${key}`)];
+  }).sort((a, b) => a[0] - b[0]);
+  if (points.length === 0) throw new Error(`${label}: 'percentiles' needs at least one point, e.g. { p50: 2, p90: 6 }`);
+  points.forEach(([, value], i) => {
+    if (i > 0 && value < points[i - 1][1]) throw new Error(`${label}: percentile values must not decrease`);
+  });
+  if (points[0][0] > 0) points.unshift([0, Math.min(min !== undefined ? min : 0, points[0][1])]);
+  if (points[points.length - 1][0] < 1) {
+    const top = points[points.length - 1][1];
+    points.push([1, max !== undefined ? Math.max(max, top) : top]);
+  }
+  return points;
+}
+
+/** Observed pauses → evenly spaced quantile points. */
+function empiricalPoints(values, label) {
+  const sorted = values.filter((value) => Number.isFinite(value) && value >= 0).sort((a, b) => a - b);
+  if (sorted.length === 0) throw new Error(`${label}: no numeric think times found`);
+  if (sorted.length === 1) return [[0, sorted[0]], [1, sorted[0]]];
+  return sorted.map((value, i) => [i / (sorted.length - 1), value]);
+}
+
+/** Inverse CDF by linear interpolation between quantile points. */
+function fromQuantiles(points, u = Math.random()) {
+  for (let i = 1; i < points.length; i++) {
+    const [p1, v1] = points[i];
+    if (u <= p1) {
+      const [p0, v0] = points[i - 1];
+      return p1 === p0 ? v1 : v0 + ((u - p0) / (p1 - p0)) * (v1 - v0);
+    }
+  }
+  return points[points.length - 1][1];
+}
+
+/**
+ * Validates a spec once and returns a sampler () → seconds.
+ * @param {number|string|Object} spec - See SPECS above.
+ * @param {Object} [context] - VU context (resolves relative 'path' for empirical data).
+ * @param {string} [label] - Used in error messages.
+ */
+function createSampler(spec, context, label = "thinkTime") {
+  if (typeof spec === "number" || typeof spec === "string") {
+    const fixed = seconds(spec, label);
+    return () => fixed;
+  }
+  if (!spec || typeof spec !== "object") throw new Error(`${label}: expected seconds or a { distribution } object`);
+
+  const distribution = String(spec.distribution || (spec.value !== undefined ? "fixed" : "")).toLowerCase();
+  if (!DISTRIBUTIONS.includes(distribution)) {
+    throw new Error(`${label}: unknown distribution '${spec.distribution}' (${DISTRIBUTIONS.join(" | ")})`);
+  }
+  const min = spec.min !== undefined ? seconds(spec.min, `${label}.min`) : undefined;
+  const max = spec.max !== undefined ? seconds(spec.max, `${label}.max`) : undefined;
+  if (min !== undefined && max !== undefined && min > max) throw new Error(`${label}: min is greater than max`);
+  const clamp = (value) => Math.min(max !== undefined ? max : Infinity, Math.max(min !== undefined ? min : 0, value));
+
+  switch (distribution) {
+    case "fixed": {
+      const value = seconds(spec.value, `${label}.value`);
+      return () => clamp(value);
+    }
+    case "uniform": {
+      if (min === undefined || max === undefined) throw new Error(`${label}: uniform needs min and max`);
+      return () => min + Math.random() * (max - min);
+    }
+    case "gaussian":
+    case "normal": {
+      const mean = seconds(spec.mean, `${label}.mean`);
+      const stdDev = seconds(spec.stdDev !== undefined ? spec.stdDev : 0, `${label}.stdDev`);
+      return () => clamp(mean + stdDev * gaussian());
+    }
+    case "exponential":
+    case "poisson": {
+      const mean = seconds(spec.mean, `${label}.mean`);
+      return () => clamp(-mean * Math.log(1 - Math.random()));
+    }
+    case "percentiles": {
+      const points = percentilePoints(spec.percentiles, min, max, label);
+      return () => clamp(fromQuantiles(points));
+    }
+    case "empirical": {
+      let values = spec.samples;
+      if (!values) {
+        if (!spec.path) throw new Error(`${label}: empirical needs 'path' (CSV file) or 'samples'`);
+        const records = loadCsvRecords(resolveDataPath(spec.path, context), spec);
+        const column = spec.column || (records[0] && Object.keys(records[0])[0]);
+        values = records.map((record) => record[column]);
+      }
+      const points = empiricalPoints(values.map(Number), label);
+      return () => clamp(fromQuantiles(points));
+    }
+    default:
+      throw new Error(`${label}: unsupported distribution '${distribution}'`);
+  }
+}
+
+// Samplers are built once per spec object (profiles come from config.variables)
+const samplers = new WeakMap();
+
+function samplerFor(spec, context, label) {
+  if (!spec || typeof spec !== "object") return createSampler(spec, context, label);
+  if (!samplers.has(spec)) samplers.set(spec, createSampler(spec, context, label));
+  return samplers.get(spec);
+}
+
+/**
+ * Resolves a profile name or inline spec against context.vars.thinkTimes.
+ * @returns {{ profile: string, spec: * }}
+ */
+function resolveProfile(ref, context) {
+  const profiles = (context.vars && context.vars.thinkTimes) || {};
+  if (typeof ref === "string" && Object.prototype.hasOwnProperty.call(profiles, ref)) {
+    return { profile: ref, spec: profiles[ref] };
+  }
+  if (ref === undefined || ref === null) {
+    if (profiles[DEFAULT_PROFILE] === undefined) {
+      throw new Error(`thinkTime: no profile given and config.variables.thinkTimes.${DEFAULT_PROFILE} is not set`);
+    }
+    return { profile: DEFAULT_PROFILE, spec: profiles[DEFAULT_PROFILE] };
+  }
+  if (typeof ref === "string" && !/^\d/.test(ref.trim())) {
+    throw new Error(`thinkTime: unknown profile '${ref}' (config.variables.thinkTimes)`);
+  }
+  return { profile: "inline", spec: ref };
+}
+
+/** Draws one think time in seconds for a profile name / spec (default profile when omitted). */
+function sampleThinkTime(ref, context) {
+  const { profile, spec } = resolveProfile(ref, context);
+  return { profile, seconds: samplerFor(spec, context, `thinkTimes.${profile}`)() };
+}
+
+const wait = (ms, next) => (ms > 0 ? setTimeout(next, ms) : next());
+
+function think(ref, context, ee, next) {
+  let sample;
+  try {
+    sample = sampleThinkTime(ref, context);
+  } catch (err) {
+    return next(err);
+  }
+  const ms = Math.round(sample.seconds * 1000);
+  ee.emit("histogram", `think_time.${sample.profile.replace(/[.\s]+/g, "_")}`, ms);
+  return wait(ms, () => next());
+}
+
+// -------------------------------
+// Artillery hooks
+// -------------------------------
+
+/**
+ * FUNCTION STEP: Pauses for a think time drawn from the 'default' profile.
+ */
+function thinkTime(context, ee, next) {
+  return think(undefined, context, ee, next);
+}
+
+/**
+ * AFTER RESPONSE HOOK: Pauses after the request for its 'thinkTime:' (profile name or
+ * spec), or the 'default' profile. 'thinkTime: 0' skips the pause; at scenario level
+ * this puts think time after every request.
+ */
+function thinkAfter(requestParams, response, context, ee, next) {
+  const ref = requestParams.thinkTime;
+  if (ref === 0 || ref === false) return next();
+  return think(ref, context, ee, next);
+}
+
+/**
+ * beforeScenario / FUNCTION STEP: Starts the VU's iteration clock for 'pace'.
+ */
+function startPacing(context, ee, next) {
+  context._pacing = { startedAt: performance.now() };
+  return next();
+}
+
+/**
+ * FUNCTION STEP: Waits until the cycle time (context.vars.pacing) has passed since the
+ * iteration started, then starts the next iteration's clock.
+ */
+function pace(context, ee, next) {
+  const spec = context.vars && context.vars.pacing;
+  if (spec === undefined) {
+    warnOnce("'pace' called but config.variables.pacing is not set (no pacing applied)");
+    return next();
+  }
+  if (!context._pacing) {
+    warnOnce("'pace' called before 'startPacing': the first iteration is not paced");
+    return startPacing(context, ee, next);
+  }
+
+  let cycleMs;
+  try {
+    cycleMs = Math.round(samplerFor(spec, context, "pacing")() * 1000);
+  } catch (err) {
+    return next(err);
+  }
+  const elapsedMs = Math.round(performance.now() - context._pacing.startedAt);
+  const waitMs = Math.max(0, cycleMs - elapsedMs);
+
+  ee.emit("histogram", "pacing.iteration_time", elapsedMs);
+  ee.emit("histogram", "pacing.wait", waitMs);
+  if (elapsedMs > cycleMs) ee.emit("counter", "pacing.overrun", 1);
+
+  return wait(waitMs, () => startPacing(context, ee, next));
+}
+
+module.exports = {
+  createSampler,
+  sampleThinkTime,
+  thinkTime,
+  thinkAfter,
+  startPacing,
+  pace,
+};
@@ -0,0 +1,421 @@
+/**
+ * ============================================================
+ * OAUTH2 / JWT TOKEN MANAGER (used by attachToken)
+ * ============================================================
+ * Provides:
+ *   ✅ OAuth2 grants: client_credentials | password | refresh_token
+ *   ✅ Locally minted HS256 / RS256 JWTs (grant: jwt) from a key file
+ *   ✅ Shared cache per client (and per user for password / refresh_token)
+ *   ✅ Refresh before expiry, one in-flight fetch per cache key
+ *   ✅ One retry with a fresh token when a request gets a 401
+ * ============================================================
+ *
+ * HOW TO USE IN YAML:
+ *   config:
+ *     processor: "../../../processor.js"
+ *     variables:
+ *       authClients:                       # an object, so Artillery passes it through as-is
+ *         orders:
+ *           grant: client_credentials
+ *           tokenUrl: "{{ $processEnvironment.TOKEN_URL }}"
+ *           clientId: "{{ $processEnvironment.CLIENT_ID }}"
+ *           clientSecret: "{{ $processEnvironment.CLIENT_SECRET }}"
+ *           scope: "orders.write"
+ *         shopper:
+ *           grant: password                # one token per CSV user row
+ *           tokenUrl: "{{ $processEnvironment.TOKEN_URL }}"
+ *           clientId: "{{ $processEnvironment.CLIENT_ID }}"
+ *           username: "{{ email }}"
+ *           password: "{{ password }}"
+ *         internal:
+ *           grant: jwt                     # self-signed token, no token endpoint
+ *           jwt:
+ *             alg: RS256
+ *             keyFile: "../data/jwt-private.pem"
+ *             issuer: "load-test"
+ *             subject: "{{ userId }}"
+ *             audience: "internal-api"
+ *   scenarios:
+ *     - flow:
+ *         - post:
+ *             url: "/orders"
+ *             authClient: "orders"
+ *             beforeRequest: "attachToken"
+ *             afterResponse: ["retryOn401", "afterResponse"]
+ *
+ * CLIENT OPTIONS (string values are templates rendered against the VU's vars):
+ *   grant           client_credentials (default) | password | refresh_token | jwt
+ *   tokenUrl        token endpoint (a local stub works: http://127.0.0.1:8080/token)
+ *   clientId / clientSecret
+ *   clientAuth      basic (default, HTTP Basic header) | body (client_id/secret in the form)
+ *   scope, audience, params   extra form fields for the token request
+ *   username / password       password grant
+ *   refreshToken    refresh_token grant (e.g. a CSV column)
+ *   userKey         cache identity for user tokens (default: username / refreshToken / jwt subject)
+ *   header, scheme  where the token goes (default 'Authorization: Bearer <token>')
+ *   refreshBeforeSeconds      refresh this long before expiry (default AUTH_TOKEN_REFRESH_WINDOW_SECONDS or 60)
+ *   jwt             { alg: HS256|RS256, keyFile | secret, kid, issuer, subject, audience,
+ *                     expiresIn (seconds, default 300), claims: {…} }
+ *
+ * A request picks its client with 'authClient'; without it the client named
+ * 'default' is used if configured, otherwise the request is left untouched.
+ *
+ * COUNTERS: auth.<client>.token_fetched, .token_refreshed, .token_failed,
+ *           .retried_401, .retry_failed
+ *
+ * ENVIRONMENT:
+ *   AUTH_TOKEN_REFRESH_WINDOW_SECONDS   default refresh window (60)
+ *   AUTH_TOKEN_DEFAULT_TTL_SECONDS      lifetime assumed when the endpoint sends no expires_in
+ *                                       and the token is not a JWT (default 300)
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { httpRequest } = require("./http-client");
+const { renderTemplate, prepareRequestForSigning, findHeader } = require("./artillery-request");
+const { resolveRequestUrl } = require("./aws-sigv4");
+
+const GRANTS = ["client_credentials", "password", "refresh_token", "jwt"];
+const DEFAULT_REFRESH_WINDOW_SECONDS = Number(process.env.AUTH_TOKEN_REFRESH_WINDOW_SECONDS || 60);
+const DEFAULT_TTL_SECONDS = Number(process.env.AUTH_TOKEN_DEFAULT_TTL_SECONDS || 300);
+const DEFAULT_JWT_EXPIRES_IN = 300;
+
+/** Error raised when a token cannot be obtained (bad config, endpoint error). */
+class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TokenError";
+  }
+}
+
+// -------------------------------
+// Helpers
+// -------------------------------
+
+const base64url = (input) => Buffer.from(input).toString("base64")
+  .replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+
+/** Reads 'exp' (seconds) from a JWT without verifying it; undefined if not a JWT. */
+function jwtExpiry(token) {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) return undefined;
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1].replace(/-/g, "+").replace(/_/g, "/"), "base64").toString("utf8"));
+    return typeof payload.exp === "number" ? payload.exp : undefined;
+  } catch (err) {
+    return undefined;
+  }
+}
+
+function resolveKeyPath(filePath, context) {
+  if (path.isAbsolute(filePath)) return filePath;
+  const baseDir = (context && context.vars && context.vars.$dirname) || process.cwd();
+  return path.resolve(baseDir, filePath);
+}
+
+// Key files are read once per worker
+const keyCache = new Map();
+
+function readKey(filePath, context) {
+  const resolved = resolveKeyPath(filePath, context);
+  if (!keyCache.has(resolved)) keyCache.set(resolved, fs.readFileSync(resolved, "utf8"));
+  return keyCache.get(resolved);
+}
+
+/**
+ * Signs a compact JWT.
+ * @param {Object} payload - Claims (iat/exp are not added here).
+ * @param {Object} options - { alg: HS256|RS256, key (HMAC secret or PEM private key), kid? }
+ * @returns {string}
+ */
+function signJwt(payload, options) {
+  const alg = options.alg || "HS256";
+  const header = { alg, typ: "JWT", ...(options.kid ? { kid: options.kid } : {}) };
+  const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+
+  let signature;
+  if (alg === "HS256") {
+    signature = crypto.createHmac("sha256", options.key).update(signingInput).digest();
+  } else if (alg === "RS256") {
+    signature = crypto.createSign("RSA-SHA256").update(signingInput).sign(options.key);
+  } else {
+    throw new TokenError(`Unsupported JWT alg '${alg}' (use HS256 or RS256)`);
+  }
+  return `${signingInput}.${base64url(signature)}`;
+}
+
+/** Renders a client's templated options against the VU's variables. */
+function resolveClient(name, spec, context) {
+  if (!spec || typeof spec !== "object") throw new TokenError(`Auth client '${name}' is not configured`);
+  const client = renderTemplate(spec, context.vars || {});
+  client.name = name;
+  client.grant = client.grant || "client_credentials";
+  if (!GRANTS.includes(client.grant)) throw new TokenError(`Auth client '${name}': unknown grant '${client.grant}'`);
+  if (client.grant !== "jwt" && !client.tokenUrl) throw new TokenError(`Auth client '${name}': 'tokenUrl' is required`);
+  return client;
+}
+
+/**
+ * Cache identity: one token per client for client_credentials, one per user
+ * (the CSV row the VU holds) for password / refresh_token / jwt.
+ */
+function cacheKey(client) {
+  const user = client.userKey !== undefined
+    ? client.userKey
+    : client.grant === "password" ? client.username
+    : client.grant === "refresh_token" ? client.refreshToken
+    : client.grant === "jwt" ? (client.jwt && client.jwt.subject) : undefined;
+  return user === undefined || user === "" ? client.name : `${client.name}|${user}`;
+}
+
+// -------------------------------
+// Token sources
+// -------------------------------
+
+/** POSTs a form to the token endpoint and returns { accessToken, refreshToken?, expiresAt }. */
+async function requestToken(client, form) {
+  const params = { ...form, ...(client.scope ? { scope: client.scope } : {}), ...(client.audience ? { audience: client.audience } : {}), ...(client.params || {}) };
+  const headers = { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" };
+
+  if (client.clientId) {
+    if (client.clientAuth === "body") {
+      params.client_id = client.clientId;
+      if (client.clientSecret) params.client_secret = client.clientSecret;
+    } else if (client.clientSecret) {
+      const basic = `${encodeURIComponent(client.clientId)}:${encodeURIComponent(client.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(basic).toString("base64")}`;
+    } else {
+      params.client_id = client.clientId;
+    }
+  }
+
+  const body = new URLSearchParams(params).toString();
+  headers["Content-Length"] = Buffer.byteLength(body);
+  const res = await httpRequest({ url: client.tokenUrl, method: "POST", headers, body });
+
+  let json;
+  try {
+    json = JSON.parse(res.body);
+  } catch (err) {
+    json = {};
+  }
+  if (res.statusCode !== 200 || !json.access_token) {
+    const reason = json.error ? `${json.error}${json.error_description ? ` - ${json.error_description}` : ""}` : `HTTP ${res.statusCode}`;
+    throw new TokenError(`Token request (${form.grant_type}) for '${client.name}' failed: ${reason}`);
+  }
+
+  const nowSeconds = Date.now() / 1000;
+  const exp = json.expires_in !== undefined ? nowSeconds + Number(json.expires_in) : jwtExpiry(json.access_token);
+  return {
+    accessToken: json.access_token,
+    refreshToken: json.refresh_token,
+    expiresAt: (exp || nowSeconds + DEFAULT_TTL_SECONDS) * 1000,
+  };
+}
+
+function grantForm(client) {
+  switch (client.grant) {
+    case "password":
+      if (!client.username) throw new TokenError(`Auth client '${client.name}': 'username' is required for the password grant`);
+      return { grant_type: "password", username: client.username, password: client.password || "" };
+    case "refresh_token":
+      if (!client.refreshToken) throw new TokenError(`Auth client '${client.name}': 'refreshToken' is required for the refresh_token grant`);
+      return { grant_type: "refresh_token", refresh_token: client.refreshToken };
+    default:
+      return { grant_type: "client_credentials" };
+  }
+}
+
+/** Mints a JWT for a 'jwt' client; the key file (or secret) never leaves this process. */
+function mintJwt(client, context) {
+  const options = client.jwt || {};
+  const alg = options.alg || "HS256";
+  const key = options.keyFile ? readKey(options.keyFile, context) : options.secret;
+  if (!key) throw new TokenError(`Auth client '${client.name}': jwt.keyFile or jwt.secret is required`);
+
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = iat + Number(options.expiresIn || DEFAULT_JWT_EXPIRES_IN);
+  const payload = {
+    ...(options.issuer ? { iss: options.issuer } : {}),
+    ...(options.subject ? { sub: String(options.subject) } : {}),
+    ...(options.audience ? { aud: options.audience } : {}),
+    iat,
+    exp,
+    jti: crypto.randomUUID(),
+    ...(options.claims || {}),
+  };
+  return { accessToken: signJwt(payload, { alg, key, kid: options.kid }), expiresAt: exp * 1000 };
+}
+
+// -------------------------------
+// Cache
+// -------------------------------
+
+// cacheKey → { accessToken, refreshToken?, expiresAt, pending? }; shared by all VUs in this worker
+const tokens = new Map();
+
+function isFresh(entry, client) {
+  if (!entry || !entry.accessToken) return false;
+  const windowSeconds = client.refreshBeforeSeconds !== undefined ? Number(client.refreshBeforeSeconds) : DEFAULT_REFRESH_WINDOW_SECONDS;
+  return entry.expiresAt - Date.now() > windowSeconds * 1000;
+}
+
+/**
+ * Fetches a new token: the refresh_token grant when the cached token has a
+ * refresh token (falling back to the client's own grant if that fails),
+ * otherwise the client's grant.
+ */
+async function fetchToken(client, previous, context, ee) {
+  if (client.grant === "jwt") return mintJwt(client, context);
+
+  if (previous && previous.refreshToken) {
+    try {
+      const refreshed = await requestToken(client, { grant_type: "refresh_token", refresh_token: previous.refreshToken });
+      ee.emit("counter", `auth.${client.name}.token_refreshed`, 1);
+      return { ...refreshed, refreshToken: refreshed.refreshToken || previous.refreshToken };
+    } catch (err) {
+      // Refresh token expired or revoked: start over with the original grant
+    }
+  }
+  const token = await requestToken(client, grantForm(client));
+  ee.emit("counter", `auth.${client.name}.token_fetched`, 1);
+  return token;
+}
+
+/**
+ * Returns a valid access token for the client, from cache when fresh.
+ * Concurrent callers for the same key share one token request.
+ * @param {Object} client - Resolved client (see resolveClient).
+ * @returns {Promise<string>}
+ */
+function getToken(client, context, ee) {
+  const key = cacheKey(client);
+  const entry = tokens.get(key);
+  if (isFresh(entry, client)) return Promise.resolve(entry.accessToken);
+  if (entry && entry.pending) return entry.pending;
+
+  const pending = fetchToken(client, entry, context, ee)
+    .then((token) => {
+      tokens.set(key, token);
+      return token.accessToken;
+    })
+    .catch((err) => {
+      if (entry && entry.accessToken) tokens.set(key, { ...entry, pending: undefined });
+      else tokens.delete(key);
+      ee.emit("counter", `auth.${client.name}.token_failed`, 1);
+      throw err;
+    });
+  tokens.set(key, { ...(entry || {}), pending });
+  return pending;
+}
+
+/** Drops the cached token if it is still the one that was rejected. */
+function invalidateToken(client, rejectedToken) {
+  const key = cacheKey(client);
+  const entry = tokens.get(key);
+  if (entry && !entry.pending && entry.accessToken === rejectedToken) {
+    // Keep the refresh token so the next fetch can use it
+    tokens.set(key, { refreshToken: entry.refreshToken, expiresAt: 0 });
+  }
+}
+
+function clientFor(requestParams, context) {
+  const clients = (context.vars && context.vars.authClients) || {};
+  const name = requestParams.authClient || (clients.default ? "default" : null);
+  if (!name) return null;
+  return resolveClient(name, clients[name], context);
+}
+
+function setAuthHeader(requestParams, client, token) {
+  const header = client.header || "Authorization";
+  const scheme = client.scheme === undefined ? "Bearer" : client.scheme;
+  requestParams.headers = requestParams.headers || {};
+  const existing = findHeader(requestParams.headers, header);
+  if (existing) delete requestParams.headers[existing];
+  requestParams.headers[header] = scheme ? `${scheme} ${token}` : token;
+}
+
+// -------------------------------
+// Artillery hooks
+// -------------------------------
+
+/**
+ * beforeRequest: sets the Authorization header from the request's auth client
+ * ('authClient', else 'default'). Requests without a client pass through.
+ */
+function attachToken(requestParams, context, ee, next) {
+  let client;
+  try {
+    client = clientFor(requestParams, context);
+  } catch (err) {
+    return next(err);
+  }
+  if (!client) return next();
+
+  getToken(client, context, ee)
+    .then((token) => {
+      setAuthHeader(requestParams, client, token);
+      context._authTokens = context._authTokens || {};
+      context._authTokens[client.name] = token;
+      next();
+    })
+    .catch((err) => next(err));
+}
+
+/**
+ * afterResponse: on a 401 for a request sent with a managed token, drops that
+ * token, fetches a new one and re-sends the request once. The retried status,
+ * headers and body replace the original response for the afterResponse hooks
+ * listed after this one. Artillery 2 runs capture / expect (and counts
+ * http.codes) before afterResponse hooks, so those still see the first 401.
+ */
+function retryOn401(requestParams, response, context, ee, next) {
+  if (!response || response.statusCode !== 401) return next();
+
+  let client;
+  try {
+    client = clientFor(requestParams, context);
+  } catch (err) {
+    return next();
+  }
+  const usedToken = client && context._authTokens && context._authTokens[client.name];
+  if (!usedToken || client.retryOn401 === false) return next();
+
+  invalidateToken(client, usedToken);
+  getToken(client, context, ee)
+    .then(async (token) => {
+      const replay = { ...requestParams, headers: { ...(requestParams.headers || {}) } };
+      setAuthHeader(replay, client, token);
+      const body = prepareRequestForSigning(replay, context);
+      const url = resolveRequestUrl(replay.url, context).toString();
+
+      const res = await httpRequest({
+        url,
+        method: (replay.method || "GET").toUpperCase(),
+        headers: replay.headers,
+        body,
+      });
+      context._authTokens[client.name] = token;
+      ee.emit("counter", `auth.${client.name}.retried_401`, 1);
+
+      response.statusCode = res.statusCode;
+      response.headers = res.headers;
+      response.body = res.body;
+      next();
+    })
+    .catch(() => {
+      ee.emit("counter", `auth.${client.name}.retry_failed`, 1);
+      next();
+    });
+}
+
+module.exports = {
+  TokenError,
+  signJwt,
+  jwtExpiry,
+  getToken,
+  invalidateToken,
+  attachToken,
+  retryOn401,
+};
@@ -0,0 +1,164 @@
+/**
+ * ============================================================
+ * MULTI-STEP TRANSACTIONS (JMeter-style transaction controllers)
+ * ============================================================
+ * Provides:
+ *   ✅ startTransaction / endTransaction function steps, timed per VU (nesting allowed)
+ *   ✅ One metrics-by-endpoint entry per transaction: response_time histogram
+ *      + codes / errors counters, so sla.json, the Allure tables and the
+ *      dashboard treat it like a request
+ *   ✅ A transaction fails when an inner request returns 4xx / 5xx, an
+ *      assertResponse rule breaks, or the VU errors out before endTransaction
+ * ============================================================
+ *
+ * HOW TO USE IN YAML:
+ *   scenarios:
+ *     - name: "purchase"
+ *       afterResponse: "trackTransaction"   # status failures + naming (scenario level)
+ *       onError: "failTransactions"         # network errors end the VU: close as failed
+ *       flow:
+ *         - function: "startTransaction"
+ *         - post:
+ *             url: "/login"
+ *             name: "Login"
+ *             transaction: "Checkout"       # names the innermost open transaction
+ *         - get: { url: "/users/{{ userId }}", name: "Fetch user" }
+ *         - post:
+ *             url: "/orders"
+ *             name: "Place order"
+ *             afterResponse: "assertResponse"
+ *             assertions: { status: [201] }
+ *         - function: "endTransaction"
+ *
+ * Artillery does not pass step arguments to 'function' steps, so the name comes
+ * from the first inner request with a 'transaction' key (else "<first request>
+ * transaction"). Think time inside the transaction is part of its duration.
+ *
+ * HOW OUTCOMES ARE COUNTED (same as utilities/jtl-to-report.js):
+ *   plugins.metrics-by-endpoint.<name>.codes.200       passed
+ *   plugins.metrics-by-endpoint.<name>.codes.<status>  failed by an inner 4xx / 5xx
+ *   plugins.metrics-by-endpoint.<name>.errors.<error>  failed by an assertion
+ *                                                      (AssertionFailure) or a VU error
+ *   plugins.metrics-by-endpoint.response_time.<name>   duration of every transaction
+ *                                                      that reached endTransaction
+ */
+
+const ENDPOINT_PREFIX = "plugins.metrics-by-endpoint.";
+
+// Metric names are split on '.', so error names must not contain one
+const errorName = (value) => String(value || "Error").replace(/[.\s]+/g, "_");
+
+const warned = new Set();
+function warnOnce(message) {
+  if (warned.has(message)) return;
+  warned.add(message);
+  console.warn(`⚠️ transactions: ${message}`);
+}
+
+// -------------------------------
+// Per-VU state: context._transactions is a stack of open transactions
+// -------------------------------
+
+const openTransactions = (context) => {
+  context._transactions = context._transactions || [];
+  return context._transactions;
+};
+
+// Unnamed transactions get a name of their own so they never merge with their first request
+const transactionName = (txn) => txn.name || (txn.firstRequest ? `${txn.firstRequest} transaction` : "transaction");
+
+/** A request's 'transaction' key names the innermost unnamed transaction. */
+function noteRequest(open, requestParams) {
+  if (requestParams.transaction) {
+    const unnamed = [...open].reverse().find((txn) => !txn.name);
+    if (unnamed) unnamed.name = String(requestParams.transaction);
+  }
+  open.forEach((txn) => {
+    if (!txn.firstRequest) txn.firstRequest = requestParams.name || `${requestParams.method || "GET"} ${requestParams.url}`;
+  });
+}
+
+/**
+ * Records a failure on every open transaction of the VU, so a failed inner
+ * transaction also fails the ones around it (the first failure wins).
+ * @param {Object} failure - { code } for an HTTP status, { error } otherwise
+ */
+function markTransactionFailed(context, failure) {
+  openTransactions(context).forEach((txn) => {
+    if (!txn.failure) txn.failure = failure;
+  });
+}
+
+function emitOutcome(ee, txn, durationMs) {
+  const name = transactionName(txn);
+  if (durationMs !== undefined) ee.emit("histogram", `${ENDPOINT_PREFIX}response_time.${name}`, durationMs);
+  if (!txn.failure) ee.emit("counter", `${ENDPOINT_PREFIX}${name}.codes.200`, 1);
+  else if (txn.failure.code) ee.emit("counter", `${ENDPOINT_PREFIX}${name}.codes.${txn.failure.code}`, 1);
+  else ee.emit("counter", `${ENDPOINT_PREFIX}${name}.errors.${errorName(txn.failure.error)}`, 1);
+}
+
+/**
+ * Closes every open transaction as failed without a duration (the VU is ending).
+ */
+function abortTransactions(context, ee, error) {
+  const open = openTransactions(context);
+  markTransactionFailed(context, { error });
+  while (open.length > 0) emitOutcome(ee, open.pop());
+}
+
+// -------------------------------
+// Artillery hooks
+// -------------------------------
+
+/**
+ * FUNCTION STEP: Opens a transaction and starts its clock.
+ */
+function startTransaction(context, ee, next) {
+  openTransactions(context).push({ startedAt: performance.now(), name: null, firstRequest: null, failure: null });
+  return next();
+}
+
+/**
+ * FUNCTION STEP: Closes the innermost open transaction and emits its duration and outcome.
+ */
+function endTransaction(context, ee, next) {
+  const txn = openTransactions(context).pop();
+  if (!txn) {
+    warnOnce("endTransaction without a matching startTransaction (ignored)");
+    return next();
+  }
+  emitOutcome(ee, txn, Math.round(performance.now() - txn.startedAt));
+  return next();
+}
+
+/**
+ * AFTER RESPONSE HOOK (scenario level): names open transactions from the request's
+ * 'transaction' key / name and fails them on a 4xx / 5xx response.
+ */
+function trackTransaction(requestParams, response, context, ee, next) {
+  const open = openTransactions(context);
+  if (open.length === 0) return next();
+
+  noteRequest(open, requestParams);
+  if (response && response.statusCode >= 400) markTransactionFailed(context, { code: response.statusCode });
+  return next();
+}
+
+/**
+ * ON ERROR HOOK (scenario level): the VU stops after a request error, so every
+ * open transaction is closed as failed with the error code.
+ */
+function failTransactions(err, requestParams, context, ee, next) {
+  if (requestParams) noteRequest(openTransactions(context), requestParams);
+  abortTransactions(context, ee, (err && (err.code || err.name)) || "Error");
+  return next();
+}
+
+module.exports = {
+  startTransaction,
+  endTransaction,
+  trackTransaction,
+  failTransactions,
+  markTransactionFailed,
+  abortTransactions,
+};
@@ -0,0 +1,599 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ * WORKLOAD MODEL BUILDER + PHASE CHECKER
+ * ============================================================
+ * Provides:
+ *   ✅ Workload spec (target TPH / TPS per transaction, ramp profile, steady state,
+ *      runner count) → Artillery phases per runner + scenario weights
+ *   ✅ Writes the phases / weights into an existing script (comments kept)
+ *   ✅ Writes the planned throughput into sla.json (expectedTph, named format)
+ *   ✅ Checks any script: effective arrivals and TPS per phase, per scenario and per
+ *      endpoint (as metrics-by-endpoint names them), phase mistakes, sla.json drift
+ * ============================================================
+ *
+ * HOW TO RUN:
+ *   node utilities/workload-model.js build \
+ *     --spec applications/app1/scripts/weighted_scenario.workload.json \
+ *     [--script applications/app1/scripts/weighted_scenario.yml] \   # rewritten in place
+ *     [--sla applications/app1/scripts/sla.json] [--runners 2]
+ *
+ *   node utilities/workload-model.js check \
+ *     --script applications/app1/scripts/weighted_scenario.yml \
+ *     [--runners 2] [--env test] [--sla applications/app1/scripts/sla.json]
+ *
+ *   build without --script prints the phases / weights to paste into a script.
+ *   Exit code: 0 = ok, 1 = problems found in the phases (or sla.json drift for check),
+ *   2 = bad input (unreadable files, invalid spec).
+ *
+ * SPEC (schema: utilities/workload.schema.json):
+ *   {
+ *     "runners": 2,                                  # every runner runs the same script
+ *     "warmUp": { "duration": "1m", "percent": 10 }, # optional, constant at % of steady state
+ *     "rampUp": "5m", "profile": "linear",           # linear | steps ("steps": 4)
+ *     "steadyState": "1h",
+ *     "rampDown": "2m",                              # optional
+ *     "tphTolerance": 0.1,                           # optional, copied to sla.json
+ *     "transactions": {
+ *       "post-orders": { "tph": 545, "slaKey": "orders-nafj7uberq-uc.a.run.app/" },   # sla.json key it sets (exact)
+ *       "get-users":   { "tps": 0.28 }
+ *     }
+ *   }
+ *   Durations: seconds or "30s" / "5m" / "1h". A transaction is a scenario (one arrival
+ *   runs it once); its weight is its target TPH, so weights read as the plan.
+ *
+ * THROUGHPUT MODEL:
+ *   steady arrivals/s per runner = Σ target TPS / runners
+ *   ramps arrive in whole VUs per second (as Artillery's phaser does), so slow linear
+ *   ramps (< 2 arrivals/s per runner) are written as steps of constant phases instead
+ *   expectedTph (sla.json) = planned run average: transactions over the whole test /
+ *   test hours, which is what sla-evaluator.js measures (first → last metric)
+ */
+
+const fs = require("fs");
+const { parseArgs } = require("./cli-args");
+const { exactSlaKey, matchSlaKey } = require("./sla-evaluator");
+
+const DURATION_UNITS = { ms: 0.001, s: 1, sec: 1, m: 60, min: 60, h: 3600, hr: 3600 };
+const PHASE_KEYS = ["name", "duration", "arrivalRate", "arrivalCount", "rampTo", "pause", "maxVusers"];
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete", "head", "options"];
+const MIN_LINEAR_RAMP_RATE = 2;
+const DEFAULT_RAMP_STEPS = 5;
+const DEFAULT_TPH_TOLERANCE = 0.1;
+
+function loadYaml() {
+  try {
+    return require("yaml");
+  } catch (err) {
+    throw new Error("The 'yaml' package is required (npm install yaml)");
+  }
+}
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/** 90 | "90" | "90s" | "5m" | "1h" → seconds. */
+function parseDuration(value, label) {
+  if (typeof value === "number" && value >= 0) return value;
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|sec|m|min|h|hr)?$/i);
+  if (!match) throw new Error(`${label}: '${value}' is not a duration (seconds, or e.g. "30s", "5m", "1h")`);
+  return Number(match[1]) * DURATION_UNITS[(match[2] || "s").toLowerCase()];
+}
+
+// -------------------------------
+// Spec → phases + weights
+// -------------------------------
+
+/**
+ * Validates a spec and fills in defaults.
+ * @returns {Object} { runners, warmUp, rampUp, profile, steps, steadyState, rampDown, tphTolerance, transactions: [{ name, tph, tps, slaKeys }] }
+ */
+function normalizeSpec(spec) {
+  if (!spec || typeof spec !== "object") throw new Error("The workload spec must be a JSON object");
+  const problems = [];
+  const duration = (value, label, fallback) => {
+    if (value === undefined) return fallback;
+    try {
+      return parseDuration(value, label);
+    } catch (err) {
+      problems.push(err.message);
+      return fallback;
+    }
+  };
+
+  const runners = spec.runners === undefined ? 1 : Number(spec.runners);
+  if (!Number.isInteger(runners) || runners < 1) problems.push("runners must be a whole number ≥ 1");
+  const profile = spec.profile || "linear";
+  if (!["linear", "steps"].includes(profile)) problems.push(`profile must be 'linear' or 'steps', not '${profile}'`);
+  const steadyState = duration(spec.steadyState, "steadyState", 0);
+  if (!(steadyState > 0)) problems.push("steadyState (duration of the steady-state phase) is required");
+
+  const warmUp = spec.warmUp ? {
+    duration: duration(spec.warmUp.duration, "warmUp.duration", 0),
+    percent: spec.warmUp.percent === undefined ? 10 : Number(spec.warmUp.percent),
+  } : null;
+  if (warmUp && !(warmUp.percent > 0 && warmUp.percent <= 100)) problems.push("warmUp.percent must be in (0, 100]");
+
+  const transactions = Object.entries(spec.transactions || {}).map(([name, target]) => {
+    const tph = target && target.tph !== undefined ? Number(target.tph) : target && target.tps !== undefined ? Number(target.tps) * 3600 : NaN;
+    if (!(tph > 0)) problems.push(`transactions.${name}: set a positive 'tph' or 'tps'`);
+    const slaKeys = target && target.slaKey !== undefined ? [].concat(target.slaKey) : [name];
+    return { name, tph, tps: tph / 3600, slaKeys };
+  });
+  if (transactions.length === 0) problems.push("transactions: at least one transaction is required");
+
+  if (problems.length > 0) throw new Error(`Invalid workload spec:\n  - ${problems.join("\n  - ")}`);
+  return {
+    runners,
+    warmUp: warmUp && warmUp.duration > 0 ? warmUp : null,
+    rampUp: duration(spec.rampUp, "rampUp", 0),
+    profile,
+    steps: spec.steps === undefined ? DEFAULT_RAMP_STEPS : Math.max(1, Math.floor(Number(spec.steps))),
+    steadyState,
+    rampDown: duration(spec.rampDown, "rampDown", 0),
+    tphTolerance: spec.tphTolerance,
+    transactions,
+  };
+}
+
+/** Stepped ramp: 'steps' constant phases from 'from' to 'to' (the last step is at 'to'). */
+function stepPhases(from, to, duration, steps, label) {
+  const stepDuration = Math.max(1, Math.round(duration / steps));
+  return Array.from({ length: steps }, (unused, i) => {
+    const rate = round(from + ((to - from) * (i + 1)) / steps);
+    return { duration: stepDuration, arrivalRate: rate, name: `${label}_step_${i + 1}_of_${steps}_${round(rate, 2)}_per_sec` };
+  });
+}
+
+/**
+ * Stepped ramp-down: 'steps' constant phases between 'rate' and 0 that fill the whole
+ * duration (a step at 0 arrivals/s would only be idle time, so there is none).
+ */
+function rampDownPhases(rate, duration, steps) {
+  const stepDuration = Math.max(1, Math.round(duration / steps));
+  return Array.from({ length: steps }, (unused, i) => {
+    const stepRate = round((rate * (steps - i)) / (steps + 1));
+    return { duration: stepDuration, arrivalRate: stepRate, name: `RampDown_step_${i + 1}_of_${steps}_${round(stepRate, 2)}_per_sec` };
+  });
+}
+
+/**
+ * Builds the per-runner phases and the scenario weights for a spec.
+ * @returns {{ spec: Object, totalRate: number, perRunnerRate: number, phases: Object[], weights: Object<string, number>, warnings: string[] }}
+ */
+function buildWorkload(rawSpec, { runners } = {}) {
+  const spec = normalizeSpec(runners ? { ...rawSpec, runners } : rawSpec);
+  const warnings = [];
+  const totalRate = spec.transactions.reduce((sum, t) => sum + t.tps, 0);
+  const rate = round(totalRate / spec.runners);
+  const phases = [];
+
+  let rampStart = 0;
+  if (spec.warmUp) {
+    rampStart = round((rate * spec.warmUp.percent) / 100);
+    phases.push({ duration: spec.warmUp.duration, arrivalRate: rampStart, name: "Warm-up" });
+  }
+  if (spec.rampUp > 0) {
+    const stepped = spec.profile === "steps" || rate < MIN_LINEAR_RAMP_RATE;
+    if (stepped && spec.profile === "linear") {
+      warnings.push(`Ramp-up written as ${spec.steps} steps: ${rate} arrivals/s per runner is too slow for a linear ramp (whole arrivals per second)`);
+    }
+    phases.push(...(stepped
+      ? stepPhases(rampStart, rate, spec.rampUp, spec.steps, "RampUp")
+      : [{ duration: spec.rampUp, arrivalRate: rampStart, rampTo: rate, name: `RampUp_to_${round(rate, 2)}_per_sec` }]));
+  }
+  phases.push({ duration: spec.steadyState, arrivalRate: rate, name: `SS_${round(rate, 2)}_per_sec` });
+  if (spec.rampDown > 0) {
+    phases.push(...(spec.profile === "steps" || rate < MIN_LINEAR_RAMP_RATE
+      ? rampDownPhases(rate, spec.rampDown, spec.steps)
+      : [{ duration: spec.rampDown, arrivalRate: rate, rampTo: 0, name: "RampDown" }]));
+  }
+
+  // Weight = target TPH (whole numbers, at least 1)
+  const weights = {};
+  spec.transactions.forEach((t) => {
+    weights[t.name] = Math.max(1, Math.round(t.tph));
+    if (t.tph < 0.5) warnings.push(`${t.name}: ${round(t.tph, 2)} TPH rounds to weight 1; its share will be higher than planned`);
+  });
+  return { spec, totalRate, perRunnerRate: rate, phases, weights, warnings };
+}
+
+// -------------------------------
+// Script → effective load
+// -------------------------------
+
+/**
+ * Arrivals one runner produces in each phase, with Artillery's rules:
+ * constant rates are exact, ramps arrive round(rate) VUs in each second.
+ * @returns {Object[]} [{ name, duration, startRate, endRate, arrivals, problems }]
+ */
+function simulatePhases(phases) {
+  return (phases || []).map((phase, i) => {
+    const name = phase.name || `phase ${i + 1}`;
+    const problems = [];
+    Object.keys(phase).filter((key) => !PHASE_KEYS.includes(key)).forEach((key) => {
+      problems.push(key === "target"
+        ? "'target' is not a phase option (ramps use 'rampTo'); this phase runs at a constant arrivalRate"
+        : `'${key}' is not a phase option`);
+    });
+
+    let duration = 0;
+    try {
+      duration = parseDuration(phase.pause !== undefined ? phase.pause : phase.duration, `${name}.duration`);
+    } catch (err) {
+      problems.push(err.message);
+    }
+    if (!(duration > 0)) problems.push("has no duration");
+
+    const result = { name, duration, startRate: 0, endRate: 0, arrivals: 0, problems };
+    if (phase.pause !== undefined) return result;
+    if (phase.arrivalCount !== undefined) {
+      result.arrivals = Number(phase.arrivalCount);
+      result.startRate = result.endRate = duration > 0 ? result.arrivals / duration : 0;
+      return result;
+    }
+    if (phase.arrivalRate === undefined) {
+      problems.push("has no arrivalRate, arrivalCount or pause");
+      return result;
+    }
+
+    const from = Number(phase.arrivalRate);
+    if (phase.rampTo === undefined) {
+      result.startRate = result.endRate = from;
+      result.arrivals = from * duration;
+      return result;
+    }
+    const to = Number(phase.rampTo);
+    const seconds = Math.max(1, Math.floor(duration));
+    let zeroSeconds = 0;
+    for (let s = 0; s < seconds; s++) {
+      const arrivals = Math.round(seconds === 1 ? (from + to) / 2 : from + ((to - from) * s) / (seconds - 1));
+      if (arrivals === 0) zeroSeconds++;
+      result.arrivals += arrivals;
+    }
+    if (zeroSeconds > 0 && Math.max(from, to) > 0) {
+      problems.push(`ramp rounds to 0 arrivals in ${zeroSeconds} of ${seconds} seconds (use constant steps for rates below ${MIN_LINEAR_RAMP_RATE}/s)`);
+    }
+    result.startRate = from;
+    result.endRate = to;
+    return result;
+  });
+}
+
+/** Requests of a scenario flow (loops multiplied out): [{ method, url, name, times }]. */
+function flowRequests(flow, times = 1) {
+  const requests = [];
+  (flow || []).forEach((step) => {
+    if (!step || typeof step !== "object") return;
+    if (step.loop) {
+      const count = Number.isFinite(Number(step.count)) ? Number(step.count) : Array.isArray(step.over) ? step.over.length : 1;
+      requests.push(...flowRequests(step.loop, times * count));
+      return;
+    }
+    if (step.parallel) {
+      requests.push(...flowRequests(step.parallel, times));
+      return;
+    }
+    const method = HTTP_METHODS.find((m) => step[m]);
+    if (method) requests.push({ method, url: step[method].url || "", name: step[method].name, times });
+  });
+  return requests;
+}
+
+/** Endpoint name as artillery-plugin-metrics-by-endpoint reports it. */
+function endpointName(request, target, pluginConfig) {
+  const options = pluginConfig || {};
+  let base = request.url;
+  const absolute = request.url.match(/^https?:\/\/([^/:?#]+)(?::(\d+))?([^#]*)$/i);
+  if (absolute) {
+    const targetHost = (String(target || "").match(/^https?:\/\/([^/:?#]+)/i) || [])[1];
+    base = `${absolute[1] !== targetHost ? absolute[1] : ""}${absolute[2] ? `:${absolute[2]}` : ""}${absolute[3] || "/"}`;
+  }
+  if (options.stripQueryString) base = base.split("?")[0];
+  if (!request.name) return base;
+  return options.useOnlyRequestNames ? request.name : `${base} (${request.name})`;
+}
+
+/**
+ * Effective load of a parsed script.
+ * @param {Object} script - Parsed Artillery script
+ * @param {Object} [options] - { runners: 1, environment }
+ * @returns {{ duration: number, phases: Object[], scenarios: Object[], endpoints: Object[], problems: string[] }}
+ */
+function effectiveLoad(script, { runners = 1, environment } = {}) {
+  const config = (script && script.config) || {};
+  const envConfig = environment && config.environments ? config.environments[environment] : null;
+  if (environment && !envConfig) throw new Error(`config.environments has no '${environment}'`);
+  const phases = (envConfig && envConfig.phases) || config.phases;
+  const target = (envConfig && envConfig.target) || config.target;
+  const problems = [];
+  if (!Array.isArray(phases) || phases.length === 0) problems.push("config.phases is empty");
+
+  const scenarios = ((script && script.scenarios) || []).map((scenario, i) => ({
+    name: scenario.name || `scenario ${i + 1}`,
+    weight: scenario.weight === undefined ? 1 : Number(scenario.weight),
+    requests: flowRequests(scenario.flow),
+  }));
+  if (scenarios.length === 0) problems.push("scenarios is empty");
+  const totalWeight = scenarios.reduce((sum, s) => sum + s.weight, 0);
+  scenarios.forEach((s) => {
+    s.share = totalWeight > 0 ? s.weight / totalWeight : 0;
+  });
+
+  const simulated = simulatePhases(phases).map((phase) => {
+    phase.problems.forEach((problem) => problems.push(`phase '${phase.name}': ${problem}`));
+    const arrivals = phase.arrivals * runners;
+    return {
+      ...phase,
+      arrivals,
+      tps: phase.duration > 0 ? arrivals / phase.duration : 0,
+      scenarioTps: Object.fromEntries(scenarios.map((s) => [s.name, phase.duration > 0 ? (arrivals * s.share) / phase.duration : 0])),
+    };
+  });
+  const duration = simulated.reduce((sum, p) => sum + p.duration, 0);
+  const arrivals = simulated.reduce((sum, p) => sum + p.arrivals, 0);
+  const perHour = (count) => (duration > 0 ? (count / duration) * 3600 : 0);
+
+  const endpointCounts = new Map();
+  const metricsConfig = (config.plugins || {})["metrics-by-endpoint"];
+  scenarios.forEach((s) => {
+    s.iterations = arrivals * s.share;
+    s.tph = perHour(s.iterations);
+    s.requests.forEach((request) => {
+      const name = endpointName(request, target, metricsConfig);
+      endpointCounts.set(name, (endpointCounts.get(name) || 0) + s.iterations * request.times);
+    });
+  });
+
+  return {
+    duration,
+    phases: simulated,
+    scenarios,
+    endpoints: [...endpointCounts.entries()].map(([name, count]) => ({ name, count, tph: perHour(count) })),
+    problems,
+  };
+}
+
+/** Planned vs sla.json expectedTph; drift beyond tphTolerance (default 10%) is a problem. */
+function compareWithSla(load, sla) {
+  const raw = sla.endpoints || sla;
+  const keys = Object.keys(raw).filter((key) => key !== "$schema");
+  return load.endpoints.map((endpoint) => {
+    const match = matchSlaKey(endpoint.name, keys, { byService: sla.endpoints ? Boolean(sla.matchByService) : true });
+    const key = match ? match.key : null;
+    const matchedBy = match ? match.matchedBy : null;
+    const targets = key ? raw[key] : null;
+    const expectedTph = Array.isArray(targets) ? targets[1] : targets && targets.expectedTph;
+    if (expectedTph === undefined || expectedTph === null) return { ...endpoint, key, matchedBy, expectedTph: null, ok: true };
+    const tolerance = (targets && targets.tphTolerance) !== undefined ? targets.tphTolerance : DEFAULT_TPH_TOLERANCE;
+    return { ...endpoint, key, matchedBy, expectedTph, ok: Math.abs(endpoint.tph - expectedTph) <= expectedTph * tolerance };
+  });
+}
+
+// -------------------------------
+// Writing scripts and sla.json
+// -------------------------------
+
+/**
+ * Replaces config.phases and the scenario weights of a script (comments and layout elsewhere kept).
+ * @returns {{ text: string, warnings: string[] }}
+ */
+function applyToScript(text, workload) {
+  const YAML = loadYaml();
+  const doc = YAML.parseDocument(text);
+  if (doc.errors.length > 0) throw new Error(`Cannot parse the script: ${doc.errors[0].message}`);
+  const warnings = [];
+
+  doc.setIn(["config", "phases"], doc.createNode(workload.phases));
+  const scenarios = doc.getIn(["scenarios"]);
+  const names = new Set();
+  ((scenarios && scenarios.items) || []).forEach((scenario) => {
+    const name = scenario.get("name");
+    names.add(name);
+    if (workload.weights[name] !== undefined) {
+      scenario.set("weight", workload.weights[name]);
+    } else {
+      warnings.push(`Scenario '${name}' is not in the workload spec: it keeps weight ${scenario.get("weight") === undefined ? 1 : scenario.get("weight")} and takes a share of the arrivals`);
+    }
+  });
+  Object.keys(workload.weights).filter((name) => !names.has(name))
+    .forEach((name) => warnings.push(`Transaction '${name}' has no scenario of that name in the script`));
+  return { text: doc.toString({ lineWidth: 0, flowCollectionPadding: false }), warnings };
+}
+
+const compact = (value) => (value && typeof value === "object" && !Array.isArray(value)
+  ? `{ ${Object.entries(value).map(([k, v]) => `${JSON.stringify(k)}: ${JSON.stringify(v)}`).join(", ")} }`
+  : JSON.stringify(value));
+
+/** sla.json text in the repo's layout: one endpoint per line, 4-space indent. */
+function formatSla(sla) {
+  const lines = Object.entries(sla).map(([key, value]) => {
+    if (key !== "endpoints") return `    ${JSON.stringify(key)}: ${key === "environments" ? JSON.stringify(value, null, 4).replace(/\n/g, "\n    ") : compact(value)}`;
+    const entries = Object.entries(value).map(([endpoint, targets]) => `        ${JSON.stringify(endpoint)}: ${compact(targets)}`);
+    return `    "endpoints": {\n${entries.join(",\n")}\n    }`;
+  });
+  return `{\n${lines.join(",\n")}\n}\n`;
+}
+
+/**
+ * Sets expectedTph (and tphTolerance when given) for each key. Only the entry with that
+ * exact key ('{{ }}' segments and trailing '/' ignored) is updated, else a new entry is
+ * added: a service-name match could overwrite another endpoint's target. Legacy files
+ * become named.
+ * @param {Object|null} existing - Parsed sla.json (or null for a new file)
+ * @param {Object<string, number>} expected - key → planned TPH
+ * @returns {{ sla: Object, changes: string[] }}
+ */
+function updateSla(existing, expected, { tphTolerance, schema } = {}) {
+  const named = existing && (existing.endpoints || existing.defaults || existing.environments);
+  const sla = named ? { ...existing, endpoints: { ...(existing.endpoints || {}) } } : { ...(schema ? { $schema: schema } : {}), endpoints: {} };
+  if (existing && !named) {
+    Object.entries(existing).forEach(([key, value]) => {
+      if (key === "$schema") sla.$schema = value;
+      else sla.endpoints[key] = Array.isArray(value) ? { p95: value[0], ...(value[1] !== undefined ? { expectedTph: value[1] } : {}) } : value;
+    });
+  }
+
+  const changes = [];
+  Object.entries(expected).forEach(([name, tph]) => {
+    const key = exactSlaKey(name, Object.keys(sla.endpoints)) || name;
+    const added = !sla.endpoints[key];
+    const before = sla.endpoints[key] || {};
+    const value = Math.round(tph);
+    sla.endpoints[key] = { ...before, expectedTph: value, ...(tphTolerance !== undefined ? { tphTolerance } : {}) };
+    if (added) changes.push(`${key}: new entry, expectedTph ${value}`);
+    else if (before.expectedTph !== value) changes.push(`${key}: expectedTph ${before.expectedTph === undefined ? "(none)" : before.expectedTph} → ${value}`);
+  });
+  return { sla, changes };
+}
+
+// -------------------------------
+// Report
+// -------------------------------
+
+const pad = (value, width) => String(value).padEnd(width);
+const fmt = (value) => (Math.abs(value) >= 100 ? String(Math.round(value)) : String(round(value, 2)));
+
+function formatLoad(load, runners) {
+  const lines = [`Effective load (${runners} runner${runners === 1 ? "" : "s"}, ${fmt(load.duration / 60)} min):`, ""];
+  const nameWidth = Math.max(12, ...load.phases.map((p) => p.name.length)) + 2;
+  lines.push(`${pad("Phase", nameWidth)}${pad("Duration", 10)}${pad("Rate/runner", 16)}${pad("Arrivals", 10)}TPS (all runners)`);
+  load.phases.forEach((p) => {
+    const rate = p.startRate === p.endRate ? fmt(p.startRate) : `${fmt(p.startRate)} → ${fmt(p.endRate)}`;
+    lines.push(`${pad(p.name, nameWidth)}${pad(`${fmt(p.duration)}s`, 10)}${pad(rate, 16)}${pad(fmt(p.arrivals), 10)}${fmt(p.tps)}`);
+  });
+
+  lines.push("", `${pad("Scenario", nameWidth)}${pad("Weight", 8)}${pad("Share", 8)}${pad("Req/iter", 10)}${pad("Iterations", 12)}Run-average TPH`);
+  load.scenarios.forEach((s) => {
+    const perIteration = s.requests.reduce((sum, r) => sum + r.times, 0);
+    lines.push(`${pad(s.name, nameWidth)}${pad(s.weight, 8)}${pad(`${fmt(s.share * 100)}%`, 8)}${pad(perIteration, 10)}${pad(fmt(s.iterations), 12)}${fmt(s.tph)}`);
+  });
+  return lines;
+}
+
+// -------------------------------
+// CLI
+// -------------------------------
+
+function readJson(filePath, label) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot read ${label} '${filePath}': ${err.message}`);
+  }
+}
+
+function runBuild(args) {
+  const runners = args.runners !== undefined ? Number(args.runners) : undefined;
+  const workload = buildWorkload(readJson(args.spec, "workload spec"), { runners });
+  const { spec } = workload;
+  workload.warnings.forEach((warning) => console.warn(`⚠️ ${warning}`));
+  console.log(`ℹ️ ${fmt(workload.totalRate)} arrivals/s in steady state = ${spec.runners} runner(s) × ${workload.perRunnerRate}/s`);
+
+  let script;
+  if (args.script) {
+    const { text, warnings } = applyToScript(fs.readFileSync(args.script, "utf8"), workload);
+    warnings.forEach((warning) => console.warn(`⚠️ ${warning}`));
+    fs.writeFileSync(args.script, text);
+    console.log(`✅ Wrote phases and weights to ${args.script}`);
+    script = loadYaml().parse(text);
+  } else {
+    const YAML = loadYaml();
+    console.log(YAML.stringify({ phases: workload.phases }, { lineWidth: 0 }));
+    console.log("# scenario weights (= target TPH)");
+    console.log(YAML.stringify(workload.weights));
+    script = {
+      config: { phases: workload.phases },
+      scenarios: spec.transactions.map((t) => ({ name: t.name, weight: workload.weights[t.name], flow: [] })),
+    };
+  }
+
+  const load = effectiveLoad(script, { runners: spec.runners });
+  formatLoad(load, spec.runners).forEach((line) => console.log(line));
+
+  if (args.sla) {
+    // Endpoints of the script when there is one, else the spec's slaKey per transaction
+    const expected = {};
+    if (args.script) {
+      load.endpoints.forEach((endpoint) => { expected[endpoint.name] = endpoint.tph; });
+    } else {
+      spec.transactions.forEach((t) => {
+        const scenario = load.scenarios.find((s) => s.name === t.name);
+        t.slaKeys.forEach((key) => { expected[key] = scenario.tph; });
+      });
+    }
+    const existing = fs.existsSync(args.sla) ? readJson(args.sla, "sla.json") : null;
+    const { sla, changes } = updateSla(existing, expected, { tphTolerance: spec.tphTolerance });
+    fs.writeFileSync(args.sla, formatSla(sla));
+    changes.forEach((change) => console.log(`   ${change}`));
+    console.log(`✅ Wrote planned throughput to ${args.sla}`);
+  }
+  return load.problems.length > 0 ? 1 : 0;
+}
+
+function runCheck(args) {
+  const runners = args.runners !== undefined ? Number(args.runners) : 1;
+  if (!Number.isInteger(runners) || runners < 1) throw new Error("--runners must be a whole number ≥ 1");
+  let script;
+  try {
+    script = loadYaml().parse(fs.readFileSync(args.script, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot read script '${args.script}': ${err.message}`);
+  }
+  const load = effectiveLoad(script, { runners, environment: typeof args.env === "string" ? args.env : undefined });
+  formatLoad(load, runners).forEach((line) => console.log(line));
+
+  const problems = [...load.problems];
+  if (args.sla) {
+    const comparison = compareWithSla(load, readJson(args.sla, "sla.json"));
+    console.log("\nEndpoint TPH vs sla.json expectedTph:");
+    comparison.forEach((c) => {
+      const expected = c.expectedTph === null ? "no expectedTph" : `expected ${c.expectedTph}${c.ok ? "" : " ❌"}`;
+      const entry = c.key ? `${c.key}${c.matchedBy === "service" ? ", same service" : ""}` : "no sla.json entry";
+      console.log(`   ${c.name}: planned ${fmt(c.tph)} (${entry}, ${expected})`);
+      if (!c.ok) problems.push(`${c.name}: planned ${fmt(c.tph)} TPH, sla.json expects ${c.expectedTph}`);
+    });
+  }
+
+  if (problems.length > 0) {
+    console.error("");
+    problems.forEach((problem) => console.error(`❌ ${problem}`));
+    return 1;
+  }
+  console.log("\n✅ No workload problems found");
+  return 0;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const command = args._[0];
+  if ((command === "build" && typeof args.spec !== "string") || (command === "check" && typeof args.script !== "string") || !["build", "check"].includes(command)) {
+    console.error("Usage: node utilities/workload-model.js build --spec <workload.json> [--script <script.yml>] [--sla <sla.json>] [--runners <n>]");
+    console.error("       node utilities/workload-model.js check --script <script.yml> [--runners <n>] [--env <name>] [--sla <sla.json>]");
+    return 2;
+  }
+  try {
+    return command === "build" ? runBuild(args) : runCheck(args);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    return 2;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  parseDuration,
+  normalizeSpec,
+  buildWorkload,
+  simulatePhases,
+  flowRequests,
+  endpointName,
+  effectiveLoad,
+  compareWithSla,
+  applyToScript,
+  updateSla,
+  formatSla,
+  main,
+};